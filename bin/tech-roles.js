@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * tech-roles - Query tech roles, levels and competencies from the terminal
+ *
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const { run } = require('../src/cli');
+
+process.exitCode = run(process.argv.slice(2));
@@ -94,24 +94,27 @@ console.log('----------------------------------------');
 console.log('Scenario: Analyzing skill coverage in a development team\n');
 
 const team = [
-  { role: 'Backend Developer', level: 'L4' },
-  { role: 'Frontend Developer', level: 'L3' },
-  { role: 'DevOps Engineer', level: 'L3' },
-  { role: 'Data Engineer', level: 'L2' }
+  { name: 'Ana', role: 'Backend Developer', level: 'L4' },
+  { name: 'Bruno', role: 'Frontend Developer', level: 'L3' },
+  { name: 'Carla', role: 'DevOps Engineer', level: 'L3' },
+  { name: 'Diego', role: 'Data Engineer', level: 'L2' }
 ];
 
-const teamSkills = new Set();
-team.forEach(member => {
-  const competencies = library.getCompetencies(member.role, member.level);
-  competencies.core.forEach(skill => teamSkills.add(skill));
-  competencies.complementary.forEach(skill => teamSkills.add(skill));
+const teamAnalysis = library.analyzeTeam(team, {
+  target: [{ role: 'Backend Developer', level: 'L3', count: 2 }]
 });
+const teamSkills = teamAnalysis.matrix.map(row => row.competency);
 
 console.log('Team composition:');
-team.forEach((member, i) => {
-  console.log(`  ${i + 1}. ${member.role} ${member.level}`);
+teamAnalysis.members.forEach((member, i) => {
+  console.log(`  ${i + 1}. ${member.name} - ${member.role} ${member.level}`);
 });
-console.log(`\nTotal unique skills in team: ${teamSkills.size}\n`);
+console.log(`\nTotal unique skills in team: ${teamAnalysis.summary.totalCompetencies}`);
+console.log(`Single points of failure: ${teamAnalysis.summary.singlePointsOfFailure}`);
+teamAnalysis.gaps.composition.forEach(slot => {
+  console.log(`Target ${slot.code}: ${slot.filled}/${slot.required} filled`);
+});
+console.log('');
 
 // Check coverage for a specific technology
 const techToCheck = ['Docker', 'Kubernetes', 'CI/CD', 'testing'];
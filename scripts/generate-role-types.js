@@ -0,0 +1,55 @@
+/**
+ * Generate role name types
+ *
+ * Rewrites the EnglishRoleName and SpanishRoleName unions in types/index.d.ts
+ * from the bundled role files. Run after adding or renaming roles:
+ *
+ *   npm run types:roles
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TRANSLATIONS_DIR = path.join(__dirname, '../src/i18n/translations');
+const TYPES_PATH = path.join(__dirname, '../types/index.d.ts');
+
+const UNIONS = {
+  en: 'EnglishRoleName',
+  es: 'SpanishRoleName'
+};
+
+// Role names of one language, sorted
+function readRoleNames(language) {
+  const dir = path.join(TRANSLATIONS_DIR, language);
+  const names = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')).role);
+  return Array.from(new Set(names)).sort((a, b) => a.localeCompare(b));
+}
+
+// Render a union type as indented lines
+function renderUnion(name, values) {
+  const members = values.map(value => `    | '${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`);
+  return `  type ${name} =\n${members.join('\n')};`;
+}
+
+function main() {
+  let source = fs.readFileSync(TYPES_PATH, 'utf-8');
+
+  Object.entries(UNIONS).forEach(([language, name]) => {
+    const pattern = new RegExp(`  type ${name} =\\n(    \\| .*\\n)*?    \\| .*;`);
+    if (!pattern.test(source)) {
+      throw new Error(`Union ${name} not found in ${TYPES_PATH}`);
+    }
+    source = source.replace(pattern, renderUnion(name, readRoleNames(language)));
+  });
+
+  fs.writeFileSync(TYPES_PATH, source);
+  console.log(`Updated role name types in ${path.relative(process.cwd(), TYPES_PATH)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { readRoleNames };
@@ -0,0 +1,175 @@
+/**
+ * Assessment API - Evidence-based level placement
+ *
+ * Computes where a person sits in a role from the competencies they have
+ * actually demonstrated, instead of assuming everything below their nominal
+ * level is mastered. Reports per-level coverage and missing items.
+ *
+ * @module api/assessments
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const { Validator, InvalidQueryError } = require('../core/validator');
+
+const DEFAULT_THRESHOLD = 0.8;
+
+class AssessmentAPI {
+  constructor(database, queryAPI) {
+    this.db = database;
+    this.queryAPI = queryAPI;
+  }
+
+  /**
+   * Compute level placement from demonstrated competencies.
+   *
+   * @param {string} roleName - Role name
+   * @param {string[]|Set<string>} demonstrated - Demonstrated competencies (exact text, case-insensitive, or competency IDs)
+   * @param {Object} [options={}] - Assessment options
+   * @param {number} [options.threshold=0.8] - Core coverage (0-1) required to meet a level
+   * @param {boolean} [options.contiguous=true] - Require every lower level to be met as well
+   * @returns {Object} Placement, per-level coverage and missing competencies
+   */
+  assess(roleName, demonstrated, options = {}) {
+    Validator.validateRoleName(roleName);
+
+    const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+    if (typeof threshold !== 'number' || threshold <= 0 || threshold > 1) {
+      throw new InvalidQueryError('Threshold must be a number between 0 (exclusive) and 1');
+    }
+    if (!demonstrated || typeof demonstrated[Symbol.iterator] !== 'function' || typeof demonstrated === 'string') {
+      throw new InvalidQueryError('Demonstrated competencies must be an array or Set');
+    }
+
+    const contiguous = options.contiguous !== false;
+    const evidence = this.normalizeEvidence(demonstrated);
+    const allLevels = this.queryAPI.getAllLevelsForRole(roleName);
+    const matchedEvidence = new Set();
+
+    const levels = allLevels.map(level => {
+      const ids = level.ids || {};
+      const core = this.partition(level.coreCompetencies, ids.coreCompetencies, evidence, matchedEvidence);
+      const complementary = this.partition(
+        level.complementaryCompetencies, ids.complementaryCompetencies, evidence, matchedEvidence
+      );
+      const total = level.coreCompetencies.length + level.complementaryCompetencies.length;
+      const coreRatio = level.coreCompetencies.length > 0
+        ? core.demonstrated.length / level.coreCompetencies.length
+        : 1;
+
+      return {
+        level: level.level,
+        code: level.code,
+        levelNumber: level.levelNumber,
+        met: coreRatio >= threshold,
+        coverage: {
+          core: this.toPercentage(core.demonstrated.length, level.coreCompetencies.length),
+          complementary: this.toPercentage(complementary.demonstrated.length, level.complementaryCompetencies.length),
+          overall: this.toPercentage(core.demonstrated.length + complementary.demonstrated.length, total)
+        },
+        demonstrated: {
+          core: core.demonstrated,
+          complementary: complementary.demonstrated
+        },
+        missing: {
+          core: core.missing,
+          complementary: complementary.missing
+        }
+      };
+    });
+
+    const metLevels = levels.filter(l => l.met);
+    const highestMet = metLevels.length > 0 ? metLevels[metLevels.length - 1] : null;
+
+    let placement = null;
+    if (contiguous) {
+      for (const level of levels) {
+        if (!level.met) break;
+        placement = level;
+      }
+    } else {
+      placement = highestMet;
+    }
+
+    const next = levels.find(l => l.levelNumber > (placement ? placement.levelNumber : 0)) || null;
+    const summarize = level => level && {
+      level: level.level,
+      code: level.code,
+      levelNumber: level.levelNumber
+    };
+
+    return {
+      role: allLevels[0].role,
+      threshold,
+      placement: summarize(placement),
+      highestMetLevel: summarize(highestMet),
+      levels,
+      nextLevel: next && {
+        ...summarize(next),
+        coverage: next.coverage,
+        missing: next.missing
+      },
+      unmatchedEvidence: Array.from(evidence.entries())
+        .filter(([key]) => !matchedEvidence.has(key))
+        .map(([, original]) => original)
+    };
+  }
+
+  /**
+   * Build a lookup of normalized evidence keys.
+   *
+   * @param {Iterable<string>} demonstrated - Demonstrated competencies
+   * @returns {Map<string, string>} Normalized key -> original input
+   * @private
+   */
+  normalizeEvidence(demonstrated) {
+    const evidence = new Map();
+    for (const item of demonstrated) {
+      if (typeof item === 'string' && item.trim().length > 0) {
+        evidence.set(this.normalize(item), item);
+      }
+    }
+    return evidence;
+  }
+
+  /**
+   * Split competencies into demonstrated and missing. A competency is
+   * demonstrated when the evidence contains its text or its ID.
+   *
+   * @param {string[]} competencies - Competencies of a level
+   * @param {string[]} [ids] - IDs parallel to the competencies
+   * @param {Map<string, string>} evidence - Normalized evidence
+   * @param {Set<string>} matched - Accumulator of matched evidence keys
+   * @returns {Object} { demonstrated, missing }
+   * @private
+   */
+  partition(competencies, ids, evidence, matched) {
+    const demonstrated = [];
+    const missing = [];
+
+    competencies.forEach((competency, index) => {
+      const key = [competency, ids && ids[index]]
+        .filter(Boolean)
+        .map(value => this.normalize(value))
+        .find(value => evidence.has(value));
+      if (key) {
+        matched.add(key);
+        demonstrated.push(competency);
+      } else {
+        missing.push(competency);
+      }
+    });
+
+    return { demonstrated, missing };
+  }
+
+  normalize(text) {
+    return text.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  toPercentage(count, total) {
+    return total > 0 ? Math.round((count / total) * 100) : 0;
+  }
+}
+
+module.exports = AssessmentAPI;
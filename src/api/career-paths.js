@@ -0,0 +1,301 @@
+/**
+ * Career Path API - Navigable career graph across all roles
+ *
+ * Models the catalog as a CareerGraph: one node per role level, promotion
+ * edges to the next level of the same role and lateral edges between levels
+ * of the same number in similar roles. Every edge is weighted by the number of
+ * competencies of the destination not yet covered by the source (compared with
+ * CompetencyMatcher), so the cheapest route is the one with the least to learn.
+ *
+ * Nodes are entry positions in the database, so the views of every language
+ * sharing a database share its graphs: they are built once, in the language
+ * of the database, and each view describes their nodes in its own language.
+ *
+ * @module api/career-paths
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const CareerGraph = require('../core/career-graph');
+const CompetencyMatcher = require('../core/competency-matcher');
+const { InvalidQueryError } = require('../core/validator');
+
+const DEFAULT_LATERAL_THRESHOLD = 0.25;
+const DEFAULT_MIN_SIMILARITY = 0.5;
+const DEFAULT_MAX_STEPS = 2;
+const ROUTE_CRITERIA = ['cost', 'steps'];
+
+class CareerPathAPI {
+  /**
+   * @param {CompetencyDatabase} database - Loaded database
+   * @param {QueryAPI} queryAPI - Query API used to read (translated) entries
+   * @param {Object} [options={}] - API options
+   * @param {string} [options.language='en'] - Language of the loaded data
+   * @param {Function} [options.matcher] - Returns the shared CompetencyMatcher
+   * @param {Function} [options.builder] - Returns the CareerPathAPI of the database language,
+   *   which builds the graphs shared by every language (this API when not set)
+   */
+  constructor(database, queryAPI, options = {}) {
+    this.db = database;
+    this.queryAPI = queryAPI;
+    this.language = options.language || 'en';
+    this.matcherFactory = options.matcher || null;
+    this.builderFactory = options.builder || null;
+    this.matcher = null;
+    this.nodes = new Map(); // node ID -> role level in this language
+  }
+
+  /**
+   * Nodes and edges of the career graph (a copy).
+   *
+   * @param {Object} [options={}] - Graph options (see getGraph)
+   * @returns {Object} { nodes, edges }
+   */
+  describeGraph(options = {}) {
+    const { nodes, edges } = this.getGraph(options).toJSON();
+    const ids = new Map(nodes.map(node => [node.id, this.describeNode(node.id)]));
+    return {
+      nodes: Array.from(ids.values()),
+      edges: edges.map(edge => ({ ...edge, from: ids.get(edge.from).id, to: ids.get(edge.to).id }))
+    };
+  }
+
+  /**
+   * Best route between two role levels.
+   *
+   * @param {string} fromRole - Starting role name
+   * @param {string|number} fromLevel - Starting level
+   * @param {string} toRole - Target role name
+   * @param {string|number} toLevel - Target level
+   * @param {Object} [options={}] - Route and graph options
+   * @param {string} [options.by='cost'] - 'cost' (fewest competencies to acquire) or 'steps' (fewest moves)
+   * @param {boolean} [options.lateral=true] - Allow lateral moves between roles
+   * @returns {Object|null} { from, to, by, steps, totalSteps, totalCost, promotions, lateralMoves } or null if unreachable
+   * @throws {InvalidQueryError} If an option is invalid
+   */
+  findRoute(fromRole, fromLevel, toRole, toLevel, options = {}) {
+    const by = options.by ?? 'cost';
+    if (!ROUTE_CRITERIA.includes(by)) {
+      throw new InvalidQueryError(`Route criterion must be one of: ${ROUTE_CRITERIA.join(', ')}`);
+    }
+
+    const graph = this.getGraph(options);
+    const from = this.db.getPosition(this.queryAPI.findEntry(fromRole, fromLevel));
+    const to = this.db.getPosition(this.queryAPI.findEntry(toRole, toLevel));
+    const route = graph.findRoute(from, to, { by, filter: this.edgeFilter(options) });
+    if (!route) return null;
+
+    return {
+      from: this.describeNode(from),
+      to: this.describeNode(to),
+      by,
+      steps: route.edges.map(edge => this.describeEdge(edge)),
+      totalSteps: route.steps,
+      totalCost: route.cost,
+      promotions: route.edges.filter(edge => edge.type === 'promotion').length,
+      lateralMoves: route.edges.filter(edge => edge.type === 'lateral').length
+    };
+  }
+
+  /**
+   * Role levels reachable from a role level within a number of moves.
+   *
+   * @param {string} roleName - Starting role name
+   * @param {string|number} level - Starting level
+   * @param {Object} [options={}] - Search and graph options
+   * @param {number} [options.maxSteps=2] - Maximum number of moves
+   * @param {boolean} [options.lateral=true] - Allow lateral moves between roles
+   * @returns {Object[]} Reached role levels ({ id, role, level, code, levelNumber, category, steps, cost, path }),
+   *   nearest first
+   * @throws {InvalidQueryError} If an option is invalid
+   */
+  getReachable(roleName, level, options = {}) {
+    const maxSteps = options.maxSteps ?? DEFAULT_MAX_STEPS;
+    if (!Number.isInteger(maxSteps) || maxSteps < 1) {
+      throw new InvalidQueryError('Maximum steps must be a positive integer');
+    }
+
+    const graph = this.getGraph(options);
+    const from = this.db.getPosition(this.queryAPI.findEntry(roleName, level));
+    const start = this.describeNode(from).id;
+
+    return graph.reachable(from, maxSteps, { filter: this.edgeFilter(options) })
+      .map(state => ({
+        ...this.describeNode(state.id),
+        steps: state.steps,
+        cost: state.cost,
+        path: [start, ...state.edges.map(edge => this.describeNode(edge.to).id)]
+      }))
+      .sort((a, b) => a.steps - b.steps || a.cost - b.cost || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Career graph for a set of options, built on first use and cached in the
+   * database. Node IDs are entry positions (see describeNode).
+   *
+   * @param {Object} [options={}] - Graph options
+   * @param {number} [options.lateralThreshold=0.25] - Minimum similarity (0-1) between two role levels for a lateral edge
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for a competency to count as already held
+   * @param {boolean} [options.includeComplementary=true] - Weigh complementary competencies too
+   * @returns {CareerGraph} Graph
+   * @throws {InvalidQueryError} If an option is invalid
+   */
+  getGraph(options = {}) {
+    const settings = {
+      lateralThreshold: this.validateRatio(options.lateralThreshold, DEFAULT_LATERAL_THRESHOLD, 'Lateral threshold'),
+      minSimilarity: this.validateRatio(options.minSimilarity, DEFAULT_MIN_SIMILARITY, 'Minimum similarity'),
+      includeComplementary: options.includeComplementary !== false
+    };
+    const key = JSON.stringify(settings);
+
+    if (!this.db.graphs.has(key)) {
+      const builder = this.builderFactory ? this.builderFactory() : this;
+      this.db.graphs.set(key, builder.buildGraph(settings));
+    }
+    return this.db.graphs.get(key);
+  }
+
+  /**
+   * Build the graph: nodes for every role level, promotion edges within each
+   * role and lateral edges between similar role levels of the same number.
+   *
+   * @param {Object} settings - { lateralThreshold, minSimilarity, includeComplementary }
+   * @returns {CareerGraph} Graph
+   * @private
+   */
+  buildGraph(settings) {
+    const graph = new CareerGraph();
+    const matcher = this.getMatcher();
+    const competenciesOf = entry => settings.includeComplementary
+      ? [...entry.coreCompetencies, ...entry.complementaryCompetencies]
+      : [...entry.coreCompetencies];
+    const gap = (source, target) =>
+      matcher.match(competenciesOf(target), competenciesOf(source), settings.minSimilarity).missing.length;
+
+    const byLevel = new Map(); // level number -> entries
+    this.db.getAllRoles().forEach(role => {
+      const levels = this.db.getByRole(role).map(entry => ({
+        ...this.queryAPI.cloneEntry(entry),
+        position: this.db.getPosition(entry)
+      }));
+
+      levels.forEach(entry => {
+        graph.addNode(entry.position, {});
+        if (!byLevel.has(entry.levelNumber)) byLevel.set(entry.levelNumber, []);
+        byLevel.get(entry.levelNumber).push(entry);
+      });
+
+      levels.slice(1).forEach((entry, index) => {
+        const previous = levels[index];
+        if (entry.levelNumber !== previous.levelNumber + 1) return;
+        graph.addEdge(previous.position, entry.position, { type: 'promotion', weight: gap(previous, entry) });
+      });
+    });
+
+    byLevel.forEach(entries => {
+      entries.forEach((a, i) => {
+        entries.slice(i + 1).forEach(b => {
+          const similarity = matcher.groupSimilarity(competenciesOf(a), competenciesOf(b));
+          if (similarity < settings.lateralThreshold) return;
+
+          const rounded = Math.round(similarity * 1000) / 1000;
+          graph.addEdge(a.position, b.position, { type: 'lateral', weight: gap(a, b), similarity: rounded });
+          graph.addEdge(b.position, a.position, { type: 'lateral', weight: gap(b, a), similarity: rounded });
+        });
+      });
+    });
+
+    return graph;
+  }
+
+  /**
+   * Route step for an edge, with both role levels.
+   *
+   * @param {Object} edge - Edge
+   * @returns {Object} { type, from, to, cost, similarity? }
+   * @private
+   */
+  describeEdge(edge) {
+    const step = {
+      type: edge.type,
+      from: this.describeNode(edge.from),
+      to: this.describeNode(edge.to),
+      cost: edge.weight
+    };
+    if (edge.similarity !== undefined) step.similarity = edge.similarity;
+    return step;
+  }
+
+  /**
+   * Edge predicate for the route options.
+   *
+   * @param {Object} options - { lateral }
+   * @returns {Function} Predicate
+   * @private
+   */
+  edgeFilter(options) {
+    return options.lateral === false ? edge => edge.type !== 'lateral' : () => true;
+  }
+
+  /**
+   * Role level of a graph node in the language of this API, with its public
+   * ID ('Backend Developer L3'). Role codes are not used because several
+   * roles share a code prefix.
+   *
+   * @param {number} position - Node ID (entry position in the database)
+   * @returns {Object} { id, role, level, code, levelNumber, category }
+   * @private
+   */
+  describeNode(position) {
+    if (!this.nodes.has(position)) {
+      const entry = this.queryAPI.cloneEntry(this.db.getEntry(position));
+      this.nodes.set(position, {
+        id: `${entry.role} L${entry.levelNumber}`,
+        role: entry.role,
+        level: entry.level,
+        code: entry.code,
+        levelNumber: entry.levelNumber,
+        category: entry.category
+      });
+    }
+    return { ...this.nodes.get(position) };
+  }
+
+  /**
+   * Validate a 0-1 option.
+   *
+   * @param {*} value - Option value
+   * @param {number} fallback - Default value
+   * @param {string} label - Option name for the error message
+   * @returns {number} Value
+   * @throws {InvalidQueryError} If the value is not a number between 0 and 1
+   * @private
+   */
+  validateRatio(value, fallback, label) {
+    if (value === undefined) return fallback;
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 1) {
+      throw new InvalidQueryError(`${label} must be a number between 0 and 1`);
+    }
+    return value;
+  }
+
+  /**
+   * Shared matcher when provided, otherwise one built over every loaded competency.
+   *
+   * @returns {CompetencyMatcher} Matcher
+   * @private
+   */
+  getMatcher() {
+    if (!this.matcher) {
+      this.matcher = this.matcherFactory
+        ? this.matcherFactory()
+        : CompetencyMatcher.fromEntries(
+          this.db.getAllRoles().flatMap(role => this.queryAPI.getAllLevelsForRole(role)),
+          { language: this.language }
+        );
+    }
+    return this.matcher;
+  }
+}
+
+module.exports = CareerPathAPI;
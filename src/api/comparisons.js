@@ -2,40 +2,71 @@
  * Comparison API - Role and level comparison utilities
  *
  * Provides methods for comparing roles, analyzing competency gaps, and finding similar roles.
- * Used internally by the main library for career progression analysis.
+ * Entries are read through the QueryAPI, so role names, categories and competencies
+ * come out in the library language. Competencies are paired with CompetencyMatcher:
+ * identical texts are common (or maintained), and differently worded ones at or above
+ * the similarity threshold are related (or evolved) instead of unique. Competency gaps are
+ * grouped by dimension with DimensionClassifier, and their learning time is estimated
+ * with LearningTimeModel (or a custom estimator).
  *
  * @module api/comparisons
  * @author 686f6c61
  * @license MIT
  */
 
-const { Validator } = require('../core/validator');
+const CompetencyMatcher = require('../core/competency-matcher');
+const DimensionClassifier = require('../core/dimension-classifier');
+const LearningTimeModel = require('../core/learning-time-model');
+const { Validator, InvalidQueryError } = require('../core/validator');
+
+const DEFAULT_SIMILARITY_THRESHOLD = 0.15;
+const DEFAULT_MIN_SIMILARITY = 0.5;
+const DEFAULT_METHOD = 'tfidf';
+const MAX_COMMON_COMPETENCIES = 10;
+const WEEKS_PER_YEAR = 52;
 
 class ComparisonAPI {
-  constructor(database, queryAPI) {
+  /**
+   * @param {CompetencyDatabase} database - Loaded database
+   * @param {QueryAPI} queryAPI - Query API used to read (translated) entries
+   * @param {Translator} [translator=null] - Translator of the library language
+   * @param {Object} [options={}] - API options
+   * @param {Function} [options.matcher] - Returns the shared CompetencyMatcher for a method
+   * @param {DimensionClassifier} [options.classifier] - Classifier grouping competency gaps by dimension
+   * @param {Object} [options.estimator] - Learning time model: a LearningTimeModel or any object
+   *   with an estimate(items) method
+   */
+  constructor(database, queryAPI, translator = null, options = {}) {
     this.db = database;
     this.queryAPI = queryAPI;
+    this.translator = translator;
+    this.matcherFactory = options.matcher || null;
+    this.matchers = new Map(); // method -> CompetencyMatcher
+    this.classifier = options.classifier || null;
+    this.estimator = options.estimator || null;
   }
 
-  compareRoles(role1, role2, level) {
+  /**
+   * Compare the competencies of two roles at the same level.
+   *
+   * @param {string} role1 - First role name
+   * @param {string} role2 - Second role name
+   * @param {string|number} level - Level compared in both roles
+   * @param {Object} [options={}] - Comparison options
+   * @param {boolean} [options.includeComplementary=true] - Compare complementary competencies too
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for two competencies to be related
+   * @param {string} [options.method='tfidf'] - Similarity method ('tfidf', 'token', 'ngram' or 'exact')
+   * @returns {Object} Common, related and unique competencies, role similarity (0-1) and counts
+   * @throws {InvalidQueryError} If a similarity option is invalid
+   */
+  compareRoles(role1, role2, level, options = {}) {
+    const { matcher, minSimilarity } = this.similaritySettings(options);
     const entry1 = this.queryAPI.getRoleByNameAndLevel(role1, level);
     const entry2 = this.queryAPI.getRoleByNameAndLevel(role2, level);
 
-    const comp1Set = new Set([
-      ...entry1.coreCompetencies,
-      ...entry1.complementaryCompetencies
-    ]);
-    const comp2Set = new Set([
-      ...entry2.coreCompetencies,
-      ...entry2.complementaryCompetencies
-    ]);
-
-    const common = Array.from(comp1Set).filter(c => comp2Set.has(c));
-    const unique1 = Array.from(comp1Set).filter(c => !comp2Set.has(c));
-    const unique2 = Array.from(comp2Set).filter(c => !comp1Set.has(c));
-
-    const unionSize = comp1Set.size + comp2Set.size - common.length;
-    const similarity = unionSize > 0 ? common.length / unionSize : 0;
+    const comp1Set = this.competencySet([entry1], options);
+    const comp2Set = this.competencySet([entry2], options);
+    const alignment = matcher.align(Array.from(comp1Set), Array.from(comp2Set), minSimilarity);
 
     return {
       role1: {
@@ -48,39 +79,51 @@ class ComparisonAPI {
         level: entry2.level,
         code: entry2.code
       },
-      common,
-      unique1,
-      unique2,
-      similarity: Math.round(similarity * 1000) / 1000,
+      common: alignment.common,
+      related: alignment.pairs.map(pair => ({
+        competency1: pair.a,
+        competency2: pair.b,
+        similarity: pair.similarity
+      })),
+      unique1: alignment.onlyA,
+      unique2: alignment.onlyB,
+      similarity: alignment.score,
       statistics: {
         totalCompetencies1: comp1Set.size,
         totalCompetencies2: comp2Set.size,
-        commonCount: common.length,
-        unique1Count: unique1.length,
-        unique2Count: unique2.length
+        commonCount: alignment.common.length,
+        relatedCount: alignment.pairs.length,
+        unique1Count: alignment.onlyA.length,
+        unique2Count: alignment.onlyB.length
       }
     };
   }
 
-  compareLevels(roleName, fromLevel, toLevel) {
+  /**
+   * Compare two levels of a role.
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} fromLevel - Starting level
+   * @param {string|number} toLevel - Target level
+   * @param {Object} [options={}] - Comparison options
+   * @param {boolean} [options.includeComplementary=true] - Compare complementary competencies too
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for a competency to have evolved
+   * @param {string} [options.method='tfidf'] - Similarity method ('tfidf', 'token', 'ngram' or 'exact')
+   * @returns {Object} Maintained, evolved, new and deprecated competencies with counts and growth rate
+   * @throws {InvalidQueryError} If a similarity option is invalid
+   */
+  compareLevels(roleName, fromLevel, toLevel, options = {}) {
+    const { matcher, minSimilarity } = this.similaritySettings(options);
     const from = this.queryAPI.getRoleByNameAndLevel(roleName, fromLevel);
     const to = this.queryAPI.getRoleByNameAndLevel(roleName, toLevel);
 
-    const fromSet = new Set([
-      ...from.coreCompetencies,
-      ...from.complementaryCompetencies
-    ]);
-    const toSet = new Set([
-      ...to.coreCompetencies,
-      ...to.complementaryCompetencies
-    ]);
-
-    const maintained = Array.from(fromSet).filter(c => toSet.has(c));
-    const newCompetencies = Array.from(toSet).filter(c => !fromSet.has(c));
-    const deprecated = Array.from(fromSet).filter(c => !toSet.has(c));
+    const fromSet = this.competencySet([from], options);
+    const toSet = this.competencySet([to], options);
+    const alignment = matcher.align(Array.from(fromSet), Array.from(toSet), minSimilarity);
+    const newCompetencies = alignment.onlyB;
 
     return {
-      role: roleName,
+      role: from.role,
       fromLevel: {
         level: from.level,
         code: from.code,
@@ -91,13 +134,15 @@ class ComparisonAPI {
         code: to.code,
         yearsRange: to.yearsRange
       },
-      maintained,
+      maintained: alignment.common,
+      evolved: alignment.pairs.map(pair => ({ from: pair.a, to: pair.b, similarity: pair.similarity })),
       new: newCompetencies,
-      deprecated,
+      deprecated: alignment.onlyA,
       statistics: {
-        maintainedCount: maintained.length,
+        maintainedCount: alignment.common.length,
+        evolvedCount: alignment.pairs.length,
         newCount: newCompetencies.length,
-        deprecatedCount: deprecated.length,
+        deprecatedCount: alignment.onlyA.length,
         growthRate: fromSet.size > 0
           ? Math.round((newCompetencies.length / fromSet.size) * 100)
           : 0
@@ -105,112 +150,142 @@ class ComparisonAPI {
     };
   }
 
-  findSimilarRoles(roleName, threshold = 0.3) {
-    Validator.validateRoleName(roleName);
-
-    const targetLevels = this.queryAPI.getAllLevelsForRole(roleName);
-    const targetCompetencies = new Set();
-
-    targetLevels.forEach(level => {
-      level.coreCompetencies.forEach(c => targetCompetencies.add(c));
-      level.complementaryCompetencies.forEach(c => targetCompetencies.add(c));
-    });
+  /**
+   * Find roles whose competencies (across all levels) overlap with a role.
+   *
+   * @param {string} roleName - Role name
+   * @param {Object|number} [options={}] - Search options (a number is read as the threshold)
+   * @param {number} [options.threshold=0.15] - Minimum role similarity (0-1)
+   * @param {boolean} [options.includeComplementary=true] - Compare complementary competencies too
+   * @param {string|string[]} [options.category] - Only consider roles in these categories (keys or names in any language)
+   * @param {number} [options.limit] - Maximum number of roles returned
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for two competencies to be related
+   * @param {string} [options.method='tfidf'] - Similarity method ('tfidf', 'token', 'ngram' or 'exact')
+   * @returns {Object[]} Similar roles ({ role, category, similarity, commonCompetencies, totalCommon,
+   *   relatedCompetencies, totalRelated }), most similar first
+   * @throws {InvalidQueryError} If an option is invalid or a category is unknown
+   */
+  findSimilarRoles(roleName, options = {}) {
+    const settings = typeof options === 'number' ? { threshold: options } : options;
+    const threshold = settings.threshold ?? DEFAULT_SIMILARITY_THRESHOLD;
+
+    if (typeof threshold !== 'number' || Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+      throw new InvalidQueryError('Similarity threshold must be a number between 0 and 1');
+    }
+    if (settings.limit !== undefined && (!Number.isInteger(settings.limit) || settings.limit < 1)) {
+      throw new InvalidQueryError('Limit must be a positive integer');
+    }
 
-    const allRoles = this.db.getAllRoles();
+    const { matcher, minSimilarity } = this.similaritySettings(settings);
+    const resolvedName = this.queryAPI.resolveRoleName(roleName);
+    const targetCompetencies = Array.from(
+      this.competencySet(this.queryAPI.getAllLevelsForRole(resolvedName), settings)
+    );
+    const categories = this.resolveCategories(settings.category);
     const similarities = [];
 
-    allRoles.forEach(role => {
-      if (role === roleName) return;
+    this.db.getAllRoles().forEach(role => {
+      if (role === resolvedName) return;
 
       const roleLevels = this.queryAPI.getAllLevelsForRole(role);
-      const roleCompetencies = new Set();
-
-      roleLevels.forEach(level => {
-        level.coreCompetencies.forEach(c => roleCompetencies.add(c));
-        level.complementaryCompetencies.forEach(c => roleCompetencies.add(c));
-      });
+      if (categories && !categories.has(roleLevels[0].categoryKey)) return;
 
-      const intersection = new Set(
-        [...targetCompetencies].filter(c => roleCompetencies.has(c))
-      );
-      const union = new Set([...targetCompetencies, ...roleCompetencies]);
-      const similarity = intersection.size / union.size;
+      const roleCompetencies = Array.from(this.competencySet(roleLevels, settings));
+      const alignment = matcher.align(targetCompetencies, roleCompetencies, minSimilarity);
 
-      if (similarity >= threshold) {
-        const commonCompetencies = Array.from(intersection);
+      if (alignment.score >= threshold) {
         similarities.push({
-          role,
+          role: roleLevels[0].role,
           category: roleLevels[0].category,
-          similarity: Math.round(similarity * 1000) / 1000,
-          commonCompetencies: commonCompetencies.slice(0, 10),
-          totalCommon: commonCompetencies.length
+          similarity: alignment.score,
+          commonCompetencies: alignment.common.slice(0, MAX_COMMON_COMPETENCIES),
+          totalCommon: alignment.common.length,
+          relatedCompetencies: alignment.pairs.slice(0, MAX_COMMON_COMPETENCIES).map(pair => ({
+            competency1: pair.a,
+            competency2: pair.b,
+            similarity: pair.similarity
+          })),
+          totalRelated: alignment.pairs.length
         });
       }
     });
 
-    return similarities.sort((a, b) => b.similarity - a.similarity);
+    similarities.sort((a, b) => b.similarity - a.similarity || a.role.localeCompare(b.role));
+    return settings.limit ? similarities.slice(0, settings.limit) : similarities;
   }
 
-  getCompetencyGaps(roleName, fromLevel, toLevel) {
-    const comparison = this.compareLevels(roleName, fromLevel, toLevel);
-
-    const estimatedWeeks = comparison.new.length * 2;
-    const estimatedMonths = Math.ceil(estimatedWeeks / 4);
+  /**
+   * Competencies to acquire between two levels of a role, grouped by
+   * dimension in the recommendations.
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} fromLevel - Starting level
+   * @param {string|number} toLevel - Target level
+   * @param {Object} [options={}] - Comparison options
+   * @param {boolean} [options.includeComplementary=true] - Count complementary competencies too
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for a competency to have evolved
+   * @param {string} [options.method='tfidf'] - Similarity method ('tfidf', 'token', 'ngram' or 'exact')
+   * @returns {Object} Gaps, evolved competencies, estimated learning time and recommendations
+   */
+  getCompetencyGaps(roleName, fromLevel, toLevel, options = {}) {
+    const comparison = this.compareLevels(roleName, fromLevel, toLevel, options);
+    const target = this.queryAPI.getRoleByNameAndLevel(roleName, toLevel);
 
     return {
-      role: roleName,
+      role: comparison.role,
       from: comparison.fromLevel,
       to: comparison.toLevel,
       gaps: comparison.new,
       gapCount: comparison.new.length,
-      estimatedLearningTime: {
-        weeks: estimatedWeeks,
-        months: estimatedMonths
-      },
-      recommendations: this.generateRecommendations(comparison.new)
+      evolved: comparison.evolved,
+      estimatedLearningTime: this.getEstimator().estimate(this.learningItems(comparison, target)),
+      recommendations: this.generateRecommendations(comparison.new, target)
     };
   }
 
-  generateRecommendations(newCompetencies) {
-    const categories = {
-      technical: [],
-      leadership: [],
-      architecture: [],
-      processes: []
-    };
-
-    const leadershipKeywords = ['liderazgo', 'leadership', 'gestión', 'management', 'mentor'];
-    const architectureKeywords = ['arquitectura', 'architecture', 'diseño', 'design', 'estrategia', 'strategy'];
-    const processKeywords = ['proceso', 'process', 'metodología', 'methodology', 'governance'];
-
-    newCompetencies.forEach(comp => {
-      const compLower = comp.toLowerCase();
-      let categorized = false;
-
-      if (leadershipKeywords.some(k => compLower.includes(k))) {
-        categories.leadership.push(comp);
-        categorized = true;
-      }
-      if (architectureKeywords.some(k => compLower.includes(k))) {
-        categories.architecture.push(comp);
-        categorized = true;
-      }
-      if (processKeywords.some(k => compLower.includes(k))) {
-        categories.processes.push(comp);
-        categorized = true;
-      }
-      if (!categorized) {
-        categories.technical.push(comp);
-      }
+  /**
+   * Group competencies by dimension (see DimensionClassifier).
+   *
+   * @param {string[]} newCompetencies - Competencies to group
+   * @param {Object} entry - Entry the competencies come from, for their IDs
+   * @returns {Object} Dimension -> competencies, with every dimension present
+   * @private
+   */
+  generateRecommendations(newCompetencies, entry) {
+    const ids = this.idsOf(entry);
+    const groups = {};
+    DimensionClassifier.DIMENSIONS.forEach(dimension => {
+      groups[dimension] = [];
+    });
+    const classifier = this.getClassifier();
+    newCompetencies.forEach(competency => {
+      groups[classifier.classify(competency, ids.get(competency) || null).dimension].push(competency);
     });
 
-    return categories;
+    return groups;
   }
 
-  getCareerPath(roleName, fromLevel, toLevel) {
+  /**
+   * Level-by-level path between two levels of a role, with the competencies
+   * each step adds and the estimated time to learn them.
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} fromLevel - Starting level
+   * @param {string|number} [toLevel='L9'] - Target level
+   * @param {Object} [options={}] - Comparison options
+   * @param {boolean} [options.includeComplementary=true] - Count complementary competencies too
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for a competency to have evolved
+   * @param {string} [options.method='tfidf'] - Similarity method ('tfidf', 'token', 'ngram' or 'exact')
+   * @returns {Object} { role, from, to, steps, totalSteps, estimatedYears, estimatedLearningTime }
+   * @throws {InvalidQueryError} If a level is invalid or the target is not above the start
+   */
+  getCareerPath(roleName, fromLevel, toLevel = 'L9', options = {}) {
     Validator.validateRoleName(roleName);
+    Validator.validateLevel(fromLevel);
+    Validator.validateLevel(toLevel);
 
     const allLevels = this.queryAPI.getAllLevelsForRole(roleName);
+    const resolvedName = this.queryAPI.resolveRoleName(roleName);
     const normalizedFrom = Validator.normalizeLevel(fromLevel);
     const normalizedTo = Validator.normalizeLevel(toLevel);
 
@@ -218,10 +293,11 @@ class ComparisonAPI {
     const toNum = parseInt(normalizedTo.match(/\d/)[0]);
 
     if (fromNum >= toNum) {
-      throw new Error('Target level must be higher than starting level');
+      throw new InvalidQueryError('Target level must be higher than starting level');
     }
 
     const path = [];
+    const learning = [];
     for (let i = fromNum; i <= toNum; i++) {
       const level = allLevels.find(l => l.levelNumber === i);
       if (level) {
@@ -235,9 +311,12 @@ class ComparisonAPI {
         if (i > fromNum) {
           const prevLevel = allLevels.find(l => l.levelNumber === i - 1);
           if (prevLevel) {
-            const comparison = this.compareLevels(roleName, prevLevel.level, level.level);
+            const comparison = this.compareLevels(resolvedName, prevLevel.level, level.level, options);
+            const items = this.learningItems(comparison, level);
             stepData.newCompetencies = comparison.new;
             stepData.newCompetenciesCount = comparison.new.length;
+            stepData.estimatedWeeks = this.getEstimator().estimate(items).weeks;
+            learning.push(...items);
           }
         }
 
@@ -245,18 +324,219 @@ class ComparisonAPI {
       }
     }
 
+    const estimate = this.getEstimator().estimate(learning);
     return {
-      role: roleName,
+      role: allLevels[0].role,
       from: normalizedFrom,
       to: normalizedTo,
       steps: path,
       totalSteps: path.length,
-      estimatedYears: path.length > 0
-        ? (path[path.length - 1].yearsRange.min - (path[0].yearsRange.min || 0))
-        : 0
+      estimatedYears: Math.round((estimate.weeks / WEEKS_PER_YEAR) * 10) / 10,
+      estimatedLearningTime: estimate
     };
   }
 
+  /**
+   * Calibrate the learning time model with historical promotions within a role.
+   *
+   * @param {Object[]} history - Promotions ({ role, from, to, weeks } or { role, from, to, months })
+   * @param {Object} [options={}] - Comparison options used to find the competencies acquired
+   * @returns {Object} Calibration report (see LearningTimeModel#calibrate)
+   * @throws {InvalidQueryError} If the history is invalid or the model cannot be calibrated
+   */
+  calibrateLearningTime(history, options = {}) {
+    const estimator = this.getEstimator();
+    if (typeof estimator.calibrate !== 'function') {
+      throw new InvalidQueryError('The learning time model does not support calibration');
+    }
+    if (!Array.isArray(history) || history.length === 0) {
+      throw new InvalidQueryError('Calibration history must be a non-empty array');
+    }
+
+    const observations = history.map((record, index) => {
+      const weeks = record && (record.weeks ?? (typeof record.months === 'number'
+        ? record.months * LearningTimeModel.WEEKS_PER_MONTH
+        : undefined));
+      if (typeof weeks !== 'number' || !Number.isFinite(weeks) || weeks <= 0) {
+        throw new InvalidQueryError(`History record ${index} must have a positive number of weeks or months`);
+      }
+      Validator.validateLevel(record.from);
+      Validator.validateLevel(record.to);
+      const from = Number(Validator.normalizeLevel(record.from).slice(1));
+      const to = Number(Validator.normalizeLevel(record.to).slice(1));
+      if (from >= to) {
+        throw new InvalidQueryError(`History record ${index}: target level must be higher than starting level`);
+      }
+      const comparison = this.compareLevels(record.role, record.from, record.to, options);
+      const target = this.queryAPI.getRoleByNameAndLevel(record.role, record.to);
+      return { items: this.learningItems(comparison, target), levelNumber: target.levelNumber, weeks };
+    });
+
+    return estimator.calibrate(observations);
+  }
+
+  /**
+   * Validate the similarity options and get the matcher for the method.
+   *
+   * @param {Object} options - { minSimilarity, method }
+   * @returns {Object} { matcher, minSimilarity }
+   * @throws {InvalidQueryError} If the threshold or method is invalid
+   * @private
+   */
+  similaritySettings(options) {
+    const minSimilarity = options.minSimilarity ?? DEFAULT_MIN_SIMILARITY;
+    const method = options.method ?? DEFAULT_METHOD;
+
+    if (typeof minSimilarity !== 'number' || Number.isNaN(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+      throw new InvalidQueryError('Minimum similarity must be a number between 0 and 1');
+    }
+    if (!CompetencyMatcher.METHODS.includes(method)) {
+      throw new InvalidQueryError(
+        `Unknown similarity method: ${method}. Expected one of: ${CompetencyMatcher.METHODS.join(', ')}`
+      );
+    }
+
+    return { matcher: this.getMatcher(method), minSimilarity };
+  }
+
+  /**
+   * Matcher for a similarity method: the shared one when provided, otherwise
+   * one built over every loaded competency on first use.
+   *
+   * @param {string} method - Similarity method
+   * @returns {CompetencyMatcher} Matcher
+   * @private
+   */
+  getMatcher(method) {
+    if (!this.matchers.has(method)) {
+      this.matchers.set(method, this.matcherFactory
+        ? this.matcherFactory(method)
+        : CompetencyMatcher.fromEntries(
+          this.db.getAllRoles().flatMap(role => this.queryAPI.getAllLevelsForRole(role)),
+          { language: this.translator ? this.translator.getLanguage() : 'en', method }
+        ));
+    }
+    return this.matchers.get(method);
+  }
+
+  /**
+   * Competencies of a set of entries.
+   *
+   * @param {Object[]} entries - Role entries
+   * @param {Object} options - { includeComplementary }
+   * @returns {Set<string>} Competencies
+   * @private
+   */
+  competencySet(entries, options) {
+    const includeComplementary = options.includeComplementary !== false;
+    const competencies = new Set();
+
+    entries.forEach(entry => {
+      entry.coreCompetencies.forEach(c => competencies.add(c));
+      if (includeComplementary) {
+        entry.complementaryCompetencies.forEach(c => competencies.add(c));
+      }
+    });
+
+    return competencies;
+  }
+
+  /**
+   * Validate a category filter against the loaded categories (keys or names in any language).
+   *
+   * @param {string|string[]} [category] - Category or categories
+   * @returns {Set<string>|null} Category keys, or null when not filtering
+   * @throws {InvalidQueryError} If a category is empty or unknown
+   * @private
+   */
+  resolveCategories(category) {
+    if (category === undefined) return null;
+
+    const requested = Array.isArray(category) ? category : [category];
+    if (requested.length === 0) {
+      throw new InvalidQueryError('Category filter must not be empty');
+    }
+
+    return new Set(requested.map(value => {
+      if (typeof value !== 'string' || value.trim() === '') {
+        throw new InvalidQueryError('Category filter must be a non-empty string');
+      }
+      const key = this.db.resolveCategory(value);
+      if (!key) {
+        throw new InvalidQueryError(`Unknown category: ${value}`);
+      }
+      return key;
+    }));
+  }
+
+  /**
+   * Competencies to learn for a level comparison: new ones and evolved ones,
+   * which build on a competency already held.
+   *
+   * @param {Object} comparison - Result of compareLevels()
+   * @param {Object} target - Target entry
+   * @returns {Object[]} Items ({ text, id, dimension, levelNumber, similarity }) for the estimator
+   * @private
+   */
+  learningItems(comparison, target) {
+    const ids = this.idsOf(target);
+    const classifier = this.getClassifier();
+    const item = (text, similarity) => {
+      const id = ids.get(text) || null;
+      return { text, id, dimension: classifier.classify(text, id).dimension, levelNumber: target.levelNumber, similarity };
+    };
+
+    return [
+      ...comparison.new.map(text => item(text, 0)),
+      ...comparison.evolved.map(pair => item(pair.to, pair.similarity))
+    ];
+  }
+
+  /**
+   * Competency IDs of an entry by text.
+   *
+   * @param {Object} entry - Role entry
+   * @returns {Map<string, string>} Text -> ID
+   * @private
+   */
+  idsOf(entry) {
+    const ids = new Map();
+    ['coreCompetencies', 'complementaryCompetencies'].forEach(field => {
+      entry[field].forEach((text, index) => {
+        if (entry.ids && !ids.has(text)) ids.set(text, entry.ids[field][index]);
+      });
+    });
+    return ids;
+  }
+
+  /**
+   * Shared estimator when provided, otherwise a LearningTimeModel with the
+   * default parameters.
+   *
+   * @returns {Object} Estimator
+   * @private
+   */
+  getEstimator() {
+    if (!this.estimator) {
+      this.estimator = new LearningTimeModel();
+    }
+    return this.estimator;
+  }
+
+  /**
+   * Shared classifier when provided, otherwise one with the bundled rules.
+   *
+   * @returns {DimensionClassifier} Classifier
+   * @private
+   */
+  getClassifier() {
+    if (!this.classifier) {
+      this.classifier = new DimensionClassifier({
+        language: this.translator ? this.translator.getLanguage() : 'en'
+      });
+    }
+    return this.classifier;
+  }
 }
 
 module.exports = ComparisonAPI;
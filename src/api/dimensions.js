@@ -0,0 +1,148 @@
+/**
+ * Dimension API - Competency dimensions and radar profiles
+ *
+ * Classifies every competency into a dimension (technical, architecture,
+ * leadership, people, process, communication or business) with a
+ * DimensionClassifier and aggregates them per role level. Profiles list every
+ * dimension in the same order, so they can feed a radar chart directly.
+ * Entries are read through the QueryAPI, so role names and competencies come
+ * out in the library language while dimension names stay the same.
+ *
+ * @module api/dimensions
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const DimensionClassifier = require('../core/dimension-classifier');
+const { InvalidQueryError } = require('../core/validator');
+const { TYPES } = require('../core/competency-ids');
+
+const FIELDS = ['coreCompetencies', 'complementaryCompetencies'];
+
+class DimensionAPI {
+  /**
+   * @param {CompetencyDatabase} database - Loaded database
+   * @param {QueryAPI} queryAPI - Query API used to read (translated) entries
+   * @param {DimensionClassifier} classifier - Dimension classifier
+   */
+  constructor(database, queryAPI, classifier) {
+    this.db = database;
+    this.queryAPI = queryAPI;
+    this.classifier = classifier;
+  }
+
+  /**
+   * Classify a competency text.
+   *
+   * @param {string} text - Competency text
+   * @returns {Object} { dimension, source, scores }
+   * @throws {InvalidQueryError} If the text is not a string
+   */
+  classifyCompetency(text) {
+    if (typeof text !== 'string') {
+      throw new InvalidQueryError('Text must be a string');
+    }
+    return this.classifier.classify(text);
+  }
+
+  /**
+   * Competencies of a role level with their dimension.
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} level - Level
+   * @returns {Object} { role, level, code, core, complementary }, where each competency is
+   *   { id, text, dimension, source }
+   */
+  getCompetencyDimensions(roleName, level) {
+    const entry = this.queryAPI.getRoleByNameAndLevel(roleName, level);
+    const classify = field => this.classifyField(entry, field)
+      .map(({ id, text, dimension, source }) => ({ id, text, dimension, source }));
+
+    return {
+      role: entry.role,
+      level: entry.level,
+      code: entry.code,
+      core: classify('coreCompetencies'),
+      complementary: classify('complementaryCompetencies')
+    };
+  }
+
+  /**
+   * Number and share of competencies per dimension at a role level.
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} level - Level
+   * @param {Object} [options={}] - Profile options
+   * @param {boolean} [options.includeComplementary=true] - Count complementary competencies too
+   * @returns {Object} { role, level, code, levelNumber, total, dimensions }, where dimensions lists
+   *   every dimension in DimensionClassifier.DIMENSIONS order as { dimension, count, share }
+   */
+  getDimensionProfile(roleName, level, options = {}) {
+    return this.profileOf(this.queryAPI.getRoleByNameAndLevel(roleName, level), options);
+  }
+
+  /**
+   * Dimension profiles of every level of a role, lowest level first.
+   *
+   * @param {string} roleName - Role name
+   * @param {Object} [options={}] - Profile options
+   * @param {boolean} [options.includeComplementary=true] - Count complementary competencies too
+   * @returns {Object} { role, category, dimensions, levels }, where dimensions are the dimension
+   *   names (the radar axes) and levels the profiles
+   */
+  getDimensionProgression(roleName, options = {}) {
+    const entries = this.queryAPI.getAllLevelsForRole(roleName)
+      .sort((a, b) => a.levelNumber - b.levelNumber);
+
+    return {
+      role: entries[0].role,
+      category: entries[0].category,
+      dimensions: DimensionClassifier.DIMENSIONS,
+      levels: entries.map(entry => this.profileOf(entry, options))
+    };
+  }
+
+  /**
+   * Dimension profile of an entry.
+   *
+   * @param {Object} entry - Role entry
+   * @param {Object} options - { includeComplementary }
+   * @returns {Object} Profile
+   * @private
+   */
+  profileOf(entry, options) {
+    const fields = options.includeComplementary === false ? FIELDS.slice(0, 1) : FIELDS;
+    const competencies = fields.flatMap(field => this.classifyField(entry, field));
+    const total = competencies.length;
+
+    return {
+      role: entry.role,
+      level: entry.level,
+      code: entry.code,
+      levelNumber: entry.levelNumber,
+      total,
+      dimensions: DimensionClassifier.DIMENSIONS.map(dimension => {
+        const count = competencies.filter(competency => competency.dimension === dimension).length;
+        return { dimension, count, share: total > 0 ? Math.round((count / total) * 100) : 0 };
+      })
+    };
+  }
+
+  /**
+   * Classified competencies of a list field.
+   *
+   * @param {Object} entry - Role entry
+   * @param {string} field - List field
+   * @returns {Object[]} Competencies ({ id, text, type, dimension, source })
+   * @private
+   */
+  classifyField(entry, field) {
+    return entry[field].map((text, index) => {
+      const id = entry.ids ? entry.ids[field][index] : null;
+      const { dimension, source } = this.classifier.classify(text, id);
+      return { id, text, type: TYPES[field], dimension, source };
+    });
+  }
+}
+
+module.exports = DimensionAPI;
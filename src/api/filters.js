@@ -2,57 +2,145 @@
  * Filter API - Search and filtering utilities
  *
  * Provides methods for searching roles by name, category, and competencies.
- * Includes tokenization and scoring algorithms for relevant search results.
+ * Full-text queries are answered from an inverted index built on first use.
  *
  * @module api/filters
  * @author 686f6c61
  * @license MIT
  */
 
-const { Validator } = require('../core/validator');
+const { Validator, InvalidQueryError } = require('../core/validator');
+const SearchIndex = require('../core/search-index');
 
 class FilterAPI {
-  constructor(database) {
+  /**
+   * @param {CompetencyDatabase} database - Loaded database
+   * @param {Object} [options={}] - Filter options
+   * @param {string} [options.language='en'] - Language of the data, used by the search analyzer
+   */
+  constructor(database, options = {}) {
     this.db = database;
+    this.language = options.language || 'en';
+    this.index = null;
   }
 
+  /**
+   * Search roles. Runs a full-text search and returns one result per role,
+   * scored by its best matching level.
+   *
+   * @param {string} query - Free-text query
+   * @param {Object} [options={}] - Search options (limit, category, level, boosts)
+   * @returns {Object[]} Unique roles ({ role, category, matchScore, matchedIn })
+   */
   search(query, options = {}) {
-    Validator.validateSearchQuery(query);
+    const roleMap = new Map();
 
-    const terms = this.tokenize(query.toLowerCase());
-    const roleMap = new Map(); // Para evitar duplicados por nivel
+    this.runSearch(query, options).forEach(hit => {
+      if (roleMap.has(hit.entry.role)) return;
+      roleMap.set(hit.entry.role, {
+        role: hit.entry.role,
+        category: hit.entry.category,
+        matchScore: this.round(hit.score),
+        matchedIn: this.describeFields(hit.fields)
+      });
+    });
 
-    this.db.entries.forEach(entry => {
-      let score = 0;
-      let matchedIn = '';
+    const limit = options.limit || 20;
+    return Array.from(roleMap.values()).slice(0, limit);
+  }
+
+  /**
+   * Full-text search over role names, categories, level titles, competencies
+   * and indicators, ranked with BM25.
+   *
+   * @param {string} query - Free-text query
+   * @param {Object} [options={}] - Search options
+   * @param {number} [options.limit=20] - Maximum hits
+   * @param {string} [options.category] - Only entries in this category (key or name in any language)
+   * @param {string|number} [options.level] - Only entries at this level (e.g. 'L3' or 3)
+   * @param {Object<string, number>} [options.boosts] - Field boost overrides
+   * @param {Object} [options.highlight] - Snippet markers ({ pre, post }, default '**')
+   * @returns {Object[]} Hits ({ role, category, level, code, levelNumber, score, matches })
+   */
+  fullTextSearch(query, options = {}) {
+    const limit = options.limit || 20;
+
+    return this.runSearch(query, options).slice(0, limit).map(hit => ({
+      role: hit.entry.role,
+      category: hit.entry.category,
+      level: hit.entry.level,
+      code: hit.entry.code,
+      levelNumber: hit.entry.levelNumber,
+      score: this.round(hit.score),
+      matches: hit.matches
+    }));
+  }
+
+  /**
+   * Validate options and run a query against the (lazily built) index.
+   *
+   * @param {string} query - Free-text query
+   * @param {Object} options - Search options
+   * @returns {Object[]} Raw index hits
+   * @private
+   */
+  runSearch(query, options) {
+    Validator.validateSearchQuery(query);
 
-      terms.forEach(term => {
-        if (entry.role.toLowerCase().includes(term)) {
-          score += 10;
-          matchedIn = 'role';
+    const filters = [];
+    if (options.category !== undefined) {
+      if (typeof options.category !== 'string' || options.category.trim() === '') {
+        throw new InvalidQueryError('Category filter must be a non-empty string');
+      }
+      const category = this.db.resolveCategory(options.category);
+      filters.push(entry => (entry.categoryKey || entry.category) === category);
+    }
+    if (options.level !== undefined) {
+      Validator.validateLevel(options.level);
+      const levelNumber = Number(Validator.normalizeLevel(options.level).slice(1));
+      filters.push(entry => entry.levelNumber === levelNumber);
+    }
+    if (options.boosts !== undefined) {
+      Object.entries(options.boosts || {}).forEach(([field, boost]) => {
+        if (!SearchIndex.FIELDS.includes(field)) {
+          throw new InvalidQueryError(`Unknown search field: ${field}`);
         }
-        if (entry.category.toLowerCase().includes(term)) {
-          score += 5;
-          if (matchedIn) matchedIn = 'both';
-          else matchedIn = 'category';
+        if (typeof boost !== 'number' || boost < 0) {
+          throw new InvalidQueryError('Field boosts must be non-negative numbers');
         }
       });
+    }
 
-      if (score > 0 && !roleMap.has(entry.role)) {
-        roleMap.set(entry.role, {
-          role: entry.role,
-          category: entry.category,
-          matchScore: score,
-          matchedIn
-        });
-      }
+    if (!this.index) {
+      this.index = new SearchIndex(this.db.entries, { language: this.language });
+    }
+
+    return this.index.search(query, {
+      boosts: options.boosts,
+      highlight: options.highlight,
+      filter: filters.length > 0 ? entry => filters.every(filter => filter(entry)) : null
     });
+  }
 
-    const results = Array.from(roleMap.values())
-      .sort((a, b) => b.matchScore - a.matchScore);
+  /**
+   * Summarize the fields of a hit for role results.
+   *
+   * @param {string[]} fields - Matched fields
+   * @returns {string} 'role', 'category', 'both', 'level', 'competencies' or 'indicators'
+   * @private
+   */
+  describeFields(fields) {
+    const has = field => fields.includes(field);
+    if (has('role') && has('category')) return 'both';
+    if (has('role')) return 'role';
+    if (has('category')) return 'category';
+    if (has('coreCompetencies') || has('complementaryCompetencies')) return 'competencies';
+    if (has('indicators')) return 'indicators';
+    return 'level';
+  }
 
-    const limit = options.limit || 20;
-    return results.slice(0, limit);
+  round(score) {
+    return Math.round(score * 1000) / 1000;
   }
 
   searchByCompetency(competency) {
@@ -111,26 +199,8 @@ class FilterAPI {
       .sort((a, b) => b.totalMatches - a.totalMatches);
   }
 
-  buildSearchableText(entry) {
-    return [
-      entry.category,
-      entry.role,
-      entry.level,
-      ...entry.coreCompetencies,
-      ...entry.complementaryCompetencies,
-      ...entry.indicators
-    ].join(' ');
-  }
-
-  tokenize(text) {
-    return text
-      .split(/\s+/)
-      .filter(term => term.length > 2)
-      .map(term => term.replace(/[^\w]/g, ''));
-  }
-
   cloneEntry(entry) {
-    return {
+    const cloned = {
       category: entry.category,
       role: entry.role,
       level: entry.level,
@@ -141,6 +211,16 @@ class FilterAPI {
       complementaryCompetencies: [...entry.complementaryCompetencies],
       indicators: [...entry.indicators]
     };
+
+    if (entry.ids) {
+      cloned.ids = {
+        coreCompetencies: [...entry.ids.coreCompetencies],
+        complementaryCompetencies: [...entry.ids.complementaryCompetencies],
+        indicators: [...entry.ids.indicators]
+      };
+    }
+
+    return cloned;
   }
 }
 
@@ -9,12 +9,36 @@
  * @license MIT
  */
 
-const { Validator, RoleNotFoundError, LevelNotFoundError } = require('../core/validator');
+const {
+  Validator,
+  RoleNotFoundError,
+  AmbiguousRoleCodeError,
+  LevelNotFoundError,
+  CompetencyNotFoundError,
+  InvalidQueryError
+} = require('../core/validator');
+const { TYPES } = require('../core/competency-ids');
 
 class QueryAPI {
-  constructor(database, translator = null) {
+  constructor(database, translator = null, resolver = null) {
     this.db = database;
     this.translator = translator;
+    this.resolver = resolver;
+  }
+
+  /**
+   * Resolve user input to a loaded role name (case, accents, aliases, code
+   * prefixes, other-language names and typos when a resolver is set).
+   *
+   * @param {string} roleName - Role name as given by the caller
+   * @returns {string} Loaded role name
+   * @throws {RoleNotFoundError} If the role cannot be resolved
+   */
+  resolveRoleName(roleName) {
+    Validator.validateRoleName(roleName);
+    if (this.db.getByRole(roleName).length > 0) return roleName;
+    if (!this.resolver) throw new RoleNotFoundError(roleName);
+    return this.resolver.resolve(roleName);
   }
 
   getRoles() {
@@ -25,41 +49,64 @@ class QueryAPI {
     return this.db.getAllCategories();
   }
 
+  /**
+   * Entry by role code, qualified with the role name ('Compiler Engineer/CE-L3')
+   * when several roles share the code.
+   *
+   * @param {string} code - Role code, or role name and code
+   * @returns {Object} Entry (a copy)
+   * @throws {RoleNotFoundError} If no role uses the code
+   * @throws {AmbiguousRoleCodeError} If several roles use the code and none is named
+   */
   getRoleByCode(code) {
-    const entry = this.db.getByCode(code);
-    if (!entry) {
+    const separator = typeof code === 'string' ? code.lastIndexOf('/') : -1;
+    const bare = separator === -1 ? code : code.slice(separator + 1).trim();
+    let entries = this.db.getAllByCode(bare);
+    if (separator !== -1 && entries.length > 0) {
+      const role = this.resolveRoleName(code.slice(0, separator).trim());
+      entries = entries.filter(entry => entry.role === role);
+    }
+
+    if (entries.length === 0) {
       throw new RoleNotFoundError(code);
     }
-    return this.cloneEntry(entry);
+    if (entries.length > 1) {
+      throw new AmbiguousRoleCodeError(bare, entries.map(entry => `${entry.role}/${bare}`));
+    }
+    return this.cloneEntry(entries[0]);
   }
 
   getRoleByNameAndLevel(roleName, level) {
+    return this.cloneEntry(this.findEntry(roleName, level));
+  }
+
+  /**
+   * Loaded entry of a role level, as stored in the database (not a copy).
+   *
+   * @param {string} roleName - Role name (resolved like in getRoleByNameAndLevel)
+   * @param {string|number} level - Level
+   * @returns {Object} Entry
+   * @throws {RoleNotFoundError} If the role cannot be resolved
+   * @throws {LevelNotFoundError} If the role has no such level
+   */
+  findEntry(roleName, level) {
     Validator.validateRoleName(roleName);
     Validator.validateLevel(level);
 
     const normalizedLevel = Validator.normalizeLevel(level);
-    const entries = this.db.getByRole(roleName);
-
-    if (entries.length === 0) {
-      throw new RoleNotFoundError(roleName);
-    }
+    const resolvedName = this.resolveRoleName(roleName);
+    const entries = this.db.getByRole(resolvedName);
 
     const found = entries.find(e => e.level.includes(normalizedLevel));
     if (!found) {
-      throw new LevelNotFoundError(roleName, level);
+      throw new LevelNotFoundError(resolvedName, level);
     }
 
-    return this.cloneEntry(found);
+    return found;
   }
 
   getAllLevelsForRole(roleName) {
-    Validator.validateRoleName(roleName);
-
-    const entries = this.db.getByRole(roleName);
-    if (entries.length === 0) {
-      throw new RoleNotFoundError(roleName);
-    }
-
+    const entries = this.db.getByRole(this.resolveRoleName(roleName));
     return entries.map(e => this.cloneEntry(e));
   }
 
@@ -73,18 +120,58 @@ class QueryAPI {
       yearsRange: entry.yearsRange,
       core: entry.coreCompetencies
     };
+    const ids = entry.ids && { core: entry.ids.coreCompetencies };
 
     if (options.includeComplementary !== false) {
       result.complementary = entry.complementaryCompetencies;
+      if (ids) ids.complementary = entry.ids.complementaryCompetencies;
     }
 
     if (options.includeIndicators !== false) {
       result.indicators = entry.indicators;
+      if (ids) ids.indicators = entry.ids.indicators;
+    }
+
+    if (ids) {
+      result.ids = ids;
     }
 
     return result;
   }
 
+  /**
+   * Get a competency or indicator by its stable ID.
+   * IDs are shared across languages, so the same ID returns the text in the
+   * active language.
+   *
+   * @param {string} id - Competency ID (e.g., 'BE-L3-core-01')
+   * @returns {Object} Competency ({ id, type, text, role, level, code, levelNumber, category })
+   * @throws {InvalidQueryError} If the ID is not a non-empty string
+   * @throws {CompetencyNotFoundError} If the ID does not exist
+   */
+  getCompetencyById(id) {
+    if (typeof id !== 'string' || id.trim() === '') {
+      throw new InvalidQueryError('Competency ID must be a non-empty string');
+    }
+
+    const found = this.db.getByCompetencyId(id.trim());
+    if (!found) {
+      throw new CompetencyNotFoundError(id);
+    }
+
+    const entry = this.cloneEntry(found.entry);
+    return {
+      id: found.entry.ids[found.field][found.index],
+      type: TYPES[found.field],
+      text: entry[found.field][found.index],
+      role: entry.role,
+      level: entry.level,
+      code: entry.code,
+      levelNumber: entry.levelNumber,
+      category: entry.category
+    };
+  }
+
   getAccumulatedCompetencies(roleName, targetLevel) {
     Validator.validateRoleName(roleName);
     Validator.validateLevel(targetLevel);
@@ -94,7 +181,7 @@ class QueryAPI {
     const targetLevelNum = parseInt(normalizedLevel.match(/\d/)[0]);
 
     const accumulated = {
-      role: roleName,
+      role: allLevels[0].role,
       targetLevel: normalizedLevel,
       levels: []
     };
@@ -108,7 +195,8 @@ class QueryAPI {
           yearsRange: level.yearsRange,
           coreCompetencies: [...level.coreCompetencies],
           complementaryCompetencies: [...level.complementaryCompetencies],
-          indicators: [...level.indicators]
+          indicators: [...level.indicators],
+          ...(level.ids && { ids: level.ids })
         });
       }
     }
@@ -169,7 +257,8 @@ class QueryAPI {
           yearsRange: level.yearsRange,
           coreCompetencies: [...level.coreCompetencies],
           complementaryCompetencies: [...level.complementaryCompetencies],
-          indicators: [...level.indicators]
+          indicators: [...level.indicators],
+          ...(level.ids && { ids: level.ids })
         });
       } else if (level.levelNumber > currentLevelNum) {
         growthPath.push({
@@ -179,7 +268,8 @@ class QueryAPI {
           yearsRange: level.yearsRange,
           coreCompetencies: [...level.coreCompetencies],
           complementaryCompetencies: [...level.complementaryCompetencies],
-          indicators: [...level.indicators]
+          indicators: [...level.indicators],
+          ...(level.ids && { ids: level.ids })
         });
       }
     });
@@ -215,7 +305,8 @@ class QueryAPI {
         yearsRange: currentLevelData.yearsRange,
         coreCompetencies: [...currentLevelData.coreCompetencies],
         complementaryCompetencies: [...currentLevelData.complementaryCompetencies],
-        indicators: [...currentLevelData.indicators]
+        indicators: [...currentLevelData.indicators],
+        ...(currentLevelData.ids && { ids: currentLevelData.ids })
       },
       masteredLevels,
       growthPath,
@@ -232,7 +323,8 @@ class QueryAPI {
   }
 
   filterByCategory(category) {
-    const entries = this.db.getByCategory(category);
+    const key = this.db.resolveCategory(category);
+    const entries = key ? this.db.getByCategoryKey(key) : [];
     return entries.map(e => this.cloneEntry(e));
   }
 
@@ -240,7 +332,7 @@ class QueryAPI {
     Validator.validateLevel(level);
     const normalizedLevel = Validator.normalizeLevel(level);
     const levelNumber = Number.parseInt(normalizedLevel.replace('L', ''), 10);
-    const entries = this.db.indexes.byLevelNumber.get(levelNumber) || [];
+    const entries = this.db.getByLevelNumber(levelNumber);
     return entries.map(e => this.cloneEntry(e));
   }
 
@@ -297,6 +389,7 @@ class QueryAPI {
         role: translatedRoleName,
         originalRole: roleName, // Keep original for queries
         category: firstLevel.category,
+        categoryKey: firstLevel.categoryKey,
         availableLevels,
         levelCount: levels.length,
         yearsRange: {
@@ -334,16 +427,26 @@ class QueryAPI {
   cloneEntry(entry) {
     const cloned = {
       category: entry.category,
+      categoryKey: entry.categoryKey,
       role: entry.role,
       level: entry.level,
       code: entry.code,
       levelNumber: entry.levelNumber,
+      band: entry.band,
       yearsRange: { ...entry.yearsRange },
       coreCompetencies: [...entry.coreCompetencies],
       complementaryCompetencies: [...entry.complementaryCompetencies],
       indicators: [...entry.indicators]
     };
 
+    if (entry.ids) {
+      cloned.ids = {
+        coreCompetencies: [...entry.ids.coreCompetencies],
+        complementaryCompetencies: [...entry.ids.complementaryCompetencies],
+        indicators: [...entry.ids.indicators]
+      };
+    }
+
     // Translate if translator is available
     if (this.translator) {
       return this.translator.translate(cloned);
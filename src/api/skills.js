@@ -0,0 +1,316 @@
+/**
+ * Skill API - Skill tagging and skill-based queries
+ *
+ * Tags every competency with the normalized skills it mentions (see
+ * SkillExtractor) and answers questions such as "which skills does a role
+ * need?", "which roles and levels need Kafka?" or "which skills are most
+ * common in a category?". Entries are read through the QueryAPI, so role
+ * names, categories and competencies come out in the library language while
+ * skill IDs stay the same in every language.
+ *
+ * @module api/skills
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const { Validator, InvalidQueryError, SkillNotFoundError } = require('../core/validator');
+const { TYPES } = require('../core/competency-ids');
+
+const FIELDS = ['coreCompetencies', 'complementaryCompetencies'];
+
+class SkillAPI {
+  /**
+   * @param {CompetencyDatabase} database - Loaded database
+   * @param {QueryAPI} queryAPI - Query API used to read (translated) entries
+   * @param {SkillExtractor} extractor - Skill extractor
+   */
+  constructor(database, queryAPI, extractor) {
+    this.db = database;
+    this.queryAPI = queryAPI;
+    this.extractor = extractor;
+  }
+
+  /**
+   * Skills mentioned in a text.
+   *
+   * @param {string} text - Text
+   * @returns {Object[]} Skills ({ id, name, group }), in order of appearance
+   * @throws {InvalidQueryError} If the text is not a string
+   */
+  extractSkills(text) {
+    if (typeof text !== 'string') {
+      throw new InvalidQueryError('Text must be a string');
+    }
+    return this.extractor.extract(text).map(id => this.describe(id));
+  }
+
+  /**
+   * Skills of the taxonomy.
+   *
+   * @param {Object} [options={}] - Listing options
+   * @param {string} [options.group] - Only skills of this group
+   * @returns {Object[]} Skills ({ id, name, group, aliases }), sorted by ID
+   */
+  getSkills(options = {}) {
+    const skills = this.extractor.getSkills();
+    return options.group ? skills.filter(skill => skill.group === options.group) : skills;
+  }
+
+  /**
+   * Competencies of a role level, each tagged with its skills.
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} level - Level
+   * @returns {Object} { role, level, code, core, complementary }, where each competency is { id, text, skills }
+   */
+  tagCompetencies(roleName, level) {
+    const entry = this.queryAPI.getRoleByNameAndLevel(roleName, level);
+    const tag = field => entry[field].map((text, index) => ({
+      id: entry.ids ? entry.ids[field][index] : null,
+      text,
+      skills: this.extractor.extract(text)
+    }));
+
+    return {
+      role: entry.role,
+      level: entry.level,
+      code: entry.code,
+      core: tag('coreCompetencies'),
+      complementary: tag('complementaryCompetencies')
+    };
+  }
+
+  /**
+   * Skills required by a role, at one level or across all of them.
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} [level] - Level (default: every level)
+   * @param {Object} [options={}] - Query options
+   * @param {boolean} [options.includeComplementary=true] - Tag complementary competencies too
+   * @returns {Object[]} Skills ({ id, name, group, count, levels, competencies }), most mentioned first
+   */
+  getSkillsForRole(roleName, level, options = {}) {
+    const entries = level === undefined || level === null
+      ? this.queryAPI.getAllLevelsForRole(roleName)
+      : [this.queryAPI.getRoleByNameAndLevel(roleName, level)];
+    const skills = new Map(); // id -> skill with its competencies
+
+    entries
+      .sort((a, b) => a.levelNumber - b.levelNumber)
+      .forEach(entry => {
+        this.competenciesOf(entry, options).forEach(competency => {
+          competency.skills.forEach(id => {
+            if (!skills.has(id)) skills.set(id, { ...this.describe(id), count: 0, levels: [], competencies: [] });
+            const skill = skills.get(id);
+            skill.count++;
+            if (!skill.levels.includes(entry.levelNumber)) skill.levels.push(entry.levelNumber);
+            skill.competencies.push({ id: competency.id, text: competency.text, code: entry.code, type: competency.type });
+          });
+        });
+      });
+
+    return Array.from(skills.values())
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Role levels whose competencies mention a skill.
+   *
+   * @param {string} skill - Skill ID, name or alias (e.g. 'kafka', 'K8s')
+   * @param {Object} [options={}] - Query options
+   * @param {string|string[]} [options.category] - Only roles in these categories (keys or names in any language)
+   * @param {string|number} [options.level] - Only this level
+   * @param {boolean} [options.includeComplementary=true] - Search complementary competencies too
+   * @returns {Object} { skill, roles, totalRoles, totalLevels }, where roles are
+   *   role levels ({ role, category, level, code, levelNumber, competencies }) sorted by role and level
+   * @throws {SkillNotFoundError} If the skill is not in the taxonomy
+   * @throws {InvalidQueryError} If an option is invalid
+   */
+  findRolesBySkill(skill, options = {}) {
+    const found = this.resolveSkill(skill);
+    const categories = this.resolveCategories(options.category);
+    const levelNumber = options.level === undefined ? null : this.levelNumberOf(options.level);
+    const roles = [];
+
+    this.db.getAllRoles().forEach(roleName => {
+      this.queryAPI.getAllLevelsForRole(roleName).forEach(entry => {
+        if (categories && !categories.has(entry.categoryKey)) return;
+        if (levelNumber !== null && entry.levelNumber !== levelNumber) return;
+
+        const competencies = this.competenciesOf(entry, options)
+          .filter(competency => competency.skills.includes(found.id))
+          .map(({ id, text, type }) => ({ id, text, type }));
+        if (competencies.length === 0) return;
+
+        roles.push({
+          role: entry.role,
+          category: entry.category,
+          level: entry.level,
+          code: entry.code,
+          levelNumber: entry.levelNumber,
+          competencies
+        });
+      });
+    });
+
+    roles.sort((a, b) => a.role.localeCompare(b.role) || a.levelNumber - b.levelNumber);
+    return {
+      skill: this.describe(found.id),
+      roles,
+      totalRoles: new Set(roles.map(role => role.role)).size,
+      totalLevels: roles.length
+    };
+  }
+
+  /**
+   * How many roles of each category mention each skill.
+   *
+   * @param {Object} [options={}] - Query options
+   * @param {string|string[]} [options.category] - Only these categories (keys or names in any language)
+   * @param {number} [options.limit] - Maximum number of skills per category
+   * @param {boolean} [options.includeComplementary=true] - Tag complementary competencies too
+   * @returns {Object[]} Categories ({ category, totalRoles, skills }), sorted by name, where skills are
+   *   { id, name, group, roles, levels, share } sorted by number of roles; share is the percentage of roles
+   * @throws {InvalidQueryError} If an option is invalid
+   */
+  getSkillFrequency(options = {}) {
+    if (options.limit !== undefined && (!Number.isInteger(options.limit) || options.limit < 1)) {
+      throw new InvalidQueryError('Limit must be a positive integer');
+    }
+    const categories = this.resolveCategories(options.category);
+    const byCategory = new Map(); // category -> { roles, skills: id -> { roles, levels } }
+
+    this.db.getAllRoles().forEach(roleName => {
+      const entries = this.queryAPI.getAllLevelsForRole(roleName);
+      const category = entries[0].category;
+      if (categories && !categories.has(entries[0].categoryKey)) return;
+
+      if (!byCategory.has(category)) byCategory.set(category, { roles: 0, skills: new Map() });
+      const stats = byCategory.get(category);
+      stats.roles++;
+
+      const roleSkills = new Set();
+      entries.forEach(entry => {
+        const entrySkills = new Set(this.competenciesOf(entry, options).flatMap(competency => competency.skills));
+        entrySkills.forEach(id => {
+          if (!stats.skills.has(id)) stats.skills.set(id, { roles: 0, levels: 0 });
+          stats.skills.get(id).levels++;
+          roleSkills.add(id);
+        });
+      });
+      roleSkills.forEach(id => stats.skills.get(id).roles++);
+    });
+
+    return Array.from(byCategory.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([category, stats]) => {
+        const skills = Array.from(stats.skills.entries())
+          .map(([id, counts]) => ({
+            ...this.describe(id),
+            roles: counts.roles,
+            levels: counts.levels,
+            share: Math.round((counts.roles / stats.roles) * 100)
+          }))
+          .sort((a, b) => b.roles - a.roles || b.levels - a.levels || a.name.localeCompare(b.name));
+
+        return {
+          category,
+          totalRoles: stats.roles,
+          skills: options.limit ? skills.slice(0, options.limit) : skills
+        };
+      });
+  }
+
+  /**
+   * Tagged competencies of an entry.
+   *
+   * @param {Object} entry - Role entry
+   * @param {Object} options - { includeComplementary }
+   * @returns {Object[]} Competencies ({ id, text, type, skills })
+   * @private
+   */
+  competenciesOf(entry, options) {
+    const fields = options.includeComplementary === false ? FIELDS.slice(0, 1) : FIELDS;
+    return fields.flatMap(field => entry[field].map((text, index) => ({
+      id: entry.ids ? entry.ids[field][index] : null,
+      text,
+      type: TYPES[field],
+      skills: this.extractor.extract(text)
+    })));
+  }
+
+  /**
+   * Skill summary by ID.
+   *
+   * @param {string} id - Skill ID
+   * @returns {Object} { id, name, group }
+   * @private
+   */
+  describe(id) {
+    const { name, group } = this.extractor.getSkill(id);
+    return { id, name, group };
+  }
+
+  /**
+   * Find a skill by ID, name or alias.
+   *
+   * @param {string} query - Skill query
+   * @returns {Object} Skill
+   * @throws {InvalidQueryError} If the query is not a non-empty string
+   * @throws {SkillNotFoundError} If no skill matches
+   * @private
+   */
+  resolveSkill(query) {
+    if (typeof query !== 'string' || query.trim() === '') {
+      throw new InvalidQueryError('Skill must be a non-empty string');
+    }
+    const skill = this.extractor.resolve(query);
+    if (!skill) {
+      throw new SkillNotFoundError(query);
+    }
+    return skill;
+  }
+
+  /**
+   * Level number of a level option.
+   *
+   * @param {string|number} level - Level
+   * @returns {number} Level number
+   * @throws {InvalidQueryError} If the level is invalid
+   * @private
+   */
+  levelNumberOf(level) {
+    Validator.validateLevel(level);
+    return parseInt(Validator.normalizeLevel(level).slice(1), 10);
+  }
+
+  /**
+   * Resolve a category option against the loaded categories (keys or names in any language).
+   *
+   * @param {string|string[]} [category] - Category or categories
+   * @returns {Set<string>|null} Category keys, or null for no filter
+   * @throws {InvalidQueryError} If a category is unknown
+   * @private
+   */
+  resolveCategories(category) {
+    if (category === undefined) return null;
+
+    const requested = Array.isArray(category) ? category : [category];
+    if (requested.length === 0) {
+      throw new InvalidQueryError('Category filter must not be empty');
+    }
+
+    return new Set(requested.map(value => {
+      if (typeof value !== 'string' || value.trim() === '') {
+        throw new InvalidQueryError('Category filter must be a non-empty string');
+      }
+      const key = this.db.resolveCategory(value);
+      if (!key) {
+        throw new InvalidQueryError(`Unknown category: ${value}`);
+      }
+      return key;
+    }));
+  }
+}
+
+module.exports = SkillAPI;
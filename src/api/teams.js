@@ -0,0 +1,219 @@
+/**
+ * Team API - Team skill matrix and coverage analysis
+ *
+ * Builds a competency-by-member matrix for a team, reports coverage per
+ * competency, single points of failure and the gaps against a target team
+ * composition. Competencies shared by several roles are merged by text.
+ *
+ * @module api/teams
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const { InvalidQueryError } = require('../core/validator');
+
+class TeamAPI {
+  constructor(database, queryAPI) {
+    this.db = database;
+    this.queryAPI = queryAPI;
+  }
+
+  /**
+   * Analyze the skill coverage of a team.
+   *
+   * @param {Object[]} members - Team members ({ name, role, level })
+   * @param {Object} [options={}] - Analysis options
+   * @param {boolean} [options.includeComplementary=true] - Count complementary competencies
+   * @param {boolean} [options.cumulative=false] - Count competencies of every level up to the member's level
+   * @param {Object[]} [options.target] - Target composition ({ role, level, count }) to report gaps against
+   * @returns {Object} Members, matrix, single points of failure, gaps and summary
+   */
+  analyze(members, options = {}) {
+    if (!Array.isArray(members) || members.length === 0) {
+      throw new InvalidQueryError('Team members must be a non-empty array');
+    }
+    if (options.target !== undefined && !Array.isArray(options.target)) {
+      throw new InvalidQueryError('Target composition must be an array');
+    }
+
+    const includeComplementary = options.includeComplementary !== false;
+    const cumulative = options.cumulative === true;
+    const names = new Set();
+
+    const resolved = members.map((member, index) => {
+      if (!member || typeof member.name !== 'string' || member.name.trim() === '') {
+        throw new InvalidQueryError(`Team member at position ${index} must have a name`);
+      }
+      if (names.has(member.name)) {
+        throw new InvalidQueryError(`Duplicate team member name: ${member.name}`);
+      }
+      names.add(member.name);
+
+      const entry = this.queryAPI.getRoleByNameAndLevel(member.role, member.level);
+      return {
+        name: member.name,
+        entry,
+        competencies: this.collect(member.role, entry, { includeComplementary, cumulative })
+      };
+    });
+
+    const matrix = this.buildMatrix(resolved);
+    const singlePointsOfFailure = matrix
+      .filter(row => row.holders.length === 1 && resolved.length > 1)
+      .map(row => ({ competency: row.competency, ids: row.ids, type: row.type, holder: row.holders[0] }));
+
+    const averageCoverage = matrix.length > 0
+      ? Math.round(matrix.reduce((sum, row) => sum + row.coverage, 0) / matrix.length)
+      : 0;
+
+    return {
+      members: resolved.map(({ name, entry }) => ({
+        name,
+        role: entry.role,
+        level: entry.level,
+        code: entry.code,
+        levelNumber: entry.levelNumber
+      })),
+      matrix,
+      singlePointsOfFailure,
+      gaps: options.target
+        ? this.compareWithTarget(resolved, matrix, options.target, { includeComplementary, cumulative })
+        : null,
+      summary: {
+        totalMembers: resolved.length,
+        totalCompetencies: matrix.length,
+        averageCoverage,
+        singlePointsOfFailure: singlePointsOfFailure.length
+      }
+    };
+  }
+
+  /**
+   * Collect the competencies a member holds.
+   *
+   * @param {string} roleName - Role name as given by the caller
+   * @param {Object} entry - Member's role entry
+   * @param {Object} options - { includeComplementary, cumulative }
+   * @returns {Map<string, Object>} Normalized text -> { text, id, type }
+   * @private
+   */
+  collect(roleName, entry, options) {
+    const levels = options.cumulative
+      ? this.queryAPI.getAllLevelsForRole(roleName).filter(l => l.levelNumber <= entry.levelNumber)
+      : [entry];
+    const competencies = new Map();
+
+    levels.forEach(level => {
+      const ids = level.ids || {};
+      const add = (field, type) => level[field].forEach((text, index) => {
+        const key = this.normalize(text);
+        if (!competencies.has(key) || type === 'core') {
+          competencies.set(key, { text, id: ids[field] && ids[field][index], type });
+        }
+      });
+
+      if (options.includeComplementary) add('complementaryCompetencies', 'complementary');
+      add('coreCompetencies', 'core');
+    });
+
+    return competencies;
+  }
+
+  /**
+   * Build the competency-by-member matrix, most covered competencies first.
+   *
+   * @param {Object[]} resolved - Resolved members ({ name, entry, competencies })
+   * @returns {Object[]} Matrix rows
+   * @private
+   */
+  buildMatrix(resolved) {
+    const rows = new Map();
+
+    resolved.forEach(({ name, competencies }) => {
+      competencies.forEach((competency, key) => {
+        if (!rows.has(key)) {
+          rows.set(key, { competency: competency.text, ids: [], type: competency.type, holders: [] });
+        }
+        const row = rows.get(key);
+        if (competency.id && !row.ids.includes(competency.id)) row.ids.push(competency.id);
+        if (competency.type === 'core') row.type = 'core';
+        row.holders.push(name);
+      });
+    });
+
+    return Array.from(rows.values())
+      .map(row => ({
+        ...row,
+        members: Object.fromEntries(resolved.map(({ name }) => [name, row.holders.includes(name)])),
+        coverage: Math.round((row.holders.length / resolved.length) * 100)
+      }))
+      .sort((a, b) => b.holders.length - a.holders.length || a.competency.localeCompare(b.competency));
+  }
+
+  /**
+   * Compare the team with a target composition. A slot is filled by a member
+   * of the same role at the target level or above.
+   *
+   * @param {Object[]} resolved - Resolved members
+   * @param {Object[]} matrix - Team matrix
+   * @param {Object[]} target - Target composition ({ role, level, count })
+   * @param {Object} options - { includeComplementary, cumulative }
+   * @returns {Object} { composition, missingCompetencies, unassignedMembers }
+   * @private
+   */
+  compareWithTarget(resolved, matrix, target, options) {
+    const available = new Set(resolved.map(({ name }) => name));
+    const held = new Set(matrix.map(row => this.normalize(row.competency)));
+    const required = new Map();
+
+    const composition = target.map((slot, index) => {
+      if (!slot || typeof slot !== 'object') {
+        throw new InvalidQueryError(`Target slot at position ${index} must be an object`);
+      }
+      const count = slot.count ?? 1;
+      if (!Number.isInteger(count) || count < 1) {
+        throw new InvalidQueryError('Target count must be a positive integer');
+      }
+
+      const entry = this.queryAPI.getRoleByNameAndLevel(slot.role, slot.level);
+      this.collect(slot.role, entry, options).forEach((competency, key) => {
+        if (!required.has(key) || competency.type === 'core') required.set(key, competency);
+      });
+
+      const filledBy = resolved
+        .filter(({ name, entry: own }) => available.has(name)
+          && own.role === entry.role
+          && own.levelNumber >= entry.levelNumber)
+        .sort((a, b) => a.entry.levelNumber - b.entry.levelNumber)
+        .slice(0, count)
+        .map(({ name }) => name);
+      filledBy.forEach(name => available.delete(name));
+
+      return {
+        role: entry.role,
+        level: entry.level,
+        code: entry.code,
+        required: count,
+        filled: filledBy.length,
+        missing: count - filledBy.length,
+        filledBy
+      };
+    });
+
+    const missingCompetencies = Array.from(required.entries())
+      .filter(([key]) => !held.has(key))
+      .map(([, competency]) => ({ competency: competency.text, id: competency.id || null, type: competency.type }));
+
+    return {
+      composition,
+      missingCompetencies,
+      unassignedMembers: Array.from(available)
+    };
+  }
+
+  normalize(text) {
+    return text.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+}
+
+module.exports = TeamAPI;
@@ -0,0 +1,248 @@
+/**
+ * Transition API - Cross-role transition planning
+ *
+ * Plans a move from one role and level to another role (lateral or diagonal
+ * moves). The person's competencies in the current role are matched against
+ * the target role with CompetencyMatcher to find what transfers, pick the
+ * entry level in the target role and list what is still missing, level by level.
+ * Learning time is estimated with LearningTimeModel (or a custom estimator).
+ *
+ * @module api/transitions
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const CompetencyMatcher = require('../core/competency-matcher');
+const DimensionClassifier = require('../core/dimension-classifier');
+const LearningTimeModel = require('../core/learning-time-model');
+const { InvalidQueryError } = require('../core/validator');
+
+const DEFAULT_THRESHOLD = 0.5;
+const DEFAULT_MIN_SIMILARITY = 0.5;
+
+class TransitionAPI {
+  /**
+   * @param {CompetencyDatabase} database - Loaded database
+   * @param {QueryAPI} queryAPI - Query API used to read (translated) entries
+   * @param {Object} [options={}] - API options
+   * @param {string} [options.language='en'] - Language of the loaded data
+   * @param {Function} [options.matcher] - Returns the shared CompetencyMatcher
+   * @param {DimensionClassifier} [options.classifier] - Classifier weighting competencies by dimension
+   * @param {Object} [options.estimator] - Learning time model (LearningTimeModel or any object with estimate(items))
+   */
+  constructor(database, queryAPI, options = {}) {
+    this.db = database;
+    this.queryAPI = queryAPI;
+    this.language = options.language || 'en';
+    this.matcherFactory = options.matcher || null;
+    this.matcher = null;
+    this.classifier = options.classifier || new DimensionClassifier({ language: this.language });
+    this.estimator = options.estimator || new LearningTimeModel();
+  }
+
+  /**
+   * Plan a transition from a role and level to another role.
+   *
+   * @param {string} fromRole - Current role name
+   * @param {string|number} fromLevel - Current level
+   * @param {string} toRole - Target role name
+   * @param {Object} [options={}] - Planning options
+   * @param {string|number} [options.targetLevel] - Level to plan up to in the target role (default: the entry level)
+   * @param {number} [options.threshold=0.5] - Share of a level's core competencies (0-1) that must transfer to enter at it
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for a competency to count as transferred
+   * @param {boolean} [options.includeComplementary=true] - Match and report complementary competencies too
+   * @param {boolean} [options.cumulative=true] - Count competencies of the levels below the current level
+   * @returns {Object} { from, to, entryLevel, targetLevel, transferable, gap, steps, levels, summary };
+   *   entryLevel.meetsThreshold is false when no level reaches the threshold and the plan starts at L1
+   * @throws {InvalidQueryError} If an option is invalid or both roles are the same
+   */
+  plan(fromRole, fromLevel, toRole, options = {}) {
+    const threshold = this.validateRatio(options.threshold, DEFAULT_THRESHOLD, 'Threshold');
+    const minSimilarity = this.validateRatio(options.minSimilarity, DEFAULT_MIN_SIMILARITY, 'Minimum similarity');
+    const includeComplementary = options.includeComplementary !== false;
+    const cumulative = options.cumulative !== false;
+
+    const source = this.queryAPI.getRoleByNameAndLevel(fromRole, fromLevel);
+    const sourceName = this.queryAPI.resolveRoleName(fromRole);
+    const targetName = this.queryAPI.resolveRoleName(toRole);
+    if (sourceName === targetName) {
+      throw new InvalidQueryError('Source and target roles must differ; use getCareerPath() within a role');
+    }
+
+    const targetLevels = this.queryAPI.getAllLevelsForRole(targetName)
+      .sort((a, b) => a.levelNumber - b.levelNumber);
+    const goal = options.targetLevel !== undefined
+      ? this.queryAPI.getRoleByNameAndLevel(targetName, options.targetLevel)
+      : null;
+
+    const sourceLevels = cumulative
+      ? this.queryAPI.getAllLevelsForRole(sourceName).filter(entry => entry.levelNumber <= source.levelNumber)
+      : [source];
+    const current = new Set(sourceLevels.flatMap(entry => this.competenciesOf(entry, includeComplementary)));
+
+    const levels = targetLevels.map(entry => this.matchLevel(entry, current, { includeComplementary, minSimilarity }));
+
+    // Never enter above the current level, nor above the requested target level; when no
+    // level transfers enough, start from the first one and flag it (meetsThreshold: false)
+    const maxEntry = Math.min(source.levelNumber, goal ? goal.levelNumber : Infinity);
+    const qualified = levels
+      .filter(level => level.entry.levelNumber <= maxEntry && level.coverage >= threshold * 100)
+      .pop();
+    const entry = qualified || levels[0];
+    const target = goal ? levels.find(level => level.entry.code === goal.code) : entry;
+
+    const planned = levels.filter(level =>
+      level.entry.levelNumber >= entry.entry.levelNumber && level.entry.levelNumber <= target.entry.levelNumber);
+    const learning = planned.map(level => this.learningItems(level));
+    const steps = planned.map((level, index) => ({
+      type: index === 0 ? 'entry' : 'promotion',
+      ...this.describe(level.entry),
+      competencies: level.missing,
+      count: level.missing.length,
+      transferred: level.transferred.length,
+      estimatedWeeks: this.estimator.estimate(learning[index]).weeks
+    }));
+    const gap = steps.flatMap(step => step.competencies);
+    const transferable = levels
+      .filter(level => level.entry.levelNumber <= target.entry.levelNumber)
+      .flatMap(level => level.transferred.map(match => ({ ...match, code: level.entry.code })));
+
+    return {
+      from: { role: source.role, ...this.describe(source) },
+      to: { role: targetLevels[0].role, category: targetLevels[0].category },
+      entryLevel: { ...this.describe(entry.entry), coverage: entry.coverage, meetsThreshold: Boolean(qualified) },
+      targetLevel: this.describe(target.entry),
+      transferable,
+      gap,
+      steps,
+      levels: levels.map(level => ({
+        ...this.describe(level.entry),
+        coverage: level.coverage,
+        transferred: level.transferred.length
+      })),
+      summary: {
+        transferableCount: transferable.length,
+        gapCount: gap.length,
+        levelChange: entry.entry.levelNumber - source.levelNumber,
+        totalSteps: steps.length,
+        estimatedLearningTime: this.estimator.estimate(learning.flat())
+      }
+    };
+  }
+
+  /**
+   * Match the competencies of a target level against the current ones.
+   *
+   * @param {Object} entry - Target role entry
+   * @param {Set<string>} current - Current competencies
+   * @param {Object} options - { includeComplementary, minSimilarity }
+   * @returns {Object} { entry, coverage, transferred, missing }
+   * @private
+   */
+  matchLevel(entry, current, options) {
+    const matcher = this.getMatcher();
+    const core = matcher.match(entry.coreCompetencies, current, options.minSimilarity);
+    const complementary = options.includeComplementary
+      ? matcher.match(entry.complementaryCompetencies, current, options.minSimilarity)
+      : { matched: [], missing: [] };
+    const coreCount = entry.coreCompetencies.length;
+
+    return {
+      entry,
+      coverage: coreCount > 0 ? Math.round((core.matched.length / coreCount) * 100) : 0,
+      transferred: [...core.matched, ...complementary.matched],
+      missing: [...core.missing, ...complementary.missing]
+    };
+  }
+
+  /**
+   * Missing competencies of a matched level, for the estimator.
+   *
+   * @param {Object} level - Result of matchLevel()
+   * @returns {Object[]} Items ({ text, id, dimension, levelNumber, similarity })
+   * @private
+   */
+  learningItems(level) {
+    const { entry } = level;
+    const ids = new Map();
+    ['coreCompetencies', 'complementaryCompetencies'].forEach(field => {
+      entry[field].forEach((text, index) => {
+        if (entry.ids && !ids.has(text)) ids.set(text, entry.ids[field][index]);
+      });
+    });
+
+    return level.missing.map(text => {
+      const id = ids.get(text) || null;
+      return { text, id, dimension: this.classifier.classify(text, id).dimension, levelNumber: entry.levelNumber, similarity: 0 };
+    });
+  }
+
+  /**
+   * Core competencies of an entry, followed by its complementary ones.
+   *
+   * @param {Object} entry - Role entry
+   * @param {boolean} includeComplementary - Append complementary competencies
+   * @returns {string[]} Competencies
+   * @private
+   */
+  competenciesOf(entry, includeComplementary) {
+    return includeComplementary
+      ? [...entry.coreCompetencies, ...entry.complementaryCompetencies]
+      : [...entry.coreCompetencies];
+  }
+
+  /**
+   * Level fields of an entry.
+   *
+   * @param {Object} entry - Role entry
+   * @returns {Object} { level, code, levelNumber, yearsRange }
+   * @private
+   */
+  describe(entry) {
+    return {
+      level: entry.level,
+      code: entry.code,
+      levelNumber: entry.levelNumber,
+      yearsRange: entry.yearsRange
+    };
+  }
+
+  /**
+   * Validate a 0-1 option.
+   *
+   * @param {*} value - Option value
+   * @param {number} fallback - Default value
+   * @param {string} label - Option name for the error message
+   * @returns {number} Value
+   * @throws {InvalidQueryError} If the value is not a number between 0 and 1
+   * @private
+   */
+  validateRatio(value, fallback, label) {
+    if (value === undefined) return fallback;
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 1) {
+      throw new InvalidQueryError(`${label} must be a number between 0 and 1`);
+    }
+    return value;
+  }
+
+  /**
+   * Matcher over every loaded competency: the shared one when provided,
+   * otherwise built on first use.
+   *
+   * @returns {CompetencyMatcher} Matcher
+   * @private
+   */
+  getMatcher() {
+    if (!this.matcher) {
+      this.matcher = this.matcherFactory
+        ? this.matcherFactory()
+        : CompetencyMatcher.fromEntries(
+          this.db.getAllRoles().flatMap(role => this.queryAPI.getAllLevelsForRole(role)),
+          { language: this.language }
+        );
+    }
+    return this.matcher;
+  }
+}
+
+module.exports = TransitionAPI;
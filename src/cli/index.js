@@ -0,0 +1,475 @@
+/**
+ * CLI - Command-line interface for the Tech Roles Library
+ *
+ * Exposes the TechRolesLibrary surface to the terminal (`tech-roles`).
+ * Each command returns the raw data (printed as-is with --format json)
+ * and a list of display blocks rendered as plain-text tables or Markdown.
+ *
+ * @module cli
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const TechRolesLibrary = require('../index');
+const LocaleLoader = require('../i18n/locales');
+const { version } = require('../../package.json');
+
+const FORMATS = ['table', 'markdown', 'json'];
+
+const USAGE = `Usage: tech-roles <command> [arguments] [options]
+
+Commands:
+  roles                                List all role names
+  categories                           List all categories with their keys
+  role <code>                          Show a role entry by code (e.g. BE-L3)
+  levels <role>                        List the levels of a role
+  competencies <role> <level>          Show competencies for a role and level
+  search <query>                       Full-text search over roles, competencies and indicators
+  next-level <role> <level>            Show the requirements of the next level
+  career-path <role> <level>           Show mastered, current and growth levels
+  compare <role1> <role2> <level>      Compare two roles at the same level
+  audit-translations                   Check the installed translations against the reference language
+
+Options:
+  --lang <language>                    Output language: en, es or an installed locale (default: en)
+  --format <table|markdown|json>       Output format (default: table)
+  --limit <n>                          Maximum search results (default: 20)
+  --category <key|name>                Restrict search to a category (e.g. data)
+  --level <level>                      Restrict search to a level (e.g. L3)
+  --reference <language>               Reference language of audit-translations (default: en)
+  -h, --help                           Show this help
+  -v, --version                        Show the library version`;
+
+/**
+ * Error raised for invalid command-line usage.
+ *
+ * @class UsageError
+ * @extends Error
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Split argv into positional arguments and options.
+ *
+ * @param {string[]} argv - Command-line arguments (without node and script)
+ * @returns {Object} Parsed arguments ({ positional, options })
+ * @private
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {
+    lang: 'en',
+    format: 'table',
+    limit: 20,
+    category: undefined,
+    level: undefined,
+    reference: undefined,
+    help: false,
+    version: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= argv.length) throw new UsageError(`Missing value for ${flag}`);
+      return argv[++i];
+    };
+
+    if (flag === '-h' || flag === '--help') {
+      options.help = true;
+    } else if (flag === '-v' || flag === '--version') {
+      options.version = true;
+    } else if (flag === '--lang') {
+      options.lang = takeValue();
+    } else if (flag === '--format') {
+      options.format = takeValue();
+    } else if (flag === '--limit') {
+      options.limit = Number(takeValue());
+    } else if (flag === '--category') {
+      options.category = takeValue();
+    } else if (flag === '--level') {
+      options.level = takeValue();
+    } else if (flag === '--reference') {
+      options.reference = takeValue();
+    } else if (flag.startsWith('-') && flag.length > 1) {
+      throw new UsageError(`Unknown option: ${flag}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  const locales = new LocaleLoader();
+  if (!locales.supports(options.lang)) {
+    throw new UsageError(`Unsupported language: ${options.lang}. Expected one of: ${locales.getLanguages().join(', ')}`);
+  }
+  if (!FORMATS.includes(options.format)) {
+    throw new UsageError(`Unsupported format: ${options.format}. Expected ${FORMATS.join(', ')}`);
+  }
+  if (!Number.isInteger(options.limit) || options.limit < 1) {
+    throw new UsageError('--limit must be a positive integer');
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Format a years range for display.
+ *
+ * @param {Object} range - Years range ({ min, max })
+ * @returns {string} Formatted range (e.g. '2-3' or '15+')
+ * @private
+ */
+function formatYears(range) {
+  return range.max === null ? `${range.min}+` : `${range.min}-${range.max}`;
+}
+
+/**
+ * Command handlers. Each receives the library, positional arguments and options,
+ * and returns { data, blocks }.
+ *
+ * @private
+ */
+const COMMANDS = {
+  roles: {
+    args: [],
+    run(library) {
+      const catalog = library.getAllRolesWithMetadata();
+      return {
+        data: library.getRoles(),
+        blocks: [{
+          title: `Roles (${catalog.roles.length})`,
+          columns: ['role', 'category', 'levels'],
+          rows: catalog.roles.map(r => ({ role: r.role, category: r.category, levels: r.levelCount }))
+        }]
+      };
+    }
+  },
+
+  categories: {
+    args: [],
+    run(library) {
+      const data = library.getTaxonomy().categories;
+      return { data, blocks: [{ title: `Categories (${data.length})`, columns: ['key', 'name', 'roles'], rows: data }] };
+    }
+  },
+
+  role: {
+    args: ['code'],
+    run(library, [code]) {
+      const entry = library.getRole(code);
+      return { data: entry, blocks: entryBlocks(entry) };
+    }
+  },
+
+  levels: {
+    args: ['role'],
+    run(library, [role]) {
+      const levels = library.getLevelsForRole(role);
+      return {
+        data: levels,
+        blocks: [{
+          title: levels[0].role,
+          columns: ['code', 'level', 'years', 'competencies'],
+          rows: levels.map(l => ({
+            code: l.code,
+            level: l.level,
+            years: formatYears(l.yearsRange),
+            competencies: l.coreCompetencies.length + l.complementaryCompetencies.length
+          }))
+        }]
+      };
+    }
+  },
+
+  competencies: {
+    args: ['role', 'level'],
+    run(library, [role, level]) {
+      const data = library.getCompetencies(role, level);
+      return {
+        data,
+        blocks: [
+          { title: `${data.role} - ${data.level}`, fields: { code: data.code, years: formatYears(data.yearsRange) } },
+          { title: 'Core Competencies', list: data.core },
+          { title: 'Complementary Competencies', list: data.complementary },
+          { title: 'Indicators', list: data.indicators }
+        ]
+      };
+    }
+  },
+
+  search: {
+    args: ['query'],
+    run(library, [query], options) {
+      const data = library.search(query, {
+        limit: options.limit,
+        category: options.category,
+        level: options.level
+      });
+      return {
+        data,
+        blocks: [{
+          title: `Search results for "${query}"`,
+          columns: ['role', 'category', 'matchScore', 'matchedIn'],
+          rows: data
+        }]
+      };
+    }
+  },
+
+  'next-level': {
+    args: ['role', 'level'],
+    run(library, [role, level]) {
+      const data = library.getNextLevel(role, level);
+      if (!data) {
+        return { data, blocks: [{ title: 'Next level', list: ['Already at the highest level'] }] };
+      }
+      return {
+        data,
+        blocks: [
+          {
+            title: `Next level: ${data.next.level}`,
+            fields: {
+              code: data.next.code,
+              years: formatYears(data.next.yearsRange),
+              newCompetencies: data.newCompetenciesCount,
+              evolvedCompetencies: data.evolvedCompetenciesCount
+            }
+          },
+          { title: 'New Competencies', list: data.newCompetencies },
+          { title: 'Evolved Competencies', list: data.evolvedCompetencies.map(pair => `${pair.from} -> ${pair.to}`) },
+          { title: 'Indicators', list: data.next.indicators }
+        ]
+      };
+    }
+  },
+
+  'career-path': {
+    args: ['role', 'level'],
+    run(library, [role, level]) {
+      const data = library.getCareerPathComplete(role, level);
+      const stage = l => {
+        if (l.levelNumber < data.currentLevel.levelNumber) return 'mastered';
+        if (l.levelNumber === data.currentLevel.levelNumber) return 'current';
+        return 'growth';
+      };
+      const levels = [...data.masteredLevels, data.currentLevel, ...data.growthPath];
+      return {
+        data,
+        blocks: [
+          {
+            title: `${data.role} - ${data.currentLevel.level}`,
+            fields: {
+              progress: `${data.summary.progressPercentage}%`,
+              mastered: data.summary.totalMasteredCompetencies,
+              current: data.summary.currentLevelCompetencies,
+              remaining: data.summary.remainingToLearn
+            }
+          },
+          {
+            title: 'Levels',
+            columns: ['code', 'level', 'years', 'stage'],
+            rows: levels.map(l => ({ code: l.code, level: l.level, years: formatYears(l.yearsRange), stage: stage(l) }))
+          }
+        ]
+      };
+    }
+  },
+
+  compare: {
+    args: ['role1', 'role2', 'level'],
+    run(library, [role1, role2, level]) {
+      const data = library.compareRoles(role1, role2, level);
+      return {
+        data,
+        blocks: [
+          {
+            title: `${data.role1.name} vs ${data.role2.name} (${data.role1.level})`,
+            fields: {
+              similarity: data.similarity,
+              common: data.statistics.commonCount,
+              related: data.statistics.relatedCount
+            }
+          },
+          { title: 'Common', list: data.common },
+          {
+            title: 'Related',
+            list: data.related.map(pair => `${pair.competency1} ~ ${pair.competency2} (${pair.similarity})`)
+          },
+          { title: `Only ${data.role1.name}`, list: data.unique1 },
+          { title: `Only ${data.role2.name}`, list: data.unique2 }
+        ]
+      };
+    }
+  },
+
+  'audit-translations': {
+    args: [],
+    run(library, args, options) {
+      const data = library.auditTranslations({ reference: options.reference });
+      const blocks = [{
+        title: `Translation audit (${data.languages.join(', ')} against ${data.reference})`,
+        fields: { files: data.files, strings: data.strings, issues: data.summary.total, ...data.summary.byType }
+      }];
+      if (data.issues.length > 0) {
+        blocks.push({
+          title: 'Issues',
+          columns: ['type', 'language', 'file', 'code', 'field', 'message'],
+          rows: data.issues.map(issue => ({ ...issue, language: issue.language || '-', code: issue.code || '-' }))
+        });
+      }
+      return { data, blocks };
+    }
+  }
+};
+
+/**
+ * Build display blocks for a role entry.
+ *
+ * @param {Object} entry - Role entry
+ * @returns {Object[]} Display blocks
+ * @private
+ */
+function entryBlocks(entry) {
+  return [
+    {
+      title: `${entry.role} - ${entry.level}`,
+      fields: { code: entry.code, category: entry.category, years: formatYears(entry.yearsRange) }
+    },
+    { title: 'Core Competencies', list: entry.coreCompetencies },
+    { title: 'Complementary Competencies', list: entry.complementaryCompetencies },
+    { title: 'Indicators', list: entry.indicators }
+  ];
+}
+
+/**
+ * Render display blocks as plain-text tables.
+ *
+ * @param {Object[]} blocks - Display blocks
+ * @returns {string} Rendered text
+ * @private
+ */
+function renderTable(blocks) {
+  return blocks.filter(block => !block.list || block.list.length > 0).map(block => {
+    const lines = [block.title, '-'.repeat(block.title.length)];
+
+    if (block.fields) {
+      const width = Math.max(...Object.keys(block.fields).map(k => k.length));
+      Object.entries(block.fields).forEach(([key, value]) => {
+        lines.push(`${key.padEnd(width)}  ${value}`);
+      });
+    }
+    if (block.list) {
+      block.list.forEach(item => lines.push(`- ${item}`));
+    }
+    if (block.rows) {
+      const widths = block.columns.map(column => Math.max(
+        column.length,
+        ...block.rows.map(row => String(row[column]).length)
+      ));
+      const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+      lines.push(line(block.columns));
+      lines.push(line(widths.map(w => '-'.repeat(w))));
+      block.rows.forEach(row => lines.push(line(block.columns.map(c => row[c]))));
+    }
+
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Render display blocks as Markdown.
+ *
+ * @param {Object[]} blocks - Display blocks
+ * @returns {string} Rendered Markdown
+ * @private
+ */
+function renderMarkdown(blocks) {
+  const escape = value => String(value).replace(/\|/g, '\\|');
+
+  return blocks.filter(block => !block.list || block.list.length > 0).map((block, index) => {
+    const lines = [`${index === 0 ? '#' : '##'} ${block.title}`, ''];
+
+    if (block.fields) {
+      Object.entries(block.fields).forEach(([key, value]) => lines.push(`- **${key}**: ${value}`));
+    }
+    if (block.list) {
+      block.list.forEach(item => lines.push(`- ${item}`));
+    }
+    if (block.rows) {
+      lines.push(`| ${block.columns.join(' | ')} |`);
+      lines.push(`| ${block.columns.map(() => '---').join(' | ')} |`);
+      block.rows.forEach(row => lines.push(`| ${block.columns.map(c => escape(row[c])).join(' | ')} |`));
+    }
+
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Run the CLI.
+ *
+ * @param {string[]} argv - Command-line arguments (without node and script)
+ * @param {Object} [io] - Output streams
+ * @param {Object} [io.stdout=process.stdout] - Stream for results
+ * @param {Object} [io.stderr=process.stderr] - Stream for errors
+ * @returns {number} Exit code (0 success, 1 query error, 2 usage error)
+ * @example
+ * const { run } = require('@sparring/tech-roles-library/src/cli');
+ * process.exitCode = run(['competencies', 'Backend Developer', 'L3', '--format', 'markdown']);
+ */
+function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  const print = text => io.stdout.write(`${text}\n`);
+  const fail = (text, code) => {
+    io.stderr.write(`${text}\n`);
+    return code;
+  };
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    return fail(`${error.message}\n\n${USAGE}`, 2);
+  }
+
+  const { positional, options } = parsed;
+  const [name, ...args] = positional;
+
+  if (options.version) {
+    print(version);
+    return 0;
+  }
+  if (options.help || !name) {
+    print(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    return fail(`Unknown command: ${name}\n\n${USAGE}`, 2);
+  }
+  if (args.length !== command.args.length) {
+    const expected = command.args.map(a => `<${a}>`).join(' ');
+    return fail(`Usage: tech-roles ${name}${expected ? ` ${expected}` : ''}`, 2);
+  }
+
+  try {
+    const library = new TechRolesLibrary({ language: options.lang });
+    const { data, blocks } = command.run(library, args, options);
+
+    if (options.format === 'json') {
+      print(library.export('json', data));
+    } else if (options.format === 'markdown') {
+      print(renderMarkdown(blocks));
+    } else {
+      print(renderTable(blocks));
+    }
+    return 0;
+  } catch (error) {
+    return fail(`Error: ${error.message}`, 1);
+  }
+}
+
+module.exports = { run };
@@ -0,0 +1,162 @@
+/**
+ * Career Graph - Weighted directed graph of role levels
+ *
+ * Nodes are role-level entries and edges are moves between them (promotions,
+ * lateral moves) weighted by the number of competencies to acquire. Provides
+ * cheapest and shortest route search (Dijkstra over (cost, steps) or
+ * (steps, cost) pairs) and bounded breadth-first reachability.
+ *
+ * @module core/career-graph
+ * @author 686f6c61
+ * @license MIT
+ */
+
+/**
+ * Career graph.
+ *
+ * @class CareerGraph
+ */
+class CareerGraph {
+  constructor() {
+    this.nodes = new Map(); // id -> node data
+    this.edges = new Map(); // id -> outgoing edges
+  }
+
+  /**
+   * Add a node.
+   *
+   * @param {string} id - Node ID
+   * @param {Object} data - Node data
+   */
+  addNode(id, data) {
+    this.nodes.set(id, { id, ...data });
+    if (!this.edges.has(id)) this.edges.set(id, []);
+  }
+
+  /**
+   * Add a directed edge between two existing nodes.
+   *
+   * @param {string} from - Source node ID
+   * @param {string} to - Target node ID
+   * @param {Object} data - Edge data ({ type, weight, ... })
+   */
+  addEdge(from, to, data) {
+    this.edges.get(from).push({ from, to, ...data });
+  }
+
+  /**
+   * Node data by ID.
+   *
+   * @param {string} id - Node ID
+   * @returns {Object|null} Node or null
+   */
+  getNode(id) {
+    return this.nodes.get(id) || null;
+  }
+
+  /**
+   * Outgoing edges of a node.
+   *
+   * @param {string} id - Node ID
+   * @returns {Object[]} Edges ({ from, to, type, weight, ... })
+   */
+  getEdges(id) {
+    return this.edges.get(id) || [];
+  }
+
+  /**
+   * Best route between two nodes.
+   *
+   * @param {string} from - Source node ID
+   * @param {string} to - Target node ID
+   * @param {Object} [options={}] - Search options
+   * @param {string} [options.by='cost'] - 'cost' (lowest total weight, then fewest steps) or
+   *   'steps' (fewest edges, then lowest total weight)
+   * @param {Function} [options.filter] - Edge predicate; edges it rejects are not followed
+   * @returns {Object|null} { edges, cost, steps } or null if unreachable
+   */
+  findRoute(from, to, options = {}) {
+    const byCost = options.by !== 'steps';
+    const filter = options.filter || (() => true);
+    const better = (a, b) => byCost
+      ? a.cost - b.cost || a.steps - b.steps
+      : a.steps - b.steps || a.cost - b.cost;
+
+    const best = new Map([[from, { cost: 0, steps: 0, edge: null }]]);
+    const done = new Set();
+
+    let current = from;
+    while (current !== null && current !== to) {
+      done.add(current);
+      const state = best.get(current);
+      this.getEdges(current).filter(filter).forEach(edge => {
+        const candidate = { cost: state.cost + edge.weight, steps: state.steps + 1, edge };
+        const known = best.get(edge.to);
+        if (!done.has(edge.to) && (!known || better(candidate, known) < 0)) best.set(edge.to, candidate);
+      });
+
+      current = null;
+      best.forEach((candidate, id) => {
+        if (!done.has(id) && (current === null || better(candidate, best.get(current)) < 0)) current = id;
+      });
+    }
+    if (current === null) return null;
+
+    const edges = [];
+    for (let id = to; best.get(id).edge; id = best.get(id).edge.from) {
+      edges.unshift(best.get(id).edge);
+    }
+    const { cost, steps } = best.get(to);
+    return { edges, cost, steps };
+  }
+
+  /**
+   * Nodes reachable from a node within a number of moves, with the fewest
+   * steps and, among those, the lowest cost.
+   *
+   * @param {string} from - Source node ID
+   * @param {number} maxSteps - Maximum number of edges
+   * @param {Object} [options={}] - Search options
+   * @param {Function} [options.filter] - Edge predicate; edges it rejects are not followed
+   * @returns {Object[]} Reached nodes ({ id, steps, cost, edges }), excluding the source
+   */
+  reachable(from, maxSteps, options = {}) {
+    const filter = options.filter || (() => true);
+    const reached = new Map([[from, { id: from, steps: 0, cost: 0, edges: [] }]]);
+    let frontier = [from];
+
+    for (let step = 1; step <= maxSteps && frontier.length > 0; step++) {
+      const next = new Map();
+      frontier.forEach(id => {
+        const state = reached.get(id);
+        this.getEdges(id).filter(filter).forEach(edge => {
+          if (reached.has(edge.to)) return;
+          const cost = state.cost + edge.weight;
+          const known = next.get(edge.to);
+          if (!known || cost < known.cost) {
+            next.set(edge.to, { id: edge.to, steps: step, cost, edges: [...state.edges, edge] });
+          }
+        });
+      });
+      next.forEach((state, id) => reached.set(id, state));
+      frontier = Array.from(next.keys());
+    }
+
+    reached.delete(from);
+    return Array.from(reached.values());
+  }
+
+  /**
+   * Plain representation for serialization.
+   *
+   * @returns {Object} { nodes, edges }
+   */
+  toJSON() {
+    return {
+      nodes: Array.from(this.nodes.values()),
+      edges: Array.from(this.edges.values()).flat()
+    };
+  }
+}
+
+module.exports = CareerGraph;
@@ -0,0 +1,111 @@
+/**
+ * Competency IDs - Stable identifiers for competencies and indicators
+ *
+ * Every competency and indicator carries a stable ID (e.g. 'BE-L3-core-01').
+ * The bundled English files store them next to each list, in an `ids` object
+ * per level (field -> IDs, one per item), so inserting or reordering items
+ * keeps them; translations share the IDs of the English file, item by item.
+ * Roles whose level codes collide with another role's use their file name as
+ * prefix ('cloud-engineer-L3-core-01'). Data files can also pin the ID of a
+ * single item by writing it as { "id": "...", "text": "..." }, and items
+ * without a stored ID get one built from the role code, the list and their
+ * position.
+ *
+ * @module core/competency-ids
+ * @author 686f6c61
+ * @license MIT
+ */
+
+/**
+ * ID segment for each list field.
+ *
+ * @type {Object<string, string>}
+ */
+const SECTIONS = {
+  coreCompetencies: 'core',
+  complementaryCompetencies: 'comp',
+  indicators: 'ind'
+};
+
+/**
+ * Competency type reported for each list field.
+ *
+ * @type {Object<string, string>}
+ */
+const TYPES = {
+  coreCompetencies: 'core',
+  complementaryCompetencies: 'complementary',
+  indicators: 'indicator'
+};
+
+/**
+ * Build the positional ID of a list item.
+ *
+ * @param {string} code - Role code (e.g. 'BE-L3')
+ * @param {string} field - List field ('coreCompetencies', 'complementaryCompetencies' or 'indicators')
+ * @param {number} index - Zero-based position
+ * @returns {string} ID (e.g. 'BE-L3-core-01')
+ */
+function buildId(code, field, index) {
+  return `${code}-${SECTIONS[field]}-${String(index + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Build the next ID for an item appended to a list. It follows the numbered
+ * IDs of the list ('cloud-engineer-L3-core-04' -> 'cloud-engineer-L3-core-05'),
+ * or the positional scheme when there are none; numbering continues after the
+ * highest number in use, so removed IDs are never reused.
+ *
+ * @param {string} code - Role code
+ * @param {string} field - List field
+ * @param {string[]} existingIds - IDs in use or retired for this entry
+ * @returns {string} Unused ID
+ */
+function nextId(code, field, existingIds) {
+  const numbered = new RegExp(`^(.*-${SECTIONS[field]}-)(\\d+)$`);
+  const match = existingIds.map(id => id.match(numbered)).find(Boolean);
+  const prefix = match ? match[1] : `${code}-${SECTIONS[field]}-`;
+  const highest = existingIds
+    .filter(id => id.startsWith(prefix))
+    .map(id => Number(id.slice(prefix.length)))
+    .filter(Number.isInteger)
+    .reduce((max, number) => Math.max(max, number), 0);
+  return `${prefix}${String(highest + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Split a raw list (strings or { id, text } objects) into texts and IDs.
+ * An item's own ID wins over the stored one at its position, which wins
+ * over the positional ID.
+ *
+ * @param {Array<string|Object>} items - Raw list items
+ * @param {string} code - Role code
+ * @param {string} field - List field
+ * @param {string[]} [stored=[]] - IDs stored for the list (the level's `ids[field]`)
+ * @returns {Object} { texts, ids }
+ */
+function splitItems(items, code, field, stored = []) {
+  const texts = [];
+  const ids = [];
+
+  items.forEach((item, index) => {
+    const fallback = stored[index] || buildId(code, field, index);
+    if (item && typeof item === 'object') {
+      texts.push(item.text);
+      ids.push(item.id || fallback);
+    } else {
+      texts.push(item);
+      ids.push(fallback);
+    }
+  });
+
+  return { texts, ids };
+}
+
+module.exports = {
+  SECTIONS,
+  TYPES,
+  buildId,
+  nextId,
+  splitItems
+};
@@ -0,0 +1,357 @@
+/**
+ * Competency Matcher - Wording-tolerant competency comparison
+ *
+ * Role files describe the same skill in different words ('Ability to implement
+ * websockets' vs 'Knowledge of websockets and real-time communication'), so
+ * exact text comparison misses most of the overlap between roles. The matcher
+ * scores pairs of competencies from 0 to 1 with one of these methods:
+ *
+ * - 'tfidf' (default): cosine of TF-IDF vectors over analyzed terms (see
+ *   TextAnalyzer). IDF comes from the whole corpus, so filler words shared by
+ *   many competencies ('ability', 'knowledge') weigh little.
+ * - 'token': Jaccard overlap of analyzed terms.
+ * - 'ngram': Dice overlap of character trigrams of the folded text, tolerant
+ *   to inflections and compound words the stemmer misses.
+ * - 'exact': 1 for the same text (ignoring case, accents and spacing), else 0.
+ *
+ * Except for 'exact', proficiency qualifiers and generic wording ('basic',
+ * 'advanced', 'knowledge of', 'ability to') are ignored, so the skill keywords
+ * decide: 'Basic knowledge of Docker' and 'Advanced Docker usage' match.
+ * Everything runs offline on the loaded data.
+ *
+ * @module core/competency-matcher
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const TextAnalyzer = require('./text-analyzer');
+
+const METHODS = ['tfidf', 'token', 'ngram', 'exact'];
+const NGRAM_SIZE = 3;
+const DEFAULT_CACHE_SIZE = 1000;
+
+/**
+ * Proficiency qualifiers and generic competency wording per language, folded.
+ *
+ * @type {Object<string, string[]>}
+ */
+const QUALIFIERS = {
+  en: [
+    'ability', 'able', 'advanced', 'basic', 'capacity', 'deep', 'experience', 'experienced',
+    'expert', 'expertise', 'familiar', 'familiarity', 'fundamental', 'good', 'intermediate',
+    'knowledge', 'mastery', 'proficiency', 'proficient', 'skill', 'solid', 'strong',
+    'understanding', 'usage', 'use', 'using'
+  ],
+  es: [
+    'avanzada', 'avanzado', 'basica', 'basico', 'buen', 'buena', 'capacidad', 'comprension',
+    'conocimiento', 'dominio', 'entendimiento', 'experiencia', 'experta', 'experto',
+    'fundamento', 'habilidad', 'intermedio', 'manejo', 'nocion', 'profunda', 'profundo',
+    'solida', 'solido', 'uso'
+  ]
+};
+
+/**
+ * Competency matcher over a fixed corpus.
+ *
+ * @class CompetencyMatcher
+ */
+class CompetencyMatcher {
+  /**
+   * @param {string[]} corpus - Every competency text (used for IDF)
+   * @param {Object} [options={}] - Matcher options
+   * @param {string} [options.language='en'] - Language of the texts
+   * @param {string} [options.method='tfidf'] - 'tfidf', 'token', 'ngram' or 'exact'
+   * @param {number} [options.cacheSize=1000] - Features of texts outside the corpus kept (least recently used first out)
+   * @throws {Error} If the method is unknown
+   */
+  constructor(corpus, options = {}) {
+    this.method = options.method || 'tfidf';
+    if (!METHODS.includes(this.method)) {
+      throw new Error(`Unknown similarity method: ${this.method}`);
+    }
+
+    this.analyzer = new TextAnalyzer(options.language || 'en');
+    this.qualifierWords = new Set(QUALIFIERS[options.language || 'en'] || []);
+    this.qualifierTerms = new Set(Array.from(this.qualifierWords, word => this.analyzer.stem(word)));
+    this.features = new Map(); // corpus text -> vector or feature set, per method
+    this.recent = new Map();   // other text -> features, least recently used first
+    this.cacheSize = options.cacheSize ?? DEFAULT_CACHE_SIZE;
+    this.idf = new Map();
+
+    const documents = Array.from(new Set(corpus));
+    this.corpus = new Set(documents);
+    const frequencies = new Map();
+    documents.forEach(text => {
+      new Set(this.termsOf(text)).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      });
+    });
+    frequencies.forEach((count, term) => {
+      this.idf.set(term, Math.log(1 + documents.length / count));
+    });
+    this.maxIdf = Math.log(1 + Math.max(documents.length, 1));
+  }
+
+  /**
+   * Supported similarity methods.
+   *
+   * @returns {string[]} Method names
+   */
+  static get METHODS() {
+    return [...METHODS];
+  }
+
+  /**
+   * Build a matcher over the competencies of a set of role entries.
+   *
+   * @param {Object[]} entries - Role entries
+   * @param {Object} [options={}] - Matcher options ({ language, method })
+   * @returns {CompetencyMatcher} Matcher
+   */
+  static fromEntries(entries, options = {}) {
+    const corpus = entries.flatMap(entry => [...entry.coreCompetencies, ...entry.complementaryCompetencies]);
+    return new CompetencyMatcher(corpus, options);
+  }
+
+  /**
+   * Similarity between two competencies (0-1). Identical texts score 1.
+   *
+   * @param {string} a - First competency
+   * @param {string} b - Second competency
+   * @returns {number} Similarity
+   */
+  similarity(a, b) {
+    if (a === b) return 1;
+
+    const fa = this.featuresOf(a);
+    const fb = this.featuresOf(b);
+
+    switch (this.method) {
+      case 'exact':
+        return fa === fb ? 1 : 0;
+      case 'token':
+        return this.overlap(fa, fb, (shared, sizeA, sizeB) => shared / (sizeA + sizeB - shared));
+      case 'ngram':
+        return this.overlap(fa, fb, (shared, sizeA, sizeB) => (2 * shared) / (sizeA + sizeB));
+      default: {
+        let dot = 0;
+        fa.forEach((weight, term) => {
+          if (fb.has(term)) dot += weight * fb.get(term);
+        });
+        return Math.min(1, dot);
+      }
+    }
+  }
+
+  /**
+   * Most similar candidate for a competency.
+   *
+   * @param {string} text - Competency
+   * @param {Iterable<string>} candidates - Candidate competencies
+   * @returns {Object|null} { text, similarity } or null without candidates
+   */
+  bestMatch(text, candidates) {
+    let best = null;
+    for (const candidate of candidates) {
+      const similarity = this.similarity(text, candidate);
+      if (!best || similarity > best.similarity) {
+        best = { text: candidate, similarity };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Split competencies into those matched by a candidate and those missing.
+   * Several competencies may match the same candidate.
+   *
+   * @param {string[]} competencies - Competencies to look for
+   * @param {Iterable<string>} candidates - Competencies held
+   * @param {number} minSimilarity - Minimum similarity (0-1) for a match
+   * @returns {Object} { matched: [{ competency, matchedWith, similarity }], missing: string[] }
+   */
+  match(competencies, candidates, minSimilarity) {
+    const pool = Array.from(candidates);
+    const matched = [];
+    const missing = [];
+
+    competencies.forEach(competency => {
+      const best = this.bestMatch(competency, pool);
+      if (best && best.similarity >= minSimilarity) {
+        matched.push({
+          competency,
+          matchedWith: best.text,
+          similarity: this.round(best.similarity)
+        });
+      } else {
+        missing.push(competency);
+      }
+    });
+
+    return { matched, missing };
+  }
+
+  /**
+   * Pair two lists of competencies one to one. Identical texts pair first,
+   * then the most similar remaining pairs at or above the threshold.
+   *
+   * @param {string[]} a - First list
+   * @param {string[]} b - Second list
+   * @param {number} minSimilarity - Minimum similarity (0-1) for a pair
+   * @returns {Object} { common, pairs: [{ a, b, similarity }], onlyA, onlyB, score }, where score
+   *   is the overlap of both lists (0-1): exact pairs count 1 and similar pairs their similarity
+   */
+  align(a, b, minSimilarity) {
+    const listA = Array.from(new Set(a));
+    const listB = Array.from(new Set(b));
+    const setB = new Set(listB);
+    const common = listA.filter(text => setB.has(text));
+    const commonSet = new Set(common);
+    const restA = listA.filter(text => !commonSet.has(text));
+    const restB = listB.filter(text => !commonSet.has(text));
+
+    const candidates = [];
+    restA.forEach(textA => {
+      restB.forEach(textB => {
+        const similarity = this.similarity(textA, textB);
+        if (similarity >= minSimilarity) candidates.push({ a: textA, b: textB, similarity });
+      });
+    });
+    candidates.sort((x, y) => y.similarity - x.similarity);
+
+    const usedA = new Set();
+    const usedB = new Set();
+    const pairs = [];
+    candidates.forEach(candidate => {
+      if (usedA.has(candidate.a) || usedB.has(candidate.b)) return;
+      usedA.add(candidate.a);
+      usedB.add(candidate.b);
+      pairs.push({ ...candidate, similarity: this.round(candidate.similarity) });
+    });
+
+    const total = listA.length + listB.length;
+    const weight = 2 * common.length + 2 * pairs.reduce((sum, pair) => sum + pair.similarity, 0);
+
+    return {
+      common,
+      pairs,
+      onlyA: restA.filter(text => !usedA.has(text)),
+      onlyB: restB.filter(text => !usedB.has(text)),
+      score: total > 0 ? this.round(weight / total) : 0
+    };
+  }
+
+  /**
+   * Similarity between two groups of competencies, each read as a single
+   * document (0-1).
+   *
+   * @param {string[]} a - First group
+   * @param {string[]} b - Second group
+   * @returns {number} Similarity
+   */
+  groupSimilarity(a, b) {
+    return this.similarity(a.join('\n'), b.join('\n'));
+  }
+
+  /**
+   * Features of a text for the matcher method: a unit-length TF-IDF vector
+   * ('tfidf'), a term set ('token'), a trigram set ('ngram') or the normalized
+   * text ('exact'). Terms unseen in the corpus get the highest IDF. Corpus
+   * texts are cached; other texts (free-form user input) share a bounded
+   * least-recently-used cache.
+   *
+   * @param {string} text - Text
+   * @returns {Map<string, number>|Set<string>|string} Features
+   * @private
+   */
+  featuresOf(text) {
+    if (this.features.has(text)) return this.features.get(text);
+    if (this.recent.has(text)) {
+      const cached = this.recent.get(text);
+      this.recent.delete(text);
+      this.recent.set(text, cached);
+      return cached;
+    }
+
+    let features;
+    if (this.method === 'exact') {
+      features = TextAnalyzer.words(text).join(' ');
+    } else if (this.method === 'token') {
+      features = new Set(this.termsOf(text));
+    } else if (this.method === 'ngram') {
+      const words = TextAnalyzer.words(text);
+      const keywords = words.filter(word => !this.qualifierWords.has(word));
+      const padded = ` ${(keywords.length > 0 ? keywords : words).join(' ')} `;
+      features = new Set();
+      for (let i = 0; i + NGRAM_SIZE <= padded.length; i++) {
+        features.add(padded.slice(i, i + NGRAM_SIZE));
+      }
+    } else {
+      const counts = new Map();
+      this.termsOf(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+      features = new Map();
+      let norm = 0;
+      counts.forEach((count, term) => {
+        const weight = count * (this.idf.get(term) ?? this.maxIdf);
+        features.set(term, weight);
+        norm += weight * weight;
+      });
+      norm = Math.sqrt(norm);
+      if (norm > 0) features.forEach((weight, term) => features.set(term, weight / norm));
+    }
+
+    if (this.corpus.has(text)) {
+      this.features.set(text, features);
+    } else if (this.cacheSize > 0) {
+      if (this.recent.size >= this.cacheSize) this.recent.delete(this.recent.keys().next().value);
+      this.recent.set(text, features);
+    }
+    return features;
+  }
+
+  /**
+   * Analyzed terms of a text without qualifiers, or all of them when the text
+   * has nothing else.
+   *
+   * @param {string} text - Text
+   * @returns {string[]} Terms
+   * @private
+   */
+  termsOf(text) {
+    const terms = this.analyzer.analyze(text);
+    const keywords = terms.filter(term => !this.qualifierTerms.has(term));
+    return keywords.length > 0 ? keywords : terms;
+  }
+
+  /**
+   * Set overlap score.
+   *
+   * @param {Set<string>} a - First set
+   * @param {Set<string>} b - Second set
+   * @param {Function} formula - (shared, sizeA, sizeB) -> score
+   * @returns {number} Score (0 when either set is empty)
+   * @private
+   */
+  overlap(a, b, formula) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(item => {
+      if (b.has(item)) shared++;
+    });
+    return formula(shared, a.size, b.size);
+  }
+
+  /**
+   * Round a similarity to three decimals.
+   *
+   * @param {number} value - Similarity
+   * @returns {number} Rounded similarity
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = CompetencyMatcher;
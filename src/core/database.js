@@ -2,12 +2,46 @@
  * Competency Database - In-memory database with optimized indexes
  *
  * Provides fast lookups through multiple indexes (by code, role, category, competency, level).
- * Uses Map data structures for O(1) lookups.
+ * Uses Map data structures for O(1) lookups. Categories are also indexed by
+ * their stable key (see i18n/taxonomy), the same in every language.
+ *
+ * One database serves every language of a library. The structure (codes,
+ * levels, years, category keys, competency IDs) and the indexes over it are
+ * built once and refer to entries by position; each language adds its texts
+ * (addLanguage()), aligned by position, and in() returns the database as seen
+ * in a language.
  *
  * @module core/database
  * @author 686f6c61
  */
 
+const TextAnalyzer = require('./text-analyzer');
+const { SchemaValidationError } = require('./validator');
+const { SECTIONS } = require('./competency-ids');
+
+const LIST_FIELDS = Object.keys(SECTIONS);
+
+/**
+ * Whether two entries have the same structure: code, level, years, category
+ * key, band and competency IDs.
+ *
+ * @param {Object} a - Entry
+ * @param {Object} b - Entry
+ * @returns {boolean} True if only their texts may differ
+ * @private
+ */
+function sameStructure(a, b) {
+  const ids = entry => entry.ids || {};
+  return a.code === b.code
+    && a.levelNumber === b.levelNumber
+    && a.categoryKey === b.categoryKey
+    && a.band === b.band
+    && (a.yearsRange || {}).min === (b.yearsRange || {}).min
+    && (a.yearsRange || {}).max === (b.yearsRange || {}).max
+    && LIST_FIELDS.every(field => (a[field] || []).length === (b[field] || []).length
+      && (ids(a)[field] || []).join('\n') === (ids(b)[field] || []).join('\n'));
+}
+
 /**
  * In-memory database for competency entries with multiple indexes.
  *
@@ -16,87 +50,235 @@
 class CompetencyDatabase {
   /**
    * Creates a new database instance with empty indexes.
+   *
+   * @param {Object} [options={}] - Database options
+   * @param {Taxonomy} [options.taxonomy] - Taxonomy resolving category names in any language
    */
-  constructor() {
+  constructor(options = {}) {
+    this.taxonomy = options.taxonomy || null;
+    this.language = null;
     this.entries = [];
     this.indexes = {
-      byCode: new Map(),          // code -> entry
-      byRole: new Map(),          // roleName -> [entries]
-      byCategory: new Map(),      // category -> [entries]
-      byCompetency: new Map(),    // competency (lowercase) -> [entries]
-      byLevelNumber: new Map()    // levelNumber -> [entries]
+      byCode: new Map(),          // code -> [positions] (several roles may share a code)
+      byCategoryKey: new Map(),   // category key -> [positions]
+      byCompetencyId: new Map(),  // competency ID -> { position, field, index }
+      byLevelNumber: new Map()    // levelNumber -> [positions]
     };
+    this.texts = new Map();   // language -> { entries, positions, byRole, byCategory, byCompetency }
+    this.views = new Map();   // language -> database seen in that language
+    this.graphs = new Map();  // settings key -> career graph over entry positions (see api/career-paths)
   }
 
   /**
    * Load entries and build all indexes.
    *
    * @param {Object[]} entries - Array of parsed role entries
+   * @param {string} [language='en'] - Language of their texts
+   * @throws {SchemaValidationError} If two list items share a competency ID
    */
-  load(entries) {
+  load(entries, language = 'en') {
+    this.language = language;
     this.entries = entries;
     this.buildIndexes();
+    this.texts.set(language, this.buildTexts(entries));
+    this.views.set(language, this);
+  }
+
+  /**
+   * Add the texts of another language. Its entries must have the structure
+   * of the loaded ones, in the same order (the same roles, codes, years and
+   * competency IDs); a language whose sources or patches change the
+   * structure needs its own database.
+   *
+   * @param {string} language - Language code
+   * @param {Object[]} entries - Entries in that language
+   * @returns {boolean} False if the entries do not match the loaded structure
+   */
+  addLanguage(language, entries) {
+    if (this.texts.has(language)) return false;
+    if (entries.length !== this.entries.length
+      || entries.some((entry, position) => !sameStructure(entry, this.entries[position]))) {
+      return false;
+    }
+
+    // Keep one copy of the language-independent parts
+    const aligned = entries.map((entry, position) => ({
+      ...entry,
+      yearsRange: this.entries[position].yearsRange,
+      ids: this.entries[position].ids
+    }));
+    this.texts.set(language, this.buildTexts(aligned));
+    return true;
+  }
+
+  /**
+   * Languages with texts in the database.
+   *
+   * @returns {string[]} Language codes
+   */
+  getLanguages() {
+    return Array.from(this.texts.keys());
+  }
+
+  /**
+   * The database seen in a language: the same structure and indexes, with
+   * the entries and texts of that language.
+   *
+   * @param {string} language - Language code (one of getLanguages())
+   * @returns {CompetencyDatabase} Database in that language
+   * @throws {Error} If the language has no texts
+   */
+  in(language) {
+    if (!this.texts.has(language)) {
+      throw new Error(`No texts loaded for language: ${language}`);
+    }
+    if (!this.views.has(language)) {
+      const view = Object.create(this);
+      view.language = language;
+      view.entries = this.texts.get(language).entries;
+      this.views.set(language, view);
+    }
+    return this.views.get(language);
   }
 
   /**
-   * Build all indexes from loaded entries.
-   * Creates inverted indexes for fast lookups.
+   * Build the language-independent indexes from the loaded entries.
    *
    * @private
    */
   buildIndexes() {
-    this.entries.forEach(entry => {
+    const duplicates = [];
+    const owners = new Map(); // competency ID -> entry
+    const push = (index, key, position) => {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(position);
+    };
+
+    this.entries.forEach((entry, position) => {
       // Index by code
-      this.indexes.byCode.set(entry.code, entry);
+      push(this.indexes.byCode, entry.code, position);
 
-      // Index by role
-      if (!this.indexes.byRole.has(entry.role)) {
-        this.indexes.byRole.set(entry.role, []);
-      }
-      this.indexes.byRole.get(entry.role).push(entry);
+      // Index by category key
+      push(this.indexes.byCategoryKey, entry.categoryKey || entry.category, position);
 
-      // Index by category
-      if (!this.indexes.byCategory.has(entry.category)) {
-        this.indexes.byCategory.set(entry.category, []);
-      }
-      this.indexes.byCategory.get(entry.category).push(entry);
-
-      // Index by competency (inverted index)
-      const allCompetencies = [
-        ...entry.coreCompetencies,
-        ...entry.complementaryCompetencies
-      ];
-      allCompetencies.forEach(comp => {
-        const compLower = comp.toLowerCase();
-        if (!this.indexes.byCompetency.has(compLower)) {
-          this.indexes.byCompetency.set(compLower, []);
-        }
-        this.indexes.byCompetency.get(compLower).push(entry);
+      // Index by competency ID
+      Object.entries(entry.ids || {}).forEach(([field, ids]) => {
+        ids.forEach((id, index) => {
+          const owner = owners.get(id);
+          if (owner) {
+            duplicates.push({
+              code: entry.code,
+              path: `levels.${entry.code}.${field}[${index}]`,
+              message: `duplicates competency ID "${id}" (${entry.role} and ${owner.role})`
+            });
+            return;
+          }
+          owners.set(id, entry);
+          this.indexes.byCompetencyId.set(id, { position, field, index });
+        });
       });
 
       // Index by level number
       if (entry.levelNumber) {
-        if (!this.indexes.byLevelNumber.has(entry.levelNumber)) {
-          this.indexes.byLevelNumber.set(entry.levelNumber, []);
-        }
-        this.indexes.byLevelNumber.get(entry.levelNumber).push(entry);
+        push(this.indexes.byLevelNumber, entry.levelNumber, position);
+      }
+    });
+
+    if (duplicates.length > 0) {
+      throw new SchemaValidationError(duplicates);
+    }
+  }
+
+  /**
+   * Build the indexes over the texts of one language.
+   *
+   * @param {Object[]} entries - Entries of the language, aligned with the structure
+   * @returns {Object} { entries, positions, byRole, byCategory, byCompetency }
+   * @private
+   */
+  buildTexts(entries) {
+    const texts = {
+      entries,
+      positions: new Map(),   // entry -> position
+      byRole: new Map(),      // roleName -> [entries]
+      byCategory: new Map(),  // category -> [entries]
+      byCompetency: null      // competency (lowercase) -> [entries], built on first search
+    };
+
+    entries.forEach((entry, position) => {
+      texts.positions.set(entry, position);
+
+      // Index by role
+      if (!texts.byRole.has(entry.role)) {
+        texts.byRole.set(entry.role, []);
+      }
+      texts.byRole.get(entry.role).push(entry);
+
+      // Index by category
+      if (!texts.byCategory.has(entry.category)) {
+        texts.byCategory.set(entry.category, []);
       }
+      texts.byCategory.get(entry.category).push(entry);
     });
 
     // Sort role entries by level number
-    this.indexes.byRole.forEach(entries => {
-      entries.sort((a, b) => (a.levelNumber || 0) - (b.levelNumber || 0));
+    texts.byRole.forEach(roleEntries => {
+      roleEntries.sort((a, b) => (a.levelNumber || 0) - (b.levelNumber || 0));
     });
+
+    return texts;
+  }
+
+  /**
+   * Texts of the language of this database.
+   *
+   * @returns {Object} Texts (see buildTexts)
+   * @private
+   */
+  getTexts() {
+    return this.texts.get(this.language) || this.buildTexts([]);
+  }
+
+  /**
+   * Position of an entry of this language in the database.
+   *
+   * @param {Object} entry - Entry (as returned by the getters)
+   * @returns {number} Position, or -1 if the entry is not in the database
+   */
+  getPosition(entry) {
+    const position = this.getTexts().positions.get(entry);
+    return position === undefined ? -1 : position;
+  }
+
+  /**
+   * Entry at a position.
+   *
+   * @param {number} position - Position
+   * @returns {Object|undefined} Entry or undefined if out of range
+   */
+  getEntry(position) {
+    return this.entries[position];
   }
 
   /**
    * Get entry by code.
    *
    * @param {string} code - Role code (e.g., 'BE-L3')
-   * @returns {Object|undefined} Entry or undefined if not found
+   * @returns {Object|undefined} Entry, or undefined if not found or shared by several roles (see getAllByCode)
    */
   getByCode(code) {
-    return this.indexes.byCode.get(code);
+    const positions = this.indexes.byCode.get(code) || [];
+    return positions.length === 1 ? this.entries[positions[0]] : undefined;
+  }
+
+  /**
+   * Get every entry using a code (several roles may share one, e.g. 'CE-L3').
+   *
+   * @param {string} code - Role code
+   * @returns {Object[]} Array of entries with this code
+   */
+  getAllByCode(code) {
+    return (this.indexes.byCode.get(code) || []).map(position => this.entries[position]);
   }
 
   /**
@@ -106,7 +288,7 @@ class CompetencyDatabase {
    * @returns {Object[]} Array of entries for this role
    */
   getByRole(role) {
-    return this.indexes.byRole.get(role) || [];
+    return this.getTexts().byRole.get(role) || [];
   }
 
   /**
@@ -116,7 +298,47 @@ class CompetencyDatabase {
    * @returns {Object[]} Array of entries in this category
    */
   getByCategory(category) {
-    return this.indexes.byCategory.get(category) || [];
+    return this.getTexts().byCategory.get(category) || [];
+  }
+
+  /**
+   * Get all entries in a category by its key.
+   *
+   * @param {string} key - Category key (e.g., 'software-engineering')
+   * @returns {Object[]} Array of entries in this category
+   */
+  getByCategoryKey(key) {
+    return (this.indexes.byCategoryKey.get(key) || []).map(position => this.entries[position]);
+  }
+
+  /**
+   * Get all entries of a level.
+   *
+   * @param {number} levelNumber - Level number (1-9)
+   * @returns {Object[]} Array of entries at this level
+   */
+  getByLevelNumber(levelNumber) {
+    return (this.indexes.byLevelNumber.get(levelNumber) || []).map(position => this.entries[position]);
+  }
+
+  /**
+   * Key of a loaded category from its key or its name in any language,
+   * ignoring case and accents.
+   *
+   * @param {string} category - Category key or name (e.g., 'data', 'Datos' or 'Data')
+   * @returns {string|null} Category key, or null if no loaded category matches
+   */
+  resolveCategory(category) {
+    if (typeof category !== 'string') return null;
+    if (this.indexes.byCategoryKey.has(category)) return category;
+
+    const folded = TextAnalyzer.fold(category.trim());
+    const loaded = Array.from(this.indexes.byCategoryKey.entries()).find(([key, positions]) =>
+      TextAnalyzer.fold(key) === folded || TextAnalyzer.fold(this.entries[positions[0]].category) === folded);
+    if (loaded) return loaded[0];
+
+    const key = this.taxonomy ? this.taxonomy.resolve('categories', category) : null;
+    return key && this.indexes.byCategoryKey.has(key) ? key : null;
   }
 
   /**
@@ -126,8 +348,32 @@ class CompetencyDatabase {
    * @returns {Object[]} Array of entries containing this competency
    */
   searchByCompetency(competency) {
-    const compLower = competency.toLowerCase();
-    return this.indexes.byCompetency.get(compLower) || [];
+    const texts = this.getTexts();
+    if (!texts.byCompetency) {
+      // Inverted index, built on first search
+      texts.byCompetency = new Map();
+      texts.entries.forEach(entry => {
+        [...entry.coreCompetencies, ...entry.complementaryCompetencies].forEach(comp => {
+          const compLower = comp.toLowerCase();
+          if (!texts.byCompetency.has(compLower)) {
+            texts.byCompetency.set(compLower, []);
+          }
+          texts.byCompetency.get(compLower).push(entry);
+        });
+      });
+    }
+    return texts.byCompetency.get(competency.toLowerCase()) || [];
+  }
+
+  /**
+   * Get a competency or indicator by its stable ID.
+   *
+   * @param {string} id - Competency ID (e.g., 'BE-L3-core-01')
+   * @returns {Object|undefined} Location ({ entry, field, index }) or undefined if not found
+   */
+  getByCompetencyId(id) {
+    const location = this.indexes.byCompetencyId.get(id);
+    return location && { entry: this.entries[location.position], field: location.field, index: location.index };
   }
 
   /**
@@ -136,7 +382,7 @@ class CompetencyDatabase {
    * @returns {string[]} Array of role names
    */
   getAllRoles() {
-    return Array.from(this.indexes.byRole.keys()).sort();
+    return Array.from(this.getTexts().byRole.keys()).sort();
   }
 
   /**
@@ -145,7 +391,16 @@ class CompetencyDatabase {
    * @returns {string[]} Array of category names
    */
   getAllCategories() {
-    return Array.from(this.indexes.byCategory.keys()).sort();
+    return Array.from(this.getTexts().byCategory.keys()).sort();
+  }
+
+  /**
+   * Get all unique category keys.
+   *
+   * @returns {string[]} Array of category keys
+   */
+  getAllCategoryKeys() {
+    return Array.from(this.indexes.byCategoryKey.keys()).sort();
   }
 
   /**
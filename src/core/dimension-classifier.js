@@ -0,0 +1,173 @@
+/**
+ * Dimension Classifier - Classify competencies into competency dimensions
+ *
+ * Every competency belongs to one dimension: technical, architecture,
+ * leadership, people, process, communication or business. A dimension can be
+ * pinned for a competency ID in the data (dimensions.json or the `competencies`
+ * option), which holds in every language since IDs are shared. Otherwise it is
+ * computed from a keyword rule set: the dimension with the most keyword
+ * matches wins, ties go to the dimension listed first, and competencies
+ * without matches are technical.
+ *
+ * Keywords are matched with a PhraseIndex, so they are accent- and
+ * inflection-insensitive and the longest keyword wins ('technical strategy'
+ * is architecture, a bare 'strategy' leadership). Keywords of both bundled
+ * languages are always active.
+ *
+ * With a `reference` classifier, competencies with an ID are classified from
+ * their text in the reference language, so an ID gets the same dimension in
+ * every language view whatever its translation says.
+ *
+ * @module core/dimension-classifier
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const PhraseIndex = require('./phrase-index');
+const { InvalidQueryError } = require('./validator');
+const bundled = require('../i18n/dimensions.json');
+
+const DIMENSIONS = ['technical', 'architecture', 'leadership', 'people', 'process', 'communication', 'business'];
+const DEFAULT_DIMENSION = 'technical';
+
+/**
+ * Competency dimension classifier.
+ *
+ * @class DimensionClassifier
+ */
+class DimensionClassifier {
+  /**
+   * @param {Object} [options={}] - Classifier options
+   * @param {string} [options.language='en'] - Language of the texts (stemming)
+   * @param {Object<string, string[]>} [options.rules={}] - Keywords replacing the bundled
+   *   keywords of a dimension (dimension -> keywords)
+   * @param {Object<string, string>} [options.competencies={}] - Dimensions pinned by
+   *   competency ID (ID -> dimension)
+   * @param {Object} [options.reference] - { classifier, text }: the classifier of the reference
+   *   language and a function returning the reference text of a competency ID (null if unknown)
+   * @throws {InvalidQueryError} If a dimension or keyword list is invalid
+   */
+  constructor(options = {}) {
+    this.language = options.language || 'en';
+    this.rules = new Map();  // dimension -> keywords
+    this.pinned = new Map(); // competency ID -> dimension
+    this.results = new Map(); // text -> rule-based classification
+    this.reference = options.reference || null;
+
+    const rules = { ...bundled.rules, ...(options.rules || {}) };
+    DIMENSIONS.forEach(dimension => this.setRules(dimension, rules[dimension] || []));
+    Object.keys(options.rules || {}).forEach(dimension => this.validateDimension(dimension));
+
+    const pinned = { ...bundled.competencies, ...(options.competencies || {}) };
+    Object.entries(pinned).forEach(([id, dimension]) => this.pin(id, dimension));
+  }
+
+  /**
+   * Dimensions, in tie-break order.
+   *
+   * @returns {string[]} Dimension names
+   */
+  static get DIMENSIONS() {
+    return [...DIMENSIONS];
+  }
+
+  /**
+   * Replace the keywords of a dimension.
+   *
+   * @param {string} dimension - Dimension
+   * @param {string[]} keywords - Words or phrases
+   * @throws {InvalidQueryError} If the dimension or keyword list is invalid
+   */
+  setRules(dimension, keywords) {
+    this.validateDimension(dimension);
+    if (!Array.isArray(keywords) || keywords.some(keyword => typeof keyword !== 'string')) {
+      throw new InvalidQueryError(`Keywords of dimension "${dimension}" must be an array of strings`);
+    }
+
+    this.rules.set(dimension, Array.from(new Set(keywords)));
+    this.index = new PhraseIndex(this.language);
+    this.rules.forEach((list, name) => list.forEach(keyword => this.index.add(keyword, name)));
+    this.results.clear();
+  }
+
+  /**
+   * Pin the dimension of a competency ID, overriding the rules.
+   *
+   * @param {string} id - Competency ID (e.g. 'BE-L3-core-01')
+   * @param {string} dimension - Dimension
+   * @throws {InvalidQueryError} If the ID or dimension is invalid
+   */
+  pin(id, dimension) {
+    if (typeof id !== 'string' || id.trim() === '') {
+      throw new InvalidQueryError('Competency ID must be a non-empty string');
+    }
+    this.validateDimension(dimension);
+    this.pinned.set(id.trim(), dimension);
+  }
+
+  /**
+   * Keywords of every dimension.
+   *
+   * @returns {Object<string, string[]>} Dimension -> keywords
+   */
+  getRules() {
+    const rules = {};
+    this.rules.forEach((keywords, dimension) => {
+      rules[dimension] = [...keywords];
+    });
+    return rules;
+  }
+
+  /**
+   * Classify a competency.
+   *
+   * @param {string} text - Competency text
+   * @param {string|null} [id=null] - Competency ID, checked against pinned dimensions first
+   *   and classified from its reference text when there is a reference classifier
+   * @returns {Object} { dimension, source, scores }, where source is 'pinned', 'rules' or
+   *   'default' (no keyword matched) and scores counts keyword matches per dimension
+   */
+  classify(text, id = null) {
+    if (id && this.reference) {
+      const reference = this.reference.text(id);
+      if (reference !== null) return this.reference.classifier.classify(reference, id);
+    }
+
+    const key = String(text);
+    if (!this.results.has(key)) {
+      const scores = {};
+      DIMENSIONS.forEach(dimension => {
+        scores[dimension] = 0;
+      });
+      this.index.scan(key).forEach(dimension => scores[dimension]++);
+
+      const best = DIMENSIONS.reduce((top, dimension) => (scores[dimension] > scores[top] ? dimension : top));
+      this.results.set(key, scores[best] > 0
+        ? { dimension: best, source: 'rules', scores }
+        : { dimension: DEFAULT_DIMENSION, source: 'default', scores });
+    }
+
+    const result = this.results.get(key);
+    const pinned = id ? this.pinned.get(id) : undefined;
+    return {
+      dimension: pinned || result.dimension,
+      source: pinned ? 'pinned' : result.source,
+      scores: { ...result.scores }
+    };
+  }
+
+  /**
+   * Check a dimension name.
+   *
+   * @param {string} dimension - Dimension
+   * @throws {InvalidQueryError} If the dimension is unknown
+   * @private
+   */
+  validateDimension(dimension) {
+    if (!DIMENSIONS.includes(dimension)) {
+      throw new InvalidQueryError(`Unknown dimension: ${dimension}. Expected one of: ${DIMENSIONS.join(', ')}`);
+    }
+  }
+}
+
+module.exports = DimensionClassifier;
@@ -11,6 +11,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const SchemaValidator = require('./schema-validator');
+const { SECTIONS, splitItems } = require('./competency-ids');
+const { SchemaValidationError } = require('./validator');
 
 /**
  * JSON Parser class for processing role definition files.
@@ -22,55 +25,161 @@ class JSONParser {
    * Creates a new JSON parser instance.
    *
    * @param {string} translationsDir - Path to translations directory (es/ or en/)
+   * @param {Object} [options={}] - Parser options
+   * @param {boolean} [options.strict=false] - Validate every file against the role definition schema
    */
-  constructor(translationsDir) {
+  constructor(translationsDir, options = {}) {
     this.translationsDir = translationsDir;
+    this.strict = options.strict === true;
   }
 
   /**
    * Parse all JSON files in the translations directory.
    *
    * @returns {Array} Array of role entries
+   * @throws {SchemaValidationError} In strict mode, with the errors of every invalid file
    */
   parse() {
+    try {
+      return JSONParser.parseFiles(JSONParser.listFiles(this.translationsDir), { strict: this.strict });
+    } catch (error) {
+      if (error instanceof SchemaValidationError) throw error;
+      throw new Error(`Failed to parse JSON files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse several JSON files, collecting schema errors across all of them in strict mode.
+   *
+   * @param {string[]} files - File paths
+   * @param {Object} [options={}] - Parse options
+   * @param {boolean} [options.strict=false] - Validate against the role definition schema
+   * @returns {Array} Array of role entries
+   * @throws {SchemaValidationError} In strict mode, if any file is invalid
+   * @static
+   */
+  static parseFiles(files, options = {}) {
     const entries = [];
+    const errors = [];
 
-    try {
-      // Get all JSON files in directory
-      const files = fs.readdirSync(this.translationsDir)
-        .filter(f => f.endsWith('.json'))
-        .sort();
-
-      // Process each file
-      files.forEach(filename => {
-        const filePath = path.join(this.translationsDir, filename);
-        const fileData = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-
-        // Extract role metadata
-        const role = fileData.role;
-        const category = fileData.category;
-
-        // Process each level
-        Object.entries(fileData.levels).forEach(([code, levelData]) => {
-          entries.push({
-            category,
-            role,
-            level: levelData.level,
-            code,
-            levelNumber: levelData.levelNumber,
-            yearsRange: levelData.yearsRange,
-            coreCompetencies: levelData.coreCompetencies || [],
-            complementaryCompetencies: levelData.complementaryCompetencies || [],
-            indicators: levelData.indicators || []
-          });
-        });
-      });
+    files.forEach(filePath => {
+      try {
+        entries.push(...JSONParser.parseFile(filePath, options));
+      } catch (error) {
+        if (!(error instanceof SchemaValidationError)) throw error;
+        errors.push(...error.errors);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new SchemaValidationError(errors);
+    }
+    return entries;
+  }
 
-      return entries;
+  /**
+   * List the JSON files of a directory in a stable order.
+   *
+   * @param {string} dir - Directory to scan
+   * @returns {string[]} Absolute file paths
+   * @static
+   */
+  static listFiles(dir) {
+    return fs.readdirSync(dir)
+      .filter(f => f.endsWith('.json'))
+      .sort()
+      .map(f => path.join(dir, f));
+  }
 
+  /**
+   * Parse a single JSON file holding one role definition or an array of them.
+   *
+   * @param {string} filePath - Path to the JSON file
+   * @param {Object} [options={}] - Parse options
+   * @param {boolean} [options.strict=false] - Validate against the role definition schema
+   * @returns {Array} Array of role entries
+   * @throws {SchemaValidationError} In strict mode, if the file is not valid JSON or does not match the schema
+   * @static
+   */
+  static parseFile(filePath, options = {}) {
+    let fileData;
+    try {
+      fileData = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
     } catch (error) {
-      throw new Error(`Failed to parse JSON files: ${error.message}`);
+      if (!options.strict || error.code === 'ENOENT') throw error;
+      throw new SchemaValidationError([
+        { file: filePath, code: null, path: '', message: `Invalid JSON: ${error.message}` }
+      ]);
+    }
+
+    const definitions = Array.isArray(fileData) ? fileData : [fileData];
+    const errors = [];
+    const entries = [];
+
+    definitions.forEach((definition, index) => {
+      const source = definitions.length > 1 ? `${filePath}[${index}]` : filePath;
+      try {
+        entries.push(...JSONParser.parseDefinition(definition, { ...options, source }));
+      } catch (error) {
+        if (!(error instanceof SchemaValidationError)) throw error;
+        errors.push(...error.errors);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new SchemaValidationError(errors);
     }
+    return entries;
+  }
+
+  /**
+   * Transform a role definition object ({ role, category, levels }) into entries.
+   *
+   * @param {Object} definition - Role definition
+   * @param {Object} [options={}] - Parse options
+   * @param {boolean} [options.strict=false] - Validate against the role definition schema
+   * @param {string} [options.source] - File or label reported in validation errors
+   * @returns {Array} Array of role entries, one per level
+   * @throws {SchemaValidationError} In strict mode, if the definition does not match the schema
+   * @static
+   */
+  static parseDefinition(definition, options = {}) {
+    if (options.strict) {
+      const errors = SchemaValidator.validateRoleDefinition(definition);
+      if (errors.length > 0) {
+        throw new SchemaValidationError(
+          errors.map(error => ({ file: options.source || null, ...error }))
+        );
+      }
+    }
+
+    // Extract role metadata
+    const role = definition.role;
+    const category = definition.category;
+
+    // Process each level
+    return Object.entries(definition.levels).map(([code, levelData]) => {
+      // Lists may hold plain strings or { id, text } items, with their IDs stored in `ids`;
+      // IDs are kept in a parallel structure
+      const lists = {};
+      const ids = {};
+      Object.keys(SECTIONS).forEach(field => {
+        const split = splitItems(levelData[field] || [], code, field, (levelData.ids || {})[field]);
+        lists[field] = split.texts;
+        ids[field] = split.ids;
+      });
+
+      return {
+        category,
+        role,
+        level: levelData.level,
+        code,
+        levelNumber: levelData.levelNumber,
+        yearsRange: levelData.yearsRange,
+        ...lists,
+        ids
+      };
+    });
   }
 }
 
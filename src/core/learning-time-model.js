@@ -0,0 +1,332 @@
+/**
+ * Learning Time Model - Estimate the time needed to acquire competencies
+ *
+ * Each competency to acquire costs a number of weeks:
+ *
+ *   weeksPerCompetency × dimensionWeights[dimension] × levelDifficulty[level] × (1 − overlapDiscount × similarity)
+ *
+ * where level is the level the competency belongs to and similarity how close
+ * it is to a competency already held (0 for a new one, see CompetencyMatcher).
+ * Estimates come with a range (the estimate times range.low and range.high).
+ *
+ * calibrate() fits the model to historical promotions: level difficulties are
+ * scaled by the median ratio of actual to estimated time (per target level
+ * when there are enough observations, globally otherwise) and the range is
+ * set to the 10th-90th percentile of the remaining error.
+ *
+ * @module core/learning-time-model
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const DimensionClassifier = require('./dimension-classifier');
+const { InvalidQueryError } = require('./validator');
+
+const DEFAULTS = {
+  weeksPerCompetency: 2,
+  dimensionWeights: {
+    technical: 1,
+    architecture: 1.5,
+    leadership: 1.5,
+    people: 1.25,
+    process: 0.75,
+    communication: 0.75,
+    business: 1
+  },
+  levelDifficulty: { 1: 0.75, 2: 0.85, 3: 1, 4: 1.1, 5: 1.2, 6: 1.35, 7: 1.5, 8: 1.65, 9: 1.8 },
+  overlapDiscount: 0.5,
+  range: { low: 0.75, high: 1.4 }
+};
+
+// Observations needed to calibrate a level on its own, and to fit the range
+const MIN_LEVEL_OBSERVATIONS = 3;
+const MIN_RANGE_OBSERVATIONS = 5;
+const WEEKS_PER_MONTH = 52 / 12;
+
+/**
+ * Parametric learning-time model.
+ *
+ * @class LearningTimeModel
+ */
+class LearningTimeModel {
+  /**
+   * @param {Object} [parameters={}] - Parameters overriding DEFAULTS
+   * @param {number} [parameters.weeksPerCompetency=2] - Weeks for a new technical competency at difficulty 1
+   * @param {Object<string, number>} [parameters.dimensionWeights] - Effort weight per dimension
+   * @param {Object<number, number>} [parameters.levelDifficulty] - Effort multiplier per level number (1-9)
+   * @param {number} [parameters.overlapDiscount=0.5] - Share of the effort saved for a competency
+   *   identical to one already held (scaled by similarity)
+   * @param {Object} [parameters.range] - Range multipliers ({ low, high }) around the estimate
+   * @throws {InvalidQueryError} If a parameter is invalid
+   */
+  constructor(parameters = {}) {
+    this.parameters = LearningTimeModel.DEFAULTS;
+    this.setParameters(parameters);
+  }
+
+  /**
+   * Default parameters (a copy).
+   *
+   * @returns {Object} Parameters
+   */
+  static get DEFAULTS() {
+    return JSON.parse(JSON.stringify(DEFAULTS));
+  }
+
+  /**
+   * Average weeks in a month (52 / 12), used to convert between both units.
+   *
+   * @returns {number} Weeks
+   */
+  static get WEEKS_PER_MONTH() {
+    return WEEKS_PER_MONTH;
+  }
+
+  /**
+   * Current parameters (a copy).
+   *
+   * @returns {Object} Parameters
+   */
+  getParameters() {
+    return JSON.parse(JSON.stringify(this.parameters));
+  }
+
+  /**
+   * Override some parameters; maps are merged key by key.
+   *
+   * @param {Object} parameters - Parameters (see constructor)
+   * @throws {InvalidQueryError} If a parameter is invalid
+   */
+  setParameters(parameters) {
+    if (!parameters || typeof parameters !== 'object') {
+      throw new InvalidQueryError('Learning time parameters must be an object');
+    }
+    const next = this.getParameters();
+
+    if (parameters.weeksPerCompetency !== undefined) {
+      next.weeksPerCompetency = this.positive(parameters.weeksPerCompetency, 'weeksPerCompetency');
+    }
+    Object.entries(parameters.dimensionWeights || {}).forEach(([dimension, weight]) => {
+      if (!DimensionClassifier.DIMENSIONS.includes(dimension)) {
+        throw new InvalidQueryError(`Unknown dimension: ${dimension}`);
+      }
+      next.dimensionWeights[dimension] = this.positive(weight, `dimensionWeights.${dimension}`);
+    });
+    Object.entries(parameters.levelDifficulty || {}).forEach(([level, difficulty]) => {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULTS.levelDifficulty, level)) {
+        throw new InvalidQueryError(`Level difficulty keys must be level numbers from 1 to 9, got: ${level}`);
+      }
+      next.levelDifficulty[level] = this.positive(difficulty, `levelDifficulty.${level}`);
+    });
+    if (parameters.overlapDiscount !== undefined) {
+      const discount = parameters.overlapDiscount;
+      if (typeof discount !== 'number' || Number.isNaN(discount) || discount < 0 || discount > 1) {
+        throw new InvalidQueryError('overlapDiscount must be a number between 0 and 1');
+      }
+      next.overlapDiscount = discount;
+    }
+    if (parameters.range !== undefined) {
+      const range = { ...next.range, ...parameters.range };
+      if (typeof range.low !== 'number' || typeof range.high !== 'number'
+        || !(range.low > 0 && range.low <= 1 && range.high >= 1)) {
+        throw new InvalidQueryError('range must be { low, high } with 0 < low <= 1 <= high');
+      }
+      next.range = { low: range.low, high: range.high };
+    }
+
+    this.parameters = next;
+  }
+
+  /**
+   * Estimate the time to acquire a set of competencies.
+   *
+   * @param {Object[]} items - Competencies to acquire
+   * @param {string} items[].dimension - Dimension (see DimensionClassifier)
+   * @param {number} items[].levelNumber - Level the competency belongs to
+   * @param {number} [items[].similarity=0] - Similarity (0-1) to a competency already held
+   * @returns {Object} { weeks, months, weeksRange: { min, max }, monthsRange: { min, max }, byDimension },
+   *   where byDimension maps each dimension with competencies to its weeks
+   */
+  estimate(items) {
+    const byDimension = {};
+    let total = 0;
+    items.forEach(item => {
+      const effort = this.effort(item);
+      byDimension[item.dimension] = (byDimension[item.dimension] || 0) + effort;
+      total += effort;
+    });
+    Object.keys(byDimension).forEach(dimension => {
+      byDimension[dimension] = Math.round(byDimension[dimension] * 10) / 10;
+    });
+
+    const weeks = Math.round(total);
+    const min = Math.round(total * this.parameters.range.low);
+    const max = Math.round(total * this.parameters.range.high);
+    return {
+      weeks,
+      months: Math.ceil(weeks / WEEKS_PER_MONTH),
+      weeksRange: { min, max },
+      monthsRange: { min: Math.ceil(min / WEEKS_PER_MONTH), max: Math.ceil(max / WEEKS_PER_MONTH) },
+      byDimension
+    };
+  }
+
+  /**
+   * Fit level difficulties and the range to observed learning times.
+   *
+   * @param {Object[]} observations - Observed transitions
+   * @param {Object[]} observations[].items - Competencies acquired (see estimate)
+   * @param {number} observations[].levelNumber - Level reached
+   * @param {number} observations[].weeks - Weeks it actually took
+   * @returns {Object} { observations, factor, levels, range, errorBefore, errorAfter }, where factor
+   *   is the global correction, levels the corrections of levels calibrated on their own and the
+   *   errors are mean absolute percentage errors
+   * @throws {InvalidQueryError} If there are no usable observations
+   */
+  calibrate(observations) {
+    const usable = observations
+      .map(observation => ({ ...observation, predicted: this.rawWeeks(observation.items) }))
+      .filter(observation => observation.predicted > 0);
+    if (usable.length === 0) {
+      throw new InvalidQueryError('Calibration needs at least one observation with competencies to acquire');
+    }
+
+    usable.forEach(observation => {
+      observation.ratio = observation.weeks / observation.predicted;
+    });
+    const factor = this.median(usable.map(observation => observation.ratio));
+
+    const levels = {};
+    const byLevel = new Map();
+    usable.forEach(observation => {
+      if (!byLevel.has(observation.levelNumber)) byLevel.set(observation.levelNumber, []);
+      byLevel.get(observation.levelNumber).push(observation.ratio);
+    });
+    byLevel.forEach((ratios, level) => {
+      if (ratios.length >= MIN_LEVEL_OBSERVATIONS) levels[level] = this.round(this.median(ratios));
+    });
+
+    const errorBefore = this.meanError(usable);
+    const difficulty = {};
+    Object.entries(this.parameters.levelDifficulty).forEach(([level, value]) => {
+      difficulty[level] = this.round(value * (levels[level] ?? factor));
+    });
+    const parameters = { levelDifficulty: difficulty };
+
+    const residuals = usable.map(observation => observation.ratio / (levels[observation.levelNumber] ?? factor));
+    if (residuals.length >= MIN_RANGE_OBSERVATIONS) {
+      parameters.range = {
+        low: this.round(Math.min(1, this.quantile(residuals, 0.1))),
+        high: this.round(Math.max(1, this.quantile(residuals, 0.9)))
+      };
+    }
+    this.setParameters(parameters);
+
+    usable.forEach(observation => {
+      observation.predicted = this.rawWeeks(observation.items);
+    });
+    return {
+      observations: usable.length,
+      factor: this.round(factor),
+      levels,
+      range: { ...this.parameters.range },
+      errorBefore,
+      errorAfter: this.meanError(usable)
+    };
+  }
+
+  /**
+   * Weeks for one competency.
+   *
+   * @param {Object} item - { dimension, levelNumber, similarity }
+   * @returns {number} Weeks (unrounded)
+   * @private
+   */
+  effort(item) {
+    const { weeksPerCompetency, dimensionWeights, levelDifficulty, overlapDiscount } = this.parameters;
+    const weight = dimensionWeights[item.dimension] ?? 1;
+    const difficulty = levelDifficulty[item.levelNumber] ?? 1;
+    const similarity = Math.min(1, Math.max(0, item.similarity || 0));
+    return weeksPerCompetency * weight * difficulty * (1 - overlapDiscount * similarity);
+  }
+
+  /**
+   * Unrounded weeks for a set of competencies.
+   *
+   * @param {Object[]} items - Competencies
+   * @returns {number} Weeks
+   * @private
+   */
+  rawWeeks(items) {
+    return items.reduce((sum, item) => sum + this.effort(item), 0);
+  }
+
+  /**
+   * Mean absolute percentage error of predictions.
+   *
+   * @param {Object[]} observations - { weeks, predicted }
+   * @returns {number} Error (percentage, rounded)
+   * @private
+   */
+  meanError(observations) {
+    const total = observations.reduce((sum, observation) =>
+      sum + Math.abs(observation.predicted - observation.weeks) / observation.weeks, 0);
+    return Math.round((total / observations.length) * 100);
+  }
+
+  /**
+   * Median of numbers.
+   *
+   * @param {number[]} values - Values
+   * @returns {number} Median
+   * @private
+   */
+  median(values) {
+    return this.quantile(values, 0.5);
+  }
+
+  /**
+   * Quantile of numbers with linear interpolation.
+   *
+   * @param {number[]} values - Values
+   * @param {number} q - Quantile (0-1)
+   * @returns {number} Quantile
+   * @private
+   */
+  quantile(values, q) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * Validate a positive number.
+   *
+   * @param {*} value - Value
+   * @param {string} label - Parameter name for the error message
+   * @returns {number} Value
+   * @throws {InvalidQueryError} If the value is not a positive number
+   * @private
+   */
+  positive(value, label) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw new InvalidQueryError(`${label} must be a positive number`);
+    }
+    return value;
+  }
+
+  /**
+   * Round to three decimals.
+   *
+   * @param {number} value - Value
+   * @returns {number} Rounded value
+   * @private
+   */
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = LearningTimeModel;
@@ -0,0 +1,387 @@
+/**
+ * Patcher - Declarative overrides for loaded role entries
+ *
+ * Applies add/remove/replace operations on competencies and indicators, and
+ * yearsRange overrides, keyed by role code ('BE-L5'), or by role name and code
+ * ('Cloud Engineer/CE-L3') for codes several roles share. Runs after parsing and before the
+ * database is built, and records every change so divergence from the upstream
+ * framework can be audited.
+ *
+ * Documents without a language are written in the reference language (the
+ * one the library was created in). Other languages locate their roles and
+ * text targets in the reference entries and apply the patch by competency
+ * ID, so the same documents work in every language view.
+ *
+ * @module core/patcher
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TextAnalyzer = require('./text-analyzer');
+const { PatchError } = require('./validator');
+const { SECTIONS, nextId, splitItems } = require('./competency-ids');
+
+const LIST_FIELDS = Object.keys(SECTIONS);
+
+/**
+ * Language-independent form of a role name ('Cloud Engineer' -> 'cloud-engineer').
+ *
+ * @param {string} name - Role name or slug
+ * @returns {string} Slug
+ * @private
+ */
+function slug(name) {
+  return TextAnalyzer.fold(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Patcher class for applying override documents to role entries.
+ *
+ * @class Patcher
+ */
+class Patcher {
+  /**
+   * Creates a new patcher.
+   *
+   * @param {Object} [options={}] - Patcher options
+   * @param {string} [options.language] - Active language, used to filter language-specific patches
+   * @param {string} [options.referenceLanguage] - Language of documents that do not declare one
+   *   (defaults to the active language)
+   * @param {Function} [options.reference] - Returns the unpatched entries in the reference language
+   */
+  constructor(options = {}) {
+    this.language = options.language || null;
+    this.referenceLanguage = options.referenceLanguage || this.language;
+    this.reference = options.reference || null;
+  }
+
+  /**
+   * Apply patch documents to a list of entries.
+   *
+   * A patch document has the shape:
+   * { language?: 'en', patches: { 'BE-L5': { coreCompetencies: { replace, remove, add }, yearsRange } } }
+   *
+   * Codes shared by several roles (e.g. 'CE-L3', Cloud and Compiler Engineer)
+   * must be qualified with the role name or its slug: 'Cloud Engineer/CE-L3'
+   * or 'cloud-engineer/CE-L3'.
+   *
+   * Targets can be positions, exact texts or competency IDs. Replacements keep
+   * the item's ID, and added items may pin one with { id, text }.
+   *
+   * @param {Object[]} entries - Parsed role entries
+   * @param {Array} [documents=[]] - Patch documents or paths to JSON patch files
+   * @returns {Object} Patched entries and a patch report ({ entries, report })
+   * @throws {PatchError} If a patch targets a missing or ambiguous code, or a missing competency
+   */
+  apply(entries, documents = []) {
+    const byCode = this.indexCodes(entries);
+    const patched = [...entries];
+    const records = new Map();   // position -> report record
+    const retired = new Map();   // position -> IDs removed so far, never handed out again
+    const failures = [];
+    let reference = null;        // reference entries, patched along, for documents in another language
+
+    documents.forEach((document, index) => {
+      const { label, data } = this.resolve(document, index);
+
+      if (data.language && this.language && data.language !== this.language) {
+        return;
+      }
+
+      const foreign = !data.language && this.reference && this.referenceLanguage !== this.language;
+      if (foreign && !reference) {
+        const referenceEntries = this.reference();
+        reference = { entries: [...referenceEntries], byCode: this.indexCodes(referenceEntries), retired: new Map() };
+      }
+
+      Object.entries(data.patches || {}).forEach(([key, original]) => {
+        let patch = original;
+        let located = this.locate(key, byCode, patched);
+        if (foreign) {
+          // Find the role and targets in the language of the document, then apply by ID
+          const target = this.locate(key, reference.byCode, reference.entries);
+          if (target.message) {
+            failures.push({ source: label, code: key, message: target.message });
+            return;
+          }
+          const referenceEntry = this.cloneEntry(reference.entries[target.position]);
+          patch = this.toIds(referenceEntry, original);
+          if (!reference.retired.has(target.position)) reference.retired.set(target.position, []);
+          this.applyPatch(referenceEntry, original, () => {}, reference.retired.get(target.position));
+          reference.entries[target.position] = referenceEntry;
+          located = this.counterpart(referenceEntry, byCode, patched);
+        }
+
+        const { position, code, message } = located;
+        if (message) {
+          failures.push({ source: label, code: key, message });
+          return;
+        }
+
+        const entry = this.cloneEntry(patched[position]);
+        if (!retired.has(position)) retired.set(position, []);
+        const changes = this.applyPatch(entry, patch, failure => {
+          failures.push({ source: label, code: key, ...failure });
+        }, retired.get(position));
+
+        if (changes.length === 0) return;
+
+        patched[position] = entry;
+        if (!records.has(position)) {
+          records.set(position, { code, role: entry.role, sources: [], changes: [] });
+        }
+        const record = records.get(position);
+        if (!record.sources.includes(label)) record.sources.push(label);
+        changes.forEach(change => record.changes.push({ source: label, ...change }));
+      });
+    });
+
+    if (failures.length > 0) {
+      throw new PatchError(failures);
+    }
+
+    const patchedEntries = Array.from(records.values());
+    return {
+      entries: patched,
+      report: {
+        patched: patchedEntries,
+        summary: {
+          patchedEntries: patchedEntries.length,
+          totalChanges: patchedEntries.reduce((sum, r) => sum + r.changes.length, 0)
+        }
+      }
+    };
+  }
+
+  /**
+   * Find the entry a patch key targets.
+   *
+   * @param {string} key - Role code ('BE-L5') or role name and code ('Cloud Engineer/CE-L3')
+   * @param {Map<string, number[]>} byCode - Code -> entry positions
+   * @param {Object[]} entries - Entries
+   * @returns {Object} { position, code }, or { message } if the key is unknown or ambiguous
+   * @private
+   */
+  locate(key, byCode, entries) {
+    const separator = key.lastIndexOf('/');
+    const role = separator === -1 ? null : key.slice(0, separator).trim();
+    const code = key.slice(separator + 1).trim();
+    const positions = (byCode.get(code) || []).filter(position => !role
+      || entries[position].role === role || slug(entries[position].role) === slug(role));
+
+    if (positions.length === 0) {
+      return { message: role ? `Unknown role code "${code}" for role "${role}"` : `Unknown role code "${code}"` };
+    }
+    if (positions.length > 1) {
+      const roles = positions.map(position => `"${entries[position].role}/${code}"`).join(' or ');
+      return { message: `Role code "${code}" is shared by several roles; use ${roles}` };
+    }
+    return { position: positions[0], code };
+  }
+
+  /**
+   * Entry positions by role code.
+   *
+   * @param {Object[]} entries - Entries
+   * @returns {Map<string, number[]>} Code -> entry positions
+   * @private
+   */
+  indexCodes(entries) {
+    const byCode = new Map();
+    entries.forEach((entry, index) => {
+      if (!byCode.has(entry.code)) byCode.set(entry.code, []);
+      byCode.get(entry.code).push(index);
+    });
+    return byCode;
+  }
+
+  /**
+   * Entry of the active language for a reference entry: the one with its
+   * code, or with its competency IDs when several roles share the code.
+   *
+   * @param {Object} referenceEntry - Entry in the reference language
+   * @param {Map<string, number[]>} byCode - Code -> entry positions
+   * @param {Object[]} entries - Entries of the active language
+   * @returns {Object} { position, code }, or { message } if no entry matches
+   * @private
+   */
+  counterpart(referenceEntry, byCode, entries) {
+    const { code } = referenceEntry;
+    const referenceIds = new Set(LIST_FIELDS.flatMap(field => referenceEntry.ids[field]));
+    const positions = byCode.get(code) || [];
+    const matching = positions.length === 1 ? positions : positions.filter(position =>
+      LIST_FIELDS.some(field => this.cloneEntry(entries[position]).ids[field].some(id => referenceIds.has(id))));
+
+    if (matching.length !== 1) {
+      return { message: `Role code "${code}" of ${referenceEntry.role} is not loaded in language "${this.language}"` };
+    }
+    return { position: matching[0], code };
+  }
+
+  /**
+   * Patch with its replace and remove targets given by competency ID, as
+   * found in an entry of the language the patch is written in. Targets the
+   * entry does not have are kept and fail when applied.
+   *
+   * @param {Object} entry - Entry the patch was written for
+   * @param {Object} patch - Patch
+   * @returns {Object} Patch targeting IDs
+   * @private
+   */
+  toIds(entry, patch) {
+    const converted = { ...patch };
+    LIST_FIELDS.forEach(field => {
+      const operations = patch[field];
+      if (!operations) return;
+
+      const toId = target => {
+        const index = this.findIndex(entry[field], target, entry.ids[field]);
+        return index === -1 ? target : entry.ids[field][index];
+      };
+      converted[field] = {
+        ...operations,
+        replace: (operations.replace || []).map(replacement => ({ ...replacement, from: toId(replacement.from) })),
+        remove: (operations.remove || []).map(toId)
+      };
+    });
+    return converted;
+  }
+
+  /**
+   * Apply a single patch to an entry (mutates the entry).
+   *
+   * @param {Object} entry - Cloned entry to patch
+   * @param {Object} patch - Patch for this entry
+   * @param {Function} fail - Callback receiving failure details
+   * @param {string[]} [retired=[]] - IDs removed earlier from this entry (appended to)
+   * @returns {Object[]} Applied changes
+   * @private
+   */
+  applyPatch(entry, patch, fail, retired = []) {
+    const changes = [];
+
+    LIST_FIELDS.forEach(field => {
+      const operations = patch[field];
+      if (!operations) return;
+
+      const list = entry[field];
+      const ids = entry.ids[field];
+
+      // Replacements keep the ID of the item they reword
+      (operations.replace || []).forEach(({ from, to }) => {
+        const index = this.findIndex(list, from, ids);
+        if (index === -1) {
+          fail({ field, op: 'replace', target: from, message: `Target not found in ${field}` });
+          return;
+        }
+        changes.push({ field, op: 'replace', before: list[index], after: to });
+        list[index] = to;
+      });
+
+      // Resolve every removal target first so indexes refer to the list before removals
+      const removals = (operations.remove || []).map(target => ({ target, index: this.findIndex(list, target, ids) }));
+      removals.forEach(({ target, index }) => {
+        if (index === -1) {
+          fail({ field, op: 'remove', target, message: `Target not found in ${field}` });
+        }
+      });
+      removals
+        .filter(({ index }) => index !== -1)
+        .sort((a, b) => b.index - a.index)
+        .forEach(({ index }) => {
+          changes.push({ field, op: 'remove', before: list[index], after: null });
+          list.splice(index, 1);
+          retired.push(...ids.splice(index, 1));
+        });
+
+      // Added items get the next free positional ID unless they pin one ({ id, text })
+      (operations.add || []).forEach(value => {
+        const pinned = value && typeof value === 'object';
+        const id = pinned && value.id ? value.id : nextId(entry.code, field, [...ids, ...retired]);
+        const text = pinned ? value.text : value;
+        changes.push({ field, op: 'add', before: null, after: text });
+        list.push(text);
+        ids.push(id);
+      });
+    });
+
+    if (patch.yearsRange) {
+      const after = { ...entry.yearsRange, ...patch.yearsRange };
+      changes.push({ field: 'yearsRange', op: 'replace', before: { ...entry.yearsRange }, after });
+      entry.yearsRange = after;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Find a patch target in a list, by position, exact text or competency ID.
+   *
+   * @param {string[]} list - List to search
+   * @param {string|number} target - Index, exact text or ID
+   * @param {string[]} ids - IDs parallel to the list
+   * @returns {number} Index or -1
+   * @private
+   */
+  findIndex(list, target, ids) {
+    if (typeof target === 'number') {
+      return Number.isInteger(target) && target >= 0 && target < list.length ? target : -1;
+    }
+    const index = list.indexOf(target);
+    return index !== -1 ? index : ids.indexOf(target);
+  }
+
+  /**
+   * Resolve a patch document from an object or a JSON file path.
+   *
+   * @param {string|Object} document - Patch document or path
+   * @param {number} index - Position of the document in the options list
+   * @returns {Object} Labelled document ({ label, data })
+   * @private
+   */
+  resolve(document, index) {
+    if (typeof document === 'string') {
+      const resolved = path.resolve(document);
+      try {
+        return { label: resolved, data: JSON.parse(fs.readFileSync(resolved, 'utf-8')) };
+      } catch (error) {
+        throw new Error(`Failed to load patch file "${document}": ${error.message}`);
+      }
+    }
+
+    if (document && typeof document === 'object') {
+      return { label: document.name || `inline[${index}]`, data: document };
+    }
+
+    throw new Error(`Invalid patch document at position ${index}`);
+  }
+
+  /**
+   * Clone an entry so the parsed data is never mutated.
+   *
+   * @param {Object} entry - Entry to clone
+   * @returns {Object} Cloned entry
+   * @private
+   */
+  cloneEntry(entry) {
+    const ids = {};
+    LIST_FIELDS.forEach(field => {
+      ids[field] = entry.ids
+        ? [...entry.ids[field]]
+        : splitItems(entry[field], entry.code, field).ids;
+    });
+
+    return {
+      ...entry,
+      yearsRange: { ...entry.yearsRange },
+      coreCompetencies: [...entry.coreCompetencies],
+      complementaryCompetencies: [...entry.complementaryCompetencies],
+      indicators: [...entry.indicators],
+      ids
+    };
+  }
+}
+
+module.exports = Patcher;
@@ -0,0 +1,128 @@
+/**
+ * Phrase Index - Longest-match lookup of keyword phrases in texts
+ *
+ * Maps phrases ('encryption at rest', 'K8s', 'code review') to IDs and finds
+ * them in free text. Phrases and texts are folded, split and stemmed the same
+ * way (see TextAnalyzer), so 'API' and 'APIs', or 'Autenticación' and
+ * 'autenticacion', match. Overlapping phrases resolve to the longest one, and
+ * phrases added later win ties. Hyphenated compounds of three or more words
+ * ('go-to-market', 'end-to-end') are single words, so 'go' does not match
+ * inside them; two-word compounds ('cloud-native') split into their words.
+ *
+ * @module core/phrase-index
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const TextAnalyzer = require('./text-analyzer');
+
+// Hyphenated compounds with at least this many words are matched as one word
+const MIN_COMPOUND_PARTS = 3;
+
+/**
+ * Phrase index over one analyzer language.
+ *
+ * @class PhraseIndex
+ */
+class PhraseIndex {
+  /**
+   * @param {string} [language='en'] - Language of the texts (stemming)
+   */
+  constructor(language = 'en') {
+    this.analyzer = new TextAnalyzer(language);
+    this.phrases = new Map(); // first token -> [{ tokens, id }], longest first
+  }
+
+  /**
+   * Add a phrase for an ID.
+   *
+   * @param {string} phrase - Word or phrase
+   * @param {string} id - ID the phrase stands for
+   * @returns {boolean} False when the phrase has no words
+   */
+  add(phrase, id) {
+    const tokens = this.tokenize(phrase);
+    if (tokens.length === 0) return false;
+
+    if (!this.phrases.has(tokens[0])) this.phrases.set(tokens[0], []);
+    const candidates = this.phrases.get(tokens[0]);
+    candidates.unshift({ tokens, id });
+    candidates.sort((a, b) => b.tokens.length - a.tokens.length);
+    return true;
+  }
+
+  /**
+   * Remove every phrase of an ID.
+   *
+   * @param {string} id - ID
+   */
+  remove(id) {
+    this.phrases.forEach((candidates, token) => {
+      const kept = candidates.filter(candidate => candidate.id !== id);
+      if (kept.length > 0) {
+        this.phrases.set(token, kept);
+      } else {
+        this.phrases.delete(token);
+      }
+    });
+  }
+
+  /**
+   * IDs of the phrases found in a text, in order of appearance and with
+   * repetitions. Matched words are consumed, so phrases never overlap.
+   *
+   * @param {string} text - Text
+   * @returns {string[]} IDs
+   */
+  scan(text) {
+    const tokens = this.tokenize(text);
+    const found = [];
+    let i = 0;
+    while (i < tokens.length) {
+      const match = (this.phrases.get(tokens[i]) || []).find(candidate =>
+        candidate.tokens.every((token, offset) => tokens[i + offset] === token));
+      if (match) {
+        found.push(match.id);
+        i += match.tokens.length;
+      } else {
+        i++;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * ID of a phrase matching the whole text.
+   *
+   * @param {string} text - Text
+   * @returns {string|null} ID or null
+   */
+  find(text) {
+    const key = this.tokenize(text).join(' ');
+    const phrase = (this.phrases.get(key.split(' ')[0]) || [])
+      .find(candidate => candidate.tokens.join(' ') === key);
+    return phrase ? phrase.id : null;
+  }
+
+  /**
+   * Fold, split and stem a text into matching tokens. Unlike search terms,
+   * stop words are kept ('infrastructure as code') and '+' and '#' stay part
+   * of a word ('C++', 'C#'). Compounds of three or more hyphenated words are
+   * one token, stemmed on their last word.
+   *
+   * @param {string} text - Text
+   * @returns {string[]} Tokens
+   * @private
+   */
+  tokenize(text) {
+    return TextAnalyzer.fold(text)
+      .split(/[^\p{L}\p{N}+#-]+/u)
+      .flatMap(word => {
+        const parts = word.split('-').filter(Boolean);
+        if (parts.length < MIN_COMPOUND_PARTS) return parts.map(part => this.analyzer.stem(part));
+        return [[...parts.slice(0, -1), this.analyzer.stem(parts[parts.length - 1])].join('-')];
+      });
+  }
+}
+
+module.exports = PhraseIndex;
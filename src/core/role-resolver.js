@@ -0,0 +1,321 @@
+/**
+ * Role Resolver - Lenient role-name lookup with suggestions
+ *
+ * Maps user input to a loaded role name. Matches are tried in order:
+ * exact name, case- and accent-insensitive name, alias, code prefix ('BE'),
+ * the role's name in the other bundled languages (including role-names.json),
+ * and finally a fuzzy match (word prefixes and edit distance). Failed lookups
+ * throw a RoleNotFoundError with ranked suggestions.
+ *
+ * @module core/role-resolver
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TextAnalyzer = require('./text-analyzer');
+const { Validator, RoleNotFoundError, InvalidQueryError } = require('./validator');
+
+const TRANSLATIONS_ROOT = path.join(__dirname, '../i18n/translations');
+const ROLE_NAMES_PATH = path.join(__dirname, '../i18n/role-names.json');
+
+// Key sources, in priority order when two sources claim the same key
+const SOURCES = ['name', 'alias', 'code', 'translation'];
+
+const DEFAULT_MIN_SCORE = 0.8;
+const AMBIGUITY_MARGIN = 0.05;
+const SUGGESTION_MIN_SCORE = 0.5;
+const MAX_SUGGESTIONS = 5;
+
+let bundledNames = null; // file name -> { prefix, names: Set of role names in every bundled language }
+
+/**
+ * Normalize a name for comparison: fold accents and case, collapse whitespace.
+ *
+ * @param {string} text - Name
+ * @returns {string} Key
+ * @private
+ */
+function toKey(text) {
+  return TextAnalyzer.fold(text).replace(/[^\p{L}\p{N}+#&]+/gu, ' ').trim();
+}
+
+/**
+ * Code prefix of a role code ('BE-L3' -> 'BE').
+ *
+ * @param {string} code - Role code
+ * @returns {string} Prefix
+ * @private
+ */
+function codePrefix(code) {
+  return code.replace(/-L[1-9]$/, '');
+}
+
+/**
+ * Load the role names of every bundled language, keyed by file name (roles
+ * such as Cloud and Compiler Engineer share a code prefix), plus the
+ * translations listed in role-names.json. Read once and shared.
+ *
+ * @returns {Map<string, Object>} File name -> { prefix, names }
+ * @private
+ */
+function loadBundledNames() {
+  if (bundledNames) return bundledNames;
+
+  bundledNames = new Map();
+  const byName = new Map(); // name -> file name
+
+  try {
+    fs.readdirSync(TRANSLATIONS_ROOT).forEach(language => {
+      const dir = path.join(TRANSLATIONS_ROOT, language);
+      if (!fs.statSync(dir).isDirectory()) return;
+
+      fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+        const definition = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+        const [code] = Object.keys(definition.levels || {});
+        if (!definition.role || !code) return;
+
+        if (!bundledNames.has(file)) bundledNames.set(file, { prefix: codePrefix(code), names: new Set() });
+        bundledNames.get(file).names.add(definition.role);
+        byName.set(definition.role, file);
+      });
+    });
+
+    const roleNames = JSON.parse(fs.readFileSync(ROLE_NAMES_PATH, 'utf-8'));
+    Object.entries(roleNames).forEach(([original, translations]) => {
+      const names = [original, ...Object.values(translations)];
+      const file = names.map(name => byName.get(name)).find(Boolean);
+      if (file) names.forEach(name => bundledNames.get(file).names.add(name));
+    });
+  } catch (error) {
+    // Translations are optional for resolution; fall back to loaded names only
+  }
+
+  return bundledNames;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions).
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ * @private
+ */
+function editDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i].push(j);
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, rows[i - 2][j - 2] + 1);
+      }
+      rows[i].push(value);
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Role name resolver.
+ *
+ * @class RoleResolver
+ */
+class RoleResolver {
+  /**
+   * @param {CompetencyDatabase} database - Loaded database
+   * @param {Object} [options={}] - Resolver options
+   * @param {Object<string, string>} [options.aliases={}] - Alias -> role name (any accepted form)
+   * @param {number} [options.minScore=0.8] - Minimum fuzzy score (0-1) to resolve without asking
+   */
+  constructor(database, options = {}) {
+    this.db = database;
+    this.minScore = options.minScore ?? DEFAULT_MIN_SCORE;
+    this.keys = null; // key -> { role, source }
+    this.pendingAliases = Object.entries(options.aliases || {});
+  }
+
+  /**
+   * Normalize a name the way lookups compare it (folded case and accents,
+   * punctuation collapsed to single spaces).
+   *
+   * @param {string} text - Name
+   * @returns {string} Lookup key
+   */
+  static normalize(text) {
+    return toKey(text);
+  }
+
+  /**
+   * Resolve input to a loaded role name.
+   *
+   * @param {string} name - Role name, alias, code prefix or approximate name
+   * @returns {string} Loaded role name
+   * @throws {RoleNotFoundError} If nothing matches confidently (with suggestions)
+   */
+  resolve(name) {
+    const match = this.match(name);
+    if (!match) {
+      throw new RoleNotFoundError(name, this.suggest(name).map(s => s.role));
+    }
+    return match.role;
+  }
+
+  /**
+   * Find the role matching an input.
+   *
+   * @param {string} name - Input
+   * @returns {Object|null} { role, matchedBy, score } or null
+   */
+  match(name) {
+    Validator.validateRoleName(name);
+
+    if (this.db.getByRole(name).length > 0) {
+      return { role: name, matchedBy: 'exact', score: 1 };
+    }
+
+    const key = toKey(name);
+    const found = this.getKeys().get(key);
+    if (found) {
+      return { role: found.role, matchedBy: found.source, score: 1 };
+    }
+
+    const [best, second] = this.rank(key);
+    if (!best || best.score < this.minScore) return null;
+    if (second && best.score - second.score < AMBIGUITY_MARGIN) return null;
+    return { role: best.role, matchedBy: 'fuzzy', score: best.score };
+  }
+
+  /**
+   * Suggest roles for an input, best first.
+   *
+   * @param {string} name - Input
+   * @param {number} [limit=5] - Maximum suggestions
+   * @returns {Object[]} Suggestions ({ role, score })
+   */
+  suggest(name, limit = MAX_SUGGESTIONS) {
+    return this.rank(toKey(name))
+      .filter(candidate => candidate.score >= SUGGESTION_MIN_SCORE)
+      .slice(0, limit);
+  }
+
+  /**
+   * Register an alias for a role.
+   *
+   * @param {string} alias - Alias
+   * @param {string} role - Target role (any form the resolver accepts)
+   * @throws {RoleNotFoundError} If the target role cannot be resolved
+   * @throws {InvalidQueryError} If the alias is the name of another role
+   */
+  addAlias(alias, role) {
+    Validator.validateRoleName(alias);
+    const target = this.resolve(role);
+    const key = toKey(alias);
+    const existing = this.getKeys().get(key);
+
+    if (existing && existing.source === 'name' && existing.role !== target) {
+      throw new InvalidQueryError(`Alias "${alias}" is already the name of role "${existing.role}"`);
+    }
+    this.keys.set(key, { role: target, source: 'alias' });
+  }
+
+  /**
+   * Lookup keys (normalized names, aliases, code prefixes and translations),
+   * built on first use.
+   *
+   * @returns {Map<string, Object>} Key -> { role, source }
+   */
+  getKeys() {
+    if (this.keys) return this.keys;
+
+    const candidates = [];
+    const names = loadBundledNames();
+
+    const bundled = Array.from(names.values());
+
+    this.db.getAllRoles().forEach(role => {
+      candidates.push({ key: toKey(role), role, source: 'name' });
+
+      const prefixes = new Set(this.db.getByRole(role).map(entry => codePrefix(entry.code)));
+      prefixes.forEach(prefix => candidates.push({ key: toKey(prefix), role, source: 'code' }));
+
+      // Bundled role by name, or by code prefix when no other bundled role shares it
+      const own = bundled.filter(group => group.names.has(role));
+      const matches = own.length > 0 ? own : bundled.filter(group => prefixes.has(group.prefix)
+        && bundled.filter(other => other.prefix === group.prefix).length === 1);
+      matches.forEach(group => group.names.forEach(translated => {
+        candidates.push({ key: toKey(translated), role, source: 'translation' });
+      }));
+    });
+
+    candidates.sort((a, b) => SOURCES.indexOf(a.source) - SOURCES.indexOf(b.source));
+    this.keys = new Map();
+    candidates.forEach(candidate => {
+      if (!this.keys.has(candidate.key)) {
+        this.keys.set(candidate.key, { role: candidate.role, source: candidate.source });
+      }
+    });
+
+    const aliases = this.pendingAliases;
+    this.pendingAliases = [];
+    aliases.forEach(([alias, role]) => this.addAlias(alias, role));
+
+    return this.keys;
+  }
+
+  /**
+   * Score every role against a key, best first, one candidate per role.
+   *
+   * @param {string} key - Normalized input
+   * @returns {Object[]} Candidates ({ role, score })
+   * @private
+   */
+  rank(key) {
+    const best = new Map(); // role -> score
+
+    this.getKeys().forEach(({ role, source }, candidate) => {
+      if (source === 'code') return;
+      const score = this.score(key, candidate);
+      if (score > (best.get(role) || 0)) best.set(role, score);
+    });
+
+    return Array.from(best.entries())
+      .map(([role, score]) => ({ role, score: Math.round(score * 1000) / 1000 }))
+      .sort((a, b) => b.score - a.score || a.role.localeCompare(b.role));
+  }
+
+  /**
+   * Similarity between an input and a known name (0-1). Word prefixes in
+   * order ('backend dev' -> 'backend developer') score at least 0.8; other
+   * inputs score by edit distance.
+   *
+   * @param {string} input - Normalized input
+   * @param {string} candidate - Normalized known name
+   * @returns {number} Score
+   * @private
+   */
+  score(input, candidate) {
+    if (!input || !candidate) return 0;
+
+    const inputWords = input.split(' ');
+    const candidateWords = candidate.split(' ');
+    let position = 0;
+    const prefixMatch = inputWords.every(word => {
+      while (position < candidateWords.length && !candidateWords[position].startsWith(word)) position++;
+      return position++ < candidateWords.length;
+    });
+    const prefixScore = prefixMatch ? 0.8 + 0.2 * (input.length / candidate.length) : 0;
+
+    const editScore = 1 - editDistance(input, candidate) / Math.max(input.length, candidate.length);
+    return Math.max(prefixScore, editScore);
+  }
+}
+
+module.exports = RoleResolver;
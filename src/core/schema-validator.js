@@ -0,0 +1,293 @@
+/**
+ * Schema Validator - JSON Schema validation for role definition files
+ *
+ * Implements the subset of JSON Schema (draft-07) used by the bundled
+ * role definition schema, without external dependencies, and adds the
+ * consistency checks that a schema cannot express (level numbers that
+ * match their codes, ordered years ranges, unique competency IDs and one
+ * stored ID per list item).
+ *
+ * @module core/schema-validator
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const roleDefinitionSchema = require('../schema/role-definition.schema.json');
+const { SECTIONS, splitItems } = require('./competency-ids');
+
+/**
+ * Get the JSON type name of a value.
+ *
+ * @param {*} value - Value to inspect
+ * @returns {string} JSON Schema type name
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Render a list of path segments as a readable field path.
+ *
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {string} Field path (e.g. 'levels.BE-L3.coreCompetencies[2]')
+ * @private
+ */
+function formatPath(segments) {
+  return segments.reduce((acc, segment) => {
+    if (typeof segment === 'number') return `${acc}[${segment}]`;
+    return acc ? `${acc}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * Validator for a subset of JSON Schema draft-07.
+ *
+ * @class SchemaValidator
+ */
+class SchemaValidator {
+  /**
+   * Creates a validator for a schema.
+   *
+   * @param {Object} [schema] - Root schema (defaults to the role definition schema)
+   */
+  constructor(schema = roleDefinitionSchema) {
+    this.schema = schema;
+  }
+
+  /**
+   * Validate data against the schema.
+   *
+   * @param {*} data - Data to validate
+   * @returns {Object[]} Array of errors ({ path, segments, message }), empty when valid
+   */
+  validate(data) {
+    const errors = [];
+    this.check(this.schema, data, [], errors);
+    return errors.map(error => ({ path: formatPath(error.path), segments: error.path, message: error.message }));
+  }
+
+  /**
+   * Check a value against a schema node.
+   *
+   * @param {Object} schema - Schema node
+   * @param {*} value - Value to check
+   * @param {Array} segments - Current path
+   * @param {Object[]} errors - Error accumulator
+   * @private
+   */
+  check(schema, value, segments, errors) {
+    if (schema.$ref) {
+      this.check(this.resolveRef(schema.$ref), value, segments, errors);
+      return;
+    }
+
+    const fail = message => errors.push({ path: segments, message });
+    const actualType = typeOf(value);
+
+    if (schema.type) {
+      const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const matches = allowed.some(type =>
+        type === actualType || (type === 'number' && actualType === 'integer')
+      );
+      if (!matches) {
+        fail(`must be ${allowed.join(' or ')}, got ${actualType}`);
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.oneOf) {
+      const results = schema.oneOf.map(option => {
+        const optionErrors = [];
+        this.check(option, value, segments, optionErrors);
+        return optionErrors;
+      });
+      const matching = results.filter(optionErrors => optionErrors.length === 0).length;
+
+      if (matching === 0) {
+        // When only one option accepts the value's type, its errors are the most precise report
+        const sameType = schema.oneOf
+          .map((option, index) => ({ option: option.$ref ? this.resolveRef(option.$ref) : option, index }))
+          .filter(({ option }) => [].concat(option.type || []).some(type =>
+            type === actualType || (type === 'number' && actualType === 'integer')
+          ));
+        if (sameType.length === 1) {
+          errors.push(...results[sameType[0].index]);
+        } else {
+          fail('must match one of the allowed formats');
+        }
+      } else if (matching > 1) {
+        fail('must match exactly one of the allowed formats');
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        fail(`must have at least ${schema.minLength} character(s)`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        fail(`must have at most ${schema.maxLength} character(s)`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        fail(`must match pattern ${schema.pattern}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        fail(`must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        fail(`must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (actualType === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`must have at least ${schema.minItems} item(s)`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.check(schema.items, item, [...segments, index], errors));
+      }
+    }
+
+    if (actualType === 'object') {
+      this.checkObject(schema, value, segments, errors);
+    }
+  }
+
+  /**
+   * Check object keywords (required, properties, additionalProperties, ...).
+   *
+   * @param {Object} schema - Schema node
+   * @param {Object} value - Object to check
+   * @param {Array} segments - Current path
+   * @param {Object[]} errors - Error accumulator
+   * @private
+   */
+  checkObject(schema, value, segments, errors) {
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push({ path: [...segments, key], message: 'is required' });
+      }
+    });
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push({ path: segments, message: `must have at least ${schema.minProperties} propert(ies)` });
+    }
+
+    keys.forEach(key => {
+      const childPath = [...segments, key];
+
+      if (schema.propertyNames && schema.propertyNames.pattern &&
+        !new RegExp(schema.propertyNames.pattern).test(key)) {
+        errors.push({ path: childPath, message: `key must match pattern ${schema.propertyNames.pattern}` });
+      }
+
+      if (properties[key]) {
+        this.check(properties[key], value[key], childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not an allowed property' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        this.check(schema.additionalProperties, value[key], childPath, errors);
+      }
+    });
+  }
+
+  /**
+   * Resolve a local reference ('#/definitions/...').
+   *
+   * @param {string} ref - Reference
+   * @returns {Object} Referenced schema node
+   * @private
+   */
+  resolveRef(ref) {
+    const node = ref.replace(/^#\//, '').split('/')
+      .reduce((acc, key) => (acc ? acc[key] : undefined), this.schema);
+    if (!node) {
+      throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+    return node;
+  }
+
+  /**
+   * Validate a role definition against the bundled schema and consistency rules.
+   *
+   * @param {Object} definition - Role definition ({ role, category, levels })
+   * @returns {Object[]} Array of errors ({ code, path, message }), empty when valid
+   * @static
+   */
+  static validateRoleDefinition(definition) {
+    const errors = new SchemaValidator().validate(definition).map(error => ({
+      code: error.segments[0] === 'levels' && error.segments.length > 1 ? error.segments[1] : null,
+      path: error.path,
+      message: error.message
+    }));
+
+    if (errors.length > 0 || !definition || typeof definition.levels !== 'object') {
+      return errors;
+    }
+
+    const seenIds = new Set();
+
+    Object.entries(definition.levels).forEach(([code, level]) => {
+      Object.keys(SECTIONS).forEach(field => {
+        const stored = (level.ids || {})[field];
+        if (stored && stored.length !== level[field].length) {
+          errors.push({
+            code,
+            path: formatPath(['levels', code, 'ids', field]),
+            message: `must list one ID per item (${level[field].length}), got ${stored.length}`
+          });
+        }
+        splitItems(level[field], code, field, stored).ids.forEach((id, index) => {
+          if (seenIds.has(id)) {
+            errors.push({
+              code,
+              path: formatPath(['levels', code, field, index]),
+              message: `duplicates competency ID "${id}"`
+            });
+          }
+          seenIds.add(id);
+        });
+      });
+
+      const codeNumber = Number(code.slice(-1));
+      if (level.levelNumber !== codeNumber) {
+        errors.push({
+          code,
+          path: formatPath(['levels', code, 'levelNumber']),
+          message: `must match the level in the code (${codeNumber})`
+        });
+      }
+      if (Number(level.level.charAt(1)) !== level.levelNumber) {
+        errors.push({
+          code,
+          path: formatPath(['levels', code, 'level']),
+          message: `must start with level ${level.levelNumber}`
+        });
+      }
+      if (level.yearsRange.max !== null && level.yearsRange.max < level.yearsRange.min) {
+        errors.push({
+          code,
+          path: formatPath(['levels', code, 'yearsRange', 'max']),
+          message: 'must be greater than or equal to yearsRange.min'
+        });
+      }
+    });
+
+    return errors;
+  }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,279 @@
+/**
+ * Search Index - Inverted index with BM25 ranking
+ *
+ * Indexes every entry (role-level) by field: role, category, level label,
+ * core and complementary competencies, and indicators. Queries are ranked
+ * with BM25 computed per field and weighted by field boosts, and each hit
+ * reports the competencies or indicators that matched, with a snippet.
+ * Text is analyzed (accent folding, stop words, stemming) by TextAnalyzer.
+ *
+ * @module core/search-index
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const TextAnalyzer = require('./text-analyzer');
+
+/**
+ * Default field boosts. Matches in role names outweigh matches in long lists.
+ *
+ * @type {Object<string, number>}
+ */
+const DEFAULT_BOOSTS = {
+  role: 4,
+  category: 2,
+  level: 1.5,
+  coreCompetencies: 1.5,
+  complementaryCompetencies: 1,
+  indicators: 1
+};
+
+const LIST_FIELDS = ['coreCompetencies', 'complementaryCompetencies', 'indicators'];
+
+// BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Weight of index terms that only match a query term by prefix
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 3;
+
+/**
+ * Inverted index over competency entries.
+ *
+ * @class SearchIndex
+ */
+class SearchIndex {
+  /**
+   * Build the index.
+   *
+   * @param {Object[]} entries - Entries to index
+   * @param {Object} [options={}] - Index options
+   * @param {string} [options.language='en'] - Language of the entries (stop words and stemming)
+   */
+  constructor(entries, options = {}) {
+    this.entries = entries;
+    this.analyzer = new TextAnalyzer(options.language || 'en');
+    this.documents = [];         // per entry: field -> { tf, length }
+    this.postings = new Map();   // term -> Set of entry positions
+    this.averageLength = {};     // field -> average length in terms
+
+    this.build();
+  }
+
+  /**
+   * Build postings, per-field term frequencies and average field lengths.
+   *
+   * @private
+   */
+  build() {
+    const totals = {};
+    Object.keys(DEFAULT_BOOSTS).forEach(field => { totals[field] = 0; });
+
+    this.entries.forEach((entry, position) => {
+      const document = {};
+
+      Object.keys(DEFAULT_BOOSTS).forEach(field => {
+        const texts = LIST_FIELDS.includes(field) ? entry[field] : [entry[field] || ''];
+        const tf = new Map();
+        let length = 0;
+
+        texts.forEach(text => {
+          this.analyzer.analyze(text).forEach(term => {
+            tf.set(term, (tf.get(term) || 0) + 1);
+            length++;
+          });
+        });
+
+        tf.forEach((_, term) => {
+          if (!this.postings.has(term)) this.postings.set(term, new Set());
+          this.postings.get(term).add(position);
+        });
+
+        document[field] = { tf, length };
+        totals[field] += length;
+      });
+
+      this.documents.push(document);
+    });
+
+    Object.keys(totals).forEach(field => {
+      this.averageLength[field] = this.entries.length > 0 ? totals[field] / this.entries.length : 0;
+    });
+  }
+
+  /**
+   * Names of the indexed fields.
+   *
+   * @returns {string[]} Field names
+   */
+  static get FIELDS() {
+    return Object.keys(DEFAULT_BOOSTS);
+  }
+
+  /**
+   * Expand query terms into weighted index terms (exact match and prefix matches).
+   *
+   * @param {string[]} queryTerms - Tokenized query
+   * @returns {Map<string, Object>} Index term -> { weight, queryTerm }
+   * @private
+   */
+  expand(queryTerms) {
+    const expanded = new Map();
+
+    queryTerms.forEach(queryTerm => {
+      if (this.postings.has(queryTerm)) {
+        expanded.set(queryTerm, { weight: 1, queryTerm });
+      }
+      if (queryTerm.length < MIN_PREFIX_LENGTH) return;
+
+      this.postings.forEach((_, term) => {
+        if (term !== queryTerm && term.startsWith(queryTerm) && !expanded.has(term)) {
+          expanded.set(term, { weight: PREFIX_WEIGHT, queryTerm });
+        }
+      });
+    });
+
+    return expanded;
+  }
+
+  /**
+   * Inverse document frequency of a term (BM25 variant, always positive).
+   *
+   * @param {string} term - Index term
+   * @returns {number} IDF
+   * @private
+   */
+  idf(term) {
+    const df = this.postings.get(term).size;
+    return Math.log(1 + (this.entries.length - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Search the index.
+   *
+   * @param {string} query - Free-text query
+   * @param {Object} [options={}] - Search options
+   * @param {Function} [options.filter] - Predicate on entries; entries returning false are skipped
+   * @param {Object<string, number>} [options.boosts] - Field boosts (merged with the defaults)
+   * @param {Object} [options.highlight] - Snippet markers ({ pre, post }, default '**')
+   * @param {number} [options.snippetLength=120] - Maximum snippet length in characters
+   * @returns {Object[]} Hits sorted by score ({ entry, score, fields, matches })
+   */
+  search(query, options = {}) {
+    const queryTerms = Array.from(new Set(this.analyzer.analyze(query)));
+    const expanded = this.expand(queryTerms);
+    const candidates = new Set();
+
+    expanded.forEach((_, term) => {
+      this.postings.get(term).forEach(position => candidates.add(position));
+    });
+
+    const boosts = { ...DEFAULT_BOOSTS, ...options.boosts };
+    const hits = [];
+    candidates.forEach(position => {
+      const entry = this.entries[position];
+      if (options.filter && !options.filter(entry)) return;
+
+      const document = this.documents[position];
+      const fields = new Set();
+      const matchedTerms = new Map(); // field -> Set of index terms
+      let score = 0;
+
+      expanded.forEach(({ weight }, term) => {
+        const idf = this.idf(term);
+
+        Object.entries(boosts).forEach(([field, boost]) => {
+          const { tf, length } = document[field];
+          const frequency = tf.get(term);
+          if (!frequency || boost <= 0) return;
+
+          const norm = this.averageLength[field] > 0 ? length / this.averageLength[field] : 1;
+          score += weight * boost * idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * norm));
+          fields.add(field);
+          if (!matchedTerms.has(field)) matchedTerms.set(field, new Set());
+          matchedTerms.get(field).add(term);
+        });
+      });
+
+      if (score <= 0) return;
+
+      hits.push({
+        entry,
+        score,
+        fields: Array.from(fields),
+        matches: this.collectMatches(entry, matchedTerms, options)
+      });
+    });
+
+    return hits.sort((a, b) => b.score - a.score || a.entry.code.localeCompare(b.entry.code));
+  }
+
+  /**
+   * List the field values that matched, with highlighted snippets. Values are
+   * analyzed again rather than kept in the index, which only holds counts.
+   *
+   * @param {Object} entry - Matched entry
+   * @param {Map<string, Set<string>>} matchedTerms - Field -> matched index terms
+   * @param {Object} options - Search options
+   * @returns {Object[]} Matches ({ field, index, id, text, snippet })
+   * @private
+   */
+  collectMatches(entry, matchedTerms, options) {
+    const matches = [];
+
+    matchedTerms.forEach((terms, field) => {
+      const isList = LIST_FIELDS.includes(field);
+      const texts = isList ? entry[field] : [entry[field]];
+
+      texts.forEach((text, index) => {
+        const itemTerms = new Set(this.analyzer.analyze(text || ''));
+        const hitTerms = Array.from(terms).filter(term => itemTerms.has(term));
+        if (hitTerms.length === 0) return;
+
+        matches.push({
+          field,
+          index: isList ? index : null,
+          id: isList && entry.ids ? entry.ids[field][index] : null,
+          text: texts[index],
+          snippet: this.snippet(texts[index], hitTerms, options)
+        });
+      });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Build a snippet of a text with the matched words highlighted.
+   *
+   * @param {string} text - Matched text
+   * @param {string[]} terms - Matched index terms
+   * @param {Object} options - Search options (highlight, snippetLength)
+   * @returns {string} Snippet
+   * @private
+   */
+  snippet(text, terms, options) {
+    const { pre = '**', post = '**' } = options.highlight || {};
+    const maxLength = options.snippetLength || 120;
+    const wordPattern = /[\p{L}\p{N}+#\-/]+/gu;
+    let first = -1;
+
+    const highlighted = text.replace(wordPattern, (word, offset) => {
+      const wordTerms = this.analyzer.analyze(word);
+      if (!wordTerms.some(term => terms.includes(term))) return word;
+      if (first === -1) first = offset;
+      return `${pre}${word}${post}`;
+    });
+
+    if (text.length <= maxLength) return highlighted;
+
+    // Long texts: cut a window around the first match, then highlight inside it
+    const start = Math.max(0, Math.min(first - Math.floor(maxLength / 3), text.length - maxLength));
+    const window = text.slice(start, start + maxLength);
+    return `${start > 0 ? '...' : ''}${this.snippet(window, terms, { ...options, snippetLength: Infinity })}` +
+      `${start + maxLength < text.length ? '...' : ''}`;
+  }
+}
+
+module.exports = SearchIndex;
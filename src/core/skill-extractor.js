@@ -0,0 +1,148 @@
+/**
+ * Skill Extractor - Tag competency texts with normalized skills
+ *
+ * Competencies mention technologies and practices inside prose ("Ability to
+ * implement robust authentication and authorization (JWT, OAuth)"). The
+ * extractor matches the aliases of a skill taxonomy (bundled skills.json plus
+ * user entries) against the words of a text and returns the stable skill IDs
+ * found, such as 'jwt', 'oauth' and 'authentication'.
+ *
+ * Aliases are matched with a PhraseIndex, so they are accent- and
+ * inflection-insensitive and overlapping aliases resolve to the longest one:
+ * 'encryption at rest' tags encryption, not REST. Aliases of both bundled
+ * languages are always active. Skill names shorter than three characters are
+ * not aliases unless listed ('Go' would tag 'Go-to-market'), and compounds of
+ * three or more hyphenated words are single words (see PhraseIndex).
+ *
+ * @module core/skill-extractor
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const PhraseIndex = require('./phrase-index');
+const { InvalidQueryError } = require('./validator');
+const bundled = require('../i18n/skills.json');
+
+const DEFAULT_GROUP = 'other';
+const MIN_NAME_ALIAS_LENGTH = 3;
+
+/**
+ * Skill extractor over a taxonomy.
+ *
+ * @class SkillExtractor
+ */
+class SkillExtractor {
+  /**
+   * @param {Object} [options={}] - Extractor options
+   * @param {string} [options.language='en'] - Language of the texts (stemming)
+   * @param {Object<string, Object>} [options.skills={}] - Extra or replacing skills
+   *   (id -> { name, group, aliases })
+   * @throws {InvalidQueryError} If a skill definition is invalid
+   */
+  constructor(options = {}) {
+    this.index = new PhraseIndex(options.language || 'en');
+    this.skills = new Map(); // id -> { id, name, group, aliases }
+    this.tags = new Map();   // text -> skill IDs
+
+    Object.entries(bundled.skills).forEach(([id, definition]) => this.addSkill(id, definition));
+    Object.entries(options.skills || {}).forEach(([id, definition]) => this.addSkill(id, definition));
+  }
+
+  /**
+   * Add a skill, or replace the skill with the same ID.
+   *
+   * @param {string} id - Stable skill ID (e.g. 'kafka')
+   * @param {Object} definition - Skill definition
+   * @param {string} definition.name - Display name
+   * @param {string} [definition.group='other'] - Taxonomy group (e.g. 'data', 'devops')
+   * @param {string[]} [definition.aliases=[]] - Words or phrases naming the skill; the name is one
+   *   when it has at least three characters
+   * @throws {InvalidQueryError} If the ID or definition is invalid
+   */
+  addSkill(id, definition) {
+    if (typeof id !== 'string' || id.trim() === '') {
+      throw new InvalidQueryError('Skill ID must be a non-empty string');
+    }
+    if (!definition || typeof definition.name !== 'string' || definition.name.trim() === '') {
+      throw new InvalidQueryError(`Skill "${id}" must have a name`);
+    }
+    const aliases = definition.aliases ?? [];
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+      throw new InvalidQueryError(`Aliases of skill "${id}" must be an array of strings`);
+    }
+    if (definition.group !== undefined && (typeof definition.group !== 'string' || definition.group.trim() === '')) {
+      throw new InvalidQueryError(`Group of skill "${id}" must be a non-empty string`);
+    }
+
+    const key = id.trim();
+    if (this.skills.has(key)) this.index.remove(key);
+
+    const skill = {
+      id: key,
+      name: definition.name.trim(),
+      group: definition.group ? definition.group.trim() : DEFAULT_GROUP,
+      aliases: Array.from(new Set(aliases))
+    };
+    this.skills.set(key, skill);
+
+    // Later skills win ties, so user entries take precedence over bundled ones
+    const names = skill.name.length >= MIN_NAME_ALIAS_LENGTH ? [skill.name] : [];
+    new Set([...names, ...skill.aliases]).forEach(alias => this.index.add(alias, key));
+    this.tags.clear();
+  }
+
+  /**
+   * Skill by ID.
+   *
+   * @param {string} id - Skill ID
+   * @returns {Object|null} Skill ({ id, name, group, aliases }) or null
+   */
+  getSkill(id) {
+    const skill = this.skills.get(id);
+    return skill ? { ...skill, aliases: [...skill.aliases] } : null;
+  }
+
+  /**
+   * Every skill of the taxonomy, sorted by ID.
+   *
+   * @returns {Object[]} Skills ({ id, name, group, aliases })
+   */
+  getSkills() {
+    return Array.from(this.skills.keys()).sort().map(id => this.getSkill(id));
+  }
+
+  /**
+   * Find a skill by ID or name (case-insensitive), or alias.
+   *
+   * @param {string} query - Skill ID, name or alias (e.g. 'kafka', 'Apache Kafka', 'K8s')
+   * @returns {Object|null} Skill or null
+   */
+  resolve(query) {
+    if (typeof query !== 'string' || query.trim() === '') return null;
+
+    const id = query.trim().toLowerCase();
+    const byId = Array.from(this.skills.keys()).find(key => key.toLowerCase() === id)
+      || Array.from(this.skills.keys()).find(key => this.skills.get(key).name.toLowerCase() === id);
+    if (byId) return this.getSkill(byId);
+
+    const phrase = this.index.find(query);
+    return phrase ? this.getSkill(phrase) : null;
+  }
+
+  /**
+   * Skills mentioned in a text, in order of appearance.
+   *
+   * @param {string} text - Text (a competency, a job posting, a CV line)
+   * @returns {string[]} Skill IDs, without duplicates
+   */
+  extract(text) {
+    const key = String(text);
+    if (this.tags.has(key)) return [...this.tags.get(key)];
+
+    const found = Array.from(new Set(this.index.scan(key)));
+    this.tags.set(key, found);
+    return [...found];
+  }
+}
+
+module.exports = SkillExtractor;
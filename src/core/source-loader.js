@@ -0,0 +1,250 @@
+/**
+ * Source Loader - Merges additional role sources with the bundled roles
+ *
+ * Accepts extra directories, JSON files and in-memory role definitions,
+ * parses them with the JSON parser and merges them with the bundled entries.
+ * Collisions on role codes or role names, with the bundled roles, earlier
+ * sources or within a source, are detected and reported. Codes the bundled
+ * roles share (Cloud and Compiler Engineer both use CE-L1 to CE-L9) are
+ * reported as shared, since both roles are kept.
+ *
+ * @module core/source-loader
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JSONParser = require('./json-parser');
+const { RoleConflictError } = require('./validator');
+
+const CONFLICT_STRATEGIES = ['error', 'skip', 'override'];
+
+/**
+ * Loader class for merging role sources.
+ *
+ * @class SourceLoader
+ */
+class SourceLoader {
+  /**
+   * Creates a new source loader.
+   *
+   * @param {Object} [options={}] - Loader options
+   * @param {string} [options.onConflict='error'] - Conflict strategy ('error', 'skip' or 'override')
+   * @param {string} [options.language] - Active language, used to filter language-specific sources
+   * @param {boolean} [options.strict=false] - Validate every source against the role definition schema
+   */
+  constructor(options = {}) {
+    const onConflict = options.onConflict || 'error';
+    if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+      throw new Error(`Unknown conflict strategy: ${onConflict}`);
+    }
+
+    this.onConflict = onConflict;
+    this.language = options.language || null;
+    this.strict = options.strict === true;
+  }
+
+  /**
+   * Merge additional sources into the bundled entries.
+   *
+   * @param {Object[]} baseEntries - Entries parsed from the bundled directory
+   * @param {Array} [sources=[]] - Additional sources (paths, role definitions or descriptors)
+   * @returns {Object} Merged entries and a load report ({ entries, report })
+   * @throws {RoleConflictError} If conflicts are found and the strategy is 'error'
+   */
+  merge(baseEntries, sources = []) {
+    const entries = [...baseEntries];
+    const codeOwners = new Map();   // code -> [{ role, source }]
+    const roleOwners = new Map();   // role -> source
+    const report = {
+      sources: [this.describe('bundled', baseEntries)],
+      conflicts: []
+    };
+
+    baseEntries.forEach(entry => {
+      const owners = codeOwners.get(entry.code) || [];
+      owners.filter(owner => owner.role !== entry.role).forEach(owner => {
+        report.conflicts.push({
+          type: 'code',
+          key: entry.code,
+          existing: { ...owner },
+          incoming: { role: entry.role, source: 'bundled' },
+          resolution: 'shared'
+        });
+      });
+      codeOwners.set(entry.code, [...owners, { role: entry.role, source: 'bundled' }]);
+      roleOwners.set(entry.role, 'bundled');
+    });
+
+    sources.forEach((source, index) => {
+      this.resolve(source, index).forEach(({ label, entries: incoming }) => {
+        const accepted = [];
+        const rejectedRoles = new Set();
+        const checkedRoles = new Set();
+        const ownCodes = new Map(); // code -> { role, source } within this source
+
+        incoming.forEach(entry => {
+          const conflicts = [];
+          const owners = ownCodes.has(entry.code) ? [ownCodes.get(entry.code)] : codeOwners.get(entry.code) || [];
+          ownCodes.set(entry.code, { role: entry.role, source: label });
+          const roleOwner = roleOwners.get(entry.role);
+
+          if (!checkedRoles.has(entry.role)) {
+            checkedRoles.add(entry.role);
+            if (roleOwner && roleOwner !== label) {
+              conflicts.push({
+                type: 'role',
+                key: entry.role,
+                existing: { role: entry.role, source: roleOwner },
+                incoming: { role: entry.role, source: label }
+              });
+            }
+          }
+          owners.forEach(owner => {
+            conflicts.push({
+              type: 'code',
+              key: entry.code,
+              existing: { ...owner },
+              incoming: { role: entry.role, source: label }
+            });
+          });
+
+          conflicts.forEach(conflict => {
+            conflict.resolution = this.onConflict === 'override' ? 'overridden' : 'skipped';
+            report.conflicts.push(conflict);
+            if (conflict.type === 'role') rejectedRoles.add(entry.role);
+          });
+
+          if (this.onConflict !== 'override' && (conflicts.length > 0 || rejectedRoles.has(entry.role))) {
+            return;
+          }
+
+          accepted.push(entry);
+        });
+
+        accepted.forEach(entry => {
+          // An overriding entry replaces its own role's level, or every role using the code
+          const sameRole = entries.findIndex(e => e.code === entry.code && e.role === entry.role);
+          const replaced = sameRole !== -1
+            ? [sameRole]
+            : entries.map((e, i) => (e.code === entry.code ? i : -1)).filter(i => i !== -1);
+          if (replaced.length === 0) {
+            entries.push(entry);
+          } else {
+            entries[replaced[0]] = entry;
+            replaced.slice(1).reverse().forEach(i => entries.splice(i, 1));
+          }
+          const kept = sameRole !== -1
+            ? (codeOwners.get(entry.code) || []).filter(owner => owner.role !== entry.role)
+            : [];
+          codeOwners.set(entry.code, [...kept, { role: entry.role, source: label }]);
+          roleOwners.set(entry.role, label);
+        });
+
+        report.sources.push(this.describe(label, accepted));
+      });
+    });
+
+    const errors = report.conflicts.filter(conflict => conflict.resolution !== 'shared');
+    if (this.onConflict === 'error' && errors.length > 0) {
+      throw new RoleConflictError(errors);
+    }
+
+    return { entries, report };
+  }
+
+  /**
+   * Resolve a source into labelled groups of entries.
+   *
+   * @param {string|Object|Object[]} source - Source to resolve
+   * @param {number} index - Position of the source in the options list
+   * @returns {Object[]} Array of { label, entries }
+   * @private
+   */
+  resolve(source, index) {
+    if (typeof source === 'string') {
+      return this.resolvePath(source);
+    }
+
+    if (Array.isArray(source)) {
+      const label = `inline[${index}]`;
+      return [{
+        label,
+        entries: source.reduce((acc, def, i) => acc.concat(
+          JSONParser.parseDefinition(def, { strict: this.strict, source: `${label}[${i}]` })
+        ), [])
+      }];
+    }
+
+    if (source && typeof source === 'object') {
+      if (source.levels) {
+        const label = `inline[${index}]`;
+        return [{ label, entries: JSONParser.parseDefinition(source, { strict: this.strict, source: label }) }];
+      }
+
+      if (source.language && this.language && source.language !== this.language) {
+        return [];
+      }
+      if (source.path) {
+        return this.resolvePath(source.path);
+      }
+      if (source.data) {
+        return this.resolve(source.data, index);
+      }
+    }
+
+    throw new Error(`Invalid role source at position ${index}`);
+  }
+
+  /**
+   * Resolve a directory or JSON file path.
+   *
+   * @param {string} sourcePath - Directory or file path
+   * @returns {Object[]} Array of { label, entries }
+   * @private
+   */
+  resolvePath(sourcePath) {
+    const resolved = path.resolve(sourcePath);
+    let files;
+
+    try {
+      files = fs.statSync(resolved).isDirectory()
+        ? JSONParser.listFiles(resolved)
+        : [resolved];
+    } catch (error) {
+      throw new Error(`Failed to load role source "${sourcePath}": ${error.message}`);
+    }
+
+    // Validate the whole source first so errors of every file are reported together
+    if (this.strict) {
+      JSONParser.parseFiles(files, { strict: true });
+    }
+
+    return files.map(file => {
+      try {
+        return { label: file, entries: JSONParser.parseFile(file) };
+      } catch (error) {
+        throw new Error(`Failed to load role source "${sourcePath}": ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Build the report line for a source.
+   *
+   * @param {string} label - Source label
+   * @param {Object[]} entries - Entries contributed by the source
+   * @returns {Object} Source summary
+   * @private
+   */
+  describe(label, entries) {
+    return {
+      source: label,
+      roles: Array.from(new Set(entries.map(e => e.role))),
+      entries: entries.length
+    };
+  }
+}
+
+module.exports = SourceLoader;
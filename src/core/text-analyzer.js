@@ -0,0 +1,157 @@
+/**
+ * Text Analyzer - Language-aware tokenization for search
+ *
+ * Turns text into search terms: Unicode normalization with diacritic folding
+ * ('gestión' -> 'gestion', 'diseño' -> 'diseno'), tokenization, stop word
+ * removal and light stemming so singular and plural forms share a term.
+ * English uses the S-stemmer; Spanish strips plural endings and final
+ * gender vowels. Other languages only get folding and tokenization.
+ *
+ * @module core/text-analyzer
+ * @author 686f6c61
+ * @license MIT
+ */
+
+/**
+ * Stop words per language, already folded.
+ *
+ * @type {Object<string, Set<string>>}
+ */
+const STOP_WORDS = {
+  en: new Set([
+    'a', 'about', 'above', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'been', 'being', 'between', 'both', 'but', 'by', 'can', 'could', 'do', 'does',
+    'each', 'for', 'from', 'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its',
+    'more', 'most', 'no', 'not', 'of', 'on', 'or', 'other', 'over', 'own', 'per', 'so',
+    'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+    'this', 'those', 'through', 'to', 'under', 'up', 'via', 'was', 'we', 'were', 'what',
+    'when', 'where', 'which', 'while', 'who', 'will', 'with', 'within', 'without', 'you'
+  ]),
+  es: new Set([
+    'a', 'al', 'ante', 'como', 'con', 'contra', 'cual', 'cuando', 'de', 'del', 'desde',
+    'donde', 'durante', 'e', 'el', 'ella', 'ellas', 'ellos', 'en', 'entre', 'es', 'esa',
+    'esas', 'ese', 'eso', 'esos', 'esta', 'estas', 'este', 'esto', 'estos', 'ha', 'han',
+    'hacia', 'hasta', 'la', 'las', 'le', 'les', 'lo', 'los', 'mas', 'mediante', 'muy',
+    'ni', 'no', 'o', 'otra', 'otras', 'otro', 'otros', 'para', 'pero', 'por', 'que',
+    'se', 'segun', 'ser', 'si', 'sin', 'sobre', 'son', 'su', 'sus', 'tambien', 'tanto',
+    'tras', 'u', 'un', 'una', 'unas', 'uno', 'unos', 'y', 'ya'
+  ])
+};
+
+// Stemming only applies to plain alphabetic words of at least this length
+const MIN_STEM_LENGTH = 4;
+
+/**
+ * English S-stemmer (Harman, 1991): removes plural endings only.
+ *
+ * @param {string} word - Folded, lowercase word
+ * @returns {string} Stem
+ * @private
+ */
+function stemEnglish(word) {
+  if (word.endsWith('ies') && !/[ae]ies$/.test(word)) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('es') && !/[aeo]es$/.test(word)) return word.slice(0, -1);
+  if (word.endsWith('s') && !/[us]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Light Spanish stemmer: removes plural endings, then a final gender vowel,
+ * so 'diseño', 'diseños', 'técnica' and 'técnicos' reduce to one stem each.
+ *
+ * @param {string} word - Folded, lowercase word
+ * @returns {string} Stem
+ * @private
+ */
+function stemSpanish(word) {
+  let stem = word;
+  if (stem.endsWith('iones')) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('ces') && stem.length > 4) {
+    stem = `${stem.slice(0, -3)}z`;
+  } else if (stem.endsWith('es') && stem.length > 4) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('s') && stem.length > 3) {
+    stem = stem.slice(0, -1);
+  }
+
+  if (stem.length >= MIN_STEM_LENGTH && /[aeo]$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+  return stem;
+}
+
+const STEMMERS = {
+  en: stemEnglish,
+  es: stemSpanish
+};
+
+/**
+ * Analyzer turning text into search terms for one language.
+ *
+ * @class TextAnalyzer
+ */
+class TextAnalyzer {
+  /**
+   * @param {string} [language='en'] - Language code
+   */
+  constructor(language = 'en') {
+    this.language = language;
+    this.stopWords = STOP_WORDS[language] || new Set();
+    this.stemmer = STEMMERS[language] || null;
+  }
+
+  /**
+   * Lowercase and remove diacritics (NFD decomposition, combining marks dropped).
+   *
+   * @param {string} text - Text to fold
+   * @returns {string} Folded text
+   */
+  static fold(text) {
+    return String(text).normalize('NFD').replace(/\p{M}+/gu, '').toLowerCase();
+  }
+
+  /**
+   * Split text into raw words. Hyphenated and slashed words also produce their
+   * joined form, so 'full-stack' matches 'fullstack' and 'CI/CD' matches 'cicd'.
+   *
+   * @param {string} text - Text to split
+   * @returns {string[]} Folded words
+   */
+  static words(text) {
+    const words = [];
+    TextAnalyzer.fold(text).split(/[^\p{L}\p{N}+#\-/]+/u).forEach(word => {
+      const parts = word.split(/[-/]+/).filter(Boolean);
+      words.push(...parts);
+      if (parts.length > 1) words.push(parts.join(''));
+    });
+    return words.filter(word => word.length > 1 || /\p{N}/u.test(word));
+  }
+
+  /**
+   * Turn text into search terms: fold, split, drop stop words and stem.
+   *
+   * @param {string} text - Text to analyze
+   * @returns {string[]} Terms (in order, duplicates kept)
+   */
+  analyze(text) {
+    return TextAnalyzer.words(text)
+      .filter(word => !this.stopWords.has(word))
+      .map(word => this.stem(word));
+  }
+
+  /**
+   * Stem a folded word with the language stemmer.
+   *
+   * @param {string} word - Folded word
+   * @returns {string} Stem
+   */
+  stem(word) {
+    if (!this.stemmer || word.length < MIN_STEM_LENGTH || !/^\p{L}+$/u.test(word)) {
+      return word;
+    }
+    return this.stemmer(word);
+  }
+}
+
+module.exports = TextAnalyzer;
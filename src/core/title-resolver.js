@@ -0,0 +1,512 @@
+/**
+ * Title Resolver - Map free-form job titles to catalog roles and levels
+ *
+ * Splits a job title such as "Senior Software Engineer II" or "Ingeniero de
+ * Software Backend" into a role part and seniority words, then:
+ * - matches the role part against the title registry (bundled job-titles.json
+ *   plus user entries) and the role resolver (names, aliases, codes,
+ *   translations, fuzzy matches), then the whole title against the level
+ *   titles of every role ("Senior Director", "VP of Engineering"), falling
+ *   back to keyword overlap with the known role names;
+ * - matches the seniority words against each role's own level titles
+ *   ("Junior I", "Senior II", "Staff/Principal"), falling back to generic
+ *   seniority bands and the I/II/III ladder. Explicit levels ("L3") win.
+ * Stop words next to seniority words ("VP of Engineering") are dropped.
+ * Every candidate carries a confidence between 0 and 1.
+ *
+ * @module core/title-resolver
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const RoleResolver = require('./role-resolver');
+const TextAnalyzer = require('./text-analyzer');
+const { Validator, InvalidQueryError, LevelNotFoundError, RoleNotFoundError } = require('./validator');
+const bundled = require('../i18n/job-titles.json');
+
+const NUMERALS = { 1: 'i', 2: 'ii', 3: 'iii', 4: 'iv', 5: 'v' };
+const ROMAN = new Set(Object.values(NUMERALS));
+const LEVEL_TOKEN = /^l([1-9])$/;
+
+// Confidence of each level signal, and of role matches by keyword overlap
+const LEVEL_CONFIDENCE = { explicit: 1, label: 1, partialLabel: 0.9, band: 0.8, ladder: 0.7 };
+const KEYWORD_CONFIDENCE = 0.9;
+const MIN_KEYWORD_SCORE = 0.5;
+const GENERIC_WEIGHT = 0.25;
+
+const STOP_WORDS = [new TextAnalyzer('en'), new TextAnalyzer('es')]
+  .reduce((words, analyzer) => new Set([...words, ...analyzer.stopWords]), new Set());
+
+/**
+ * Replace whole-word phrases in a normalized key.
+ *
+ * @param {string} key - Normalized text
+ * @param {Object<string, string>} phrases - Phrase -> replacement
+ * @returns {string} Text with phrases replaced
+ * @private
+ */
+function replacePhrases(key, phrases) {
+  let result = ` ${key} `;
+  Object.entries(phrases).forEach(([phrase, replacement]) => {
+    result = result.split(` ${phrase} `).join(` ${replacement} `);
+  });
+  return result.trim();
+}
+
+/**
+ * Drop the stop words of both bundled languages.
+ *
+ * @param {string[]} words - Normalized words
+ * @returns {string[]} Remaining words
+ * @private
+ */
+function withoutStopWords(words) {
+  return words.filter(word => !STOP_WORDS.has(word));
+}
+
+/**
+ * Round a confidence to three decimals.
+ *
+ * @param {number} value - Confidence
+ * @returns {number} Rounded confidence
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Job title resolver.
+ *
+ * @class TitleResolver
+ */
+class TitleResolver {
+  /**
+   * @param {CompetencyDatabase} database - Loaded database
+   * @param {RoleResolver} resolver - Role name resolver
+   * @param {Object} [options={}] - Resolver options
+   * @param {Object<string, *>} [options.titles={}] - Title -> target registry entries
+   *   (role name, { role, level, confidence }, or an array of either)
+   */
+  constructor(database, resolver, options = {}) {
+    this.db = database;
+    this.resolver = resolver;
+    this.levelWords = new Map(); // word -> canonical level word
+    Object.entries(bundled.levels.words).forEach(([canonical, words]) => {
+      words.forEach(word => this.levelWords.set(word, canonical));
+    });
+    this.fillers = new Set(bundled.levels.fillers);
+    this.titles = null;           // key -> targets
+    this.labels = new Map();      // role -> per-level { entry, words, numeral }
+    this.levelTitles = null;      // level title key -> [{ role, levelNumber }]
+    this.keywords = null;         // [{ role, weights }] of the known role names
+    this.pendingTitles = Object.entries(options.titles || {});
+  }
+
+  /**
+   * Resolve a job title to candidate roles and levels, best first.
+   *
+   * @param {string} title - Job title
+   * @param {Object} [options={}] - Resolution options
+   * @param {number} [options.limit=5] - Maximum number of candidates
+   * @param {number} [options.minConfidence=0] - Minimum confidence (0-1)
+   * @returns {Object[]} Candidates ({ role, level, code, levelNumber, confidence, matchedBy })
+   * @throws {InvalidQueryError} If the title or options are invalid
+   */
+  resolve(title, options = {}) {
+    if (typeof title !== 'string' || title.trim().length === 0) {
+      throw new InvalidQueryError('Job title must be a non-empty string');
+    }
+    const { limit = 5, minConfidence = 0 } = options;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new InvalidQueryError('limit must be a positive integer');
+    }
+    if (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1) {
+      throw new InvalidQueryError('minConfidence must be a number between 0 and 1');
+    }
+
+    const words = this.normalize(title).split(' ').filter(Boolean);
+    const { roles, levelWords } = this.matchRoles(words);
+    const seniority = this.parseSeniority(levelWords);
+    const candidates = [];
+
+    roles.forEach(({ role, level, confidence, matchedBy }) => {
+      const levels = level
+        ? [{ entry: this.findLevel(role, level), confidence: 1 }]
+        : this.matchLevels(role, seniority);
+
+      levels.forEach(({ entry, confidence: levelConfidence }) => {
+        candidates.push({
+          role,
+          level: entry ? entry.level : null,
+          code: entry ? entry.code : null,
+          levelNumber: entry ? entry.levelNumber : null,
+          confidence: round(confidence * levelConfidence),
+          matchedBy
+        });
+      });
+    });
+
+    return candidates
+      .map((candidate, order) => ({ candidate, order }))
+      .sort((a, b) => b.candidate.confidence - a.candidate.confidence || a.order - b.order)
+      .map(({ candidate }) => candidate)
+      .filter(candidate => candidate.confidence > 0 && candidate.confidence >= minConfidence)
+      .slice(0, limit);
+  }
+
+  /**
+   * Register a job title.
+   *
+   * @param {string} title - Job title
+   * @param {string|Object|Array} target - Role name, { role, level, confidence },
+   *   or an array of either (entries without a confidence share it equally)
+   * @throws {InvalidQueryError} If the title or target is invalid
+   * @throws {RoleNotFoundError} If a target role doesn't exist
+   * @throws {LevelNotFoundError} If a target level doesn't exist for its role
+   */
+  addTitle(title, target) {
+    const key = typeof title === 'string' ? this.normalize(title) : '';
+    if (!key) {
+      throw new InvalidQueryError('Job title must be a non-empty string');
+    }
+    const titles = this.getTitles();
+    titles.set(key, this.compileTarget(title, target));
+  }
+
+  /**
+   * Normalize a title: fold, collapse punctuation and expand abbreviations.
+   *
+   * @param {string} text - Title
+   * @returns {string} Normalized title
+   * @private
+   */
+  normalize(text) {
+    const key = replacePhrases(RoleResolver.normalize(text), bundled.terms);
+    return replacePhrases(key, bundled.levels.phrases);
+  }
+
+  /**
+   * Title registry, compiled on first use. User titles take precedence over
+   * the bundled ones; bundled titles naming roles that are not loaded are skipped.
+   *
+   * @returns {Map<string, Object[]>} Key -> targets
+   * @private
+   */
+  getTitles() {
+    if (this.titles) return this.titles;
+
+    this.titles = new Map();
+    Object.entries(bundled.titles).forEach(([title, target]) => {
+      try {
+        this.titles.set(this.normalize(title), this.compileTarget(title, target));
+      } catch (error) {
+        if (!(error instanceof RoleNotFoundError || error instanceof LevelNotFoundError)) throw error;
+      }
+    });
+
+    const pending = this.pendingTitles;
+    this.pendingTitles = [];
+    pending.forEach(([title, target]) => this.addTitle(title, target));
+
+    return this.titles;
+  }
+
+  /**
+   * Validate a registry target and resolve its role names and levels.
+   *
+   * @param {string} title - Title being registered (for error messages)
+   * @param {string|Object|Array} target - Target
+   * @returns {Object[]} Targets ({ role, level, confidence, matchedBy })
+   * @private
+   */
+  compileTarget(title, target) {
+    const items = Array.isArray(target) ? target : [target];
+    if (items.length === 0) {
+      throw new InvalidQueryError(`Job title "${title}" must map to at least one role`);
+    }
+
+    return items.map(item => {
+      const { role, level = null, confidence = 1 / items.length } =
+        typeof item === 'string' ? { role: item } : (item || {});
+
+      if (typeof role !== 'string') {
+        throw new InvalidQueryError(`Job title "${title}" must map to a role name or { role, level }`);
+      }
+      if (typeof confidence !== 'number' || confidence <= 0 || confidence > 1) {
+        throw new InvalidQueryError(`Confidence for job title "${title}" must be between 0 and 1`);
+      }
+
+      const resolved = this.resolver.resolve(role);
+      let levelNumber = null;
+      if (level !== null) {
+        levelNumber = Number(Validator.normalizeLevel(Validator.validateLevel(level)).slice(1));
+        this.findLevel(resolved, levelNumber);
+      }
+      return { role: resolved, level: levelNumber, confidence, matchedBy: 'title' };
+    });
+  }
+
+  /**
+   * Find the role part of a title. Seniority words are stripped from the
+   * edges one at a time ("Senior Tech Lead" -> "Tech Lead") until the rest is
+   * a registered title or a known role name; otherwise the whole title is
+   * looked up among the level titles of every role, and the fully stripped
+   * rest is matched fuzzily, then by keywords.
+   *
+   * @param {string[]} words - Normalized title words
+   * @returns {Object} { roles: [{ role, level, confidence, matchedBy }], levelWords }
+   * @private
+   */
+  matchRoles(words) {
+    let leading = 0;
+    while (leading < words.length && this.isLevelWord(words[leading], leading > 0, leading > 0)) leading++;
+    let trailing = 0;
+    while (trailing < words.length - leading &&
+      this.isLevelWord(words[words.length - 1 - trailing], true, trailing > 0)) trailing++;
+
+    const variants = [];
+    for (let start = 0; start <= leading; start++) {
+      for (let end = 0; end <= trailing; end++) {
+        if (start + end < words.length) variants.push({ start, end });
+      }
+    }
+    variants.sort((a, b) => (a.start + a.end) - (b.start + b.end));
+
+    const split = ({ start, end }) => ({
+      phrase: words.slice(start, words.length - end).join(' '),
+      levelWords: [...words.slice(0, start), ...words.slice(words.length - end)]
+    });
+
+    for (const variant of variants) {
+      const { phrase, levelWords } = split(variant);
+      const titles = this.getTitles().get(phrase);
+      if (titles) return { roles: titles, levelWords };
+
+      const known = this.resolver.getKeys().get(phrase);
+      if (known) {
+        return { roles: [{ role: known.role, level: null, confidence: 1, matchedBy: known.source }], levelWords };
+      }
+    }
+
+    const levelTitle = this.getLevelTitles().get(withoutStopWords(words).join(' '));
+    if (levelTitle) {
+      const roles = levelTitle.map(({ role, levelNumber }) => ({
+        role,
+        level: levelNumber,
+        confidence: 1 / levelTitle.length,
+        matchedBy: 'level'
+      }));
+      return { roles, levelWords: [] };
+    }
+
+    if (variants.length === 0) return { roles: [], levelWords: words };
+
+    const { phrase, levelWords } = split(variants[variants.length - 1]);
+    const match = this.resolver.match(phrase);
+    if (match) {
+      return {
+        roles: [{ role: match.role, level: null, confidence: match.score, matchedBy: match.matchedBy }],
+        levelWords
+      };
+    }
+    return { roles: this.matchKeywords(phrase.split(' ')), levelWords };
+  }
+
+  /**
+   * Whether a normalized word is a seniority word, a filler, an explicit level
+   * ("L3") or a level numeral. Numerals only count where they cannot start a
+   * role name: at the end of a title or after another level word ("Junior I
+   * Backend Developer"). Stop words count next to another level word ("VP of
+   * Engineering").
+   *
+   * @param {string} word - Word
+   * @param {boolean} [allowNumeral=false] - Whether a numeral counts as a level word here
+   * @param {boolean} [allowStopWord=false] - Whether a stop word counts as a level word here
+   * @returns {boolean} True for level words
+   * @private
+   */
+  isLevelWord(word, allowNumeral = false, allowStopWord = false) {
+    return this.levelWords.has(word) || this.fillers.has(word) || LEVEL_TOKEN.test(word) ||
+      (allowNumeral && (ROMAN.has(word) || Boolean(NUMERALS[word]))) ||
+      (allowStopWord && STOP_WORDS.has(word));
+  }
+
+  /**
+   * Turn level words into canonical seniority words, a numeral and an
+   * explicit level number.
+   *
+   * @param {string[]} words - Level words
+   * @returns {Object} { words: Set<string>, numeral: string|null, levelNumber: number|null }
+   * @private
+   */
+  parseSeniority(words) {
+    const seniority = { words: new Set(), numeral: null, levelNumber: null };
+    words.forEach(word => {
+      const explicit = word.match(LEVEL_TOKEN);
+      if (explicit) seniority.levelNumber = Number(explicit[1]);
+      else if (this.levelWords.has(word)) seniority.words.add(this.levelWords.get(word));
+      else if (ROMAN.has(word) || NUMERALS[word]) seniority.numeral = NUMERALS[word] || word;
+    });
+    return seniority;
+  }
+
+  /**
+   * Match seniority against an explicit level, then the role's level titles,
+   * the generic bands and the numeral ladder.
+   *
+   * @param {string} role - Role name
+   * @param {Object} seniority - Parsed seniority ({ words, numeral, levelNumber })
+   * @returns {Object[]} Levels ({ entry, confidence }); entry is null without seniority
+   * @private
+   */
+  matchLevels(role, seniority) {
+    const { words, numeral, levelNumber } = seniority;
+    if (words.size === 0 && !numeral && !levelNumber) return [{ entry: null, confidence: 1 }];
+
+    const labels = this.getLabels(role);
+    const levels = (numbers, confidence) => numbers
+      .map(number => labels.find(label => label.entry.levelNumber === number))
+      .filter(Boolean)
+      .map(label => ({ entry: label.entry, confidence: confidence / numbers.length }));
+
+    if (levelNumber) return levels([levelNumber], LEVEL_CONFIDENCE.explicit);
+
+    if (words.size === 0) {
+      const number = bundled.levels.ladder[numeral];
+      return number ? levels([number], LEVEL_CONFIDENCE.ladder) : [{ entry: null, confidence: 1 }];
+    }
+
+    const scored = labels.map(label => {
+      const shared = Array.from(words).filter(word => label.words.has(word)).length;
+      return { label, score: shared / new Set([...words, ...label.words]).size };
+    });
+    const best = Math.max(...scored.map(s => s.score));
+
+    if (best > 0) {
+      let kept = scored.filter(s => s.score === best).map(s => s.label);
+      const sameNumeral = kept.filter(label => label.numeral === numeral);
+      if (numeral && sameNumeral.length > 0) kept = sameNumeral;
+      const confidence = best === 1 ? LEVEL_CONFIDENCE.label : LEVEL_CONFIDENCE.partialLabel;
+      return levels(kept.map(label => label.entry.levelNumber), confidence);
+    }
+
+    const bands = Array.from(words).map(word => bundled.levels.bands[word] || []);
+    const common = bands.reduce((shared, band) => shared.filter(number => band.includes(number)));
+    let numbers = common.length > 0 ? common : Array.from(new Set(bands.flat())).sort((a, b) => a - b);
+    if (numeral && numbers.length > 1) {
+      const position = Object.values(NUMERALS).indexOf(numeral);
+      if (numbers[position] !== undefined) numbers = [numbers[position]];
+    }
+    return levels(numbers, LEVEL_CONFIDENCE.band);
+  }
+
+  /**
+   * Seniority words and numeral of each level title of a role, with the role
+   * name removed ("L4 - Senior AI Engineer" -> senior).
+   *
+   * @param {string} role - Role name
+   * @returns {Object[]} Labels ({ entry, words, numeral }) by level number
+   * @private
+   */
+  getLabels(role) {
+    if (this.labels.has(role)) return this.labels.get(role);
+
+    const roleWords = new Set(this.normalize(role).split(' '));
+    const labels = this.db.getByRole(role)
+      .slice()
+      .sort((a, b) => a.levelNumber - b.levelNumber)
+      .map(entry => {
+        const label = { entry, words: new Set(), numeral: null };
+        this.normalize(entry.level.replace(/^[A-Z]\d+\s*-\s*/, '')).split(' ').forEach(word => {
+          if (roleWords.has(word)) return;
+          if (this.levelWords.has(word)) label.words.add(this.levelWords.get(word));
+          else if (ROMAN.has(word)) label.numeral = word;
+        });
+        return label;
+      });
+
+    this.labels.set(role, labels);
+    return labels;
+  }
+
+  /**
+   * Level titles of every role without the level prefix and stop words
+   * ("L6 - Senior Director" -> senior director), compiled on first use.
+   *
+   * @returns {Map<string, Object[]>} Key -> levels ({ role, levelNumber })
+   * @private
+   */
+  getLevelTitles() {
+    if (this.levelTitles) return this.levelTitles;
+
+    this.levelTitles = new Map();
+    this.db.getAllRoles().forEach(role => {
+      this.db.getByRole(role).forEach(entry => {
+        const words = this.normalize(entry.level.replace(/^[A-Z]\d+\s*-\s*/, '')).split(' ').filter(Boolean);
+        const key = withoutStopWords(words).join(' ');
+        if (!key) return;
+        if (!this.levelTitles.has(key)) this.levelTitles.set(key, []);
+        this.levelTitles.get(key).push({ role, levelNumber: entry.levelNumber });
+      });
+    });
+    return this.levelTitles;
+  }
+
+  /**
+   * Find a level entry of a role.
+   *
+   * @param {string} role - Role name
+   * @param {number} levelNumber - Level number
+   * @returns {Object} Entry
+   * @throws {LevelNotFoundError} If the role has no such level
+   * @private
+   */
+  findLevel(role, levelNumber) {
+    const entry = this.db.getByRole(role).find(e => e.levelNumber === levelNumber);
+    if (!entry) throw new LevelNotFoundError(role, `L${levelNumber}`);
+    return entry;
+  }
+
+  /**
+   * Match roles by weighted keyword overlap (Dice coefficient) with the known
+   * role names in every language. Generic words such as "engineer" count less.
+   *
+   * @param {string[]} words - Role part of the title
+   * @returns {Object[]} Roles ({ role, level, confidence, matchedBy })
+   * @private
+   */
+  matchKeywords(words) {
+    const weigh = list => {
+      const weights = new Map();
+      list.filter(word => !STOP_WORDS.has(word)).forEach(word => {
+        weights.set(word, bundled.genericWords.includes(word) ? GENERIC_WEIGHT : 1);
+      });
+      return weights;
+    };
+    const total = weights => Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0);
+
+    if (!this.keywords) {
+      this.keywords = [];
+      this.resolver.getKeys().forEach(({ role, source }, key) => {
+        if (source !== 'code') this.keywords.push({ role, weights: weigh(key.split(' ')) });
+      });
+    }
+
+    const input = weigh(words);
+    const best = new Map(); // role -> score
+    this.keywords.forEach(({ role, weights }) => {
+      let shared = 0;
+      input.forEach((weight, word) => { if (weights.has(word)) shared += weight; });
+      const score = (2 * shared) / (total(input) + total(weights) || 1);
+      if (score > (best.get(role) || 0)) best.set(role, score);
+    });
+
+    return Array.from(best.entries())
+      .filter(([, score]) => score >= MIN_KEYWORD_SCORE)
+      .sort((a, b) => b[1] - a[1])
+      .map(([role, score]) => ({ role, level: null, confidence: score * KEYWORD_CONFIDENCE, matchedBy: 'keywords' }));
+  }
+}
+
+module.exports = TitleResolver;
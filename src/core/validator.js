@@ -35,10 +35,35 @@ class CompetencyError extends Error {
 class RoleNotFoundError extends CompetencyError {
   /**
    * @param {string} role - Role name that was not found
+   * @param {string[]} [suggestions=[]] - Closest role names, best first
    */
-  constructor(role) {
-    super(`Role "${role}" not found`, 'ROLE_NOT_FOUND');
+  constructor(role, suggestions = []) {
+    const hint = suggestions.length > 0
+      ? `. Did you mean ${suggestions.map(s => `"${s}"`).join(', ')}?`
+      : '';
+    super(`Role "${role}" not found${hint}`, 'ROLE_NOT_FOUND');
     this.role = role;
+    this.suggestions = suggestions;
+  }
+}
+
+/**
+ * Error thrown when a role code is shared by several roles and not qualified
+ * with a role name ('Compiler Engineer/CE-L3').
+ *
+ * @class AmbiguousRoleCodeError
+ * @extends CompetencyError
+ */
+class AmbiguousRoleCodeError extends CompetencyError {
+  /**
+   * @param {string} roleCode - Role code (e.g. 'CE-L3')
+   * @param {string[]} suggestions - Qualified keys of the roles using it
+   */
+  constructor(roleCode, suggestions) {
+    super(`Role code "${roleCode}" is shared by several roles; use ${suggestions.map(s => `"${s}"`).join(' or ')}`,
+      'AMBIGUOUS_ROLE_CODE');
+    this.roleCode = roleCode;
+    this.suggestions = suggestions;
   }
 }
 
@@ -60,6 +85,56 @@ class LevelNotFoundError extends CompetencyError {
   }
 }
 
+/**
+ * Error thrown when a competency ID does not exist.
+ *
+ * @class CompetencyNotFoundError
+ * @extends CompetencyError
+ */
+class CompetencyNotFoundError extends CompetencyError {
+  /**
+   * @param {string} id - Competency ID that was not found
+   */
+  constructor(id) {
+    super(`Competency "${id}" not found`, 'COMPETENCY_NOT_FOUND');
+    this.id = id;
+  }
+}
+
+/**
+ * Error thrown when a skill is not in the skill taxonomy.
+ *
+ * @class SkillNotFoundError
+ * @extends CompetencyError
+ */
+class SkillNotFoundError extends CompetencyError {
+  /**
+   * @param {string} skill - Skill ID, name or alias that was not found
+   */
+  constructor(skill) {
+    super(`Skill "${skill}" not found`, 'SKILL_NOT_FOUND');
+    this.skill = skill;
+  }
+}
+
+/**
+ * Error thrown when no data is installed for a language or any of its fallbacks.
+ *
+ * @class UnsupportedLanguageError
+ * @extends CompetencyError
+ */
+class UnsupportedLanguageError extends CompetencyError {
+  /**
+   * @param {string} language - Requested language
+   * @param {string[]} available - Installed languages
+   */
+  constructor(language, available) {
+    super(`Unsupported language: ${language}. Available languages: ${available.join(', ')}`, 'UNSUPPORTED_LANGUAGE');
+    this.language = language;
+    this.available = available;
+  }
+}
+
 /**
  * Error thrown for invalid queries.
  *
@@ -75,6 +150,59 @@ class InvalidQueryError extends CompetencyError {
   }
 }
 
+/**
+ * Error thrown when additional role sources collide with already loaded roles.
+ *
+ * @class RoleConflictError
+ * @extends CompetencyError
+ */
+class RoleConflictError extends CompetencyError {
+  /**
+   * @param {Object[]} conflicts - Detected conflicts ({ type, key, existing, incoming })
+   */
+  constructor(conflicts) {
+    const keys = conflicts.map(c => `${c.type} "${c.key}"`).join(', ');
+    super(`Conflicting role definitions: ${keys}`, 'ROLE_CONFLICT');
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * Error thrown when override patches cannot be applied.
+ *
+ * @class PatchError
+ * @extends CompetencyError
+ */
+class PatchError extends CompetencyError {
+  /**
+   * @param {Object[]} failures - Failed operations ({ source, code, field, op, target, message })
+   */
+  constructor(failures) {
+    super(`Failed to apply ${failures.length} patch operation(s)`, 'PATCH_FAILED');
+    this.failures = failures;
+  }
+}
+
+/**
+ * Error thrown when role definition files do not match the schema (strict mode).
+ *
+ * @class SchemaValidationError
+ * @extends CompetencyError
+ */
+class SchemaValidationError extends CompetencyError {
+  /**
+   * @param {Object[]} errors - Validation errors ({ file, code, path, message })
+   */
+  constructor(errors) {
+    const details = errors.slice(0, 5)
+      .map(e => `${e.file || '<inline>'}${e.code ? ` [${e.code}]` : ''} ${e.path || '<root>'}: ${e.message}`)
+      .join('; ');
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+    super(`Invalid role definition: ${details}${more}`, 'SCHEMA_VALIDATION_FAILED');
+    this.errors = errors;
+  }
+}
+
 /**
  * Input validation utility class.
  *
@@ -183,6 +311,13 @@ module.exports = {
   Validator,
   CompetencyError,
   RoleNotFoundError,
+  AmbiguousRoleCodeError,
   LevelNotFoundError,
-  InvalidQueryError
+  CompetencyNotFoundError,
+  SkillNotFoundError,
+  UnsupportedLanguageError,
+  InvalidQueryError,
+  RoleConflictError,
+  PatchError,
+  SchemaValidationError
 };
@@ -0,0 +1,324 @@
+/**
+ * HTTP Server - JSON REST API built on the library
+ *
+ * Dependency-free HTTP layer on top of Node's `http` module. Exposes the
+ * library as read-only JSON routes, negotiates the language from
+ * `Accept-Language`, maps library errors to HTTP status codes and supports
+ * conditional requests through ETags.
+ *
+ * Can be embedded (`createHandler`) in an existing server or run standalone:
+ *   node src/http/server.js   (PORT defaults to 3000)
+ *
+ * @module http/server
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const TechRolesLibrary = require('../index');
+const LocaleLoader = require('../i18n/locales');
+const {
+  CompetencyError,
+  RoleNotFoundError,
+  LevelNotFoundError,
+  CompetencyNotFoundError,
+  SkillNotFoundError
+} = require('../core/validator');
+
+const BUNDLED_LANGUAGES = new LocaleLoader().getLanguages();
+
+/**
+ * HTTP error with a status code.
+ *
+ * @class HttpError
+ * @extends Error
+ * @private
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Pick the response language from a query override or the Accept-Language header.
+ * A language range matches an installed language with the same tag, or
+ * with its primary subtag ('pt-BR' falls back to 'pt').
+ *
+ * @param {string|undefined} header - Accept-Language header value
+ * @param {string|null} override - Explicit `lang` query parameter
+ * @param {string} fallback - Default language
+ * @param {string[]} [languages] - Installed languages (default: the bundled ones)
+ * @returns {string} Supported language code
+ * @private
+ */
+function negotiateLanguage(header, override, fallback, languages = BUNDLED_LANGUAGES) {
+  const find = tag => languages.find(language => language.toLowerCase() === tag.toLowerCase());
+
+  if (override) {
+    if (!find(override)) {
+      throw new HttpError(400, 'INVALID_QUERY', `Unsupported language: ${override}`);
+    }
+    return find(override);
+  }
+
+  const ranges = String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().toLowerCase().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag, quality: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(range => range.tag && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  for (const range of ranges) {
+    const match = find(range.tag) || find(range.tag.split('-')[0]);
+    if (match) return match;
+  }
+  return fallback;
+}
+
+/**
+ * Read a required query parameter.
+ *
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {string} Parameter value
+ * @throws {HttpError} 400 if missing
+ * @private
+ */
+function required(params, name) {
+  const value = params.get(name);
+  if (value === null || value.trim() === '') {
+    throw new HttpError(400, 'INVALID_QUERY', `Missing query parameter: ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Route table. Each route has a pattern and a handler receiving
+ * (library, pathParams, queryParams) and returning the response body.
+ *
+ * @private
+ */
+const ROUTES = [
+  {
+    pattern: /^\/roles$/,
+    handle: library => library.getAllRolesWithMetadata().roles
+  },
+  {
+    pattern: /^\/roles\/([^/]+)$/,
+    handle: (library, [code]) => library.getRole(code)
+  },
+  {
+    pattern: /^\/roles\/([^/]+)\/levels$/,
+    handle: (library, [name]) => library.getLevelsForRole(name)
+  },
+  {
+    pattern: /^\/roles\/([^/]+)\/levels\/([^/]+)$/,
+    handle: (library, [name, level]) => library.getCompetencies(name, level)
+  },
+  {
+    pattern: /^\/competencies\/([^/]+)$/,
+    handle: (library, [id]) => library.getCompetencyById(id)
+  },
+  {
+    pattern: /^\/categories$/,
+    handle: library => library.getCategories()
+  },
+  {
+    pattern: /^\/statistics$/,
+    handle: library => library.getStatistics()
+  },
+  {
+    pattern: /^\/search$/,
+    handle: (library, _, params) => {
+      const limit = params.has('limit') ? Number(params.get('limit')) : undefined;
+      if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        throw new HttpError(400, 'INVALID_QUERY', 'limit must be a positive integer');
+      }
+      return library.search(required(params, 'q'), {
+        limit,
+        category: params.get('category') ?? undefined,
+        level: params.get('level') ?? undefined
+      });
+    }
+  },
+  {
+    pattern: /^\/compare$/,
+    handle: (library, _, params) => library.compareRoles(
+      required(params, 'role1'),
+      required(params, 'role2'),
+      required(params, 'level')
+    )
+  },
+  {
+    pattern: /^\/career-path$/,
+    handle: (library, _, params) => library.getCareerPathComplete(
+      required(params, 'role'),
+      required(params, 'level')
+    )
+  },
+  {
+    pattern: /^\/next-level$/,
+    handle: (library, _, params) => {
+      const role = required(params, 'role');
+      const level = required(params, 'level');
+      const next = library.getNextLevel(role, level);
+      if (next === null) {
+        // Top of the ladder; resolving the entry still reports unknown roles and levels
+        const entry = library.getRoleByName(role, level);
+        throw new HttpError(404, 'LEVEL_NOT_FOUND', `${entry.role} ${entry.code} is the highest level; there is no next level`);
+      }
+      return next;
+    }
+  }
+];
+
+/**
+ * Map an error to an HTTP status and JSON body.
+ *
+ * @param {Error} error - Error thrown while handling the request
+ * @returns {Object} Status and body ({ status, body })
+ * @private
+ */
+function toErrorResponse(error) {
+  let status = 500;
+  if (error instanceof HttpError) {
+    status = error.status;
+  } else if (error instanceof RoleNotFoundError
+    || error instanceof LevelNotFoundError
+    || error instanceof CompetencyNotFoundError
+    || error instanceof SkillNotFoundError) {
+    status = 404;
+  } else if (error instanceof CompetencyError) {
+    status = 400;
+  }
+
+  const body = {
+    error: {
+      code: error.code || 'INTERNAL_ERROR',
+      message: status === 500 ? 'Internal server error' : error.message
+    }
+  };
+  if (Array.isArray(error.suggestions) && error.suggestions.length > 0) {
+    body.error.suggestions = error.suggestions;
+  }
+
+  return { status, body };
+}
+
+/**
+ * Create a request handler exposing the library as a JSON REST API.
+ *
+ * @param {Object} [options={}] - Handler options
+ * @param {string} [options.defaultLanguage='en'] - Language used when Accept-Language has no supported match
+ * @param {string} [options.basePath=''] - Path prefix to strip (e.g. '/api')
+ * @param {number} [options.maxAge=300] - Cache-Control max-age in seconds
+ * @param {Object} [options.library] - Extra TechRolesLibrary options (sources, patches, ...)
+ * @returns {Function} Request handler (req, res)
+ * @example
+ * const { createHandler } = require('@sparring/tech-roles-library/src/http/server');
+ * http.createServer(createHandler({ basePath: '/api' })).listen(8080);
+ */
+function createHandler(options = {}) {
+  const defaultLanguage = options.defaultLanguage || 'en';
+  const basePath = (options.basePath || '').replace(/\/$/, '');
+  const maxAge = options.maxAge ?? 300;
+  // One library; other languages are views sharing its data (see withLanguage())
+  const library = new TechRolesLibrary({ ...options.library, language: defaultLanguage });
+  const languages = library.getLanguages();
+
+  return function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let pathname = url.pathname.replace(/\/+$/, '') || '/';
+    let status = 200;
+    let body;
+    let language = defaultLanguage;
+
+    try {
+      if (basePath) {
+        if (pathname !== basePath && !pathname.startsWith(`${basePath}/`)) {
+          throw new HttpError(404, 'NOT_FOUND', `Route not found: ${url.pathname}`);
+        }
+        pathname = pathname.slice(basePath.length) || '/';
+      }
+
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        throw new HttpError(405, 'METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`);
+      }
+
+      language = negotiateLanguage(req.headers['accept-language'], url.searchParams.get('lang'), defaultLanguage, languages);
+
+      const route = ROUTES.find(r => r.pattern.test(pathname));
+      if (!route) {
+        throw new HttpError(404, 'NOT_FOUND', `Route not found: ${url.pathname}`);
+      }
+
+      let pathParams;
+      try {
+        pathParams = pathname.match(route.pattern).slice(1).map(decodeURIComponent);
+      } catch (error) {
+        throw new HttpError(400, 'INVALID_QUERY', 'Malformed URL encoding');
+      }
+      body = route.handle(library.withLanguage(language), pathParams, url.searchParams);
+    } catch (error) {
+      ({ status, body } = toErrorResponse(error));
+    }
+
+    const payload = JSON.stringify(body === undefined ? null : body);
+    const etag = `"${crypto.createHash('sha1').update(payload).digest('hex')}"`;
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Language', language);
+    res.setHeader('Vary', 'Accept-Language');
+
+    if (status === 200) {
+      res.setHeader('ETag', etag);
+      res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+
+      const ifNoneMatch = req.headers['if-none-match'];
+      if (ifNoneMatch && ifNoneMatch.split(',').map(t => t.trim().replace(/^W\//, '')).includes(etag)) {
+        res.statusCode = 304;
+        res.end();
+        return;
+      }
+    }
+
+    res.statusCode = status;
+    res.setHeader('Content-Length', Buffer.byteLength(payload));
+    res.end(req.method === 'HEAD' ? undefined : payload);
+  };
+}
+
+/**
+ * Create an HTTP server exposing the REST API.
+ *
+ * @param {Object} [options={}] - Handler options (see createHandler)
+ * @returns {http.Server} Server instance (not listening yet)
+ * @example
+ * const { createServer } = require('@sparring/tech-roles-library/src/http/server');
+ * createServer().listen(3000);
+ */
+function createServer(options = {}) {
+  return http.createServer(createHandler(options));
+}
+
+module.exports = { createHandler, createServer, negotiateLanguage };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 3000;
+  createServer().listen(port, () => {
+    console.log(`Tech Roles API listening on http://localhost:${port}`);
+  });
+}
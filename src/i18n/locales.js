@@ -0,0 +1,372 @@
+/**
+ * Locale Loader - Installed languages and fallback chains
+ *
+ * Every language is a directory of role definition files: the bundled
+ * src/i18n/translations/<language> directories plus the directories
+ * registered with the `locales` option, so a language is added by dropping
+ * in data. Directories may be partial. Each translatable field (role name,
+ * category, level title, competency and indicator lists) is taken from the
+ * first language of the fallback chain that defines it, and role names
+ * missing from a directory are looked up in role-names.json first.
+ *
+ * The chain of a language is the language itself, then its configured
+ * fallbacks (the `fallbacks` option) or, by default, its parent tag
+ * ('pt-BR' -> 'pt'), each followed by its own chain, and finally English,
+ * the reference language every role file exists in. Languages without a
+ * directory are skipped; a language whose chain has no installed language
+ * before English is unsupported.
+ *
+ * @module i18n/locales
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JSONParser = require('../core/json-parser');
+const { SECTIONS } = require('../core/competency-ids');
+const Taxonomy = require('./taxonomy');
+const { InvalidQueryError, SchemaValidationError, UnsupportedLanguageError } = require('../core/validator');
+
+const TRANSLATIONS_ROOT = path.join(__dirname, 'translations');
+const ROLE_NAMES_PATH = path.join(__dirname, 'role-names.json');
+const BASE_LANGUAGE = 'en';
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// Translatable fields of a role definition and of each of its levels
+const ROLE_FIELDS = ['role', 'category'];
+const LEVEL_FIELDS = ['level', 'coreCompetencies', 'complementaryCompetencies', 'indicators'];
+
+let bundledDirectories = null; // language -> directory, read once and shared
+let roleNames = null;          // English role name -> { language: name }
+
+/**
+ * Whether a directory holds at least one JSON file.
+ *
+ * @param {string} dir - Directory
+ * @returns {boolean} True if it does
+ * @private
+ */
+function hasRoleFiles(dir) {
+  try {
+    return fs.statSync(dir).isDirectory() && fs.readdirSync(dir).some(file => file.endsWith('.json'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Installed bundled languages.
+ *
+ * @returns {Map<string, string>} Language -> directory
+ * @private
+ */
+function loadBundledDirectories() {
+  if (!bundledDirectories) {
+    bundledDirectories = new Map();
+    fs.readdirSync(TRANSLATIONS_ROOT).sort().forEach(language => {
+      const dir = path.join(TRANSLATIONS_ROOT, language);
+      if (hasRoleFiles(dir)) bundledDirectories.set(language, dir);
+    });
+  }
+  return bundledDirectories;
+}
+
+/**
+ * Role name translations of role-names.json.
+ *
+ * @returns {Object<string, Object<string, string>>} English name -> { language: name }
+ * @private
+ */
+function loadRoleNames() {
+  if (!roleNames) {
+    try {
+      roleNames = JSON.parse(fs.readFileSync(ROLE_NAMES_PATH, 'utf-8'));
+    } catch (error) {
+      roleNames = {};
+    }
+  }
+  return roleNames;
+}
+
+/**
+ * Loader of role definitions in a language and its fallbacks.
+ *
+ * @class LocaleLoader
+ */
+class LocaleLoader {
+  /**
+   * @param {Object} [options={}] - Loader options
+   * @param {Object<string, string>} [options.locales={}] - Extra language directories
+   *   (language -> directory), added to or replacing the bundled ones
+   * @param {Object<string, string[]>} [options.fallbacks={}] - Languages tried after a language,
+   *   replacing its parent tag (e.g. { 'pt-BR': ['pt', 'es'] })
+   * @param {boolean} [options.strict=false] - Validate every merged role definition against the schema
+   * @throws {InvalidQueryError} If a locale directory has no role files or a fallback is not a language tag
+   */
+  constructor(options = {}) {
+    this.strict = options.strict === true;
+    this.directories = new Map(loadBundledDirectories());
+    this.fallbacks = new Map(); // lowercase language -> fallback languages
+    this.files = new Map();     // language -> parsed role files, read once per loader
+
+    Object.entries(options.locales || {}).forEach(([language, dir]) => {
+      this.validateTag(language);
+      if (typeof dir !== 'string' || !hasRoleFiles(dir)) {
+        throw new InvalidQueryError(`Locale "${language}" must be a directory with role files, got: ${dir}`);
+      }
+      const existing = this.findLanguage(language);
+      if (existing) this.directories.delete(existing);
+      this.directories.set(language, path.resolve(dir));
+    });
+
+    Object.entries(options.fallbacks || {}).forEach(([language, fallbacks]) => {
+      this.validateTag(language);
+      if (!Array.isArray(fallbacks)) {
+        throw new InvalidQueryError(`Fallbacks of "${language}" must be an array of language tags`);
+      }
+      fallbacks.forEach(fallback => this.validateTag(fallback));
+      this.fallbacks.set(language.toLowerCase(), fallbacks);
+    });
+  }
+
+  /**
+   * Reference language, complete and last in every chain.
+   *
+   * @returns {string} Language code
+   */
+  static get BASE_LANGUAGE() {
+    return BASE_LANGUAGE;
+  }
+
+  /**
+   * Installed languages.
+   *
+   * @returns {string[]} Language codes, sorted
+   */
+  getLanguages() {
+    return Array.from(this.directories.keys()).sort();
+  }
+
+  /**
+   * Installed language matching a tag case-insensitively.
+   *
+   * @param {string} tag - Language tag
+   * @returns {string|null} Installed language or null
+   */
+  findLanguage(tag) {
+    const key = String(tag).toLowerCase();
+    return this.getLanguages().find(language => language.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Whether a language or one of its fallbacks is installed.
+   *
+   * @param {string} language - Language tag
+   * @returns {boolean} True if getChain() succeeds
+   */
+  supports(language) {
+    try {
+      this.getChain(language);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Installed languages tried for a language, most specific first.
+   *
+   * @param {string} language - Language tag (e.g. 'pt-BR')
+   * @returns {string[]} Chain (e.g. ['pt-BR', 'pt', 'en']), always ending with English
+   * @throws {UnsupportedLanguageError} If neither the language nor its fallbacks are installed
+   */
+  getChain(language) {
+    if (typeof language !== 'string' || !LANGUAGE_TAG.test(language)) {
+      throw new UnsupportedLanguageError(language, this.getLanguages());
+    }
+
+    const visited = [];
+    const visit = tag => {
+      if (visited.some(seen => seen.toLowerCase() === tag.toLowerCase())) return;
+      visited.push(this.findLanguage(tag) || tag);
+      const fallbacks = this.fallbacks.get(tag.toLowerCase());
+      (fallbacks || [tag.replace(/-[^-]+$/, '')]).forEach(visit);
+    };
+    visit(language);
+
+    const chain = visited.filter(tag => this.directories.has(tag));
+    if (chain.length === 0) {
+      throw new UnsupportedLanguageError(language, this.getLanguages());
+    }
+    if (!chain.includes(BASE_LANGUAGE)) chain.push(BASE_LANGUAGE);
+    return chain;
+  }
+
+  /**
+   * Load the role entries of a language, falling back field by field.
+   * Entries carry the category key of their English definition (`categoryKey`),
+   * so translated category names stay in the same category.
+   *
+   * @param {string} language - Language tag
+   * @returns {Object} { entries, report }, where report is { language, chain, strings,
+   *   fallbackStrings, byLanguage, fallbacks } and fallbacks lists the fields taken from a
+   *   fallback language ({ role, code, field, language, count }; code is null for role fields)
+   * @throws {UnsupportedLanguageError} If the language is not supported
+   * @throws {SchemaValidationError} In strict mode, if a merged definition is invalid
+   */
+  load(language) {
+    const chain = this.getChain(language);
+    const files = chain.map(tag => this.readDirectory(tag));
+    const names = Array.from(new Set(files.flatMap(byFile => Array.from(byFile.keys())))).sort();
+
+    const report = { language, chain, strings: 0, fallbackStrings: 0, byLanguage: {}, fallbacks: [] };
+    chain.forEach(tag => {
+      report.byLanguage[tag] = 0;
+    });
+    const record = (role, code, field, tag, value) => {
+      const count = Array.isArray(value) ? value.length : 1;
+      report.strings += count;
+      report.byLanguage[tag] += count;
+      if (tag !== chain[0]) {
+        report.fallbackStrings += count;
+        report.fallbacks.push({ role, code, field, language: tag, count });
+      }
+    };
+
+    const entries = [];
+    const errors = [];
+    names.forEach(name => {
+      const versions = chain
+        .map((tag, index) => ({ language: tag, ...files[index].get(name) }))
+        .filter(version => version.definition);
+      const { definition, source } = this.merge(versions, chain, record);
+      // Translated category names keep the key of the English one
+      const categoryKey = Taxonomy.slug(versions[versions.length - 1].definition.category || '');
+      try {
+        entries.push(...JSONParser.parseDefinition(definition, { strict: this.strict, source })
+          .map(entry => (categoryKey ? { ...entry, categoryKey } : entry)));
+      } catch (error) {
+        if (!(error instanceof SchemaValidationError)) throw error;
+        errors.push(...error.errors);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new SchemaValidationError(errors);
+    }
+    return { entries, report };
+  }
+
+  /**
+   * Merge the versions of a role file, most specific language first.
+   *
+   * @param {Object[]} versions - { language, file, definition }
+   * @param {string[]} chain - Language chain
+   * @param {Function} record - Reporter (role, code, field, language, value)
+   * @returns {Object} { definition, source }
+   * @private
+   */
+  merge(versions, chain, record) {
+    const base = versions[versions.length - 1].definition;
+    const pick = read => {
+      const version = versions.find(candidate => {
+        const value = read(candidate.definition);
+        return value !== undefined && value !== null;
+      });
+      return version ? { value: read(version.definition), language: version.language } : null;
+    };
+
+    const definition = Object.assign({}, ...versions.map(version => version.definition).reverse());
+    const names = loadRoleNames()[base.role] || {};
+    const translated = chain.find(tag => tag !== BASE_LANGUAGE && names[tag]);
+    const role = pick(version => version.role);
+    if (translated && role && chain.indexOf(translated) < chain.indexOf(role.language)) {
+      role.value = names[translated];
+      role.language = translated;
+    }
+    definition.role = role ? role.value : base.role;
+
+    ROLE_FIELDS.forEach(field => {
+      const picked = field === 'role' ? role : pick(version => version[field]);
+      if (picked) record(definition.role, null, field, picked.language, picked.value);
+    });
+
+    const codes = Array.from(new Set(versions.slice().reverse()
+      .flatMap(version => Object.keys(version.definition.levels || {}))));
+    definition.levels = {};
+    codes.forEach(code => {
+      const levels = versions.map(version => (version.definition.levels || {})[code]).filter(Boolean);
+      definition.levels[code] = Object.assign({}, ...levels.slice().reverse());
+      definition.levels[code].ids = this.mergeIds(levels);
+      LEVEL_FIELDS.forEach(field => {
+        const picked = pick(version => ((version.levels || {})[code] || {})[field]);
+        if (picked) record(definition.role, code, field, picked.language, picked.value);
+      });
+    });
+
+    return { definition, source: versions[0].file };
+  }
+
+  /**
+   * Stored IDs of a merged level. A list taken from a language without IDs
+   * shares the IDs of the next language that has them (English for bundled
+   * roles), item by item, as translations keep the order of the English file.
+   *
+   * @param {Object[]} levels - Versions of the level, most specific language first
+   * @returns {Object} IDs by list field
+   * @private
+   */
+  mergeIds(levels) {
+    const ids = {};
+    Object.keys(SECTIONS).forEach(field => {
+      const position = levels.findIndex(level => Array.isArray(level[field]));
+      if (position === -1) return;
+      const stored = levels.slice(position).map(level => (level.ids || {})[field]).find(Array.isArray);
+      if (stored) ids[field] = stored.slice(0, levels[position][field].length);
+    });
+    return ids;
+  }
+
+  /**
+   * Role files of a language, by file name, as written (without fallbacks).
+   * Read once; loading several languages with the same fallbacks reuses them.
+   *
+   * @param {string} language - Installed language
+   * @returns {Map<string, Object>} File name -> { file, definition }
+   */
+  readDirectory(language) {
+    if (!this.files.has(language)) {
+      const byFile = new Map();
+      JSONParser.listFiles(this.directories.get(language)).forEach(file => {
+        byFile.set(path.basename(file), { file, definition: JSON.parse(fs.readFileSync(file, 'utf-8')) });
+      });
+      this.files.set(language, byFile);
+    }
+    return this.files.get(language);
+  }
+
+  /**
+   * Role name translations of role-names.json (a copy).
+   *
+   * @returns {Object<string, Object<string, string>>} English name -> { language: name }
+   */
+  getRoleNames() {
+    return JSON.parse(JSON.stringify(loadRoleNames()));
+  }
+
+  /**
+   * Check a language tag.
+   *
+   * @param {string} tag - Language tag
+   * @throws {InvalidQueryError} If it is not a language tag
+   * @private
+   */
+  validateTag(tag) {
+    if (typeof tag !== 'string' || !LANGUAGE_TAG.test(tag)) {
+      throw new InvalidQueryError(`Invalid language tag: ${tag}`);
+    }
+  }
+}
+
+module.exports = LocaleLoader;
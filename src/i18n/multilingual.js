@@ -0,0 +1,123 @@
+/**
+ * Multilingual - Side-by-side output in several languages
+ *
+ * Combines the results of the same query in several languages into one
+ * result whose texts (role names, categories, level titles, competencies and
+ * indicators) are { language: text } objects, e.g. { en: '...', es: '...' }.
+ * Everything else (codes, IDs, numbers) is taken from the first language.
+ * List items are aligned by competency ID when the results carry IDs, by
+ * position otherwise; an item missing in a language is null there.
+ *
+ * @module i18n/multilingual
+ * @author 686f6c61
+ * @license MIT
+ */
+
+// Fields holding translatable texts or lists of texts
+const TEXT_FIELDS = new Set([
+  'role', 'category', 'level',
+  'core', 'complementary', 'indicators',
+  'coreCompetencies', 'complementaryCompetencies'
+]);
+
+// Competency IDs of the list fields, shared by every language
+const ID_FIELD = 'ids';
+
+/**
+ * Pair the texts of several languages.
+ *
+ * @param {Array<string|null>} texts - Text per language
+ * @param {string[]} languages - Languages, in the order of texts
+ * @returns {Object<string, string|null>} Language -> text
+ * @private
+ */
+function pair(texts, languages) {
+  const paired = {};
+  languages.forEach((language, index) => {
+    paired[language] = texts[index] ?? null;
+  });
+  return paired;
+}
+
+/**
+ * Pair a text field of the same object in several languages.
+ *
+ * @param {Object[]} objects - Object per language
+ * @param {string} field - Text field
+ * @param {string[]} languages - Languages
+ * @returns {*} Paired text, list of paired texts, or the combined value
+ * @private
+ */
+function pairField(objects, field, languages) {
+  const values = objects.map(object => (object ? object[field] : undefined));
+  if (typeof values[0] === 'string') {
+    return pair(values, languages);
+  }
+  if (!Array.isArray(values[0]) || values[0].some(item => typeof item !== 'string')) {
+    return combineValues(values, languages);
+  }
+
+  const ids = objects.map(object => (object && object[ID_FIELD] ? object[ID_FIELD][field] : undefined));
+  if (ids.every(Array.isArray)) {
+    return ids[0].map(id => pair(values.map((list, index) => (list || [])[ids[index].indexOf(id)]), languages));
+  }
+  return values[0].map((text, position) => pair(values.map(list => (list || [])[position]), languages));
+}
+
+/**
+ * Combine the same value in several languages.
+ *
+ * @param {Array} values - Value per language
+ * @param {string[]} languages - Languages
+ * @returns {*} Combined value
+ * @private
+ */
+function combineValues(values, languages) {
+  const [first] = values;
+  if (Array.isArray(first)) {
+    return first.map((item, index) => combineValues(values.map(value => (value || [])[index]), languages));
+  }
+  if (!first || typeof first !== 'object') {
+    return first;
+  }
+
+  const combined = {};
+  Object.keys(first).forEach(key => {
+    if (key === ID_FIELD) {
+      combined[key] = first[key];
+      return;
+    }
+    combined[key] = TEXT_FIELDS.has(key)
+      ? pairField(values, key, languages)
+      : combineValues(values.map(value => (value ? value[key] : undefined)), languages);
+  });
+  return combined;
+}
+
+/**
+ * Combine the results of one query in several languages.
+ *
+ * @param {Array} results - Result per language, same query
+ * @param {string[]} languages - Languages, in the order of results
+ * @returns {*} Result with { language: text } texts
+ */
+function combine(results, languages) {
+  return combineValues(results, languages);
+}
+
+/**
+ * Whether a value is a { language: text } pair built by combine().
+ *
+ * @param {*} value - Value
+ * @returns {boolean} True for a plain object of strings (or nulls)
+ */
+function isPaired(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+    && Object.values(value).every(text => text === null || typeof text === 'string');
+}
+
+module.exports = {
+  TEXT_FIELDS,
+  combine,
+  isPaired
+};
@@ -0,0 +1,234 @@
+/**
+ * Taxonomy - Translatable categories, level titles and seniority bands
+ *
+ * Categories, the generic titles of the L1-L9 ladder and the seniority bands
+ * grouping its levels are entities with a stable key ('software-engineering',
+ * 'L3', 'junior') and a name per language: taxonomy.json plus the `taxonomy`
+ * option. Names and aliases resolve back to their key in any language,
+ * ignoring case and accents, so filters behave the same whatever the library
+ * language. Categories missing from the taxonomy get a key derived from their
+ * name ('Platform Ops' -> 'platform-ops').
+ *
+ * @module i18n/taxonomy
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const TextAnalyzer = require('../core/text-analyzer');
+const { InvalidQueryError } = require('../core/validator');
+const bundled = require('./taxonomy.json');
+
+const KINDS = ['categories', 'levels', 'bands'];
+const BASE_LANGUAGE = 'en';
+
+// Level title: level prefix ('L3', or 'N3' in some files) and label
+const LEVEL_TITLE = /^[A-Z]([1-9])\s*-\s*(.+)$/;
+
+/**
+ * Translatable categories, level titles and seniority bands.
+ *
+ * @class Taxonomy
+ */
+class Taxonomy {
+  /**
+   * @param {Object} [names={}] - Extra names per kind and key, added to taxonomy.json
+   *   (e.g. { categories: { 'software-engineering': { pt: 'Engenharia de Software' } } });
+   *   unknown category keys add categories
+   * @throws {InvalidQueryError} If a kind, key or name is invalid
+   */
+  constructor(names = {}) {
+    if (!names || typeof names !== 'object' || Array.isArray(names)) {
+      throw new InvalidQueryError('Taxonomy names must be an object');
+    }
+
+    this.entities = {}; // kind -> Map(key -> { names, aliases, levels })
+    KINDS.forEach(kind => {
+      this.entities[kind] = new Map(Object.entries(bundled[kind])
+        .map(([key, entity]) => [key, { ...entity, names: { ...entity.names } }]));
+    });
+
+    Object.entries(names).forEach(([kind, byKey]) => {
+      if (!KINDS.includes(kind)) {
+        throw new InvalidQueryError(`Unknown taxonomy kind: ${kind}. Expected one of: ${KINDS.join(', ')}`);
+      }
+      Object.entries(byKey || {}).forEach(([key, translations]) => {
+        if (!translations || typeof translations !== 'object'
+          || Object.values(translations).some(name => typeof name !== 'string' || name.trim() === '')) {
+          throw new InvalidQueryError(`Names of ${kind} "${key}" must map languages to non-empty strings`);
+        }
+        if (!this.entities[kind].has(key)) {
+          if (kind !== 'categories' || key !== Taxonomy.slug(key)) {
+            throw new InvalidQueryError(`Unknown ${kind} key: ${key}. Expected one of: ${this.getKeys(kind).join(', ')}`
+              + (kind === 'categories' ? ' or a new lowercase, hyphen-separated key' : ''));
+          }
+          this.entities[kind].set(key, { names: {}, aliases: [] });
+        }
+        Object.assign(this.entities[kind].get(key).names, translations);
+      });
+    });
+
+    this.lookup = {}; // kind -> Map(folded key, name, alias or slug -> key)
+    this.languages = {}; // kind -> Map(folded name -> Set of languages using it)
+    KINDS.forEach(kind => {
+      this.lookup[kind] = new Map();
+      this.languages[kind] = new Map();
+      this.entities[kind].forEach((entity, key) => {
+        const names = [key, ...Object.values(entity.names), ...(entity.aliases || [])];
+        names.forEach(name => {
+          this.lookup[kind].set(TextAnalyzer.fold(name.trim()), key);
+          this.lookup[kind].set(Taxonomy.slug(name), key);
+        });
+        Object.entries(entity.names).forEach(([language, name]) => {
+          const folded = TextAnalyzer.fold(name.trim());
+          if (!this.languages[kind].has(folded)) this.languages[kind].set(folded, new Set());
+          this.languages[kind].get(folded).add(language);
+        });
+      });
+    });
+  }
+
+  /**
+   * Kinds of entities.
+   *
+   * @returns {string[]} 'categories', 'levels' and 'bands'
+   */
+  static get KINDS() {
+    return [...KINDS];
+  }
+
+  /**
+   * Key derived from a name.
+   *
+   * @param {string} name - Name (e.g. 'Platform Ops')
+   * @returns {string} Lowercase, accent-free, hyphen-separated key (e.g. 'platform-ops')
+   */
+  static slug(name) {
+    return TextAnalyzer.fold(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Keys of a kind, in taxonomy order.
+   *
+   * @param {string} kind - 'categories', 'levels' or 'bands'
+   * @returns {string[]} Keys
+   */
+  getKeys(kind) {
+    return Array.from(this.entities[kind].keys());
+  }
+
+  /**
+   * Name of an entity in the first language of a chain that has one, or in English.
+   *
+   * @param {string} kind - 'categories', 'levels' or 'bands'
+   * @param {string} key - Entity key
+   * @param {string[]} [chain=['en']] - Languages, most specific first
+   * @returns {string|null} Name, or null for unknown keys
+   */
+  getName(kind, key, chain = [BASE_LANGUAGE]) {
+    const language = this.nameLanguage(kind, key, chain);
+    return language ? this.entities[kind].get(key).names[language] : null;
+  }
+
+  /**
+   * Key of an entity from its key, a name in any language or an alias.
+   *
+   * @param {string} kind - 'categories', 'levels' or 'bands'
+   * @param {string} value - Key, name or alias (case- and accent-insensitive)
+   * @returns {string|null} Key, or null if nothing matches
+   */
+  resolve(kind, value) {
+    if (typeof value !== 'string') return null;
+    return this.lookup[kind].get(TextAnalyzer.fold(value.trim())) || null;
+  }
+
+  /**
+   * Level numbers of a seniority band.
+   *
+   * @param {string} band - Band key
+   * @returns {number[]} Level numbers (empty for unknown bands)
+   */
+  getLevels(band) {
+    const entity = this.entities.bands.get(band);
+    return entity ? [...entity.levels] : [];
+  }
+
+  /**
+   * Seniority band of a level.
+   *
+   * @param {number} levelNumber - Level number (1-9)
+   * @returns {string|null} Band key
+   */
+  bandOf(levelNumber) {
+    return this.getKeys('bands').find(band => this.entities.bands.get(band).levels.includes(levelNumber)) || null;
+  }
+
+  /**
+   * Entries with their category and generic level title in a language, a
+   * stable category key (`categoryKey`) and their seniority band (`band`).
+   * A category the taxonomy does not know keeps its name and keeps the key
+   * given by the entry (the one of its English category for translated
+   * files), or gets one derived from its name. Level titles get the 'L<n>'
+   * prefix; labels of the generic ladder ('Medio I', 'Personal/Principal')
+   * are replaced by their name in the language, unless it only has a name
+   * in a less specific language than the label (a 'pt' title 'L1 - Aprendiz'
+   * is kept rather than replaced by the English 'Trainee').
+   *
+   * @param {Object[]} entries - Role entries
+   * @param {string[]} chain - Languages, most specific first
+   * @returns {Object[]} New entries
+   */
+  localize(entries, chain) {
+    return entries.map(entry => {
+      const known = this.resolve('categories', entry.category);
+      const categoryKey = known
+        || this.resolve('categories', entry.categoryKey) || entry.categoryKey || Taxonomy.slug(entry.category);
+      return {
+        ...entry,
+        category: known ? this.getName('categories', known, chain) : entry.category,
+        categoryKey,
+        level: this.localizeLevel(entry.level, chain),
+        band: this.bandOf(entry.levelNumber)
+      };
+    });
+  }
+
+  /**
+   * Level title in a language.
+   *
+   * @param {string} title - Level title (e.g. 'N4 - Medio I')
+   * @param {string[]} chain - Languages, most specific first
+   * @returns {string} Title (e.g. 'L4 - Nivel Medio I')
+   * @private
+   */
+  localizeLevel(title, chain) {
+    const match = typeof title === 'string' ? title.match(LEVEL_TITLE) : null;
+    if (!match) return title;
+    const key = `L${match[1]}`;
+    if (this.resolve('levels', match[2]) !== key) return `${key} - ${match[2]}`;
+
+    // Languages the label is written in (none for aliases), and the one of the replacement
+    const written = Array.from(this.languages.levels.get(TextAnalyzer.fold(match[2].trim())) || []);
+    const full = [...chain, BASE_LANGUAGE];
+    const language = this.nameLanguage('levels', key, chain);
+    const replace = written.length === 0
+      || written.some(candidate => full.includes(candidate) && full.indexOf(candidate) >= full.indexOf(language));
+    return `${key} - ${replace ? this.entities.levels.get(key).names[language] : match[2]}`;
+  }
+
+  /**
+   * First language of a chain, or English, in which an entity has a name.
+   *
+   * @param {string} kind - 'categories', 'levels' or 'bands'
+   * @param {string} key - Entity key
+   * @param {string[]} chain - Languages, most specific first
+   * @returns {string|null} Language, or null for unknown keys and unnamed entities
+   * @private
+   */
+  nameLanguage(kind, key, chain) {
+    const entity = this.entities[kind].get(key);
+    if (!entity) return null;
+    return [...chain, BASE_LANGUAGE].find(language => entity.names[language]) || null;
+  }
+}
+
+module.exports = Taxonomy;
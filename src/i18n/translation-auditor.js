@@ -0,0 +1,343 @@
+/**
+ * Translation Auditor - Completeness and consistency of the locales
+ *
+ * Compares the role files of every installed language with those of a
+ * reference language (English by default), role file by role file and level
+ * code by level code, and reports:
+ *
+ * - missing-file: a role file the language does not have
+ * - missing-level: a level of the reference file the language does not have
+ * - missing-field: a translatable field a level or role file leaves out
+ * - count-mismatch: a competency or indicator list with another length
+ * - untranslated: a string detected as another language, or a competency or
+ *   indicator identical to one of the same list in the reference
+ * - level-mismatch: a level title with another level prefix ('N1' for 'L1')
+ *   or another levelNumber
+ * - years-mismatch: a yearsRange different from the reference one
+ * - missing-role-name: a role missing from role-names.json, or without a
+ *   name there in a language role-names.json covers
+ *
+ * Missing files, levels and fields fall back along the chain of the language
+ * (see i18n/locales), so they are gaps rather than errors. Languages are
+ * detected with markers: common words and characters of each language with
+ * a profile (English and Spanish, more with the `markers` option); a string
+ * belongs to the language with most markers, if it has at least two. Strings
+ * of a language without a profile are only compared with the reference.
+ *
+ * @module i18n/translation-auditor
+ * @author 686f6c61
+ * @license MIT
+ */
+
+const LocaleLoader = require('./locales');
+const { InvalidQueryError, UnsupportedLanguageError } = require('../core/validator');
+
+const ISSUE_TYPES = [
+  'missing-file',
+  'missing-level',
+  'missing-field',
+  'count-mismatch',
+  'untranslated',
+  'level-mismatch',
+  'years-mismatch',
+  'missing-role-name'
+];
+
+const ROLE_FIELDS = ['role', 'category'];
+const TEXT_FIELDS = ['level'];
+const LIST_FIELDS = ['coreCompetencies', 'complementaryCompetencies', 'indicators'];
+
+// Common words of each language; characters only used by the language count as markers too
+const MARKERS = {
+  en: {
+    words: [
+      'the', 'of', 'and', 'to', 'with', 'in', 'for', 'on', 'at', 'by', 'from', 'is', 'are',
+      'ability', 'knowledge', 'understanding', 'mastery', 'basic', 'advanced', 'deep', 'experience',
+      'management', 'design', 'leadership', 'team', 'teams', 'requires', 'leads', 'works', 'defines',
+      'strategy', 'development', 'skills', 'systems', 'implementation', 'organization'
+    ],
+    characters: ''
+  },
+  es: {
+    words: [
+      'de', 'del', 'la', 'el', 'los', 'las', 'y', 'para', 'con', 'en', 'por', 'una', 'un', 'es', 'se',
+      'capacidad', 'conocimiento', 'conocimientos', 'comprensión', 'habilidad', 'habilidades', 'dominio',
+      'gestión', 'diseño', 'liderazgo', 'equipo', 'equipos', 'requiere', 'lidera', 'estrategia',
+      'desarrollo', 'básico', 'básica', 'avanzado', 'profundo', 'experiencia', 'sistemas', 'datos',
+      'implementación', 'organización'
+    ],
+    characters: 'áéíóúñ¿¡'
+  }
+};
+
+// Markers a string needs to be attributed to a language
+const MIN_MARKERS = 2;
+// Words a string needs before an identical translation counts as untranslated
+const MIN_IDENTICAL_WORDS = 4;
+
+/**
+ * Auditor of the installed translations.
+ *
+ * @class TranslationAuditor
+ */
+class TranslationAuditor {
+  /**
+   * @param {LocaleLoader} [loader] - Loader of the installed languages (default: bundled ones)
+   * @param {Object} [options={}] - Auditor options
+   * @param {Object<string, Object>} [options.markers] - Language markers ({ words, characters })
+   *   per language, added to or replacing the English and Spanish ones
+   * @throws {InvalidQueryError} If a marker profile is invalid
+   */
+  constructor(loader = new LocaleLoader(), options = {}) {
+    this.loader = loader;
+    this.markers = new Map();
+    Object.entries({ ...MARKERS, ...(options.markers || {}) }).forEach(([language, profile]) => {
+      if (!profile || !Array.isArray(profile.words)) {
+        throw new InvalidQueryError(`Markers of "${language}" must be { words: string[], characters?: string }`);
+      }
+      this.markers.set(language.toLowerCase(), {
+        words: new Set(profile.words.map(word => word.toLowerCase())),
+        characters: profile.characters || ''
+      });
+    });
+  }
+
+  /**
+   * Issue types, in report order.
+   *
+   * @returns {string[]} Issue types
+   */
+  static get ISSUE_TYPES() {
+    return [...ISSUE_TYPES];
+  }
+
+  /**
+   * Language a text is written in, from the language markers.
+   *
+   * @param {string} text - Text
+   * @returns {Object} { language, scores }, where language is null when no language has
+   *   enough markers or two languages tie
+   */
+  detectLanguage(text) {
+    const words = String(text).toLowerCase().match(/[\p{L}]+/gu) || [];
+    const scores = {};
+    this.markers.forEach((profile, language) => {
+      scores[language] = words.filter(word => profile.words.has(word)).length
+        + Array.from(String(text).toLowerCase()).filter(char => profile.characters.includes(char)).length;
+    });
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [best, second] = ranked;
+    const detected = best && best[1] >= MIN_MARKERS && (!second || best[1] > second[1]) ? best[0] : null;
+    return { language: detected, scores };
+  }
+
+  /**
+   * Compare the role files of the installed languages with the reference.
+   *
+   * @param {Object} [options={}] - Audit options
+   * @param {string[]} [options.languages] - Languages to audit (default: every installed one)
+   * @param {string} [options.reference='en'] - Language the others are compared with
+   * @returns {Object} { reference, languages, files, strings, summary, issues }, where summary is
+   *   { total, byType, byLanguage } and issues lists { type, language, file, role, code, field,
+   *   message } plus expected/actual for mismatches and index/text/detected for untranslated strings
+   * @throws {InvalidQueryError} If an option is invalid
+   * @throws {UnsupportedLanguageError} If a language is not installed
+   */
+  audit(options = {}) {
+    const reference = this.installed(options.reference ?? LocaleLoader.BASE_LANGUAGE);
+    if (options.languages !== undefined && (!Array.isArray(options.languages) || options.languages.length === 0)) {
+      throw new InvalidQueryError('languages must be a non-empty array of language codes');
+    }
+    const languages = Array.from(new Set([
+      reference,
+      ...(options.languages || this.loader.getLanguages()).map(language => this.installed(language))
+    ]));
+
+    const files = new Map(languages.map(language => [language, this.loader.readDirectory(language)]));
+    const names = Array.from(new Set(languages.flatMap(language => Array.from(files.get(language).keys())))).sort();
+    const roleNames = this.loader.getRoleNames();
+    const namedLanguages = new Set(Object.values(roleNames).flatMap(byLanguage => Object.keys(byLanguage)));
+    const english = this.loader.readDirectory(LocaleLoader.BASE_LANGUAGE);
+
+    const issues = [];
+    let strings = 0;
+    names.forEach(file => {
+      const base = (files.get(reference).get(file) || {}).definition;
+      const englishName = ((english.get(file) || {}).definition || {}).role || (base && base.role);
+      const role = englishName || file;
+      const report = (type, language, code, field, message, details = {}) => {
+        issues.push({ type, language, file, role, code, field, message, ...details });
+      };
+
+      languages.forEach(language => {
+        const version = files.get(language).get(file);
+        if (!version) {
+          report('missing-file', language, null, null, `No ${file} in ${language}`);
+          return;
+        }
+        strings += this.checkFile(version.definition, language === reference ? null : base, language, report);
+      });
+
+      const translations = roleNames[englishName];
+      if (!translations) {
+        report('missing-role-name', null, null, 'role', `"${role}" is not in role-names.json`);
+      } else {
+        languages
+          .filter(language => namedLanguages.has(language) && !translations[language])
+          .forEach(language => report('missing-role-name', language, null, 'role', `role-names.json has no ${language} name for "${role}"`));
+      }
+    });
+
+    const byType = {};
+    ISSUE_TYPES.forEach(type => {
+      byType[type] = issues.filter(issue => issue.type === type).length;
+    });
+    const byLanguage = {};
+    languages.forEach(language => {
+      byLanguage[language] = issues.filter(issue => issue.language === language).length;
+    });
+    issues.sort((a, b) => ISSUE_TYPES.indexOf(a.type) - ISSUE_TYPES.indexOf(b.type));
+
+    return {
+      reference,
+      languages,
+      files: names.length,
+      strings,
+      summary: { total: issues.length, byType, byLanguage },
+      issues
+    };
+  }
+
+  /**
+   * Check a role file against the reference version.
+   *
+   * @param {Object} definition - Role definition in the language
+   * @param {Object|null} base - Reference definition (null for the reference itself or when missing)
+   * @param {string} language - Language
+   * @param {Function} report - Reporter (type, language, code, field, message, details)
+   * @returns {number} Strings checked
+   * @private
+   */
+  checkFile(definition, base, language, report) {
+    let strings = 0;
+    const check = (code, field, text, index, references) => {
+      strings++;
+      this.checkText(text, references, language, (message, details) =>
+        report('untranslated', language, code, field, message, { index, text, ...details }));
+    };
+
+    ROLE_FIELDS.forEach(field => {
+      if (typeof definition[field] === 'string') {
+        check(null, field, definition[field], null, []);
+      } else if (base && base[field]) {
+        report('missing-field', language, null, field, `${field} missing in ${language}`);
+      }
+    });
+
+    const levels = definition.levels || {};
+    const baseLevels = base ? base.levels || {} : {};
+    if (base) {
+      Object.keys(baseLevels)
+        .filter(code => !levels[code])
+        .forEach(code => report('missing-level', language, code, null, `${code} missing in ${language}`));
+    }
+
+    Object.entries(levels).forEach(([code, level]) => {
+      const baseLevel = base ? baseLevels[code] : null;
+      [...TEXT_FIELDS, ...LIST_FIELDS].forEach(field => {
+        if (level[field] === undefined && baseLevel && baseLevel[field] !== undefined) {
+          report('missing-field', language, code, field, `${code} ${field} missing in ${language}`);
+        }
+      });
+
+      if (typeof level.level === 'string') {
+        check(code, 'level', level.level, null, []);
+      }
+      LIST_FIELDS.forEach(field => {
+        if (!Array.isArray(level[field])) return;
+        const baseList = baseLevel && Array.isArray(baseLevel[field]) ? baseLevel[field] : null;
+        level[field].forEach((text, index) => check(code, field, text, index, baseList || []));
+        if (baseList && baseList.length !== level[field].length) {
+          report('count-mismatch', language, code, field,
+            `${code} ${field}: ${level[field].length} in ${language}, ${baseList.length} in the reference`,
+            { expected: baseList.length, actual: level[field].length });
+        }
+      });
+      if (baseLevel) this.checkLevel(level, baseLevel, language, code, report);
+    });
+
+    return strings;
+  }
+
+  /**
+   * Compare the level title, levelNumber and yearsRange of a level with the reference.
+   *
+   * @param {Object} level - Level in the language
+   * @param {Object} baseLevel - Level in the reference
+   * @param {string} language - Language
+   * @param {string} code - Level code
+   * @param {Function} report - Reporter
+   * @private
+   */
+  checkLevel(level, baseLevel, language, code, report) {
+    const prefix = title => (typeof title === 'string' ? title.split(/\s+-\s+|\s+/)[0] : null);
+    const [actual, expected] = [prefix(level.level), prefix(baseLevel.level)];
+    if (actual && expected && actual !== expected) {
+      report('level-mismatch', language, code, 'level', `${code} title starts with ${actual} instead of ${expected}`,
+        { expected: baseLevel.level, actual: level.level });
+    }
+    if (level.levelNumber !== undefined && baseLevel.levelNumber !== undefined && level.levelNumber !== baseLevel.levelNumber) {
+      report('level-mismatch', language, code, 'levelNumber', `${code} is level ${level.levelNumber} instead of ${baseLevel.levelNumber}`,
+        { expected: baseLevel.levelNumber, actual: level.levelNumber });
+    }
+
+    const range = years => (years ? `${years.min}-${years.max ?? '+'}` : null);
+    if (level.yearsRange && baseLevel.yearsRange && range(level.yearsRange) !== range(baseLevel.yearsRange)) {
+      report('years-mismatch', language, code, 'yearsRange',
+        `${code} yearsRange ${range(level.yearsRange)} instead of ${range(baseLevel.yearsRange)}`,
+        { expected: baseLevel.yearsRange, actual: level.yearsRange });
+    }
+  }
+
+  /**
+   * Report a string written in another language or identical to a reference string.
+   *
+   * @param {string} text - String in the language
+   * @param {string[]} references - Reference strings of the same list (empty for other fields)
+   * @param {string} language - Language
+   * @param {Function} report - Reporter (message, details)
+   * @private
+   */
+  checkText(text, references, language, report) {
+    const primary = language.toLowerCase().split('-')[0];
+    if (this.markers.has(primary)) {
+      const { language: detected } = this.detectLanguage(text);
+      if (detected && detected !== primary) {
+        report(`Looks like ${detected}, not ${language}`, { detected });
+        return;
+      }
+    }
+    if (references.includes(text) && text.split(/\s+/).length >= MIN_IDENTICAL_WORDS) {
+      report('Identical to the reference text', { detected: null });
+    }
+  }
+
+  /**
+   * Installed language matching a tag.
+   *
+   * @param {string} tag - Language tag
+   * @returns {string} Installed language
+   * @throws {UnsupportedLanguageError} If it is not installed
+   * @private
+   */
+  installed(tag) {
+    const language = typeof tag === 'string' ? this.loader.findLanguage(tag) : null;
+    if (!language) {
+      throw new UnsupportedLanguageError(tag, this.loader.getLanguages());
+    }
+    return language;
+  }
+}
+
+module.exports = TranslationAuditor;
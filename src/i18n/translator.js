@@ -1,8 +1,11 @@
 /**
- * Translator - Bilingual translation system (EN/ES)
+ * Translator - Translation of role names and competencies
  *
- * Provides lazy-loading translation for role names and competencies.
- * Caches loaded translations for performance.
+ * Provides lazy-loading translation for role names and competencies into any
+ * installed language (see LocaleLoader). Each field is taken from the first
+ * language of the fallback chain with a translation; the source data is
+ * Spanish, so Spanish content is kept as-is. Caches loaded translations for
+ * performance.
  *
  * @module i18n/translator
  * @author 686f6c61
@@ -10,9 +13,16 @@
 
 const fs = require('fs');
 const path = require('path');
+const { splitItems } = require('../core/competency-ids');
+
+// Language the role data is written in
+const SOURCE_LANGUAGE = 'es';
+
+// Translated list fields of an entry
+const LIST_FIELDS = ['coreCompetencies', 'complementaryCompetencies', 'indicators'];
 
 /**
- * Translator class for bilingual support.
+ * Translator class for multi-language support.
  *
  * @class Translator
  */
@@ -20,10 +30,19 @@ class Translator {
   /**
    * Creates a new translator instance.
    *
-   * @param {string} [language='es'] - Target language ('en' or 'es')
+   * @param {string} [language='es'] - Target language (e.g. 'en', 'es', 'pt-BR')
+   * @param {Object} [options={}] - Translator options
+   * @param {boolean} [options.translateContent=true] - Replace competencies and indicators
+   *   with the translation files (disable when entries are already in the target language)
+   * @param {string[]} [options.fallbacks=[]] - Languages tried after the target language
+   * @param {Object<string, string>} [options.locales={}] - Translation directories
+   *   (language -> directory) replacing translations/<language>
    */
-  constructor(language = 'es') {
+  constructor(language = 'es', options = {}) {
     this.language = language;
+    this.chain = [language, ...(options.fallbacks || []).filter(fallback => fallback !== language)];
+    this.locales = options.locales || {};
+    this.translateContent = options.translateContent !== false;
     this.roleNamesMap = this.loadRoleNamesMap();
     this.translationCache = new Map();
   }
@@ -37,6 +56,15 @@ class Translator {
     return this.language;
   }
 
+  /**
+   * Languages tried for each field, target language first.
+   *
+   * @returns {string[]} Language codes
+   */
+  getChain() {
+    return [...this.chain];
+  }
+
   /**
    * Load role names mapping (originalRole -> translatedName).
    *
@@ -50,10 +78,7 @@ class Translator {
       const map = new Map();
 
       Object.entries(roleNamesData).forEach(([originalRole, translations]) => {
-        map.set(originalRole, {
-          es: translations.es,
-          en: translations.en
-        });
+        map.set(originalRole, { ...translations });
       });
 
       return map;
@@ -73,7 +98,8 @@ class Translator {
     if (!translations) {
       return originalRole;
     }
-    return translations[this.language] || originalRole;
+    const language = this.chain.find(candidate => translations[candidate]);
+    return language ? translations[language] : originalRole;
   }
 
   /**
@@ -96,31 +122,23 @@ class Translator {
     }
 
     // If language is Spanish, return as-is (data is already in Spanish)
-    if (this.language === 'es') {
+    if (this.language === SOURCE_LANGUAGE || !this.translateContent || !entry.role || !entry.code) {
       return translated;
     }
 
-    // For English, translate competencies and indicators
-    if (this.language === 'en' && entry.role && entry.code) {
-      const translationData = this.loadTranslationForRole(entry.role);
-
-      if (translationData && translationData.levels && translationData.levels[entry.code]) {
-        const levelTranslation = translationData.levels[entry.code];
-
-        // Translate competencies
-        if (levelTranslation.coreCompetencies && Array.isArray(entry.coreCompetencies)) {
-          translated.coreCompetencies = levelTranslation.coreCompetencies;
-        }
-
-        if (levelTranslation.complementaryCompetencies && Array.isArray(entry.complementaryCompetencies)) {
-          translated.complementaryCompetencies = levelTranslation.complementaryCompetencies;
-        }
-
-        if (levelTranslation.indicators && Array.isArray(entry.indicators)) {
-          translated.indicators = levelTranslation.indicators;
+    // Otherwise translate competencies and indicators, field by field along the chain
+    LIST_FIELDS.forEach(field => {
+      if (!Array.isArray(entry[field])) return;
+      for (const language of this.chain) {
+        if (language === SOURCE_LANGUAGE) return;
+        const translationData = this.loadTranslationForRole(entry.role, language);
+        const levelTranslation = translationData && translationData.levels && translationData.levels[entry.code];
+        if (levelTranslation && levelTranslation[field]) {
+          translated[field] = splitItems(levelTranslation[field], entry.code, field).texts;
+          return;
         }
       }
-    }
+    });
 
     return translated;
   }
@@ -129,27 +147,30 @@ class Translator {
    * Load translation file for a specific role.
    *
    * @param {string} roleName - Role name
+   * @param {string} [language=this.language] - Language of the translation
    * @returns {Object|null} Translation data or null
    * @private
    */
-  loadTranslationForRole(roleName) {
+  loadTranslationForRole(roleName, language = this.language) {
     if (!roleName) {
       return null;
     }
 
     // Check cache first
-    if (this.translationCache.has(roleName)) {
-      return this.translationCache.get(roleName);
+    const cacheKey = `${language}/${roleName}`;
+    if (this.translationCache.has(cacheKey)) {
+      return this.translationCache.get(cacheKey);
     }
 
     try {
       // Sanitize role name for filename (convert to lowercase and replace spaces with hyphens)
       const filename = `${roleName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '-')}.json`;
-      const translationPath = path.join(__dirname, 'translations', this.language, filename);
+      const dir = this.locales[language] || path.join(__dirname, 'translations', language);
+      const translationPath = path.join(dir, filename);
 
       if (fs.existsSync(translationPath)) {
         const translationData = JSON.parse(fs.readFileSync(translationPath, 'utf-8'));
-        this.translationCache.set(roleName, translationData);
+        this.translationCache.set(cacheKey, translationData);
         return translationData;
       }
     } catch (error) {
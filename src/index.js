@@ -2,7 +2,8 @@
  * Tech Roles Library
  *
  * A comprehensive library for managing technical roles, career levels, and competency frameworks.
- * Provides 78 technical roles across 9 career levels with bilingual support (EN/ES).
+ * Provides 78 technical roles across 9 career levels in English and Spanish, with
+ * drop-in support for more languages and locale fallback chains.
  *
  * @module tech-roles-library
  * @author 686f6c61
@@ -11,14 +12,48 @@
  * @see {@link https://github.com/686f6c61/npm-tech-roles-library}
  */
 
-const path = require('path');
 const JSONParser = require('./core/json-parser');
+const SourceLoader = require('./core/source-loader');
+const Patcher = require('./core/patcher');
 const CompetencyDatabase = require('./core/database');
 const QueryAPI = require('./api/queries');
 const FilterAPI = require('./api/filters');
 const ComparisonAPI = require('./api/comparisons');
-const { Validator } = require('./core/validator');
+const AssessmentAPI = require('./api/assessments');
+const TeamAPI = require('./api/teams');
+const TransitionAPI = require('./api/transitions');
+const CareerPathAPI = require('./api/career-paths');
+const SchemaValidator = require('./core/schema-validator');
+const RoleResolver = require('./core/role-resolver');
+const TitleResolver = require('./core/title-resolver');
+const CompetencyMatcher = require('./core/competency-matcher');
+const SkillExtractor = require('./core/skill-extractor');
+const SkillAPI = require('./api/skills');
+const DimensionClassifier = require('./core/dimension-classifier');
+const DimensionAPI = require('./api/dimensions');
+const LearningTimeModel = require('./core/learning-time-model');
+const {
+  Validator,
+  CompetencyError,
+  RoleNotFoundError,
+  AmbiguousRoleCodeError,
+  LevelNotFoundError,
+  CompetencyNotFoundError,
+  SkillNotFoundError,
+  UnsupportedLanguageError,
+  InvalidQueryError,
+  RoleConflictError,
+  PatchError,
+  SchemaValidationError
+} = require('./core/validator');
 const Translator = require('./i18n/translator');
+const LocaleLoader = require('./i18n/locales');
+const multilingual = require('./i18n/multilingual');
+const TranslationAuditor = require('./i18n/translation-auditor');
+const Taxonomy = require('./i18n/taxonomy');
+
+// Language competency dimensions are computed from (see createDimensionClassifier())
+const REFERENCE_LANGUAGE = 'en';
 
 /**
  * Main library class for accessing tech roles and competency data.
@@ -34,25 +69,98 @@ class TechRolesLibrary {
    * Creates a new instance of TechRolesLibrary.
    *
    * @param {Object} [options={}] - Configuration options
-   * @param {string} [options.language='es'] - Language for translations ('en' or 'es')
+   * @param {string} [options.language='en'] - Language of the data ('en', 'es' or any installed
+   *   locale such as 'pt-BR'); missing fields fall back along the language's fallback chain
+   * @param {Object<string, string>} [options.locales={}] - Extra language directories of role
+   *   definition files (language -> directory), possibly partial
+   * @param {Object<string, string[]>} [options.fallbacks={}] - Languages tried after a language,
+   *   replacing its parent tag (e.g. { 'pt-BR': ['pt', 'es'] }); English is always tried last
    * @param {boolean} [options.includeComplementary=true] - Include complementary competencies
    * @param {boolean} [options.includeIndicators=true] - Include level indicators
    * @param {string} [options.csvPath] - Custom path to CSV data file
+   * @param {Array} [options.sources=[]] - Additional role sources merged with the bundled roles
+   *   (directory or JSON file paths, role definition objects, or { path|data, language } descriptors)
+   * @param {string} [options.onConflict='error'] - How to handle role code/name conflicts
+   *   between sources ('error', 'skip' or 'override')
+   * @param {Array} [options.patches=[]] - Override documents (objects or JSON file paths)
+   *   applied to the loaded entries before the database is built
+   * @param {boolean} [options.strict=false] - Validate every role file and source against
+   *   the role definition schema at load time
+   * @param {Object<string, string>} [options.aliases={}] - Extra role name aliases
+   *   (alias -> role name) accepted by every method taking a role name
+   * @param {Object<string, *>} [options.jobTitles={}] - Job title registry entries used by
+   *   resolveJobTitle() (title -> role name, { role, level, confidence } or an array of either)
+   * @param {Object<string, Object>} [options.skills={}] - Skill taxonomy entries added to or
+   *   replacing the bundled ones (skill ID -> { name, group, aliases })
+   * @param {Object} [options.dimensions={}] - Competency dimension overrides
+   * @param {Object<string, string[]>} [options.dimensions.rules] - Keywords replacing the bundled
+   *   keywords of a dimension (dimension -> keywords)
+   * @param {Object<string, string>} [options.dimensions.competencies] - Dimensions pinned by
+   *   competency ID (ID -> dimension)
+   * @param {Object} [options.learningTime={}] - Learning time model: LearningTimeModel parameters
+   *   (weeksPerCompetency, dimensionWeights, levelDifficulty, overlapDiscount, range) or a custom
+   *   estimator with an estimate(items) method
+   * @param {Object} [options.taxonomy={}] - Names of categories, level titles and seniority bands
+   *   added to the bundled ones (kind -> key -> language -> name, e.g.
+   *   { categories: { 'software-engineering': { pt: 'Engenharia de Software' } } });
+   *   new category keys add categories
    */
   constructor(options = {}) {
     this.options = {
       language: options.language || 'en',
       includeComplementary: options.includeComplementary !== false,
       includeIndicators: options.includeIndicators !== false,
-      translationsDir: options.translationsDir || null
+      translationsDir: options.translationsDir || null,
+      locales: options.locales || {},
+      fallbacks: options.fallbacks || {},
+      sources: options.sources || [],
+      onConflict: options.onConflict || 'error',
+      patches: options.patches || [],
+      strict: options.strict === true,
+      aliases: options.aliases || {},
+      jobTitles: options.jobTitles || {},
+      skills: options.skills || {},
+      dimensions: options.dimensions || {},
+      learningTime: options.learningTime || {},
+      taxonomy: options.taxonomy || {}
     };
 
     this.database = null;
+    this.localized = null; // the database in the library language
     this.translator = null;
     this.queryAPI = null;
     this.filterAPI = null;
     this.comparisonAPI = null;
+    this.assessmentAPI = null;
+    this.teamAPI = null;
+    this.transitionAPI = null;
+    this.careerPathAPI = null;
+    this.skillAPI = null;
+    this.skillExtractor = null;
+    this.dimensionAPI = null;
+    this.dimensionClassifier = null;
+    this.learningTimeModel = null;
+    this.taxonomy = null;
+    this.competencyMatchers = new Map(); // similarity method -> CompetencyMatcher
+    this.resolver = null;
+    this.titleResolver = null;
+    this.loadReport = null;
+    this.patchReport = null;
+    this.fallbackReport = null;
+    this.contentLanguage = null;
     this.loaded = false;
+
+    // State shared with the views of other languages (see withLanguage())
+    this.shared = {
+      language: this.options.language, // language of the library the views were created from
+      views: new Map([[this.options.language, this]]), // language -> library
+      localeLoader: null,
+      learningTimeModel: null,
+      taxonomy: null,
+      database: null,
+      dimensionClassifier: null, // classifier of the reference language, shared by every view
+      changes: [] // runtime additions (job titles, skills), replayed on views loaded later
+    };
   }
 
   /**
@@ -64,25 +172,144 @@ class TechRolesLibrary {
   ensureLoaded() {
     if (this.loaded) return;
 
-    // Determine translations directory based on language
-    const translationsDir = this.options.translationsDir ||
-      path.join(__dirname, `i18n/translations/${this.options.language}`);
+    const { chain, fallbackReport, merged } = this.mergeSources(this.options.language);
+    this.fallbackReport = fallbackReport;
+    // Text analysis (stop words, stemming) follows the most specific installed language
+    this.contentLanguage = chain[0];
+    this.loadReport = merged.report;
 
-    const parser = new JSONParser(translationsDir);
-    const entries = parser.parse();
+    // Patches without a language are written in the language the library was created in
+    const patcher = new Patcher({
+      language: this.options.language,
+      referenceLanguage: this.shared.language,
+      reference: () => this.mergeSources(this.shared.language).merged.entries
+    });
+    const { entries, report } = patcher.apply(merged.entries, this.options.patches);
+    this.patchReport = report;
 
-    this.database = new CompetencyDatabase();
-    this.database.load(entries);
+    // Categories and level titles in the library language, with stable keys
+    if (!this.shared.taxonomy) {
+      this.shared.taxonomy = new Taxonomy(this.options.taxonomy);
+    }
+    this.taxonomy = this.shared.taxonomy;
+    // One database for every language: the texts of this one are added to the
+    // shared database, unless its sources or patches change the roles or levels
+    const localized = this.taxonomy.localize(entries, chain);
+    const shared = this.shared.database;
+    if (shared && shared.addLanguage(this.options.language, localized)) {
+      this.database = shared;
+    } else {
+      this.database = new CompetencyDatabase({ taxonomy: this.taxonomy });
+      this.database.load(localized, this.options.language);
+      if (!shared) this.shared.database = this.database;
+    }
+    this.localized = this.database.in(this.options.language);
 
-    // Initialize translator
-    this.translator = new Translator(this.options.language);
+    // Initialize translator. Bundled data is already in the target language, so
+    // content is only re-translated when a custom translations directory is used.
+    this.translator = new Translator(this.options.language, {
+      translateContent: Boolean(this.options.translationsDir),
+      fallbacks: chain,
+      locales: this.options.locales
+    });
 
     // Pass translator to QueryAPI
-    this.queryAPI = new QueryAPI(this.database, this.translator);
-    this.filterAPI = new FilterAPI(this.database);
-    this.comparisonAPI = new ComparisonAPI(this.database, this.queryAPI);
+    this.resolver = new RoleResolver(this.localized, { aliases: this.options.aliases });
+    this.titleResolver = new TitleResolver(this.localized, this.resolver, { titles: this.options.jobTitles });
+    this.queryAPI = new QueryAPI(this.localized, this.translator, this.resolver);
+    this.filterAPI = new FilterAPI(this.localized, { language: this.contentLanguage });
+    this.dimensionClassifier = this.createDimensionClassifier();
+    if (!this.shared.learningTimeModel) {
+      this.shared.learningTimeModel = typeof this.options.learningTime.estimate === 'function'
+        ? this.options.learningTime
+        : new LearningTimeModel(this.options.learningTime);
+    }
+    this.learningTimeModel = this.shared.learningTimeModel;
+    const estimation = { classifier: this.dimensionClassifier, estimator: this.learningTimeModel };
+    this.comparisonAPI = new ComparisonAPI(this.localized, this.queryAPI, this.translator, {
+      matcher: method => this.getCompetencyMatcher(method),
+      ...estimation
+    });
+    this.assessmentAPI = new AssessmentAPI(this.localized, this.queryAPI);
+    this.teamAPI = new TeamAPI(this.localized, this.queryAPI);
+    const matcherOptions = { language: this.contentLanguage, matcher: () => this.getCompetencyMatcher() };
+    this.transitionAPI = new TransitionAPI(this.localized, this.queryAPI, { ...matcherOptions, ...estimation });
+    // Career graphs are built by the library of the database language and shared with its views
+    const owner = this.shared.views.get(this.database.language);
+    this.careerPathAPI = new CareerPathAPI(this.localized, this.queryAPI, {
+      ...matcherOptions,
+      builder: () => owner.careerPathAPI
+    });
+    this.skillExtractor = new SkillExtractor({ language: this.contentLanguage, skills: this.options.skills });
+    this.skillAPI = new SkillAPI(this.localized, this.queryAPI, this.skillExtractor);
+    this.dimensionAPI = new DimensionAPI(this.localized, this.queryAPI, this.dimensionClassifier);
 
     this.loaded = true;
+    this.shared.changes.forEach(change => change(this));
+  }
+
+  /**
+   * Dimension classifier of this language. Competency IDs are classified once,
+   * from their English text, by a classifier shared with every view, so an ID
+   * has the same dimension in every language.
+   *
+   * @returns {DimensionClassifier} Classifier
+   * @private
+   */
+  createDimensionClassifier() {
+    const options = { ...this.options.dimensions };
+    if (this.options.language === REFERENCE_LANGUAGE) {
+      if (!this.shared.dimensionClassifier) {
+        this.shared.dimensionClassifier = new DimensionClassifier({ ...options, language: this.contentLanguage });
+      }
+      return this.shared.dimensionClassifier;
+    }
+
+    const reference = this.withLanguage(REFERENCE_LANGUAGE);
+    return new DimensionClassifier({
+      ...options,
+      language: this.contentLanguage,
+      reference: {
+        get classifier() {
+          reference.ensureLoaded();
+          return reference.dimensionClassifier;
+        },
+        text: id => {
+          reference.ensureLoaded();
+          const found = reference.localized.getByCompetencyId(id);
+          return found ? found.entry[found.field][found.index] : null;
+        }
+      }
+    });
+  }
+
+  /**
+   * Load a language and its fallbacks, unless a custom translations directory
+   * is used, and merge the custom sources of that language.
+   *
+   * @param {string} language - Language code
+   * @returns {Object} { chain, fallbackReport, merged } (merged: { entries, report } from SourceLoader)
+   * @private
+   */
+  mergeSources(language) {
+    let parsed;
+    let chain = [language];
+    let fallbackReport = null;
+    if (this.options.translationsDir) {
+      parsed = new JSONParser(this.options.translationsDir, { strict: this.options.strict }).parse();
+    } else {
+      const locale = this.getLocaleLoader().load(language);
+      parsed = locale.entries;
+      chain = locale.report.chain;
+      fallbackReport = locale.report;
+    }
+
+    const loader = new SourceLoader({
+      onConflict: this.options.onConflict,
+      language,
+      strict: this.options.strict
+    });
+    return { chain, fallbackReport, merged: loader.merge(parsed, this.options.sources) };
   }
 
   // ========================================
@@ -102,12 +329,76 @@ class TechRolesLibrary {
     return this.queryAPI.getRoles();
   }
 
+  /**
+   * Resolve a role name as typed by a user.
+   * Every method taking a role name accepts the same forms: exact or
+   * case/accent-insensitive names, aliases, code prefixes ('BE'), the name in
+   * the other bundled language and close misspellings.
+   *
+   * @param {string} name - Role name, alias, code prefix or approximate name
+   * @returns {Object} Match ({ role, matchedBy, score }); matchedBy is 'exact', 'name',
+   *   'alias', 'code', 'translation' or 'fuzzy'
+   * @throws {RoleNotFoundError} If nothing matches confidently; `error.suggestions` lists
+   *   the closest role names, best first
+   * @example
+   * library.resolveRole('backend dev'); // { role: 'Backend Developer', matchedBy: 'fuzzy', score: 0.929 }
+   * library.resolveRole('BE');          // { role: 'Backend Developer', matchedBy: 'code', score: 1 }
+   */
+  resolveRole(name) {
+    this.ensureLoaded();
+    const match = this.resolver.match(name);
+    if (!match) {
+      throw new RoleNotFoundError(name, this.resolver.suggest(name).map(s => s.role));
+    }
+    return match;
+  }
+
+  /**
+   * Map a free-form job title to candidate roles and levels, best first.
+   * The role part is matched against the job title registry (bundled
+   * defaults plus the `jobTitles` option and addJobTitle()) and the role
+   * names; seniority words are matched against the role's level titles.
+   * `level` is null when the title carries no seniority.
+   *
+   * @param {string} title - Job title (e.g. 'Software Engineer II', 'Sr. SDE')
+   * @param {Object} [options={}] - Resolution options
+   * @param {number} [options.limit=5] - Maximum number of candidates
+   * @param {number} [options.minConfidence=0] - Minimum confidence (0-1)
+   * @returns {Object[]} Candidates ({ role, level, code, levelNumber, confidence, matchedBy })
+   * @throws {InvalidQueryError} If the title or options are invalid
+   * @example
+   * library.resolveJobTitle('Senior Software Engineer II');
+   * // [{ role: 'Software Engineer', level: 'L7 - Senior II', code: 'SE-L7', confidence: 1, ... }]
+   */
+  resolveJobTitle(title, options = {}) {
+    this.ensureLoaded();
+    return this.titleResolver.resolve(title, options);
+  }
+
+  /**
+   * Register a job title mapping, taking precedence over the bundled registry.
+   *
+   * @param {string} title - Job title as it appears in postings or HR exports
+   * @param {string|Object|Array} target - Role name, { role, level, confidence },
+   *   or an array of either (entries without a confidence share it equally)
+   * @throws {InvalidQueryError} If the title or target is invalid
+   * @throws {RoleNotFoundError} If a target role doesn't exist
+   * @throws {LevelNotFoundError} If a target level doesn't exist for its role
+   * @example
+   * library.addJobTitle('Member of Technical Staff', { role: 'Software Engineer', level: 'L5' });
+   */
+  addJobTitle(title, target) {
+    this.applyShared(library => library.titleResolver.addTitle(title, target));
+  }
+
   /**
    * Get role details by code.
    *
-   * @param {string} code - Role code (e.g., 'BE-L3', 'FE-L4')
+   * @param {string} code - Role code (e.g., 'BE-L3', 'FE-L4'), qualified with the role name
+   *   for codes several roles share (e.g., 'Compiler Engineer/CE-L3')
    * @returns {Object} Role entry with competencies and metadata
    * @throws {RoleNotFoundError} If code doesn't exist
+   * @throws {AmbiguousRoleCodeError} If several roles share the code; `error.suggestions` lists the qualified codes
    * @example
    * const role = library.getRole('BE-L3');
    * // { role: 'Backend Developer', level: 'L3', code: 'BE-L3', ... }
@@ -137,13 +428,19 @@ class TechRolesLibrary {
    * Get all levels for a specific role.
    *
    * @param {string} roleName - Role name
+   * @param {Object} [options={}] - Query options for this call
+   * @param {string[]} [options.languages] - Return texts side by side in these languages
+   *   (see getCompetencies)
    * @returns {Object[]} Array of all level entries for this role (L1-L9)
    * @throws {RoleNotFoundError} If role doesn't exist
    * @example
    * const levels = library.getLevelsForRole('Backend Developer');
    * // [{ level: 'L1', ... }, { level: 'L2', ... }, ...]
    */
-  getLevelsForRole(roleName) {
+  getLevelsForRole(roleName, options = {}) {
+    if (options.languages !== undefined) {
+      return this.inLanguages(options.languages, library => library.getLevelsForRole(roleName));
+    }
     this.ensureLoaded();
     return this.queryAPI.getAllLevelsForRole(roleName);
   }
@@ -160,12 +457,22 @@ class TechRolesLibrary {
    * @param {Object} [options={}] - Query options for this call
    * @param {boolean} [options.includeComplementary] - Override complementary competencies inclusion
    * @param {boolean} [options.includeIndicators] - Override indicators inclusion
+   * @param {string[]} [options.languages] - Return texts side by side in these languages:
+   *   role, level title, competencies and indicators become { language: text } objects,
+   *   aligned by competency ID (null where a language lacks one)
    * @returns {Object} Competencies object with core, complementary, and indicators
+   * @throws {UnsupportedLanguageError} If one of the languages is not installed
    * @example
    * const competencies = library.getCompetencies('Backend Developer', 'L3');
    * // { role: '...', level: '...', core: [...], complementary: [...], indicators: [...] }
+   * library.getCompetencies('Backend Developer', 'L3', { languages: ['en', 'es'] }).core[0];
+   * // { en: '...', es: '...' }
    */
   getCompetencies(roleName, level, options = {}) {
+    if (options.languages !== undefined) {
+      const { languages, ...rest } = options;
+      return this.inLanguages(languages, library => library.getCompetencies(roleName, level, rest));
+    }
     this.ensureLoaded();
     const includeComplementary = options.includeComplementary ?? this.options.includeComplementary;
     const includeIndicators = options.includeIndicators ?? this.options.includeIndicators;
@@ -208,6 +515,22 @@ class TechRolesLibrary {
     return entry.complementaryCompetencies;
   }
 
+  /**
+   * Get a competency or indicator by its stable ID.
+   * IDs are shared by every language, so they can be stored and resolved later.
+   *
+   * @param {string} id - Competency ID (e.g., 'BE-L3-core-01')
+   * @returns {Object} Competency with its text in the active language and its role context
+   * @throws {CompetencyNotFoundError} If the ID doesn't exist
+   * @example
+   * const competency = library.getCompetencyById('BE-L3-core-01');
+   * // { id: 'BE-L3-core-01', type: 'core', text: '...', role: 'Backend Developer', code: 'BE-L3', ... }
+   */
+  getCompetencyById(id) {
+    this.ensureLoaded();
+    return this.queryAPI.getCompetencyById(id);
+  }
+
   /**
    * Get accumulated competencies from L1 to target level.
    *
@@ -228,16 +551,81 @@ class TechRolesLibrary {
    *
    * @param {string} roleName - Role name
    * @param {string|number} currentLevel - Current level
+   * @param {Object} [options={}] - Query options for this call
+   * @param {string[]} [options.languages] - Return texts side by side in these languages
+   *   (see getCompetencies)
    * @returns {Object} Complete career view with mastered, current, and growth paths
    * @example
    * const career = library.getCareerPathComplete('Backend Developer', 'L5');
    * // { masteredLevels: [...], currentLevel: {...}, growthPath: [...], summary: {...} }
    */
-  getCareerPathComplete(roleName, currentLevel) {
+  getCareerPathComplete(roleName, currentLevel, options = {}) {
+    if (options.languages !== undefined) {
+      return this.inLanguages(options.languages, library => library.getCareerPathComplete(roleName, currentLevel));
+    }
     this.ensureLoaded();
     return this.queryAPI.getCareerPathComplete(roleName, currentLevel);
   }
 
+  // ========================================
+  // ASSESSMENT
+  // ========================================
+
+  /**
+   * Place a person in a role from the competencies they have demonstrated.
+   * Unlike getCareerPathComplete, nothing below a nominal level is assumed mastered:
+   * each level is scored from the evidence provided.
+   *
+   * @param {string} roleName - Role name
+   * @param {string[]|Set<string>} demonstrated - Demonstrated competencies (core or complementary, case-insensitive)
+   * @param {Object} [options={}] - Assessment options
+   * @param {number} [options.threshold=0.8] - Share of core competencies (0-1) required to meet a level
+   * @param {boolean} [options.contiguous=true] - Require every lower level to be met for the placement
+   * @returns {Object} Placement, highest met level, per-level coverage percentages and missing competencies
+   * @throws {InvalidQueryError} If the threshold or evidence is invalid
+   * @example
+   * const result = library.assessPlacement('Backend Developer', demonstrated, { threshold: 0.75 });
+   * // { placement: { level: 'L3 - Junior II', code: 'BE-L3', levelNumber: 3 },
+   * //   levels: [{ code: 'BE-L1', met: true, coverage: { core: 100, ... }, missing: {...} }, ...],
+   * //   nextLevel: { code: 'BE-L4', coverage: {...}, missing: {...} }, ... }
+   */
+  assessPlacement(roleName, demonstrated, options = {}) {
+    this.ensureLoaded();
+    return this.assessmentAPI.assess(roleName, demonstrated, options);
+  }
+
+  // ========================================
+  // TEAM ANALYSIS
+  // ========================================
+
+  /**
+   * Build a team skill matrix with coverage per competency, single points of
+   * failure and, optionally, gaps against a target team composition.
+   *
+   * @param {Object[]} members - Team members ({ name, role, level })
+   * @param {Object} [options={}] - Analysis options
+   * @param {boolean} [options.includeComplementary] - Count complementary competencies (defaults to the library option)
+   * @param {boolean} [options.cumulative=false] - Also count competencies of the levels below each member's level
+   * @param {Object[]} [options.target] - Target composition ({ role, level, count }) to report gaps against
+   * @returns {Object} { members, matrix, singlePointsOfFailure, gaps, summary }
+   * @throws {InvalidQueryError} If members or the target composition are invalid
+   * @throws {RoleNotFoundError} If a member's role doesn't exist
+   * @example
+   * const team = library.analyzeTeam([
+   *   { name: 'Ana', role: 'Backend Developer', level: 'L4' },
+   *   { name: 'Luis', role: 'DevOps Engineer', level: 'L3' }
+   * ], { target: [{ role: 'Backend Developer', level: 'L4', count: 2 }] });
+   * // { matrix: [{ competency: '...', holders: ['Ana'], coverage: 50, ... }],
+   * //   singlePointsOfFailure: [...], gaps: { composition: [...], missingCompetencies: [...] } }
+   */
+  analyzeTeam(members, options = {}) {
+    this.ensureLoaded();
+    return this.teamAPI.analyze(members, {
+      ...options,
+      includeComplementary: options.includeComplementary ?? this.options.includeComplementary
+    });
+  }
+
   // ========================================
   // EXPERIENCE-BASED QUERIES
   // ========================================
@@ -279,12 +667,17 @@ class TechRolesLibrary {
   // ========================================
 
   /**
-   * Search for roles by name or category.
-   * Returns unique roles (not individual role-level entries).
+   * Search for roles.
+   * Runs a full-text search over role names, categories, level titles,
+   * competencies and indicators, and returns unique roles (not individual
+   * role-level entries) ranked by their best matching level.
    *
-   * @param {string} query - Search term (role name or category)
+   * @param {string} query - Free-text query
    * @param {Object} [options] - Search options
    * @param {number} [options.limit=20] - Maximum results to return
+   * @param {string} [options.category] - Only roles in this category (key or name in any language)
+   * @param {string|number} [options.level] - Only match entries at this level
+   * @param {Object<string, number>} [options.boosts] - Field boost overrides
    * @returns {Object[]} Array of unique roles with match scores
    * @example
    * const results = library.search('fullstack', { limit: 10 });
@@ -293,7 +686,7 @@ class TechRolesLibrary {
    * //   {
    * //     role: 'Full-Stack Developer',
    * //     category: 'Software Engineering',
-   * //     matchScore: 10,
+   * //     matchScore: 21.498,
    * //     matchedIn: 'role'
    * //   }
    * // ]
@@ -304,12 +697,40 @@ class TechRolesLibrary {
   }
 
   /**
-   * Filter entries by category.
+   * Full-text search returning role-level hits with the competencies and
+   * indicators that matched. Ranked with BM25 and field boosts.
+   *
+   * @param {string} query - Free-text query
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit=20] - Maximum hits to return
+   * @param {string} [options.category] - Only entries in this category (key or name in any language)
+   * @param {string|number} [options.level] - Only entries at this level (e.g. 'L3' or 3)
+   * @param {Object<string, number>} [options.boosts] - Field boost overrides (role, category,
+   *   level, coreCompetencies, complementaryCompetencies, indicators)
+   * @param {Object} [options.highlight] - Snippet markers ({ pre, post }, default '**')
+   * @returns {Object[]} Hits ({ role, category, level, code, levelNumber, score, matches })
+   * @throws {InvalidQueryError} If the query or an option is invalid
+   * @example
+   * const hits = library.fullTextSearch('OAuth', { level: 'L3' });
+   * // [{ code: 'BE-L3', score: 7.653, matches: [{ field: 'coreCompetencies', id: 'BE-L3-core-02',
+   * //    text: '...', snippet: '... (JWT, **OAuth**)' }] }, ...]
+   */
+  fullTextSearch(query, options = {}) {
+    this.ensureLoaded();
+    return this.filterAPI.fullTextSearch(query, options);
+  }
+
+  /**
+   * Filter entries by category. Categories have a stable key ('ai-ml') and a
+   * name per language; the key or the name in any language (case- and
+   * accent-insensitive) select the same entries whatever the library language.
    *
-   * @param {string} category - Category name (e.g., 'Software Engineering')
-   * @returns {Object[]} Array of entries in this category
+   * @param {string} category - Category key or name (e.g., 'software-engineering',
+   *   'Software Engineering' or 'Ingeniería de Software')
+   * @returns {Object[]} Array of entries in this category (empty for unknown categories)
    * @example
-   * const entries = library.filterByCategory('AI/ML');
+   * const entries = library.filterByCategory('ai-ml');
+   * library.withLanguage('es').filterByCategory('ai-ml'); // same entries, in Spanish
    */
   filterByCategory(category) {
     this.ensureLoaded();
@@ -330,6 +751,182 @@ class TechRolesLibrary {
     return this.queryAPI.filterByLevel(levelNumber);
   }
 
+  /**
+   * Filter entries by seniority band ('trainee', 'junior', 'mid', 'senior',
+   * 'principal' or 'executive'), each grouping one or more levels.
+   *
+   * @param {string} band - Band key or name in any language (e.g., 'mid', 'Mid-Level' or 'Nivel Medio')
+   * @returns {Object[]} Array of entries in this band, by level
+   * @throws {InvalidQueryError} If the band is unknown
+   * @example
+   * const mid = library.filterByBand('mid'); // All L4 and L5 entries
+   */
+  filterByBand(band) {
+    this.ensureLoaded();
+    const key = this.taxonomy.resolve('bands', band);
+    if (!key) {
+      throw new InvalidQueryError(`Unknown band: ${band}. Expected one of: ${this.taxonomy.getKeys('bands').join(', ')}`);
+    }
+    return this.taxonomy.getLevels(key).flatMap(levelNumber => this.queryAPI.filterByLevel(levelNumber));
+  }
+
+  // ========================================
+  // COMPARISONS
+  // ========================================
+
+  /**
+   * Compare the competencies of two roles at the same level.
+   *
+   * @param {string} role1 - First role name
+   * @param {string} role2 - Second role name
+   * @param {string|number} level - Level compared in both roles
+   * @param {Object} [options={}] - Comparison options
+   * @param {boolean} [options.includeComplementary] - Compare complementary competencies too (defaults to the library option)
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for two competencies to be related
+   * @param {string} [options.method='tfidf'] - Similarity method: 'tfidf', 'token', 'ngram' or 'exact'
+   * @returns {Object} { role1, role2, common, related, unique1, unique2, similarity, statistics }
+   * @throws {RoleNotFoundError} If a role doesn't exist
+   * @throws {LevelNotFoundError} If the level doesn't exist for a role
+   * @throws {InvalidQueryError} If a similarity option is invalid
+   * @example
+   * const diff = library.compareRoles('Backend Developer', 'Frontend Developer', 'L3');
+   * // { common: [], related: [{ competency1: 'Ability to optimize application and query performance',
+   * //   competency2: 'Ability to optimize frontend application performance', similarity: 0.723 }],
+   * //   similarity: 0.066, statistics: { commonCount: 0, relatedCount: 1, unique1Count: 10, ... }, ... }
+   */
+  compareRoles(role1, role2, level, options = {}) {
+    this.ensureLoaded();
+    return this.comparisonAPI.compareRoles(role1, role2, level, this.comparisonOptions(options));
+  }
+
+  /**
+   * Compare two levels of a role: competencies maintained, evolved, added and dropped.
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} fromLevel - Starting level
+   * @param {string|number} toLevel - Target level
+   * @param {Object} [options={}] - Comparison options
+   * @param {boolean} [options.includeComplementary] - Compare complementary competencies too (defaults to the library option)
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for a competency to have evolved
+   * @param {string} [options.method='tfidf'] - Similarity method: 'tfidf', 'token', 'ngram' or 'exact'
+   * @returns {Object} { role, fromLevel, toLevel, maintained, evolved, new, deprecated, statistics }
+   * @throws {RoleNotFoundError} If the role doesn't exist
+   * @throws {LevelNotFoundError} If a level doesn't exist
+   * @throws {InvalidQueryError} If a similarity option is invalid
+   * @example
+   * const diff = library.compareLevels('Backend Developer', 'L3', 'L5');
+   * // { new: [...], maintained: [...], statistics: { newCount: 11, deprecatedCount: 11, growthRate: 100, ... } }
+   */
+  compareLevels(roleName, fromLevel, toLevel, options = {}) {
+    this.ensureLoaded();
+    return this.comparisonAPI.compareLevels(roleName, fromLevel, toLevel, this.comparisonOptions(options));
+  }
+
+  /**
+   * Find roles whose competencies, across all levels, overlap with a role.
+   *
+   * @param {string} roleName - Role name
+   * @param {Object} [options={}] - Search options
+   * @param {number} [options.threshold=0.15] - Minimum role similarity (0-1)
+   * @param {string|string[]} [options.category] - Only consider roles in these categories (keys or names in any language)
+   * @param {number} [options.limit] - Maximum number of roles returned
+   * @param {boolean} [options.includeComplementary] - Compare complementary competencies too (defaults to the library option)
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for two competencies to be related
+   * @param {string} [options.method='tfidf'] - Similarity method: 'tfidf', 'token', 'ngram' or 'exact'
+   * @returns {Object[]} Similar roles ({ role, category, similarity, commonCompetencies, totalCommon,
+   *   relatedCompetencies, totalRelated }), most similar first
+   * @throws {RoleNotFoundError} If the role doesn't exist
+   * @throws {InvalidQueryError} If an option is invalid or a category is unknown
+   * @example
+   * const similar = library.findSimilarRoles('Software Engineer', { category: 'Software Engineering' });
+   * // [{ role: 'Backend Developer', category: 'Software Engineering', similarity: 0.275, totalCommon: 6,
+   * //   relatedCompetencies: [...], totalRelated: 30, ... }, { role: 'Tech Lead', similarity: 0.207, ... }]
+   */
+  findSimilarRoles(roleName, options = {}) {
+    this.ensureLoaded();
+    const settings = typeof options === 'number' ? { threshold: options } : options;
+    return this.comparisonAPI.findSimilarRoles(roleName, this.comparisonOptions(settings));
+  }
+
+  /**
+   * Competencies to acquire between two levels of a role, with a rough
+   * learning-time estimate and recommendations grouped by competency dimension.
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} fromLevel - Starting level
+   * @param {string|number} toLevel - Target level
+   * @param {Object} [options={}] - Comparison options
+   * @param {boolean} [options.includeComplementary] - Count complementary competencies too (defaults to the library option)
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for a competency to have evolved
+   * @param {string} [options.method='tfidf'] - Similarity method: 'tfidf', 'token', 'ngram' or 'exact'
+   * @returns {Object} { role, from, to, gaps, gapCount, evolved, estimatedLearningTime, recommendations }
+   * @throws {RoleNotFoundError} If the role doesn't exist
+   * @throws {LevelNotFoundError} If a level doesn't exist
+   * @example
+   * const gaps = library.getCompetencyGaps('Backend Developer', 'L3', 'L5');
+   * // { gapCount: 11, estimatedLearningTime: { weeks: 30, months: 7, weeksRange: { min: 22, max: 42 }, ... },
+   * //   recommendations: { technical: [...], architecture: [...], leadership: [], people: [], process: [],
+   * //     communication: [], business: [] } }
+   */
+  getCompetencyGaps(roleName, fromLevel, toLevel, options = {}) {
+    this.ensureLoaded();
+    return this.comparisonAPI.getCompetencyGaps(roleName, fromLevel, toLevel, this.comparisonOptions(options));
+  }
+
+  /**
+   * Level-by-level path between two levels of a role, with the competencies
+   * each step adds and the estimated time to learn them (see getLearningTimeModel()).
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} fromLevel - Starting level
+   * @param {string|number} [toLevel='L9'] - Target level
+   * @param {Object} [options={}] - Comparison options
+   * @param {boolean} [options.includeComplementary] - Count complementary competencies too (defaults to the library option)
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for a competency to have evolved
+   * @param {string} [options.method='tfidf'] - Similarity method: 'tfidf', 'token', 'ngram' or 'exact'
+   * @returns {Object} { role, from, to, steps, totalSteps, estimatedYears, estimatedLearningTime }
+   * @throws {RoleNotFoundError} If the role doesn't exist
+   * @throws {InvalidQueryError} If a level is invalid or the target is not above the start
+   * @example
+   * const path = library.getCareerPath('Backend Developer', 'L3', 'L6');
+   * // { from: 'L3', to: 'L6', steps: [{ code: 'BE-L3', ... }, { code: 'BE-L4', newCompetencies: [...], estimatedWeeks: 28 }, ...],
+   * //   totalSteps: 4, estimatedYears: 1.8, estimatedLearningTime: { weeks: 93, weeksRange: { min: 70, max: 130 }, ... } }
+   */
+  getCareerPath(roleName, fromLevel, toLevel = 'L9', options = {}) {
+    this.ensureLoaded();
+    return this.comparisonAPI.getCareerPath(roleName, fromLevel, toLevel, this.comparisonOptions(options));
+  }
+
+  /**
+   * Apply library defaults to comparison options.
+   *
+   * @param {Object} options - Caller options
+   * @returns {Object} Options with includeComplementary resolved
+   * @private
+   */
+  comparisonOptions(options) {
+    return {
+      ...options,
+      includeComplementary: options.includeComplementary ?? this.options.includeComplementary
+    };
+  }
+
+  /**
+   * Competency matcher over every loaded competency, shared by comparisons,
+   * the transition planner and the career graph. Built on first use per method.
+   *
+   * @param {string} [method='tfidf'] - Similarity method
+   * @returns {CompetencyMatcher} Matcher
+   * @private
+   */
+  getCompetencyMatcher(method = 'tfidf') {
+    if (!this.competencyMatchers.has(method)) {
+      const entries = this.queryAPI.getRoles().flatMap(role => this.queryAPI.getAllLevelsForRole(role));
+      this.competencyMatchers.set(method, CompetencyMatcher.fromEntries(entries, { language: this.contentLanguage, method }));
+    }
+    return this.competencyMatchers.get(method);
+  }
+
   // ========================================
   // CAREER PROGRESSION
   // ========================================
@@ -339,10 +936,12 @@ class TechRolesLibrary {
    *
    * @param {string} role - Role name
    * @param {string|number} currentLevel - Current level
-   * @returns {Object|null} Next level details and new competencies, or null if at max level
+   * @returns {Object|null} Next level details, new competencies and the current ones that evolve into
+   *   a reworded competency of the next level ({ from, to, similarity }), or null if at max level
    * @example
    * const next = library.getNextLevel('Backend Developer', 'L3');
-   * // { current: {...}, next: {...}, newCompetencies: [...], newCompetenciesCount: 5 }
+   * // { current: {...}, next: {...}, newCompetencies: [...], newCompetenciesCount: 5,
+   * //   evolvedCompetencies: [{ from, to, similarity }, ...], evolvedCompetenciesCount: 3 }
    */
   getNextLevel(role, currentLevel) {
     this.ensureLoaded();
@@ -371,10 +970,519 @@ class TechRolesLibrary {
         indicators: nextLevel.indicators
       },
       newCompetencies: comparison.new,
-      newCompetenciesCount: comparison.new.length
+      newCompetenciesCount: comparison.new.length,
+      evolvedCompetencies: comparison.evolved,
+      evolvedCompetenciesCount: comparison.evolved.length
     };
   }
 
+  /**
+   * Plan a move to another role (lateral, or diagonal with a target level).
+   * Current competencies are matched against the target role by wording
+   * similarity to find what transfers, the entry level in the target role and
+   * the competencies still missing at each level up to the target.
+   *
+   * @param {string} fromRole - Current role name
+   * @param {string|number} fromLevel - Current level
+   * @param {string} toRole - Target role name
+   * @param {Object} [options={}] - Planning options
+   * @param {string|number} [options.targetLevel] - Level to plan up to in the target role (default: the entry level)
+   * @param {number} [options.threshold=0.5] - Share of a level's core competencies (0-1) that must transfer to enter at it
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for a competency to count as transferred
+   * @param {boolean} [options.includeComplementary] - Match complementary competencies too (defaults to the library option)
+   * @param {boolean} [options.cumulative=true] - Count competencies of the levels below the current level
+   * @returns {Object} { from, to, entryLevel, targetLevel, transferable, gap, steps, levels, summary }
+   * @throws {RoleNotFoundError} If a role doesn't exist
+   * @throws {LevelNotFoundError} If a level doesn't exist
+   * @throws {InvalidQueryError} If an option is invalid or both roles are the same
+   * @example
+   * const plan = library.planTransition('Backend Developer', 'L5', 'Full-Stack Developer');
+   * // { entryLevel: { code: 'FS-L5', coverage: 67, ... },
+   * //   transferable: [{ competency, matchedWith, similarity, code }, ...],
+   * //   steps: [{ type: 'entry', code: 'FS-L5', competencies: [...], count: 6 }], ... }
+   */
+  planTransition(fromRole, fromLevel, toRole, options = {}) {
+    this.ensureLoaded();
+    return this.transitionAPI.plan(fromRole, fromLevel, toRole, {
+      ...options,
+      includeComplementary: options.includeComplementary ?? this.options.includeComplementary
+    });
+  }
+
+  // ========================================
+  // CAREER GRAPH
+  // ========================================
+
+  /**
+   * The catalog as a graph: one node per role level, promotion edges to the
+   * next level of the same role and lateral edges between similar roles at the
+   * same level. Edge weights are the number of competencies to acquire.
+   *
+   * @param {Object} [options={}] - Graph options
+   * @param {number} [options.lateralThreshold=0.25] - Minimum similarity (0-1) between two role levels for a lateral edge
+   * @param {number} [options.minSimilarity=0.5] - Minimum similarity (0-1) for a competency to count as already held
+   * @param {boolean} [options.includeComplementary] - Weigh complementary competencies too (defaults to the library option)
+   * @returns {Object} { nodes: [{ id, role, level, code, levelNumber, category }], edges: [{ from, to, type, weight, similarity? }] }
+   * @throws {InvalidQueryError} If an option is invalid
+   * @example
+   * const { nodes, edges } = library.getCareerGraph();
+   * // nodes: [{ id: 'Backend Developer L3', role: 'Backend Developer', code: 'BE-L3', ... }]
+   * // edges: [{ from: 'Backend Developer L3', to: 'Backend Developer L4', type: 'promotion', weight: 10 }, ...]
+   */
+  getCareerGraph(options = {}) {
+    this.ensureLoaded();
+    return this.careerPathAPI.describeGraph(this.comparisonOptions(options));
+  }
+
+  /**
+   * Cheapest (fewest competencies to acquire) or shortest (fewest moves) route
+   * between two role levels, combining promotions and lateral moves.
+   *
+   * @param {string} fromRole - Starting role name
+   * @param {string|number} fromLevel - Starting level
+   * @param {string} toRole - Target role name
+   * @param {string|number} toLevel - Target level
+   * @param {Object} [options={}] - Route options, plus the graph options of getCareerGraph()
+   * @param {string} [options.by='cost'] - 'cost' or 'steps'
+   * @param {boolean} [options.lateral=true] - Allow lateral moves between roles
+   * @returns {Object|null} { from, to, by, steps, totalSteps, totalCost, promotions, lateralMoves } or null if unreachable
+   * @throws {RoleNotFoundError} If a role doesn't exist
+   * @throws {LevelNotFoundError} If a level doesn't exist
+   * @throws {InvalidQueryError} If an option is invalid
+   * @example
+   * const route = library.findCareerRoute('QA Engineer', 'L3', 'Engineering Manager', 'L7');
+   * // { steps: [{ type: 'lateral', from: { id: 'QA Engineer L3', ... }, to: { id: 'Application Security Engineer L3', ... },
+   * //   cost: 10, similarity: 0.262 }, { type: 'promotion', ... }, ...], totalSteps: 10, totalCost: 83, ... }
+   */
+  findCareerRoute(fromRole, fromLevel, toRole, toLevel, options = {}) {
+    this.ensureLoaded();
+    return this.careerPathAPI.findRoute(fromRole, fromLevel, toRole, toLevel, this.comparisonOptions(options));
+  }
+
+  /**
+   * Role levels reachable from a role level within a number of moves.
+   *
+   * @param {string} roleName - Starting role name
+   * @param {string|number} level - Starting level
+   * @param {Object} [options={}] - Search options, plus the graph options of getCareerGraph()
+   * @param {number} [options.maxSteps=2] - Maximum number of moves
+   * @param {boolean} [options.lateral=true] - Allow lateral moves between roles
+   * @returns {Object[]} Reached role levels ({ id, role, level, code, levelNumber, category, steps, cost, path }),
+   *   fewest moves first, then cheapest
+   * @throws {RoleNotFoundError} If the role doesn't exist
+   * @throws {InvalidQueryError} If an option is invalid
+   * @example
+   * const reachable = library.getReachableRoles('QA Engineer', 'L3', { maxSteps: 1 });
+   * // [{ id: 'Test Automation Engineer L3', steps: 1, cost: 8, path: ['QA Engineer L3', 'Test Automation Engineer L3'] }, ...]
+   */
+  getReachableRoles(roleName, level, options = {}) {
+    this.ensureLoaded();
+    return this.careerPathAPI.getReachable(roleName, level, this.comparisonOptions(options));
+  }
+
+  // ========================================
+  // SKILLS
+  // ========================================
+
+  /**
+   * Skills of the taxonomy (bundled skills plus the `skills` option and addSkill()).
+   *
+   * @param {Object} [options={}] - Listing options
+   * @param {string} [options.group] - Only skills of this group (e.g. 'data', 'devops', 'security')
+   * @returns {Object[]} Skills ({ id, name, group, aliases }), sorted by ID
+   * @example
+   * library.getSkills({ group: 'data' });
+   * // [{ id: 'ab-testing', name: 'A/B Testing', group: 'data', aliases: [...] }, ...]
+   */
+  getSkills(options = {}) {
+    this.ensureLoaded();
+    return this.skillAPI.getSkills(options);
+  }
+
+  /**
+   * Add a skill to the taxonomy, or replace the skill with the same ID.
+   * Its aliases take precedence over bundled aliases naming another skill.
+   *
+   * @param {string} id - Stable skill ID (e.g. 'terraform')
+   * @param {Object} definition - { name, group, aliases }
+   * @throws {InvalidQueryError} If the ID or definition is invalid
+   * @example
+   * library.addSkill('terraform', { name: 'Terraform', group: 'devops', aliases: ['terraform', 'hcl'] });
+   */
+  addSkill(id, definition) {
+    this.applyShared(library => library.skillExtractor.addSkill(id, definition));
+  }
+
+  /**
+   * Skills mentioned in a free text, such as a job posting or a CV line.
+   *
+   * @param {string} text - Text
+   * @returns {Object[]} Skills ({ id, name, group }), in order of appearance
+   * @throws {InvalidQueryError} If the text is not a string
+   * @example
+   * library.extractSkills('Ability to implement robust authentication and authorization (JWT, OAuth)');
+   * // [{ id: 'authentication', ... }, { id: 'jwt', name: 'JWT', group: 'security' }, { id: 'oauth', ... }]
+   */
+  extractSkills(text) {
+    this.ensureLoaded();
+    return this.skillAPI.extractSkills(text);
+  }
+
+  /**
+   * Competencies of a role level, each tagged with the IDs of the skills it mentions.
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} level - Level
+   * @returns {Object} { role, level, code, core, complementary }, where each competency is { id, text, skills }
+   * @throws {RoleNotFoundError} If the role doesn't exist
+   * @throws {LevelNotFoundError} If the level doesn't exist
+   * @example
+   * library.tagCompetencies('Backend Developer', 'L3').core[1];
+   * // { id: 'BE-L3-core-02', text: 'Ability to implement robust authentication and authorization (JWT, OAuth)',
+   * //   skills: ['authentication', 'jwt', 'oauth'] }
+   */
+  tagCompetencies(roleName, level) {
+    this.ensureLoaded();
+    return this.skillAPI.tagCompetencies(roleName, level);
+  }
+
+  /**
+   * Skills required by a role, at one level or across all of them, with the
+   * competencies mentioning each one.
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} [level] - Level (default: every level)
+   * @param {Object} [options={}] - Query options
+   * @param {boolean} [options.includeComplementary] - Tag complementary competencies too (defaults to the library option)
+   * @returns {Object[]} Skills ({ id, name, group, count, levels, competencies }), most mentioned first
+   * @throws {RoleNotFoundError} If the role doesn't exist
+   * @throws {LevelNotFoundError} If the level doesn't exist
+   */
+  getSkillsForRole(roleName, level, options = {}) {
+    this.ensureLoaded();
+    return this.skillAPI.getSkillsForRole(roleName, level, this.comparisonOptions(options));
+  }
+
+  /**
+   * Role levels whose competencies mention a skill.
+   *
+   * @param {string} skill - Skill ID, name or alias (e.g. 'kafka', 'Apache Kafka', 'K8s')
+   * @param {Object} [options={}] - Query options
+   * @param {string|string[]} [options.category] - Only roles in these categories (keys or names in any language)
+   * @param {string|number} [options.level] - Only this level
+   * @param {boolean} [options.includeComplementary] - Search complementary competencies too (defaults to the library option)
+   * @returns {Object} { skill, roles, totalRoles, totalLevels }, where roles are role levels
+   *   ({ role, category, level, code, levelNumber, competencies }) sorted by role and level
+   * @throws {SkillNotFoundError} If the skill is not in the taxonomy
+   * @throws {InvalidQueryError} If an option is invalid or a category is unknown
+   * @example
+   * library.findRolesBySkill('kafka');
+   * // { skill: { id: 'kafka', name: 'Apache Kafka', group: 'data' },
+   * //   roles: [{ role: 'Data Engineer', code: 'DE-L4', competencies: [...] }, ...], ... }
+   */
+  findRolesBySkill(skill, options = {}) {
+    this.ensureLoaded();
+    return this.skillAPI.findRolesBySkill(skill, this.comparisonOptions(options));
+  }
+
+  /**
+   * Skill frequency per category: how many roles of each category mention each skill.
+   *
+   * @param {Object} [options={}] - Query options
+   * @param {string|string[]} [options.category] - Only these categories (keys or names in any language)
+   * @param {number} [options.limit] - Maximum number of skills per category
+   * @param {boolean} [options.includeComplementary] - Tag complementary competencies too (defaults to the library option)
+   * @returns {Object[]} Categories ({ category, totalRoles, skills }), where skills are
+   *   { id, name, group, roles, levels, share }, most widespread first
+   * @throws {InvalidQueryError} If an option is invalid or a category is unknown
+   */
+  getSkillFrequency(options = {}) {
+    this.ensureLoaded();
+    return this.skillAPI.getSkillFrequency(this.comparisonOptions(options));
+  }
+
+  // ========================================
+  // DIMENSIONS
+  // ========================================
+
+  /**
+   * Competency dimensions, in the order used by profiles and recommendations.
+   *
+   * @returns {string[]} ['technical', 'architecture', 'leadership', 'people', 'process', 'communication', 'business']
+   */
+  getDimensions() {
+    return DimensionClassifier.DIMENSIONS;
+  }
+
+  /**
+   * Dimension of a competency text, computed with the dimension rules.
+   *
+   * @param {string} text - Competency text
+   * @returns {Object} { dimension, source, scores }, where source is 'rules' or 'default' (no keyword
+   *   matched) and scores counts keyword matches per dimension
+   * @throws {InvalidQueryError} If the text is not a string
+   * @example
+   * library.classifyCompetency('Ability to mentor junior developers');
+   * // { dimension: 'people', source: 'rules', scores: { technical: 0, ..., people: 2, ... } }
+   */
+  classifyCompetency(text) {
+    this.ensureLoaded();
+    return this.dimensionAPI.classifyCompetency(text);
+  }
+
+  /**
+   * Competencies of a role level with their dimension. Dimensions pinned by
+   * competency ID take precedence over the rules (source 'pinned').
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} level - Level
+   * @returns {Object} { role, level, code, core, complementary }, where each competency is
+   *   { id, text, dimension, source }
+   * @throws {RoleNotFoundError} If the role doesn't exist
+   * @throws {LevelNotFoundError} If the level doesn't exist
+   * @example
+   * library.getCompetencyDimensions('Tech Lead', 'L6').core[0];
+   * // { id: 'TL-L6-core-01', text: 'Capacity to lead technical organizations (30-50 people)',
+   * //   dimension: 'leadership', source: 'rules' }
+   */
+  getCompetencyDimensions(roleName, level) {
+    this.ensureLoaded();
+    return this.dimensionAPI.getCompetencyDimensions(roleName, level);
+  }
+
+  /**
+   * Number and share of competencies per dimension at a role level, with
+   * every dimension listed in the same order (one radar chart axis each).
+   *
+   * @param {string} roleName - Role name
+   * @param {string|number} level - Level
+   * @param {Object} [options={}] - Profile options
+   * @param {boolean} [options.includeComplementary] - Count complementary competencies too (defaults to the library option)
+   * @returns {Object} { role, level, code, levelNumber, total, dimensions: [{ dimension, count, share }] }
+   * @throws {RoleNotFoundError} If the role doesn't exist
+   * @throws {LevelNotFoundError} If the level doesn't exist
+   * @example
+   * library.getDimensionProfile('Tech Lead', 'L6').dimensions;
+   * // [{ dimension: 'technical', count: 3, share: 27 }, { dimension: 'architecture', count: 1, share: 9 },
+   * //  { dimension: 'leadership', count: 6, share: 55 }, ..., { dimension: 'business', count: 1, share: 9 }]
+   */
+  getDimensionProfile(roleName, level, options = {}) {
+    this.ensureLoaded();
+    return this.dimensionAPI.getDimensionProfile(roleName, level, this.comparisonOptions(options));
+  }
+
+  /**
+   * Dimension profiles of every level of a role, lowest level first: one
+   * radar chart series per level.
+   *
+   * @param {string} roleName - Role name
+   * @param {Object} [options={}] - Profile options
+   * @param {boolean} [options.includeComplementary] - Count complementary competencies too (defaults to the library option)
+   * @returns {Object} { role, category, dimensions, levels }, where dimensions are the axes and
+   *   levels the profiles (see getDimensionProfile)
+   * @throws {RoleNotFoundError} If the role doesn't exist
+   */
+  getDimensionProgression(roleName, options = {}) {
+    this.ensureLoaded();
+    return this.dimensionAPI.getDimensionProgression(roleName, this.comparisonOptions(options));
+  }
+
+  // ========================================
+  // LEARNING TIME
+  // ========================================
+
+  /**
+   * Learning time model used by getCompetencyGaps(), getCareerPath() and
+   * planTransition(): the custom estimator of the `learningTime` option, or a
+   * LearningTimeModel (getParameters() / setParameters()).
+   *
+   * @returns {Object} Estimator
+   * @example
+   * library.getLearningTimeModel().setParameters({ dimensionWeights: { leadership: 2 } });
+   */
+  getLearningTimeModel() {
+    this.ensureLoaded();
+    return this.learningTimeModel;
+  }
+
+  /**
+   * Calibrate the learning time model with historical promotions: level
+   * difficulties are scaled to match the observed times and the estimate
+   * range is fitted to the remaining error.
+   *
+   * @param {Object[]} history - Promotions ({ role, from, to, weeks } or { role, from, to, months })
+   * @param {Object} [options={}] - Comparison options used to find the competencies acquired
+   * @returns {Object} { observations, factor, levels, range, errorBefore, errorAfter }
+   * @throws {InvalidQueryError} If the history is invalid (including records whose target level is not
+   *   higher than the starting level) or a custom estimator has no calibrate() method
+   * @throws {RoleNotFoundError} If a role doesn't exist
+   * @example
+   * library.calibrateLearningTime([
+   *   { role: 'Backend Developer', from: 'L3', to: 'L4', months: 14 },
+   *   { role: 'Backend Developer', from: 'L4', to: 'L5', months: 18 }
+   * ]);
+   * // { observations: 2, factor: 2.257, levels: {}, range: { low: 0.75, high: 1.4 }, errorBefore: 55, errorAfter: 10 }
+   */
+  calibrateLearningTime(history, options = {}) {
+    this.ensureLoaded();
+    return this.comparisonAPI.calibrateLearningTime(history, this.comparisonOptions(options));
+  }
+
+  // ========================================
+  // LANGUAGES
+  // ========================================
+
+  /**
+   * Language of the library.
+   *
+   * @returns {string} Language code
+   */
+  getLanguage() {
+    return this.options.language;
+  }
+
+  /**
+   * View of the library in another language, to pick the output language per
+   * call on a single instance. Views are created once per language and share
+   * the parsed language files, the learning time model and runtime additions
+   * (addJobTitle(), addSkill()) with this library. Views also share the
+   * database (`view.database === library.database`): roles, levels,
+   * competency IDs, their indexes and the career graph are built once, and
+   * each language adds only its texts on first use. A view whose `sources`
+   * or `patches` change the roles or levels of its language gets a database
+   * of its own.
+   *
+   * @param {string} language - Language code (any installed language)
+   * @returns {TechRolesLibrary} Library in that language (this library for its own language)
+   * @throws {UnsupportedLanguageError} If the language is not installed
+   * @example
+   * const library = new TechRolesLibrary();
+   * library.withLanguage('es').getRole('BE-L3').role; // 'Desarrollador de Backend'
+   * library.getRole('BE-L3').role;                    // 'Backend Developer'
+   */
+  withLanguage(language) {
+    const views = this.shared.views;
+    if (!views.has(language)) {
+      this.getLocaleLoader().getChain(language);
+      const view = new TechRolesLibrary({ ...this.options, language });
+      view.shared = this.shared;
+      views.set(language, view);
+    }
+    return views.get(language);
+  }
+
+  /**
+   * Installed languages: the bundled ones plus the `locales` option.
+   *
+   * @returns {string[]} Language codes, sorted
+   * @throws {InvalidQueryError} If the `locales` or `fallbacks` option is invalid
+   * @example
+   * library.getLanguages(); // ['en', 'es']
+   */
+  getLanguages() {
+    return this.getLocaleLoader().getLanguages();
+  }
+
+  /**
+   * Report of the strings loaded from a fallback language instead of the
+   * library language. Every translatable field (role name, category, level
+   * title, competency and indicator lists) falls back on its own, to the
+   * next language of the chain that defines it.
+   *
+   * @returns {Object|null} { language, chain, strings, fallbackStrings, byLanguage, fallbacks },
+   *   where fallbacks lists { role, code, field, language, count } (code is null for role
+   *   fields); null when a custom translations directory is used
+   * @throws {UnsupportedLanguageError} If the library language is not installed
+   * @example
+   * const library = new TechRolesLibrary({ language: 'pt-BR', locales: { pt: './locales/pt' } });
+   * library.getFallbackReport();
+   * // { language: 'pt-BR', chain: ['pt', 'en'], strings: 10758, fallbackStrings: 10210,
+   * //   byLanguage: { pt: 548, en: 10210 }, fallbacks: [{ role: 'Desenvolvedor Backend', code: 'BE-L1', field: 'indicators', language: 'en', count: 5 }, ...] }
+   */
+  getFallbackReport() {
+    this.ensureLoaded();
+    return this.fallbackReport ? JSON.parse(JSON.stringify(this.fallbackReport)) : null;
+  }
+
+  /**
+   * Audit the completeness and consistency of the installed translations:
+   * every language is compared with a reference language, role file by role
+   * file and level by level (see i18n/translation-auditor). Missing files,
+   * levels and fields are reported even though they fall back at load time.
+   *
+   * @param {Object} [options={}] - Audit options
+   * @param {string[]} [options.languages] - Languages to audit (default: every installed one)
+   * @param {string} [options.reference='en'] - Language the others are compared with
+   * @param {Object<string, Object>} [options.markers] - Word markers ({ words, characters }) used to
+   *   detect strings in another language, per language, added to the English and Spanish ones
+   * @returns {Object} { reference, languages, files, strings, summary, issues }, where summary is
+   *   { total, byType, byLanguage } and each issue is { type, language, file, role, code, field, message, ... }
+   * @throws {InvalidQueryError} If an option is invalid
+   * @throws {UnsupportedLanguageError} If a language is not installed
+   * @example
+   * const audit = library.auditTranslations();
+   * audit.summary.byType['count-mismatch']; // 0
+   * audit.issues[0];
+   * // { type: 'level-mismatch', language: 'es', file: 'mobile-developer.json', role: 'Mobile Developer',
+   * //   code: 'MOB-L1', field: 'level', message: 'MOB-L1 title starts with N1 instead of L1', ... }
+   */
+  auditTranslations(options = {}) {
+    const auditor = new TranslationAuditor(this.getLocaleLoader(), { markers: options.markers });
+    return auditor.audit({ languages: options.languages, reference: options.reference });
+  }
+
+  /**
+   * Locale loader built from the `locales` and `fallbacks` options.
+   *
+   * @returns {LocaleLoader} Loader
+   * @private
+   */
+  getLocaleLoader() {
+    if (!this.shared.localeLoader) {
+      this.shared.localeLoader = new LocaleLoader({
+        locales: this.options.locales,
+        fallbacks: this.options.fallbacks,
+        strict: this.options.strict
+      });
+    }
+    return this.shared.localeLoader;
+  }
+
+  /**
+   * Run a query in several languages and combine the results side by side
+   * (see i18n/multilingual).
+   *
+   * @param {string[]} languages - Languages, in output order
+   * @param {Function} query - Query run on the view of each language
+   * @returns {*} Combined result
+   * @throws {InvalidQueryError} If languages is not a non-empty array
+   * @throws {UnsupportedLanguageError} If one of the languages is not installed
+   * @private
+   */
+  inLanguages(languages, query) {
+    if (!Array.isArray(languages) || languages.length === 0) {
+      throw new InvalidQueryError('languages must be a non-empty array of language codes');
+    }
+    const unique = Array.from(new Set(languages));
+    return multilingual.combine(unique.map(language => query(this.withLanguage(language))), unique);
+  }
+
+  /**
+   * Apply a runtime addition to this library and every loaded view, and
+   * record it for the views loaded later.
+   *
+   * @param {Function} change - Change applied to a loaded library
+   * @private
+   */
+  applyShared(change) {
+    this.ensureLoaded();
+    change(this);
+    this.shared.changes.push(change);
+    this.shared.views.forEach(view => {
+      if (view !== this && view.loaded) change(view);
+    });
+  }
+
   // ========================================
   // UTILITIES
   // ========================================
@@ -392,6 +1500,40 @@ class TechRolesLibrary {
     return this.queryAPI.getCategories();
   }
 
+  /**
+   * Categories, level titles and seniority bands with their stable keys and
+   * their names in the library language. Keys are the same in every language:
+   * filterByCategory() and filterByBand() accept them, as well as the names.
+   *
+   * @returns {Object} { language, categories: [{ key, name, roles }], levels: [{ key, levelNumber,
+   *   name, band }], bands: [{ key, name, levels }] }; categories are the loaded ones, sorted by name
+   * @example
+   * library.withLanguage('es').getTaxonomy().categories[0];
+   * // { key: 'ai-ml', name: 'IA/ML', roles: 4 }
+   */
+  getTaxonomy() {
+    this.ensureLoaded();
+    const chain = this.translator.getChain();
+    const name = (kind, key) => this.taxonomy.getName(kind, key, chain);
+
+    return {
+      language: this.options.language,
+      categories: this.localized.getAllCategoryKeys()
+        .map(key => {
+          const entries = this.localized.getByCategoryKey(key);
+          return { key, name: entries[0].category, roles: new Set(entries.map(entry => entry.role)).size };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      levels: this.taxonomy.getKeys('levels').map(key => {
+        const levelNumber = Number(key.slice(1));
+        return { key, levelNumber, name: name('levels', key), band: this.taxonomy.bandOf(levelNumber) };
+      }),
+      bands: this.taxonomy.getKeys('bands').map(key => ({
+        key, name: name('bands', key), levels: this.taxonomy.getLevels(key)
+      }))
+    };
+  }
+
   /**
    * Get complete metadata for all 78 roles.
    * Perfect for building catalogs, navigation, and dashboards.
@@ -416,7 +1558,33 @@ class TechRolesLibrary {
    */
   getStatistics() {
     this.ensureLoaded();
-    return this.database.getStatistics();
+    return this.localized.getStatistics();
+  }
+
+  /**
+   * Get the report of loaded role sources and detected conflicts.
+   *
+   * @returns {Object} Load report with sources and conflicts
+   * @example
+   * const report = library.getLoadReport();
+   * // { sources: [{ source: 'bundled', roles: [...], entries: 702 }, ...], conflicts: [] }
+   */
+  getLoadReport() {
+    this.ensureLoaded();
+    return JSON.parse(JSON.stringify(this.loadReport));
+  }
+
+  /**
+   * Get the audit report of applied override patches.
+   *
+   * @returns {Object} Patch report with patched entries and their changes
+   * @example
+   * const report = library.getPatchReport();
+   * // { patched: [{ code: 'BE-L5', role: '...', sources: [...], changes: [...] }], summary: {...} }
+   */
+  getPatchReport() {
+    this.ensureLoaded();
+    return JSON.parse(JSON.stringify(this.patchReport));
   }
 
   /**
@@ -429,7 +1597,12 @@ class TechRolesLibrary {
    */
   validateRole(roleName) {
     this.ensureLoaded();
-    return this.database.indexes.byRole.has(roleName);
+    try {
+      this.queryAPI.resolveRoleName(roleName);
+      return true;
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
@@ -466,21 +1639,40 @@ class TechRolesLibrary {
     return levels.map(l => l.level);
   }
 
+  /**
+   * Validate a role definition against the published JSON Schema.
+   * Useful when authoring custom role files before loading them as sources.
+   *
+   * @param {Object} definition - Role definition ({ role, category, levels })
+   * @returns {Object[]} Array of errors ({ code, path, message }), empty when valid
+   * @static
+   * @example
+   * const errors = TechRolesLibrary.validateRoleDefinition(require('./roles/prl.json'));
+   * // [{ code: 'PRL-L2', path: 'levels.PRL-L2.yearsRange.min', message: 'is required' }]
+   */
+  static validateRoleDefinition(definition) {
+    return SchemaValidator.validateRoleDefinition(definition);
+  }
+
   // ========================================
   // EXPORT
   // ========================================
 
   /**
    * Export data in different formats.
+   * Results of the `languages` query option export side by side: Markdown
+   * joins paired headings with ' / ' and renders competency lists as tables
+   * with one column per language.
    *
    * @param {string} format - Export format ('json' or 'markdown')
-   * @param {Object} data - Data to export
+   * @param {Object|Object[]} data - Data to export (an entry, competencies or a list of them)
    * @returns {string} Formatted export string
    * @throws {Error} If format is not supported
    * @example
    * const data = library.getCompetencies('Backend Developer', 'L3');
    * const json = library.export('json', data);
    * const markdown = library.export('markdown', data);
+   * const bilingual = library.export('markdown', library.getLevelsForRole('Backend Developer', { languages: ['en', 'es'] }));
    */
   export(format, data) {
     if (format === 'json') {
@@ -495,34 +1687,52 @@ class TechRolesLibrary {
   /**
    * Convert data to Markdown format.
    *
-   * @param {Object} data - Data to convert
+   * @param {Object|Object[]} data - Data to convert
    * @returns {string} Markdown formatted string
    * @private
    * @example
    * const md = library.toMarkdown(competenciesData);
    */
   toMarkdown(data) {
+    if (Array.isArray(data)) {
+      return data.map(item => this.toMarkdown(item)).join('');
+    }
+
+    const text = value => (multilingual.isPaired(value)
+      ? Object.values(value).filter(Boolean).join(' / ')
+      : value);
+    const list = (title, items) => {
+      let section = `### ${title}\n\n`;
+      if (items.length > 0 && multilingual.isPaired(items[0])) {
+        const languages = Object.keys(items[0]);
+        const cell = value => String(value ?? '').replace(/\|/g, '\\|');
+        section += `| ${languages.join(' | ')} |\n| ${languages.map(() => '---').join(' | ')} |\n`;
+        items.forEach(item => {
+          section += `| ${languages.map(language => cell(item[language])).join(' | ')} |\n`;
+        });
+      } else {
+        items.forEach(comp => {
+          section += `- ${comp}\n`;
+        });
+      }
+      return `${section}\n`;
+    };
+
     let md = '';
+    const core = data.core || data.coreCompetencies;
+    const complementary = data.complementary || data.complementaryCompetencies;
 
     if (data.role) {
-      md += `# ${data.role}\n\n`;
+      md += `# ${text(data.role)}\n\n`;
     }
     if (data.level) {
-      md += `## ${data.level}\n\n`;
+      md += `## ${text(data.level)}\n\n`;
     }
-    if (data.core && Array.isArray(data.core)) {
-      md += `### Core Competencies\n\n`;
-      data.core.forEach(comp => {
-        md += `- ${comp}\n`;
-      });
-      md += '\n';
+    if (core && Array.isArray(core)) {
+      md += list('Core Competencies', core);
     }
-    if (data.complementary && Array.isArray(data.complementary)) {
-      md += `### Complementary Competencies\n\n`;
-      data.complementary.forEach(comp => {
-        md += `- ${comp}\n`;
-      });
-      md += '\n';
+    if (complementary && Array.isArray(complementary)) {
+      md += list('Complementary Competencies', complementary);
     }
 
     return md;
@@ -530,3 +1740,18 @@ class TechRolesLibrary {
 }
 
 module.exports = TechRolesLibrary;
+
+// Named exports, so the error classes are reachable from the package entry
+// point in CommonJS (`const { RoleNotFoundError } = require(...)`) and ESM
+module.exports.TechRolesLibrary = TechRolesLibrary;
+module.exports.CompetencyError = CompetencyError;
+module.exports.RoleNotFoundError = RoleNotFoundError;
+module.exports.AmbiguousRoleCodeError = AmbiguousRoleCodeError;
+module.exports.LevelNotFoundError = LevelNotFoundError;
+module.exports.CompetencyNotFoundError = CompetencyNotFoundError;
+module.exports.SkillNotFoundError = SkillNotFoundError;
+module.exports.UnsupportedLanguageError = UnsupportedLanguageError;
+module.exports.InvalidQueryError = InvalidQueryError;
+module.exports.RoleConflictError = RoleConflictError;
+module.exports.PatchError = PatchError;
+module.exports.SchemaValidationError = SchemaValidationError;
@@ -0,0 +1,29 @@
+/**
+ * Tech Roles Library - ES module entry point
+ *
+ * Re-exports the CommonJS build, so `import` and `require` share one module
+ * instance (and `instanceof` checks on errors work across both).
+ *
+ * @module tech-roles-library
+ * @author 686f6c61
+ * @license MIT
+ */
+
+import TechRolesLibrary from './index.js';
+
+export const {
+  CompetencyError,
+  RoleNotFoundError,
+  AmbiguousRoleCodeError,
+  LevelNotFoundError,
+  CompetencyNotFoundError,
+  SkillNotFoundError,
+  UnsupportedLanguageError,
+  InvalidQueryError,
+  RoleConflictError,
+  PatchError,
+  SchemaValidationError
+} = TechRolesLibrary;
+
+export { TechRolesLibrary };
+export default TechRolesLibrary;
@@ -0,0 +1,195 @@
+const http = require('http');
+const { createServer, createHandler, negotiateLanguage } = require('../../src/http/server');
+
+const request = (port, path, headers = {}, method = 'GET') => new Promise((resolve, reject) => {
+  const req = http.request({ host: '127.0.0.1', port, path, headers, method }, res => {
+    let raw = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { raw += chunk; });
+    res.on('end', () => resolve({
+      status: res.statusCode,
+      headers: res.headers,
+      body: raw ? JSON.parse(raw) : null
+    }));
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+describe('HTTP API server', () => {
+  let server;
+  let port;
+
+  beforeAll(done => {
+    server = createServer();
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  test('GET /roles should list all roles with metadata', async () => {
+    const res = await request(port, '/roles');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/json; charset=utf-8');
+    expect(res.body).toHaveLength(78);
+    expect(res.body[0]).toHaveProperty('availableLevels');
+  });
+
+  test('GET /roles/:code should return a role entry', async () => {
+    const res = await request(port, '/roles/BE-L3');
+    expect(res.status).toBe(200);
+    expect(res.body.code).toBe('BE-L3');
+    expect(res.body.role).toBe('Backend Developer');
+  });
+
+  test('GET /roles/:name/levels should return every level', async () => {
+    const res = await request(port, `/roles/${encodeURIComponent('Backend Developer')}/levels`);
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(9);
+  });
+
+  test('GET /roles/:name/levels/:level should return competencies', async () => {
+    const res = await request(port, '/roles/Backend%20Developer/levels/L3');
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('core');
+  });
+
+  test('GET /search, /compare, /career-path and /next-level should answer queries', async () => {
+    const search = await request(port, '/search?q=backend&limit=1');
+    expect(search.body).toHaveLength(1);
+
+    const compare = await request(port, '/compare?role1=Backend%20Developer&role2=Frontend%20Developer&level=L3');
+    expect(compare.status).toBe(200);
+    expect(compare.body.role1.name).toBe('Backend Developer');
+
+    const career = await request(port, '/career-path?role=Backend%20Developer&level=L5');
+    expect(career.body.currentLevel.code).toBe('BE-L5');
+
+    const next = await request(port, '/next-level?role=Backend%20Developer&level=L3');
+    expect(next.body.next.code).toBe('BE-L4');
+
+    const top = await request(port, '/next-level?role=Backend%20Developer&level=L9');
+    expect(top.status).toBe(404);
+    expect(top.body.error).toEqual({
+      code: 'LEVEL_NOT_FOUND',
+      message: 'Backend Developer BE-L9 is the highest level; there is no next level'
+    });
+    expect((await request(port, '/next-level?role=Nobody&level=L9')).body.error.code).toBe('ROLE_NOT_FOUND');
+  });
+
+  test('should pick the language from Accept-Language', async () => {
+    const res = await request(port, '/roles/BE-L1', { 'Accept-Language': 'fr-FR, es;q=0.9, en;q=0.8' });
+    expect(res.headers['content-language']).toBe('es');
+    expect(res.headers.vary).toBe('Accept-Language');
+    expect(res.body.coreCompetencies[0]).toMatch(/comprensión/i);
+  });
+
+  test('should resolve loose role names and return suggestions', async () => {
+    const levels = await request(port, '/roles/backend%20dev/levels');
+    expect(levels.status).toBe(200);
+    expect(levels.body[0].code).toBe('BE-L1');
+
+    const missing = await request(port, '/roles/Data/levels');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.suggestions).toContain('Data Engineer');
+  });
+
+  test('should map RoleNotFoundError and LevelNotFoundError to 404', async () => {
+    const shared = await request(port, '/roles/CE-L3');
+    expect(shared.status).toBe(400);
+    expect(shared.body.error.code).toBe('AMBIGUOUS_ROLE_CODE');
+    expect(shared.body.error.suggestions).toEqual(['Cloud Engineer/CE-L3', 'Compiler Engineer/CE-L3']);
+    expect((await request(port, `/roles/${encodeURIComponent('Compiler Engineer/CE-L3')}`)).body.role).toBe('Compiler Engineer');
+
+    const role = await request(port, '/roles/XX-L1');
+    expect(role.status).toBe(404);
+    expect(role.body.error.code).toBe('ROLE_NOT_FOUND');
+
+    const custom = http.createServer(createHandler({
+      library: {
+        sources: [{
+          role: 'Platform Reliability Lead',
+          category: 'Infrastructure',
+          levels: {
+            'PRL-L1': {
+              level: 'L1 - Trainee',
+              levelNumber: 1,
+              yearsRange: { min: 0, max: 1 },
+              coreCompetencies: ['Basic Linux administration'],
+              complementaryCompetencies: [],
+              indicators: []
+            }
+          }
+        }]
+      }
+    }));
+    await new Promise(resolve => custom.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const level = await request(custom.address().port, '/roles/Platform%20Reliability%20Lead/levels/L5');
+      expect(level.status).toBe(404);
+      expect(level.body.error.code).toBe('LEVEL_NOT_FOUND');
+    } finally {
+      await new Promise(resolve => custom.close(resolve));
+    }
+  });
+
+  test('should answer 400 for invalid queries and 404 for unknown routes', async () => {
+    expect((await request(port, '/search')).status).toBe(400);
+    expect((await request(port, '/search?q=x&limit=abc')).status).toBe(400);
+    expect((await request(port, '/roles/Backend%20Developer/levels/L12')).status).toBe(400);
+    expect((await request(port, '/roles?lang=de')).status).toBe(400);
+    expect((await request(port, '/nope')).status).toBe(404);
+  });
+
+  test('should reject methods other than GET and HEAD', async () => {
+    const res = await request(port, '/roles', {}, 'POST');
+    expect(res.status).toBe(405);
+    expect(res.headers.allow).toBe('GET, HEAD');
+  });
+
+  test('should return 304 when the ETag matches', async () => {
+    const first = await request(port, '/categories');
+    expect(first.headers.etag).toMatch(/^"[0-9a-f]+"$/);
+
+    const second = await request(port, '/categories', { 'If-None-Match': first.headers.etag });
+    expect(second.status).toBe(304);
+    expect(second.body).toBeNull();
+  });
+
+  test('should strip a base path when embedded', async () => {
+    const embedded = http.createServer(createHandler({ basePath: '/api' }));
+    await new Promise(resolve => embedded.listen(0, '127.0.0.1', resolve));
+    const embeddedPort = embedded.address().port;
+
+    try {
+      expect((await request(embeddedPort, '/api/categories')).status).toBe(200);
+      expect((await request(embeddedPort, '/categories')).status).toBe(404);
+    } finally {
+      await new Promise(resolve => embedded.close(resolve));
+    }
+  });
+});
+
+describe('negotiateLanguage', () => {
+  test('should honour quality values and fall back to the default', () => {
+    expect(negotiateLanguage('en;q=0.5, es', null, 'en')).toBe('es');
+    expect(negotiateLanguage('de-DE', null, 'en')).toBe('en');
+    expect(negotiateLanguage(undefined, null, 'es')).toBe('es');
+    expect(negotiateLanguage('es', 'en', 'en')).toBe('en');
+  });
+
+  test('should match installed locales by tag, then by primary subtag', () => {
+    const languages = ['en', 'es', 'pt', 'pt-BR'];
+
+    expect(negotiateLanguage('pt-br, en;q=0.5', null, 'en', languages)).toBe('pt-BR');
+    expect(negotiateLanguage('pt-PT', null, 'en', languages)).toBe('pt');
+    expect(negotiateLanguage('es-MX', null, 'en')).toBe('es');
+    expect(negotiateLanguage(undefined, 'PT-br', 'en', languages)).toBe('pt-BR');
+  });
+});
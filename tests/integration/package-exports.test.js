@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const TechRolesLibrary = require('../../src/index');
+const validator = require('../../src/core/validator');
+const pkg = require('../../package.json');
+
+const ROOT = path.join(__dirname, '../..');
+const TYPES = fs.readFileSync(path.join(ROOT, 'types/index.d.ts'), 'utf8');
+
+// Members of a string literal union declared in types/index.d.ts
+const unionMembers = name => {
+  const match = TYPES.match(new RegExp(`type ${name} =\\n((?:\\s+\\| '.*'\\n?)+);`));
+  return match ? Array.from(match[1].matchAll(/'((?:[^'\\]|\\.)*)'/g), m => m[1].replace(/\\'/g, "'")) : [];
+};
+
+describe('Package Exports', () => {
+  test('should expose the error classes as named CommonJS exports', () => {
+    expect(TechRolesLibrary.TechRolesLibrary).toBe(TechRolesLibrary);
+    ['CompetencyError', 'RoleNotFoundError', 'LevelNotFoundError', 'CompetencyNotFoundError',
+      'SkillNotFoundError', 'UnsupportedLanguageError', 'InvalidQueryError', 'RoleConflictError', 'PatchError', 'SchemaValidationError'].forEach(name => {
+      expect(TechRolesLibrary[name]).toBe(validator[name]);
+    });
+  });
+
+  test('should load as an ES module sharing the CommonJS instance', () => {
+    const script = `
+      import { createRequire } from 'module';
+      import TechRolesLibrary, { RoleNotFoundError, TechRolesLibrary as Named } from '${pkg.name}';
+      const cjs = createRequire(import.meta.url)('${pkg.name}');
+      try {
+        new TechRolesLibrary().getRole('XX-L1');
+      } catch (error) {
+        console.log(JSON.stringify({
+          same: TechRolesLibrary === cjs && Named === cjs,
+          instance: error instanceof RoleNotFoundError && error instanceof cjs.RoleNotFoundError
+        }));
+      }
+    `;
+    const result = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+      cwd: ROOT,
+      encoding: 'utf8',
+      timeout: 30000
+    });
+
+    expect(result.stderr).toBe('');
+    expect(JSON.parse(result.stdout)).toEqual({ same: true, instance: true });
+  });
+
+  test('should resolve the documented subpaths', () => {
+    const script = ['src/cli', 'src/http/server', 'src/core/validator.js', 'src/i18n/skills.json']
+      .map(subpath => `typeof require('${pkg.name}/${subpath}')`).join(', ');
+    const result = spawnSync(process.execPath, ['-e', `console.log(JSON.stringify([${script}]))`], {
+      cwd: ROOT,
+      encoding: 'utf8',
+      timeout: 30000
+    });
+
+    expect(result.stderr).toBe('');
+    expect(JSON.parse(result.stdout)).toEqual(['object', 'object', 'object', 'object']);
+  });
+
+  test('should point every export condition at an existing file', () => {
+    const targets = [pkg.main, pkg.module, pkg.types];
+    Object.values(pkg.exports['.']).forEach(condition => targets.push(...Object.values(condition)));
+
+    targets.forEach(target => {
+      expect(fs.existsSync(path.join(ROOT, target))).toBe(true);
+    });
+  });
+
+  test('should keep the role name types in sync with the bundled roles', () => {
+    const en = new TechRolesLibrary({ language: 'en' }).getRoles();
+    const es = new TechRolesLibrary({ language: 'es' }).getRoles();
+
+    expect(unionMembers('EnglishRoleName').sort()).toEqual([...en].sort());
+    expect(unionMembers('SpanishRoleName').sort()).toEqual([...es].sort());
+  });
+});
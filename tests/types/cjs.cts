@@ -0,0 +1,88 @@
+// Compile-time checks for the CommonJS typings (npm run test:types)
+import TechRolesLibrary = require('@sparring/tech-roles-library');
+import { RoleNotFoundError } from '@sparring/tech-roles-library';
+
+const library = new TechRolesLibrary({ language: 'es', onConflict: 'skip' });
+
+const career: TechRolesLibrary.CareerPath = library.getCareerPathComplete('Backend Developer', 'L5');
+const progress: number = career.summary.progressPercentage;
+const level: TechRolesLibrary.LevelNumber = career.currentLevel.levelNumber;
+
+const catalog = library.getAllRolesWithMetadata();
+const firstRole: string = catalog.roles[0].role;
+
+const comparison = library.compareRoles('Backend Developer', 'Frontend Developer', 3, { includeComplementary: false });
+const similarity: number = comparison.similarity;
+const similar: TechRolesLibrary.SimilarRole[] = library.findSimilarRoles('BE', { threshold: 0.1, category: ['Data'] });
+const evolved: TechRolesLibrary.EvolvedCompetency[] = library.compareLevels('BE', 'L3', 'L4', { method: 'ngram' }).evolved;
+const steps: number = library.getCareerPath('Backend Developer', 'L3').totalSteps;
+
+const route = library.findCareerRoute('QA Engineer', 'L3', 'Engineering Manager', 'L7', { by: 'steps' });
+const moves: number | undefined = route?.lateralMoves;
+const reachable: string[] = library.getReachableRoles('QA Engineer', 3, { maxSteps: 2 }).map(node => node.id);
+
+const kafkaRoles: number = library.findRolesBySkill('Apache Kafka', { category: 'Data', level: 'L4' }).totalRoles;
+const topSkill: string = library.getSkillFrequency({ limit: 5 })[0].skills[0].id;
+library.addSkill('terraform', { name: 'Terraform', group: 'devops', aliases: ['hcl'] });
+const leadership: number = library.getDimensionProfile('Tech Lead', 'L6').dimensions[2].count;
+const gapDimensions: string[] = library.getCompetencyGaps('Backend Developer', 'L3', 'L5').recommendations.people;
+const pathWeeks: number | undefined = library.getCareerPath('Backend Developer', 'L3').steps[1].estimatedWeeks;
+const slowLibrary = new TechRolesLibrary({ learningTime: { weeksPerCompetency: 3, dimensionWeights: { leadership: 2 } } });
+const spanishRole: string = library.withLanguage('es').getRole('BE-L3').role;
+const pairedCore: string | null = library.getCompetencies('Backend Developer', 'L3', { languages: ['en', 'es'] }).core[0].es;
+const pairedIds: string[] = library.getLevelsForRole('Backend Developer', { languages: ['en', 'es'] })[0].ids.coreCompetencies;
+
+const byAlias = library.getRoleByName('BE', 'L3 - Junior II');
+
+try {
+  library.getRole('XX-L1');
+} catch (error) {
+  if (error instanceof RoleNotFoundError) {
+    const suggestions: string[] = error.suggestions;
+    console.log(suggestions);
+  }
+  if (error instanceof TechRolesLibrary.AmbiguousRoleCodeError) {
+    const qualified: string[] = error.suggestions;
+    console.log(error.roleCode, qualified);
+  }
+  if (error instanceof TechRolesLibrary.SkillNotFoundError) {
+    const skill: string = error.skill;
+    console.log(skill);
+  }
+  if (error instanceof TechRolesLibrary.LevelNotFoundError) {
+    const code: 'LEVEL_NOT_FOUND' = error.code;
+    console.log(code);
+  }
+}
+
+// @ts-expect-error level codes stop at L9
+library.getCompetencies('Backend Developer', 'L12');
+
+// @ts-expect-error locales map a language to one directory
+new TechRolesLibrary({ language: 'fr', locales: { fr: ['./locales/fr'] } });
+
+// @ts-expect-error paired texts are not strings
+const pairedLevel: string = library.getCareerPathComplete('Backend Developer', 'L3', { languages: ['es'] }).currentLevel.level;
+
+// @ts-expect-error unknown issue type
+library.auditTranslations().summary.byType['typo'];
+
+// @ts-expect-error taxonomy names map keys to names per language
+new TechRolesLibrary({ taxonomy: { bands: { mid: 'Pleno' } } });
+
+// @ts-expect-error bands are keys, not level numbers
+const midBand: number = library.getTaxonomy().bands[2].key;
+
+// @ts-expect-error routes are ranked by cost or steps
+library.findCareerRoute('QA Engineer', 'L3', 'Tech Lead', 'L6', { by: 'time' });
+
+// @ts-expect-error skills need a name
+library.addSkill('terraform', { group: 'devops' });
+
+// @ts-expect-error unknown dimension
+new TechRolesLibrary({ dimensions: { competencies: { 'TL-L6-core-03': 'soft-skills' } } });
+
+// @ts-expect-error unknown option
+library.search('oauth', { boosts: { title: 2 } });
+
+console.log(progress, level, firstRole, similarity, similar, steps, moves, reachable, kafkaRoles, topSkill, leadership, gapDimensions, pathWeeks, slowLibrary, spanishRole, pairedCore, pairedIds, pairedLevel, byAlias.code);
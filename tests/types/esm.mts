@@ -0,0 +1,69 @@
+// Compile-time checks for the ES module typings (npm run test:types)
+import TechRolesLibrary, {
+  InvalidQueryError,
+  TechRolesLibrary as NamedLibrary,
+  type LevelCode,
+  type RoleName,
+  type RoleComparison,
+  type TransitionPlan,
+  type RoleSkill,
+  type Dimension,
+  type CalibrationReport,
+  type FallbackReport,
+  type TranslationAudit,
+  type Taxonomy,
+  type Band,
+  type Multilingual,
+  type Competencies,
+  UnsupportedLanguageError
+} from '@sparring/tech-roles-library';
+
+const library: TechRolesLibrary = new NamedLibrary();
+
+const code: LevelCode = 'L9';
+const role: RoleName = 'Desarrollador de Backend';
+const next = library.getNextLevel(role, code);
+const nextCode: string | undefined = next?.next.code;
+const evolvedTo: string | undefined = next?.evolvedCompetencies[0]?.to;
+
+const candidates = library.resolveJobTitle('Senior Software Engineer II', { limit: 3 });
+const confidence: number = candidates[0].confidence;
+
+const comparison: RoleComparison = library.compareRoles('Software Engineer', 'Tech Lead', 'L4', { minSimilarity: 0.4 });
+const related: number = comparison.related[0].similarity;
+
+const plan: TransitionPlan = library.planTransition('Backend Developer', 'L5', 'Data Engineer', { targetLevel: 6 });
+const firstStep: 'entry' | 'promotion' = plan.steps[0].type;
+const enteredAboveThreshold: boolean = plan.entryLevel.meetsThreshold;
+
+const skills: RoleSkill[] = library.getSkillsForRole('Backend Developer', 'L5', { includeComplementary: false });
+const skillLevels: number[] = skills[0].levels;
+const axes: Dimension[] = library.getDimensionProgression('Backend Developer').dimensions;
+
+const calibration: CalibrationReport = library.calibrateLearningTime([{ role: 'Backend Developer', from: 'L3', to: 'L4', months: 14 }]);
+const weeksRange: { min: number; max: number } = plan.summary.estimatedLearningTime.weeksRange;
+
+const portuguese = new NamedLibrary({ language: 'pt-BR', locales: { pt: './locales/pt' }, fallbacks: { pt: ['es'] } });
+const fallbackReport: FallbackReport | null = portuguese.getFallbackReport();
+const installed: string[] = portuguese.getLanguages();
+const bilingual: Multilingual<Competencies> = library.getCompetencies('Backend Developer', 'L3', { languages: ['en', 'es'] });
+const audit: TranslationAudit = library.auditTranslations({ languages: ['es'], markers: { pt: { words: ['de', 'com'] } } });
+const mismatches: number = audit.summary.byType['count-mismatch'];
+const taxonomy: Taxonomy = new NamedLibrary({ taxonomy: { categories: { data: { pt: 'Dados' } } } }).getTaxonomy();
+const band: Band = library.filterByBand('Nivel Medio')[0].band;
+const categoryKey: string = library.filterByCategory('data')[0].categoryKey;
+const unsupported: string[] = new UnsupportedLanguageError('fr', installed).available;
+
+try {
+  library.search('');
+} catch (error) {
+  if (error instanceof InvalidQueryError) console.log(error.code);
+}
+
+// @ts-expect-error not a level code
+const invalid: LevelCode = 'L0';
+
+// @ts-expect-error not a bundled role name
+const unknown: RoleName = 'Backend Ninja';
+
+console.log(nextCode, evolvedTo, confidence, comparison, firstStep, skillLevels, axes, calibration, weeksRange, fallbackReport, bilingual, mismatches, unsupported, invalid, unknown);
@@ -0,0 +1,75 @@
+const TechRolesLibrary = require('../../src/index');
+const { InvalidQueryError } = require('../../src/core/validator');
+
+describe('Assessment', () => {
+  let library;
+  let levels;
+
+  const coreUpTo = (levelNumber, ratio = 1) => levels
+    .filter(l => l.levelNumber <= levelNumber)
+    .reduce((acc, l) => acc.concat(l.coreCompetencies.slice(0, Math.ceil(l.coreCompetencies.length * ratio))), []);
+
+  beforeAll(() => {
+    library = new TechRolesLibrary({ language: 'en' });
+    levels = library.getLevelsForRole('Backend Developer');
+  });
+
+  test('should place at the highest contiguous level meeting the threshold', () => {
+    const result = library.assessPlacement('Backend Developer', coreUpTo(3));
+
+    expect(result.role).toBe('Backend Developer');
+    expect(result.threshold).toBe(0.8);
+    expect(result.placement).toEqual({ level: 'L3 - Junior II', code: 'BE-L3', levelNumber: 3 });
+    expect(result.levels).toHaveLength(9);
+    expect(result.levels[2].coverage.core).toBe(100);
+    expect(result.levels[3].met).toBe(false);
+    expect(result.nextLevel.code).toBe('BE-L4');
+    expect(result.nextLevel.missing.core).toEqual(levels[3].coreCompetencies);
+  });
+
+  test('should not assume lower levels are mastered', () => {
+    const evidence = levels[4].coreCompetencies;
+    const result = library.assessPlacement('Backend Developer', evidence);
+
+    expect(result.placement).toBeNull();
+    expect(result.highestMetLevel.code).toBe('BE-L5');
+    expect(result.nextLevel.code).toBe('BE-L1');
+  });
+
+  test('should allow non-contiguous placement', () => {
+    const evidence = levels[4].coreCompetencies;
+    const result = library.assessPlacement('Backend Developer', evidence, { contiguous: false });
+
+    expect(result.placement.code).toBe('BE-L5');
+  });
+
+  test('should apply a configurable threshold', () => {
+    const evidence = coreUpTo(2, 0.5);
+
+    expect(library.assessPlacement('Backend Developer', evidence).placement).toBeNull();
+    expect(library.assessPlacement('Backend Developer', evidence, { threshold: 0.5 }).placement.code).toBe('BE-L2');
+  });
+
+  test('should report coverage, missing items and unmatched evidence', () => {
+    const l1 = levels[0];
+    const evidence = [
+      l1.coreCompetencies[0].toUpperCase(),
+      `  ${l1.complementaryCompetencies[0]}  `,
+      'Juggling'
+    ];
+    const result = library.assessPlacement('Backend Developer', new Set(evidence));
+    const first = result.levels[0];
+
+    expect(first.demonstrated.core).toEqual([l1.coreCompetencies[0]]);
+    expect(first.demonstrated.complementary).toEqual([l1.complementaryCompetencies[0]]);
+    expect(first.missing.core).toHaveLength(l1.coreCompetencies.length - 1);
+    expect(first.coverage.core).toBe(Math.round(100 / l1.coreCompetencies.length));
+    expect(result.unmatchedEvidence).toEqual(['Juggling']);
+  });
+
+  test('should validate inputs', () => {
+    expect(() => library.assessPlacement('Backend Developer', [], { threshold: 2 })).toThrow(InvalidQueryError);
+    expect(() => library.assessPlacement('Backend Developer', 'Docker')).toThrow(InvalidQueryError);
+    expect(() => library.assessPlacement('Unknown Role', [])).toThrow('not found');
+  });
+});
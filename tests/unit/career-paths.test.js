@@ -0,0 +1,85 @@
+const TechRolesLibrary = require('../../src/index');
+const CareerGraph = require('../../src/core/career-graph');
+const { InvalidQueryError, RoleNotFoundError } = require('../../src/core/validator');
+
+describe('Career Graph', () => {
+  let library;
+
+  beforeAll(() => {
+    library = new TechRolesLibrary({ language: 'en' });
+  });
+
+  test('should model role levels as nodes with promotion and lateral edges', () => {
+    const { nodes, edges } = library.getCareerGraph();
+    const ids = new Set(nodes.map(node => node.id));
+    const promotion = edges.find(edge => edge.from === 'Backend Developer L3' && edge.type === 'promotion');
+    const lateral = edges.filter(edge => edge.type === 'lateral');
+
+    expect(nodes.length).toBe(library.getRoles().length * 9);
+    expect(ids.size).toBe(nodes.length);
+    expect(nodes.find(node => node.id === 'Backend Developer L3')).toMatchObject({ code: 'BE-L3', levelNumber: 3 });
+    expect(promotion.to).toBe('Backend Developer L4');
+    expect(promotion.weight).toBeGreaterThan(0);
+    expect(lateral.length).toBeGreaterThan(0);
+    lateral.forEach(edge => {
+      expect(edge.similarity).toBeGreaterThanOrEqual(0.25);
+      expect(edge.from.slice(-2)).toBe(edge.to.slice(-2));
+    });
+  });
+
+  test('should find the cheapest route across roles', () => {
+    const route = library.findCareerRoute('QA Engineer', 'L3', 'Engineering Manager', 'L7');
+
+    expect(route.from.id).toBe('QA Engineer L3');
+    expect(route.to.id).toBe('Engineering Manager L7');
+    expect(route.steps[0].from.id).toBe('QA Engineer L3');
+    expect(route.steps[route.steps.length - 1].to.id).toBe('Engineering Manager L7');
+    route.steps.slice(1).forEach((step, index) => expect(step.from.id).toBe(route.steps[index].to.id));
+    expect(route.totalCost).toBe(route.steps.reduce((sum, step) => sum + step.cost, 0));
+    expect(route.promotions).toBe(4);
+    expect(route.promotions + route.lateralMoves).toBe(route.totalSteps);
+  });
+
+  test('should rank routes by steps or cost and honor the lateral option', () => {
+    const cheapest = library.findCareerRoute('Backend Developer', 'L2', 'Backend Developer', 'L5');
+    const shortest = library.findCareerRoute('Backend Developer', 'L2', 'Backend Developer', 'L5', { by: 'steps' });
+
+    expect(shortest.totalSteps).toBe(3);
+    expect(cheapest.totalCost).toBeLessThanOrEqual(shortest.totalCost);
+    expect(library.findCareerRoute('QA Engineer', 'L3', 'Engineering Manager', 'L7', { lateral: false })).toBeNull();
+    expect(library.findCareerRoute('Backend Developer', 'L5', 'Backend Developer', 'L2')).toBeNull();
+  });
+
+  test('should list role levels reachable within N steps', () => {
+    const oneStep = library.getReachableRoles('QA Engineer', 'L3', { maxSteps: 1 });
+    const twoSteps = library.getReachableRoles('QA Engineer', 'L3');
+    const promotionsOnly = library.getReachableRoles('QA Engineer', 'L3', { maxSteps: 3, lateral: false });
+
+    expect(oneStep.map(node => node.id)).toContain('QA Engineer L4');
+    expect(oneStep.every(node => node.steps === 1 && node.path.length === 2)).toBe(true);
+    expect(twoSteps.length).toBeGreaterThan(oneStep.length);
+    expect(twoSteps.map(node => node.id)).not.toContain('QA Engineer L3');
+    expect(promotionsOnly.map(node => node.id)).toEqual(['QA Engineer L4', 'QA Engineer L5', 'QA Engineer L6']);
+  });
+
+  test('should reject invalid graph queries', () => {
+    expect(() => library.findCareerRoute('QA Engineer', 'L3', 'Tech Lead', 'L6', { by: 'time' })).toThrow(InvalidQueryError);
+    expect(() => library.getReachableRoles('QA Engineer', 'L3', { maxSteps: 0 })).toThrow(InvalidQueryError);
+    expect(() => library.getCareerGraph({ lateralThreshold: 2 })).toThrow(InvalidQueryError);
+    expect(() => library.getReachableRoles('Backend Ninja', 'L3')).toThrow(RoleNotFoundError);
+  });
+
+  test('CareerGraph should search weighted routes', () => {
+    const graph = new CareerGraph();
+    ['a', 'b', 'c', 'd'].forEach(id => graph.addNode(id, {}));
+    graph.addEdge('a', 'd', { type: 'lateral', weight: 10 });
+    graph.addEdge('a', 'b', { type: 'promotion', weight: 1 });
+    graph.addEdge('b', 'c', { type: 'promotion', weight: 1 });
+    graph.addEdge('c', 'd', { type: 'promotion', weight: 1 });
+
+    expect(graph.findRoute('a', 'd').edges.map(edge => edge.to)).toEqual(['b', 'c', 'd']);
+    expect(graph.findRoute('a', 'd', { by: 'steps' })).toMatchObject({ steps: 1, cost: 10 });
+    expect(graph.findRoute('d', 'a')).toBeNull();
+    expect(graph.reachable('a', 1).map(state => state.id).sort()).toEqual(['b', 'd']);
+  });
+});
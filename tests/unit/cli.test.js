@@ -0,0 +1,99 @@
+const { run } = require('../../src/cli');
+
+const invoke = (...argv) => {
+  let stdout = '';
+  let stderr = '';
+  const code = run(argv, {
+    stdout: { write: text => { stdout += text; } },
+    stderr: { write: text => { stderr += text; } }
+  });
+  return { code, stdout, stderr };
+};
+
+describe('CLI', () => {
+  test('should print usage with --help', () => {
+    const { code, stdout } = invoke('--help');
+    expect(code).toBe(0);
+    expect(stdout).toContain('Usage: tech-roles <command>');
+  });
+
+  test('should print the package version', () => {
+    const { code, stdout } = invoke('--version');
+    expect(code).toBe(0);
+    expect(stdout.trim()).toBe(require('../../package.json').version);
+  });
+
+  test('should list roles as a table', () => {
+    const { code, stdout } = invoke('roles');
+    expect(code).toBe(0);
+    expect(stdout).toContain('Roles (78)');
+    expect(stdout).toMatch(/Backend Developer\s+Software Engineering\s+9/);
+  });
+
+  test('should output raw data as JSON', () => {
+    const { stdout } = invoke('role', 'BE-L3', '--format', 'json');
+    const data = JSON.parse(stdout);
+    expect(data.code).toBe('BE-L3');
+    expect(data.role).toBe('Backend Developer');
+  });
+
+  test('should output competencies as Markdown', () => {
+    const { code, stdout } = invoke('competencies', 'Backend Developer', 'L3', '--format=markdown');
+    expect(code).toBe(0);
+    expect(stdout).toContain('# Backend Developer - L3 - Junior II');
+    expect(stdout).toContain('## Core Competencies');
+    expect(stdout).toContain('- Mastery of RESTful API design and best practices');
+  });
+
+  test('should honour --lang', () => {
+    const { stdout } = invoke('role', 'BE-L1', '--lang', 'es', '--format', 'json');
+    expect(JSON.parse(stdout).coreCompetencies[0]).toMatch(/comprensión/i);
+  });
+
+  test('should run search, next-level, career-path and compare', () => {
+    expect(invoke('search', 'backend', '--limit', '1').stdout).toContain('Backend Developer');
+    expect(invoke('next-level', 'Backend Developer', 'L3').stdout).toContain('Next level: L4 - Mid-Level I');
+    expect(invoke('next-level', 'Backend Developer', 'L9').stdout).toContain('Already at the highest level');
+    expect(invoke('career-path', 'Backend Developer', '3').stdout).toMatch(/BE-L3.+current/);
+    expect(invoke('compare', 'Backend Developer', 'Frontend Developer', 'L3').stdout)
+      .toContain('Backend Developer vs Frontend Developer');
+  });
+
+  test('should audit the translations', () => {
+    const { code, stdout } = invoke('audit-translations', '--format', 'json');
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({ reference: 'en', languages: ['en', 'es'], files: 78 });
+    expect(invoke('audit-translations', '--reference', 'es').stdout).toContain('Translation audit (es, en against es)');
+    expect(invoke('audit-translations', '--reference', 'fr').code).toBe(1);
+  });
+
+  test('should filter search by category and level', () => {
+    const { code, stdout } = invoke('search', 'oauth', '--category', 'Data', '--level', 'L3', '--format', 'json');
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout).every(result => result.category === 'Data')).toBe(true);
+    const spanish = JSON.parse(invoke('search', 'sql', '--category', 'data', '--lang', 'es', '--format', 'json').stdout);
+    expect(spanish.length).toBeGreaterThan(0);
+    expect(spanish.every(result => result.category === 'Datos')).toBe(true);
+  });
+
+  test('should list categories with their keys', () => {
+    const { code, stdout } = invoke('categories', '--lang', 'es', '--format', 'json');
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout)).toContainEqual({ key: 'software-engineering', name: 'Ingeniería de Software', roles: 33 });
+  });
+
+  test('should exit with 1 on query errors', () => {
+    const { code, stderr } = invoke('role', 'XX-L99');
+    expect(code).toBe(1);
+    expect(stderr).toContain('Role "XX-L99" not found');
+  });
+
+  test('should exit with 2 on usage errors', () => {
+    expect(invoke().code).toBe(2);
+    expect(invoke('unknown').stderr).toContain('Unknown command: unknown');
+    expect(invoke('role').stderr).toContain('Usage: tech-roles role <code>');
+    expect(invoke('roles', '--format', 'xml').stderr).toContain('Unsupported format: xml');
+    expect(invoke('roles', '--lang', 'fr').stderr).toContain('Unsupported language: fr');
+    expect(invoke('roles', '--verbose').stderr).toContain('Unknown option: --verbose');
+  });
+});
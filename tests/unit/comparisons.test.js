@@ -0,0 +1,113 @@
+const TechRolesLibrary = require('../../src/index');
+const { InvalidQueryError, RoleNotFoundError } = require('../../src/core/validator');
+
+describe('Comparisons', () => {
+  let en;
+  let es;
+
+  beforeAll(() => {
+    en = new TechRolesLibrary({ language: 'en' });
+    es = new TechRolesLibrary({ language: 'es' });
+  });
+
+  test('should compare two roles at a level, with or without complementary competencies', () => {
+    const backend = en.getRoleByName('Backend Developer', 'L3');
+    const all = en.compareRoles('BE', 'Frontend Developer', 'L3');
+    const core = en.compareRoles('BE', 'Frontend Developer', 'L3', { includeComplementary: false });
+
+    expect(all.role1).toEqual({ name: 'Backend Developer', level: backend.level, code: 'BE-L3' });
+    expect(all.statistics.totalCompetencies1)
+      .toBe(backend.coreCompetencies.length + backend.complementaryCompetencies.length);
+    expect([...core.common, ...core.related.map(pair => pair.competency1), ...core.unique1].sort())
+      .toEqual([...backend.coreCompetencies].sort());
+    expect(core.statistics.totalCompetencies1).toBe(backend.coreCompetencies.length);
+  });
+
+  test('should default includeComplementary to the library option', () => {
+    const coreOnly = new TechRolesLibrary({ language: 'en', includeComplementary: false });
+    const from = coreOnly.getRoleByName('Backend Developer', 'L3');
+    const comparison = coreOnly.compareLevels('Backend Developer', 'L3', 'L4');
+
+    const withComplementary = coreOnly.compareLevels('Backend Developer', 'L3', 'L4', { includeComplementary: true });
+    const dropped = result => [...result.maintained, ...result.evolved.map(pair => pair.from), ...result.deprecated];
+
+    expect(dropped(comparison).sort()).toEqual([...from.coreCompetencies].sort());
+    expect(dropped(withComplementary)).toHaveLength(from.coreCompetencies.length + from.complementaryCompetencies.length);
+  });
+
+  test('should find similar roles with threshold, category scoping and limit', () => {
+    const all = en.findSimilarRoles('Software Engineer', { threshold: 0 });
+    const scoped = en.findSimilarRoles('Software Engineer', { threshold: 0, category: ['software engineering'] });
+    const limited = en.findSimilarRoles('Software Engineer', { threshold: 0.01, limit: 1 });
+
+    expect(all.map(r => r.role)).not.toContain('Software Engineer');
+    expect(all.length).toBe(en.getRoles().length - 1);
+    expect(scoped.length).toBeGreaterThan(0);
+    expect(scoped.every(r => r.category === 'Software Engineering')).toBe(true);
+    expect(limited).toHaveLength(1);
+    expect(limited[0]).toMatchObject({ role: 'Backend Developer', category: 'Software Engineering' });
+    expect(en.findSimilarRoles('Software Engineer').every(r => r.similarity >= 0.15)).toBe(true);
+  });
+
+  test('should pair reworded competencies as related or evolved', () => {
+    const roles = en.compareRoles('Backend Developer', 'Frontend Developer', 'L3');
+    const exact = en.compareRoles('Backend Developer', 'Frontend Developer', 'L3', { method: 'exact' });
+    const levels = en.compareLevels('Backend Developer', 'L3', 'L4', { minSimilarity: 0.3 });
+
+    expect(roles.related).toContainEqual({
+      competency1: 'Ability to optimize application and query performance',
+      competency2: 'Ability to optimize frontend application performance',
+      similarity: expect.any(Number)
+    });
+    expect(roles.statistics.relatedCount).toBe(roles.related.length);
+    expect(roles.similarity).toBeGreaterThan(exact.similarity);
+    expect(exact.related).toEqual([]);
+    expect(levels.evolved.length).toBeGreaterThan(0);
+    expect(levels.evolved.every(pair => pair.similarity >= 0.3 && !levels.new.includes(pair.to))).toBe(true);
+    expect(levels.statistics.evolvedCount).toBe(levels.evolved.length);
+  });
+
+  test('should reject invalid similarity options', () => {
+    expect(() => en.findSimilarRoles('Software Engineer', { threshold: 2 })).toThrow(InvalidQueryError);
+    expect(() => en.findSimilarRoles('Software Engineer', { limit: 0 })).toThrow(InvalidQueryError);
+    expect(() => en.findSimilarRoles('Software Engineer', { category: 'Marketing' })).toThrow('Unknown category: Marketing');
+    expect(() => en.findSimilarRoles('Backend Ninja')).toThrow(RoleNotFoundError);
+    expect(() => en.compareRoles('BE', 'FE', 'L3', { minSimilarity: -1 })).toThrow(InvalidQueryError);
+    expect(() => en.compareLevels('BE', 'L3', 'L4', { method: 'soundex' })).toThrow('Unknown similarity method: soundex');
+  });
+
+  test('should report competency gaps between levels', () => {
+    const gaps = en.getCompetencyGaps('Backend Developer', 'L3', 'L5');
+    const buckets = Object.values(gaps.recommendations).flat();
+
+    expect(gaps.gaps).toEqual(en.compareLevels('Backend Developer', 'L3', 'L5').new);
+    expect(gaps.estimatedLearningTime.weeks).toBeGreaterThanOrEqual(gaps.gapCount);
+    expect(gaps.estimatedLearningTime.weeksRange.min).toBeLessThanOrEqual(gaps.estimatedLearningTime.weeks);
+    expect(gaps.estimatedLearningTime.weeksRange.max).toBeGreaterThanOrEqual(gaps.estimatedLearningTime.weeks);
+    expect(buckets).toEqual(expect.arrayContaining(gaps.gaps));
+  });
+
+  test('should build a career path up to L9 by default', () => {
+    const path = en.getCareerPath('Backend Developer', 'L7');
+
+    expect(path.to).toBe('L9');
+    expect(path.steps.map(step => step.code)).toEqual(['BE-L7', 'BE-L8', 'BE-L9']);
+    expect(path.steps[0].newCompetencies).toBeUndefined();
+    expect(path.steps[1].newCompetenciesCount).toBe(path.steps[1].newCompetencies.length);
+    expect(() => en.getCareerPath('Backend Developer', 'L5', 'L3')).toThrow(InvalidQueryError);
+    expect(() => en.getCareerPath('Backend Developer', 'L0')).toThrow(InvalidQueryError);
+  });
+
+  test('should return output in the library language', () => {
+    const comparison = es.compareRoles('Backend Developer', 'Frontend Developer', 'L3');
+    const path = es.getCareerPath('Backend Developer', 'L1', 'L2');
+    const similar = es.findSimilarRoles('Backend Developer', { threshold: 0 });
+    const translated = es.getAllRolesWithMetadata().roles.map(r => r.role);
+
+    expect(comparison.role1.name).toBe(es.getRoleByName('Backend Developer', 'L3').role);
+    expect(comparison.role1.name).not.toBe('Backend Developer');
+    expect(path.role).toBe(comparison.role1.name);
+    expect(similar.every(r => translated.includes(r.role))).toBe(true);
+    expect(similar.map(r => r.role)).toContain('Ingeniero de Software');
+  });
+});
@@ -0,0 +1,162 @@
+const TechRolesLibrary = require('../../src/index');
+const Patcher = require('../../src/core/patcher');
+const SchemaValidator = require('../../src/core/schema-validator');
+const { buildId, nextId, splitItems } = require('../../src/core/competency-ids');
+const { CompetencyNotFoundError, InvalidQueryError, SchemaValidationError } = require('../../src/core/validator');
+
+const makeDefinition = items => ({
+  role: 'Platform Reliability',
+  category: 'Operations',
+  levels: {
+    'PRL-L1': {
+      level: 'L1 - Trainee',
+      levelNumber: 1,
+      yearsRange: { min: 0, max: 1 },
+      coreCompetencies: items,
+      complementaryCompetencies: ['Scripting'],
+      indicators: ['Follows runbooks']
+    }
+  }
+});
+
+describe('Competency IDs', () => {
+  let en;
+  let es;
+
+  beforeAll(() => {
+    en = new TechRolesLibrary({ language: 'en' });
+    es = new TechRolesLibrary({ language: 'es' });
+  });
+
+  test('should build positional IDs and continue numbering after the highest one', () => {
+    expect(buildId('BE-L3', 'coreCompetencies', 0)).toBe('BE-L3-core-01');
+    expect(buildId('BE-L3', 'indicators', 11)).toBe('BE-L3-ind-12');
+    expect(nextId('BE-L3', 'complementaryCompetencies', ['BE-L3-comp-01', 'BE-L3-comp-04'])).toBe('BE-L3-comp-05');
+    expect(splitItems(['A', { id: 'custom-1', text: 'B' }], 'BE-L3', 'coreCompetencies')).toEqual({
+      texts: ['A', 'B'],
+      ids: ['BE-L3-core-01', 'custom-1']
+    });
+  });
+
+  test('should expose IDs parallel to every list', () => {
+    const role = en.getRole('BE-L3');
+
+    expect(role.ids.coreCompetencies).toHaveLength(role.coreCompetencies.length);
+    expect(role.ids.complementaryCompetencies[0]).toBe('BE-L3-comp-01');
+    expect(role.ids.indicators).toHaveLength(role.indicators.length);
+
+    const competencies = en.getCompetencies('Backend Developer', 'L3', { includeIndicators: false });
+    expect(competencies.ids.core[0]).toBe('BE-L3-core-01');
+    expect(competencies.ids.indicators).toBeUndefined();
+
+    const path = en.getCareerPathComplete('Backend Developer', 'L3');
+    expect(path.currentLevel.ids.coreCompetencies[0]).toBe('BE-L3-core-01');
+    expect(path.growthPath[0].ids.coreCompetencies[0]).toBe('BE-L4-core-01');
+  });
+
+  test('should resolve the same ID in both languages', () => {
+    const english = en.getCompetencyById('BE-L3-core-01');
+    const spanish = es.getCompetencyById('BE-L3-core-01');
+
+    expect(english).toMatchObject({
+      id: 'BE-L3-core-01',
+      type: 'core',
+      text: en.getRole('BE-L3').coreCompetencies[0],
+      role: 'Backend Developer',
+      code: 'BE-L3',
+      levelNumber: 3
+    });
+    expect(spanish.text).toBe(es.getRole('BE-L3').coreCompetencies[0]);
+    expect(spanish.text).not.toBe(english.text);
+    expect(en.getCompetencyById('BE-L3-ind-01').type).toBe('indicator');
+  });
+
+  test('should reject unknown or invalid IDs', () => {
+    expect(() => en.getCompetencyById('BE-L3-core-99')).toThrow(CompetencyNotFoundError);
+    expect(() => en.getCompetencyById('')).toThrow(InvalidQueryError);
+  });
+
+  test('should load pinned IDs from data and reject duplicates', () => {
+    const library = new TechRolesLibrary({
+      language: 'en',
+      sources: [makeDefinition([{ id: 'prl-oncall', text: 'On-call basics' }, 'Alerting'])]
+    });
+
+    expect(library.getCompetencyById('prl-oncall').text).toBe('On-call basics');
+    expect(library.getCompetencyById('PRL-L1-core-02').text).toBe('Alerting');
+
+    const errors = SchemaValidator.validateRoleDefinition(
+      makeDefinition([{ id: 'dup', text: 'A' }, { id: 'dup', text: 'B' }])
+    );
+    expect(errors).toEqual([expect.objectContaining({
+      path: 'levels.PRL-L1.coreCompetencies[1]',
+      message: 'duplicates competency ID "dup"'
+    })]);
+  });
+
+  test('should read stored IDs and keep them unique across roles sharing a code', () => {
+    expect(nextId('CE-L3', 'coreCompetencies', ['cloud-engineer-L3-core-08'])).toBe('cloud-engineer-L3-core-09');
+
+    const cloud = en.getCompetencyById('cloud-engineer-L3-core-01');
+    const compiler = en.getCompetencyById('compiler-engineer-L3-core-01');
+    expect(cloud).toMatchObject({ role: 'Cloud Engineer', code: 'CE-L3' });
+    expect(compiler).toMatchObject({ role: 'Compiler Engineer', code: 'CE-L3' });
+    expect(es.getCompetencyById('cloud-engineer-L3-core-01').text).toBe(es.getLevelsForRole('Cloud Engineer')[2].coreCompetencies[0]);
+    expect(es.getLevelsForRole('Compiler Engineer')[0].role).toBe('Ingeniero de Compiladores');
+
+    const definition = makeDefinition(['Alerting', 'On-call basics']);
+    definition.levels['PRL-L1'].ids = { coreCompetencies: ['prl-alerting', 'prl-oncall'] };
+    const reordered = makeDefinition(['On-call basics', 'Alerting']);
+    reordered.levels['PRL-L1'].ids = { coreCompetencies: ['prl-oncall', 'prl-alerting'] };
+    [definition, reordered].forEach(source => {
+      const library = new TechRolesLibrary({ sources: [source] });
+      expect(library.getCompetencyById('prl-oncall').text).toBe('On-call basics');
+      expect(library.getCompetencyById('PRL-L1-comp-01').text).toBe('Scripting');
+    });
+  });
+
+  test('should fail loading when an ID appears twice', () => {
+    const clash = makeDefinition(['Alerting']);
+    clash.levels['PRL-L1'].ids = { coreCompetencies: ['BE-L3-core-01'] };
+    expect(() => new TechRolesLibrary({ sources: [clash] }).getRoles()).toThrow(SchemaValidationError);
+    expect(() => new TechRolesLibrary({ sources: [clash] }).getRoles()).toThrow(
+      'duplicates competency ID "BE-L3-core-01" (Platform Reliability and Backend Developer)'
+    );
+
+    const short = makeDefinition(['Alerting', 'On-call basics']);
+    short.levels['PRL-L1'].ids = { coreCompetencies: ['prl-alerting'] };
+    expect(SchemaValidator.validateRoleDefinition(short)).toEqual([expect.objectContaining({
+      path: 'levels.PRL-L1.ids.coreCompetencies',
+      message: 'must list one ID per item (2), got 1'
+    })]);
+  });
+
+  test('should keep IDs in sync when patching', () => {
+    const [entry] = new Patcher().apply(en.queryAPI.db.getByRole('Backend Developer'), [{
+      patches: {
+        'BE-L1': {
+          coreCompetencies: {
+            replace: [{ from: 'BE-L1-core-01', to: 'Reworded' }],
+            remove: ['BE-L1-core-02'],
+            add: ['Appended', { id: 'acme-1', text: 'Pinned' }]
+          }
+        }
+      }
+    }]).entries;
+    const count = en.getRole('BE-L1').coreCompetencies.length;
+
+    expect(entry.coreCompetencies[0]).toBe('Reworded');
+    expect(entry.ids.coreCompetencies[0]).toBe('BE-L1-core-01');
+    expect(entry.ids.coreCompetencies).not.toContain('BE-L1-core-02');
+    expect(entry.ids.coreCompetencies.slice(-2)).toEqual([buildId('BE-L1', 'coreCompetencies', count), 'acme-1']);
+    expect(entry.ids.coreCompetencies).toHaveLength(entry.coreCompetencies.length);
+  });
+
+  test('should accept IDs as assessment evidence', () => {
+    const ids = en.getRole('BE-L1').ids.coreCompetencies;
+    const result = en.assessPlacement('Backend Developer', ids);
+
+    expect(result.levels[0].coverage.core).toBe(100);
+    expect(result.unmatchedEvidence).toEqual([]);
+  });
+});
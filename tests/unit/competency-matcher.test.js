@@ -0,0 +1,73 @@
+const CompetencyMatcher = require('../../src/core/competency-matcher');
+
+describe('CompetencyMatcher', () => {
+  const corpus = [
+    'Ability to implement websockets',
+    'Knowledge of websockets and real-time communication',
+    'Ability to design data warehouses',
+    'Knowledge of Kubernetes',
+    'Ability to work with Docker'
+  ];
+
+  test('should score reworded competencies above unrelated ones', () => {
+    const matcher = new CompetencyMatcher(corpus);
+
+    expect(matcher.similarity(corpus[0], corpus[0])).toBe(1);
+    expect(matcher.similarity(corpus[0], corpus[1])).toBeGreaterThan(matcher.similarity(corpus[0], corpus[2]));
+    expect(matcher.similarity(corpus[3], corpus[4])).toBe(0);
+    expect(matcher.bestMatch('Websocket implementation', corpus).text).toBe(corpus[0]);
+    expect(matcher.bestMatch('Anything', [])).toBeNull();
+  });
+
+  test('should ignore proficiency qualifiers and support every method', () => {
+    const docker = ['Basic knowledge of Docker', 'Advanced Docker usage'];
+
+    expect(CompetencyMatcher.METHODS).toEqual(['tfidf', 'token', 'ngram', 'exact']);
+    CompetencyMatcher.METHODS.filter(method => method !== 'exact').forEach(method => {
+      const matcher = new CompetencyMatcher(corpus, { method });
+      expect(matcher.similarity(...docker)).toBeGreaterThanOrEqual(0.5);
+      expect(matcher.similarity(corpus[3], corpus[4])).toBe(0);
+    });
+
+    const exact = new CompetencyMatcher(corpus, { method: 'exact' });
+    expect(exact.similarity(...docker)).toBe(0);
+    expect(exact.similarity('Knowledge of  KUBERNETES', corpus[3])).toBe(1);
+    expect(() => new CompetencyMatcher(corpus, { method: 'soundex' })).toThrow('Unknown similarity method');
+  });
+
+  test('should align two lists one to one', () => {
+    const matcher = new CompetencyMatcher(corpus);
+    const alignment = matcher.align(
+      [corpus[0], corpus[2], corpus[3]],
+      [corpus[1], 'Knowledge of websockets', corpus[3]],
+      0.3
+    );
+
+    expect(alignment.common).toEqual([corpus[3]]);
+    expect(alignment.pairs).toHaveLength(1);
+    expect(alignment.pairs[0].a).toBe(corpus[0]);
+    expect(alignment.onlyA).toEqual([corpus[2]]);
+    expect(alignment.onlyB).toHaveLength(1);
+    expect(alignment.score).toBeGreaterThan(2 / 6);
+    expect(alignment.score).toBeLessThan(1);
+  });
+
+  test('should fold accents and stem in the configured language', () => {
+    const matcher = new CompetencyMatcher(['Diseño de APIs', 'Gestión de equipos'], { language: 'es' });
+
+    expect(matcher.similarity('Diseño de APIs', 'diseno de la API')).toBeCloseTo(1);
+    expect(matcher.similarity('Gestión de equipos', 'Diseño de APIs')).toBe(0);
+  });
+
+  test('should bound the cache of texts outside the corpus', () => {
+    const matcher = new CompetencyMatcher(corpus, { cacheSize: 2 });
+    const score = matcher.similarity('Kafka streams', corpus[0]);
+
+    ['Kafka streams', 'Event sourcing', 'Redis caching', 'Kafka streams'].forEach(text => matcher.similarity(text, corpus[1]));
+
+    expect(matcher.features.size).toBeLessThanOrEqual(corpus.length);
+    expect(Array.from(matcher.recent.keys())).toEqual(['Redis caching', 'Kafka streams']);
+    expect(matcher.similarity('Kafka streams', corpus[0])).toBe(score);
+    expect(new CompetencyMatcher(corpus, { cacheSize: 0 }).similarity('Kafka streams', corpus[0])).toBe(score);
+  });
+});
@@ -112,4 +112,31 @@ describe('CompetencyDatabase', () => {
     const entry = db.getByCode('XX-L99');
     expect(entry).toBeUndefined();
   });
+
+  test('should add the texts of another language over the same structure', () => {
+    const spanish = mockEntries.map(entry => ({
+      ...entry,
+      role: entry.role === 'Backend Developer' ? 'Desarrollador de Backend' : 'Desarrollador Frontend',
+      yearsRange: { ...entry.yearsRange }
+    }));
+
+    expect(db.addLanguage('es', spanish)).toBe(true);
+    const es = db.in('es');
+
+    expect(es).toBe(db.in('es'));
+    expect(db.in('en')).toBe(db);
+    expect(es.getByCode('BE-L2').role).toBe('Desarrollador de Backend');
+    expect(es.getByCode('BE-L2').yearsRange).toBe(db.getByCode('BE-L2').yearsRange);
+    expect(es.getByRole('Desarrollador de Backend')).toHaveLength(2);
+    expect(es.getByLevelNumber(1).map(entry => entry.code)).toEqual(['BE-L1', 'FE-L1']);
+    expect(es.getPosition(es.getByCode('FE-L1'))).toBe(2);
+    expect(db.getByRole('Backend Developer')).toHaveLength(2);
+    expect(() => db.in('fr')).toThrow('No texts loaded for language: fr');
+  });
+
+  test('should refuse languages with other roles or levels', () => {
+    expect(db.addLanguage('es', mockEntries.slice(1))).toBe(false);
+    expect(db.addLanguage('es', mockEntries.map(entry => ({ ...entry, levelNumber: entry.levelNumber + 1 })))).toBe(false);
+    expect(db.getLanguages()).toEqual(['en']);
+  });
 });
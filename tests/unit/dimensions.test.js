@@ -0,0 +1,96 @@
+const TechRolesLibrary = require('../../src/index');
+const DimensionClassifier = require('../../src/core/dimension-classifier');
+const { InvalidQueryError } = require('../../src/core/validator');
+
+describe('Competency Dimensions', () => {
+  let library;
+
+  beforeAll(() => {
+    library = new TechRolesLibrary({ language: 'en' });
+  });
+
+  describe('DimensionClassifier', () => {
+    test('should classify by keyword and fall back to technical', () => {
+      const classifier = new DimensionClassifier();
+
+      expect(classifier.classify('Ability to mentor junior developers')).toMatchObject({ dimension: 'people', source: 'rules' });
+      expect(classifier.classify('Definition of technical strategy').dimension).toBe('architecture');
+      expect(classifier.classify('Definition of company strategy').dimension).toBe('leadership');
+      expect(classifier.classify('Experience with code reviews').dimension).toBe('process');
+      expect(classifier.classify('Ability to write documentation').dimension).toBe('communication');
+      expect(classifier.classify('Ownership of the infrastructure budget').scores).toMatchObject({ leadership: 1, business: 1 });
+      expect(classifier.classify('Ability to implement REST APIs')).toMatchObject({ dimension: 'technical', source: 'default' });
+      expect(new DimensionClassifier({ language: 'es' }).classify('Capacidad de mentoría de desarrolladores').dimension)
+        .toBe('people');
+    });
+
+    test('should apply rule overrides and pinned dimensions', () => {
+      const classifier = new DimensionClassifier({
+        rules: { people: ['pair programming'] },
+        competencies: { 'BE-L1-core-01': 'communication' }
+      });
+
+      expect(classifier.classify('Pair programming with peers').dimension).toBe('people');
+      expect(classifier.classify('Ability to mentor').dimension).toBe('technical');
+      expect(classifier.classify('Ability to mentor', 'BE-L1-core-01')).toMatchObject({ dimension: 'communication', source: 'pinned' });
+      expect(classifier.getRules().people).toEqual(['pair programming']);
+
+      expect(() => new DimensionClassifier({ rules: { soft: [] } })).toThrow('Unknown dimension: soft');
+      expect(() => classifier.setRules('people', 'mentor')).toThrow(InvalidQueryError);
+      expect(() => classifier.pin('BE-L1-core-01', 'soft')).toThrow(InvalidQueryError);
+    });
+  });
+
+  test('should list the dimensions of the competencies of a role level', () => {
+    const result = library.getCompetencyDimensions('Tech Lead', 'L6');
+
+    expect(result).toMatchObject({ role: 'Tech Lead', code: 'TL-L6' });
+    expect(result.core[0]).toMatchObject({ id: 'TL-L6-core-01', dimension: 'leadership', source: 'rules' });
+    [...result.core, ...result.complementary].forEach(competency => {
+      expect(library.getDimensions()).toContain(competency.dimension);
+    });
+  });
+
+  test('should build radar profiles with every dimension in a fixed order', () => {
+    const profile = library.getDimensionProfile('Tech Lead', 'L6');
+    const coreOnly = library.getDimensionProfile('Tech Lead', 'L6', { includeComplementary: false });
+
+    expect(profile.dimensions.map(axis => axis.dimension)).toEqual(library.getDimensions());
+    expect(profile.dimensions.reduce((sum, axis) => sum + axis.count, 0)).toBe(profile.total);
+    expect(profile.dimensions.find(axis => axis.dimension === 'leadership').count).toBeGreaterThan(0);
+    expect(coreOnly.total).toBe(library.getCompetencies('Tech Lead', 'L6').core.length);
+
+    const progression = library.getDimensionProgression('Backend Developer');
+    const leadership = level => level.dimensions.find(axis => axis.dimension === 'leadership').count;
+    expect(progression.dimensions).toEqual(library.getDimensions());
+    expect(progression.levels.map(level => level.levelNumber)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(leadership(progression.levels[8])).toBeGreaterThan(leadership(progression.levels[0]));
+  });
+
+  test('should classify competency IDs from their English text in every language', () => {
+    const spanish = new TechRolesLibrary({ language: 'es' });
+    const dimensions = (view, role) => [2, 5, 8].map(level => {
+      const { core, complementary } = view.getCompetencyDimensions(role, `L${level}`);
+      return [...core, ...complementary].map(({ id, dimension }) => [id, dimension]);
+    });
+
+    expect(spanish.getCompetencyDimensions('Gerente de Ingeniería', 'L2').core[0]).toMatchObject({
+      id: 'EM-L2-core-01',
+      text: 'Capacidad de gestionar equipos de 5-10 ingenieros',
+      dimension: 'people'
+    });
+    expect(dimensions(spanish, 'Gerente de Ingeniería')).toEqual(dimensions(library, 'Engineering Manager'));
+    expect(dimensions(spanish, 'Ingeniero de IA')).toEqual(dimensions(library, 'AI Engineer'));
+    expect(spanish.withLanguage('en').dimensionClassifier).toBe(spanish.shared.dimensionClassifier);
+  });
+
+  test('should honour the dimensions option and group competency gaps by dimension', () => {
+    const custom = new TechRolesLibrary({ dimensions: { competencies: { 'TL-L6-core-02': 'process' } } });
+    const gaps = library.getCompetencyGaps('Backend Developer', 'L3', 'L5');
+
+    expect(custom.getCompetencyDimensions('Tech Lead', 'L6').core[1]).toMatchObject({ dimension: 'process', source: 'pinned' });
+    expect(Object.keys(gaps.recommendations)).toEqual(library.getDimensions());
+    expect(gaps.recommendations.architecture).toContain('Ability to design scalable multi-tenant systems');
+    expect(() => new TechRolesLibrary({ dimensions: { rules: { soft: [] } } }).classifyCompetency('x')).toThrow(InvalidQueryError);
+  });
+});
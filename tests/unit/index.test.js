@@ -53,6 +53,26 @@ describe('TechRolesLibrary', () => {
     test('should throw error for non-existent role', () => {
       expect(() => library.getRole('XX-L99')).toThrow();
     });
+
+    test('should require the role name for codes several roles share', () => {
+      let error;
+      try {
+        library.getRole('CE-L3');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(TechRolesLibrary.AmbiguousRoleCodeError);
+      expect(error.suggestions).toEqual(['Cloud Engineer/CE-L3', 'Compiler Engineer/CE-L3']);
+      expect(library.getRole('Compiler Engineer/CE-L3').role).toBe('Compiler Engineer');
+      expect(library.getRole('Cloud Engineer/CE-L3').role).toBe('Cloud Engineer');
+      expect(library.withLanguage('es').getRole('Compiler Engineer/CE-L3').code).toBe('CE-L3');
+      expect(() => library.getRole('Backend Developer/CE-L3')).toThrow(TechRolesLibrary.RoleNotFoundError);
+
+      const shared = library.getLoadReport().conflicts;
+      expect(new Set(shared.map(conflict => conflict.key)).size).toBe(45);
+      expect(shared.every(conflict => conflict.resolution === 'shared')).toBe(true);
+    });
   });
 
   describe('Competency Queries', () => {
@@ -150,6 +170,21 @@ describe('TechRolesLibrary', () => {
       expect(next.next.level).toContain('L4');
     });
 
+    test('should list reworded competencies of the next level as evolved', () => {
+      const next = library.getNextLevel('AI Engineer', 'L1');
+      const current = library.getRoleByName('AI Engineer', 'L1');
+      const held = [...current.coreCompetencies, ...current.complementaryCompetencies];
+      const unheld = [...next.next.coreCompetencies, ...next.next.complementaryCompetencies]
+        .filter(competency => !held.includes(competency));
+
+      expect(next.newCompetenciesCount).toBe(8);
+      expect(next.evolvedCompetenciesCount).toBe(next.evolvedCompetencies.length);
+      expect(next.evolvedCompetencies[0]).toEqual({
+        from: expect.any(String), to: expect.any(String), similarity: expect.any(Number)
+      });
+      expect([...next.newCompetencies, ...next.evolvedCompetencies.map(pair => pair.to)].sort()).toEqual(unheld.sort());
+    });
+
     test('should return null for next level at L9', () => {
       const next = library.getNextLevel('Backend Developer', 'L9');
       expect(next).toBeNull();
@@ -0,0 +1,72 @@
+const TechRolesLibrary = require('../../src/index');
+const { UnsupportedLanguageError } = require('../../src/core/validator');
+
+describe('Language Views', () => {
+  let library;
+
+  beforeEach(() => {
+    library = new TechRolesLibrary({ language: 'en' });
+  });
+
+  test('should return cached views in other languages', () => {
+    const spanish = library.withLanguage('es');
+
+    expect(spanish).toBe(library.withLanguage('es'));
+    expect(library.withLanguage('en')).toBe(library);
+    expect(spanish.withLanguage('en')).toBe(library);
+    expect(spanish.getLanguage()).toBe('es');
+    expect(spanish.getRole('BE-L3').role).toBe('Desarrollador de Backend');
+    expect(library.getRole('BE-L3').role).toBe('Backend Developer');
+    expect(spanish.getCompetencyById('BE-L3-core-01').id).toBe(library.getCompetencyById('BE-L3-core-01').id);
+    expect(() => library.withLanguage('fr')).toThrow(UnsupportedLanguageError);
+  });
+
+  test('should share runtime additions and the learning time model with every view', () => {
+    const spanish = library.withLanguage('es');
+    spanish.getRoles();
+
+    library.addSkill('terraform', { name: 'Terraform', group: 'devops', aliases: ['terraform'] });
+    library.addJobTitle('Member of Technical Staff', { role: 'Software Engineer', level: 'L5' });
+
+    expect(spanish.extractSkills('Experiencia con Terraform').map(skill => skill.id)).toEqual(['terraform']);
+    expect(library.withLanguage('es-MX').resolveJobTitle('Member of Technical Staff')[0].code).toBe('SE-L5');
+    expect(spanish.getLearningTimeModel()).toBe(library.getLearningTimeModel());
+  });
+
+  test('should share the database and career graph with every view', () => {
+    const spanish = library.withLanguage('es');
+    const route = library.findCareerRoute('Backend Developer', 'L3', 'Data Engineer', 'L5');
+    const ruta = spanish.findCareerRoute('Backend Developer', 'L3', 'Data Engineer', 'L5');
+
+    expect(spanish.database).toBe(library.database);
+    expect(library.database.getLanguages()).toEqual(['en', 'es']);
+    expect(spanish.getRole('BE-L3').yearsRange).toEqual(library.getRole('BE-L3').yearsRange);
+    expect(library.database.graphs.size).toBe(1);
+    expect(ruta.from.id).toBe('Desarrollador de Backend L3');
+    expect(ruta.steps.map(step => step.to.code)).toEqual(route.steps.map(step => step.to.code));
+    expect(ruta.totalCost).toBe(route.totalCost);
+    expect(spanish.getCareerGraph().edges).toContainEqual(expect.objectContaining({
+      from: 'Desarrollador de Backend L3', to: 'Desarrollador de Backend L4', type: 'promotion'
+    }));
+  });
+
+  test('should give a view its own database when its patches change the levels', () => {
+    const patched = new TechRolesLibrary({
+      patches: [{ language: 'en', patches: { 'BE-L5': { coreCompetencies: { add: ['Owns service SLOs'] } } } }]
+    });
+    const spanish = patched.withLanguage('es');
+
+    expect(spanish.getRole('BE-L5').role).toBe('Desarrollador de Backend');
+    expect(spanish.database).not.toBe(patched.database);
+    expect(patched.getRole('BE-L5').coreCompetencies).toContain('Owns service SLOs');
+    expect(spanish.getRole('BE-L5').coreCompetencies).not.toContain('Owns service SLOs');
+  });
+
+  test('should keep the options of the library in its views', () => {
+    const coreOnly = new TechRolesLibrary({ includeComplementary: false, aliases: { Backender: 'Backend Developer' } });
+    const spanish = coreOnly.withLanguage('es');
+
+    expect(spanish.getCompetencies('Backender', 'L3').complementary).toBeUndefined();
+    expect(spanish.getCompetencies('Backender', 'L3').core.length).toBeGreaterThan(0);
+  });
+});
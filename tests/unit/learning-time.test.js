@@ -0,0 +1,104 @@
+const TechRolesLibrary = require('../../src/index');
+const LearningTimeModel = require('../../src/core/learning-time-model');
+const { InvalidQueryError } = require('../../src/core/validator');
+
+describe('Learning Time', () => {
+  let library;
+
+  beforeAll(() => {
+    library = new TechRolesLibrary({ language: 'en' });
+  });
+
+  describe('LearningTimeModel', () => {
+    test('should weigh competencies by dimension, level and overlap', () => {
+      const model = new LearningTimeModel();
+      const item = { dimension: 'technical', levelNumber: 3 };
+
+      expect(model.estimate([item]).weeks).toBe(2);
+      expect(model.estimate([{ ...item, dimension: 'leadership' }]).weeks).toBe(3);
+      expect(model.estimate([{ ...item, levelNumber: 9 }, { ...item, levelNumber: 9 }]).weeks).toBe(7);
+      expect(model.estimate([{ ...item, similarity: 1 }]).weeks).toBe(1);
+
+      const estimate = model.estimate([item, { ...item, dimension: 'people' }, { ...item, dimension: 'people' }]);
+      expect(estimate).toEqual({
+        weeks: 7,
+        months: 2,
+        weeksRange: { min: 5, max: 10 },
+        monthsRange: { min: 2, max: 3 },
+        byDimension: { technical: 2, people: 5 }
+      });
+      expect(model.estimate([]).weeks).toBe(0);
+      expect(model.estimate(Array(13).fill(item))).toMatchObject({ weeks: 26, months: 6 });
+    });
+
+    test('should merge and validate parameters', () => {
+      const model = new LearningTimeModel({ weeksPerCompetency: 4, dimensionWeights: { technical: 2 } });
+
+      expect(model.getParameters().dimensionWeights).toMatchObject({ technical: 2, leadership: 1.5 });
+      expect(model.estimate([{ dimension: 'technical', levelNumber: 3 }]).weeks).toBe(8);
+      expect(LearningTimeModel.DEFAULTS.weeksPerCompetency).toBe(2);
+
+      expect(() => model.setParameters({ weeksPerCompetency: 0 })).toThrow('weeksPerCompetency must be a positive number');
+      expect(() => model.setParameters({ dimensionWeights: { soft: 1 } })).toThrow('Unknown dimension: soft');
+      expect(() => model.setParameters({ levelDifficulty: { 10: 2 } })).toThrow(InvalidQueryError);
+      expect(() => model.setParameters({ overlapDiscount: 1.5 })).toThrow(InvalidQueryError);
+      expect(() => model.setParameters({ range: { low: 1.2 } })).toThrow(InvalidQueryError);
+      expect(model.getParameters().weeksPerCompetency).toBe(4);
+    });
+
+    test('should calibrate level difficulty and range to observations', () => {
+      const model = new LearningTimeModel();
+      const items = levelNumber => [{ dimension: 'technical', levelNumber }, { dimension: 'process', levelNumber }];
+      const observations = [0.9, 1, 1.1, 1.2, 0.8].map(noise => ({
+        items: items(4), levelNumber: 4, weeks: 3.85 * 3 * noise
+      }));
+
+      const report = model.calibrate(observations);
+
+      expect(report).toMatchObject({ observations: 5, factor: 3, levels: { 4: 3 } });
+      expect(report.errorAfter).toBeLessThan(report.errorBefore);
+      expect(model.getParameters().levelDifficulty[4]).toBeCloseTo(3.3);
+      expect(report.range.low).toBeLessThan(1);
+      expect(report.range.high).toBeGreaterThan(1);
+      expect(() => model.calibrate([{ items: [], levelNumber: 4, weeks: 10 }])).toThrow(InvalidQueryError);
+    });
+  });
+
+  test('should estimate gaps, career paths and transitions with the model', () => {
+    const gaps = library.getCompetencyGaps('Backend Developer', 'L3', 'L5');
+    const path = library.getCareerPath('Backend Developer', 'L3', 'L6');
+    const slow = new TechRolesLibrary({ learningTime: { weeksPerCompetency: 4 } });
+
+    expect(Object.keys(gaps.estimatedLearningTime.byDimension).length).toBeGreaterThan(0);
+    expect(path.steps[0].estimatedWeeks).toBeUndefined();
+    expect(path.estimatedYears).toBe(Math.round((path.estimatedLearningTime.weeks / 52) * 10) / 10);
+    expect(slow.getCompetencyGaps('Backend Developer', 'L3', 'L5').estimatedLearningTime.weeks)
+      .toBeCloseTo(gaps.estimatedLearningTime.weeks * 2, -1);
+  });
+
+  test('should calibrate from promotion history and accept custom estimators', () => {
+    const calibrated = new TechRolesLibrary();
+    const before = calibrated.getCompetencyGaps('Backend Developer', 'L3', 'L4').estimatedLearningTime.weeks;
+    const report = calibrated.calibrateLearningTime([
+      { role: 'Backend Developer', from: 'L3', to: 'L4', months: 14 },
+      { role: 'Backend Developer', from: 'L4', to: 'L5', weeks: 72 }
+    ]);
+
+    expect(report.observations).toBe(2);
+    expect(report.factor).toBeGreaterThan(1);
+    expect(calibrated.getCompetencyGaps('Backend Developer', 'L3', 'L4').estimatedLearningTime.weeks).toBeGreaterThan(before);
+    expect(() => calibrated.calibrateLearningTime([])).toThrow(InvalidQueryError);
+    expect(() => calibrated.calibrateLearningTime([{ role: 'Backend Developer', from: 'L3', to: 'L4' }]))
+      .toThrow('History record 0 must have a positive number of weeks or months');
+    expect(() => calibrated.calibrateLearningTime([{ role: 'Backend Developer', from: 'L4', to: 'L3', months: 14 }]))
+      .toThrow('History record 0: target level must be higher than starting level');
+    expect(() => calibrated.calibrateLearningTime([{ role: 'Backend Developer', from: 'L4', to: 'L4', weeks: 10 }]))
+      .toThrow(InvalidQueryError);
+
+    const custom = new TechRolesLibrary({ learningTime: { estimate: items => ({ weeks: items.length }) } });
+    const gaps = custom.getCompetencyGaps('Backend Developer', 'L3', 'L5');
+    expect(gaps.estimatedLearningTime).toEqual({ weeks: gaps.gapCount + gaps.evolved.length });
+    expect(() => custom.calibrateLearningTime([{ role: 'Backend Developer', from: 'L3', to: 'L4', weeks: 10 }]))
+      .toThrow('The learning time model does not support calibration');
+  });
+});
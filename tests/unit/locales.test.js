@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocaleLoader = require('../../src/i18n/locales');
+const TechRolesLibrary = require('../../src/index');
+const { InvalidQueryError, UnsupportedLanguageError } = require('../../src/core/validator');
+
+const writeLocale = (root, language, definition) => {
+  const dir = path.join(root, language);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'backend-developer.json'), JSON.stringify(definition));
+  return dir;
+};
+
+describe('Locales', () => {
+  let tmpDir;
+  let locales;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tech-roles-locales-'));
+    locales = {
+      pt: writeLocale(tmpDir, 'pt', {
+        role: 'Desenvolvedor Backend',
+        levels: {
+          'BE-L1': { level: 'L1 - Aprendiz', coreCompetencies: ['Compreensão básica da arquitetura cliente-servidor'] }
+        }
+      }),
+      'pt-BR': writeLocale(tmpDir, 'pt-BR', {
+        levels: { 'BE-L1': { indicators: ['Entrega tarefas simples com supervisão'] } }
+      })
+    };
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('LocaleLoader', () => {
+    test('should build fallback chains ending with English', () => {
+      const loader = new LocaleLoader({ locales, fallbacks: { pt: ['es'] } });
+
+      expect(loader.getLanguages()).toEqual(['en', 'es', 'pt', 'pt-BR']);
+      expect(loader.getChain('pt-br')).toEqual(['pt-BR', 'pt', 'es', 'en']);
+      expect(loader.getChain('es-MX')).toEqual(['es', 'en']);
+      expect(loader.getChain('en')).toEqual(['en']);
+      expect(new LocaleLoader().getChain('en-US')).toEqual(['en']);
+    });
+
+    test('should reject unknown languages and invalid locale options', () => {
+      const loader = new LocaleLoader();
+
+      expect(() => loader.getChain('fr')).toThrow(UnsupportedLanguageError);
+      expect(() => loader.getChain('../en')).toThrow('Unsupported language: ../en. Available languages: en, es');
+      expect(loader.supports('pt-BR')).toBe(false);
+      expect(() => new LocaleLoader({ locales: { de: path.join(tmpDir, 'missing') } })).toThrow(InvalidQueryError);
+      expect(() => new LocaleLoader({ fallbacks: { pt: 'es' } })).toThrow(InvalidQueryError);
+    });
+  });
+
+  test('should fall back field by field and report the fallback strings', () => {
+    const library = new TechRolesLibrary({ language: 'pt-BR', locales });
+    const entry = library.getRole('BE-L1');
+    const english = new TechRolesLibrary({ language: 'en' }).getRole('BE-L1');
+
+    expect(entry).toMatchObject({
+      role: 'Desenvolvedor Backend',
+      level: 'L1 - Aprendiz',
+      category: english.category,
+      coreCompetencies: ['Compreensão básica da arquitetura cliente-servidor'],
+      complementaryCompetencies: english.complementaryCompetencies,
+      indicators: ['Entrega tarefas simples com supervisão']
+    });
+    expect(library.getRole('FE-L1').role).toBe('Frontend Developer');
+
+    const report = library.getFallbackReport();
+    expect(report).toMatchObject({ language: 'pt-BR', chain: ['pt-BR', 'pt', 'en'], byLanguage: { 'pt-BR': 1, pt: 3 } });
+    expect(report.fallbackStrings).toBe(report.strings - 1);
+    expect(report.fallbacks).toContainEqual({
+      role: 'Desenvolvedor Backend', code: 'BE-L1', field: 'complementaryCompetencies', language: 'en', count: english.complementaryCompetencies.length
+    });
+    expect(report.fallbacks.find(fallback => fallback.code === 'BE-L1' && fallback.field === 'indicators')).toBeUndefined();
+  });
+
+  test('should load bundled languages without fallbacks and reject unknown ones', () => {
+    const spanish = new TechRolesLibrary({ language: 'es' });
+
+    expect(spanish.getLanguages()).toEqual(['en', 'es']);
+    expect(spanish.getFallbackReport()).toMatchObject({ chain: ['es', 'en'], fallbackStrings: 0, fallbacks: [] });
+    expect(new TechRolesLibrary({ language: 'es-MX' }).getRole('BE-L3').role).toBe(spanish.getRole('BE-L3').role);
+    expect(() => new TechRolesLibrary({ language: 'fr' }).getRoles()).toThrow(UnsupportedLanguageError);
+  });
+});
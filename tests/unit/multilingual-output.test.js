@@ -0,0 +1,69 @@
+const TechRolesLibrary = require('../../src/index');
+const { combine } = require('../../src/i18n/multilingual');
+const { InvalidQueryError, UnsupportedLanguageError } = require('../../src/core/validator');
+
+describe('Multilingual Output', () => {
+  let library;
+
+  beforeAll(() => {
+    library = new TechRolesLibrary({ language: 'en' });
+  });
+
+  test('should pair the texts of competencies by language', () => {
+    const result = library.getCompetencies('Backend Developer', 'L3', { languages: ['en', 'es'] });
+    const english = library.getCompetencies('Backend Developer', 'L3');
+    const spanish = library.withLanguage('es').getCompetencies('Backend Developer', 'L3');
+
+    expect(result.role).toEqual({ en: 'Backend Developer', es: 'Desarrollador de Backend' });
+    expect(result.code).toBe('BE-L3');
+    expect(result.ids).toEqual(english.ids);
+    expect(result.core).toEqual(english.core.map((text, index) => ({ en: text, es: spanish.core[index] })));
+    expect(result.indicators[0]).toEqual({ en: english.indicators[0], es: spanish.indicators[0] });
+    expect(library.getCompetencies('Backend Developer', 'L3', { languages: ['es'] }).core[0])
+      .toEqual({ es: spanish.core[0] });
+  });
+
+  test('should pair levels and career paths in the requested order', () => {
+    const levels = library.getLevelsForRole('Desarrollador de Backend', { languages: ['es', 'en'] });
+    const career = library.getCareerPathComplete('Backend Developer', 'L3', { languages: ['en', 'es'] });
+
+    expect(levels).toHaveLength(9);
+    expect(Object.keys(levels[0].level)).toEqual(['es', 'en']);
+    expect(levels[0].category).toEqual({ es: 'Ingeniería de Software', en: 'Software Engineering' });
+    expect(levels[0].levelNumber).toBe(1);
+    expect(career.currentLevel.coreCompetencies[0]).toHaveProperty('es');
+    expect(career.growthPath[0].coreCompetencies[0]).toEqual({
+      en: library.getCareerPathComplete('Backend Developer', 'L3').growthPath[0].coreCompetencies[0],
+      es: library.withLanguage('es').getCareerPathComplete('Backend Developer', 'L3').growthPath[0].coreCompetencies[0]
+    });
+    expect(career.summary).toEqual(library.getCareerPathComplete('Backend Developer', 'L3').summary);
+  });
+
+  test('should align list items by ID and leave missing ones null', () => {
+    const en = { role: 'Role', core: ['First', 'Second'], ids: { core: ['R-1', 'R-2'] } };
+    const pt = { role: 'Papel', core: ['Segundo'], ids: { core: ['R-2'] } };
+
+    expect(combine([en, pt], ['en', 'pt'])).toEqual({
+      role: { en: 'Role', pt: 'Papel' },
+      core: [{ en: 'First', pt: null }, { en: 'Second', pt: 'Segundo' }],
+      ids: { core: ['R-1', 'R-2'] }
+    });
+  });
+
+  test('should export paired results side by side', () => {
+    const md = library.export('markdown', library.getCompetencies('Backend Developer', 'L3', { languages: ['en', 'es'] }));
+    const levels = library.export('markdown', library.getLevelsForRole('Backend Developer', { languages: ['en', 'es'] }));
+
+    expect(md).toContain('# Backend Developer / Desarrollador de Backend');
+    expect(md).toContain('| en | es |');
+    expect(md).toContain('| Mastery of RESTful API design and best practices | Dominio de diseño de API RESTful y mejores prácticas |');
+    expect(levels.match(/^# /gm)).toHaveLength(9);
+  });
+
+  test('should reject invalid languages', () => {
+    expect(() => library.getCompetencies('Backend Developer', 'L3', { languages: [] })).toThrow(InvalidQueryError);
+    expect(() => library.getLevelsForRole('Backend Developer', { languages: 'es' })).toThrow(InvalidQueryError);
+    expect(() => library.getCareerPathComplete('Backend Developer', 'L3', { languages: ['en', 'xx'] }))
+      .toThrow(UnsupportedLanguageError);
+  });
+});
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Patcher = require('../../src/core/patcher');
+const TechRolesLibrary = require('../../src/index');
+const { PatchError } = require('../../src/core/validator');
+
+const makeEntries = () => [
+  {
+    category: 'Software Engineering',
+    role: 'Backend Developer',
+    level: 'L5 - Mid-Level II',
+    code: 'BE-L5',
+    levelNumber: 5,
+    yearsRange: { min: 5, max: 7 },
+    coreCompetencies: ['Sharding', 'CAP theorem', 'Service Mesh'],
+    complementaryCompetencies: ['Big Data'],
+    indicators: ['Leads initiatives']
+  }
+];
+
+describe('Patcher', () => {
+  test('should replace, remove and add list items', () => {
+    const patcher = new Patcher();
+    const { entries } = patcher.apply(makeEntries(), [{
+      patches: {
+        'BE-L5': {
+          coreCompetencies: {
+            replace: [{ from: 'Sharding', to: 'Sharding and partitioning' }],
+            remove: ['Service Mesh'],
+            add: ['Event sourcing']
+          },
+          indicators: { add: ['Mentors mid-level engineers'] }
+        }
+      }
+    }]);
+
+    expect(entries[0].coreCompetencies).toEqual(['Sharding and partitioning', 'CAP theorem', 'Event sourcing']);
+    expect(entries[0].indicators).toEqual(['Leads initiatives', 'Mentors mid-level engineers']);
+  });
+
+  test('should resolve numeric targets against the original positions', () => {
+    const { entries } = new Patcher().apply(makeEntries(), [{
+      patches: { 'BE-L5': { coreCompetencies: { remove: [0, 2] } } }
+    }]);
+
+    expect(entries[0].coreCompetencies).toEqual(['CAP theorem']);
+  });
+
+  test('should override yearsRange', () => {
+    const { entries } = new Patcher().apply(makeEntries(), [{
+      patches: { 'BE-L5': { yearsRange: { max: 8 } } }
+    }]);
+
+    expect(entries[0].yearsRange).toEqual({ min: 5, max: 8 });
+  });
+
+  test('should not mutate the input entries', () => {
+    const input = makeEntries();
+    new Patcher().apply(input, [{ patches: { 'BE-L5': { indicators: { add: ['New'] } } } }]);
+    expect(input[0].indicators).toEqual(['Leads initiatives']);
+  });
+
+  test('should report every change with its source', () => {
+    const { report } = new Patcher().apply(makeEntries(), [{
+      name: 'acme-backend',
+      patches: {
+        'BE-L5': {
+          coreCompetencies: { replace: [{ from: 'CAP theorem', to: 'Consistency models' }] }
+        }
+      }
+    }]);
+
+    expect(report.summary).toEqual({ patchedEntries: 1, totalChanges: 1 });
+    expect(report.patched[0]).toEqual({
+      code: 'BE-L5',
+      role: 'Backend Developer',
+      sources: ['acme-backend'],
+      changes: [{
+        source: 'acme-backend',
+        field: 'coreCompetencies',
+        op: 'replace',
+        before: 'CAP theorem',
+        after: 'Consistency models'
+      }]
+    });
+  });
+
+  test('should throw PatchError for unknown codes and missing targets', () => {
+    const patcher = new Patcher();
+    let error;
+    try {
+      patcher.apply(makeEntries(), [{
+        patches: {
+          'XX-L1': { indicators: { add: ['x'] } },
+          'BE-L5': { coreCompetencies: { remove: ['Not there'] } }
+        }
+      }]);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(PatchError);
+    expect(error.code).toBe('PATCH_FAILED');
+    expect(error.failures).toHaveLength(2);
+    expect(error.failures[0]).toMatchObject({ code: 'XX-L1' });
+    expect(error.failures[1]).toMatchObject({ code: 'BE-L5', op: 'remove', target: 'Not there' });
+  });
+
+  test('should reject shared codes unless qualified with the role name', () => {
+    const entries = [
+      ...makeEntries(),
+      { ...makeEntries()[0], role: 'Storage Developer', indicators: ['Owns storage'] }
+    ];
+
+    let error;
+    try {
+      new Patcher().apply(entries, [{ patches: { 'BE-L5': { indicators: { add: ['x'] } } } }]);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(PatchError);
+    expect(error.failures[0].message)
+      .toBe('Role code "BE-L5" is shared by several roles; use "Backend Developer/BE-L5" or "Storage Developer/BE-L5"');
+    expect(() => new Patcher().apply(entries, [{ patches: { 'Frontend Developer/BE-L5': { indicators: { add: ['x'] } } } }]))
+      .toThrow(PatchError);
+
+    const { entries: patched, report } = new Patcher().apply(entries, [{
+      patches: { 'Storage Developer/BE-L5': { indicators: { add: ['Runs backups'] } } }
+    }]);
+    expect(patched[0].indicators).toEqual(['Leads initiatives']);
+    expect(patched[1].indicators).toEqual(['Owns storage', 'Runs backups']);
+    expect(report.patched).toEqual([expect.objectContaining({ code: 'BE-L5', role: 'Storage Developer' })]);
+  });
+
+  test('should skip documents for another language', () => {
+    const { report } = new Patcher({ language: 'es' }).apply(makeEntries(), [{
+      language: 'en',
+      patches: { 'BE-L5': { indicators: { add: ['New'] } } }
+    }]);
+
+    expect(report.patched).toEqual([]);
+  });
+
+  test('should load patch documents from JSON files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tech-roles-patches-'));
+    const file = path.join(dir, 'patch.json');
+    fs.writeFileSync(file, JSON.stringify({ patches: { 'BE-L5': { indicators: { add: ['New'] } } } }));
+
+    try {
+      const { entries, report } = new Patcher().apply(makeEntries(), [file]);
+      expect(entries[0].indicators).toContain('New');
+      expect(report.patched[0].sources).toEqual([file]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should apply patches through TechRolesLibrary', () => {
+    const library = new TechRolesLibrary({
+      language: 'en',
+      patches: [{
+        language: 'en',
+        patches: {
+          'BE-L5': {
+            coreCompetencies: {
+              replace: [{ from: 'Mastery of Service Mesh and API Gateways', to: 'Mastery of API Gateways' }]
+            }
+          },
+          'BE-L6': { indicators: { add: ['Owns the backend guild'] } }
+        }
+      }]
+    });
+
+    expect(library.getCoreCompetencies('Backend Developer', 'L5')).toContain('Mastery of API Gateways');
+    expect(library.getRole('BE-L6').indicators).toContain('Owns the backend guild');
+    expect(library.getPatchReport().patched.map(p => p.code)).toEqual(['BE-L5', 'BE-L6']);
+
+    const compiler = new TechRolesLibrary({
+      patches: [{ patches: { 'Compiler Engineer/CE-L3': { indicators: { add: ['Owns the optimizer'] } } } }]
+    });
+    expect(compiler.getRoleByName('Compiler Engineer', 'L3').indicators).toContain('Owns the optimizer');
+    expect(compiler.getRoleByName('Cloud Engineer', 'L3').indicators).not.toContain('Owns the optimizer');
+    expect(() => new TechRolesLibrary({ patches: [{ patches: { 'CE-L3': { indicators: { add: ['x'] } } } }] }).getRoles())
+      .toThrow(PatchError);
+  });
+
+  test('should apply patches written in the library language to every language view', () => {
+    const library = new TechRolesLibrary({
+      patches: [{
+        patches: {
+          'BE-L5': {
+            coreCompetencies: {
+              replace: [{ from: 'Ability to design scalable multi-tenant systems', to: 'Designs multi-tenant systems' }],
+              remove: ['Mastery of large-scale database optimization']
+            }
+          },
+          'Cloud Engineer/CE-L3': { indicators: { remove: ['Designs end-to-end cloud solutions'] } },
+          'compiler-engineer/CE-L3': { indicators: { add: ['Owns the optimizer'] } }
+        }
+      }]
+    });
+    const spanish = library.withLanguage('es');
+    const english = library.getRole('BE-L5');
+    const patched = spanish.getRole('BE-L5');
+
+    expect(patched.coreCompetencies[0]).toBe('Experiencia en arquitecturas nativas de la nube y sin servidor');
+    expect(patched.coreCompetencies[1]).toBe('Designs multi-tenant systems');
+    expect(patched.coreCompetencies).not.toContain('Dominio de optimización de bases de datos a gran escala');
+    expect(patched.ids.coreCompetencies).toEqual(english.ids.coreCompetencies);
+    expect(spanish.getRoleByName('Cloud Engineer', 'L3').indicators).toHaveLength(
+      library.getRoleByName('Cloud Engineer', 'L3').indicators.length);
+    expect(spanish.getRoleByName('Compiler Engineer', 'L3').indicators).toContain('Owns the optimizer');
+    expect(spanish.getPatchReport().summary).toEqual(library.getPatchReport().summary);
+    expect(library.getCompetencies('Backend Developer', 'L5', { languages: ['en', 'es'] })).toBeDefined();
+  });
+});
@@ -0,0 +1,71 @@
+const TechRolesLibrary = require('../../src/index');
+const { RoleNotFoundError, InvalidQueryError } = require('../../src/core/validator');
+
+describe('Role Resolution', () => {
+  let en;
+  let es;
+
+  beforeAll(() => {
+    en = new TechRolesLibrary({ language: 'en', aliases: { 'Server-side Engineer': 'Backend Developer' } });
+    es = new TechRolesLibrary({ language: 'es' });
+  });
+
+  test('should resolve case- and accent-insensitive names', () => {
+    expect(en.getRoleByName('backend developer', 'L3').code).toBe('BE-L3');
+    expect(en.resolveRole('  BACKEND   developer ')).toEqual({ role: 'Backend Developer', matchedBy: 'name', score: 1 });
+    expect(es.resolveRole('cientifico de datos').role).toBe('Científico de Datos');
+  });
+
+  test('should resolve code prefixes and aliases', () => {
+    expect(en.resolveRole('BE')).toMatchObject({ role: 'Backend Developer', matchedBy: 'code' });
+    expect(en.resolveRole('sre').role).toBe('Site Reliability Engineer');
+    expect(en.resolveRole('server-side engineer')).toMatchObject({ role: 'Backend Developer', matchedBy: 'alias' });
+  });
+
+  test('should resolve names in the other language', () => {
+    expect(en.resolveRole('Desarrollador de Backend')).toMatchObject({ role: 'Backend Developer', matchedBy: 'translation' });
+    expect(en.resolveRole('Ingeniero de QA').role).toBe('QA Engineer');
+    expect(es.getRoleByName('Backend Developer', 3).code).toBe('BE-L3');
+  });
+
+  test('should resolve abbreviations and typos', () => {
+    expect(en.getRoleByName('Backend Dev', 3).code).toBe('BE-L3');
+    expect(en.resolveRole('Backnd Developer')).toMatchObject({ role: 'Backend Developer', matchedBy: 'fuzzy' });
+    expect(en.resolveRole('Frontned Developer').role).toBe('Frontend Developer');
+  });
+
+  test('should throw with ranked suggestions when ambiguous or unknown', () => {
+    let error;
+    try {
+      en.getLevelsForRole('Data');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(RoleNotFoundError);
+    expect(error.suggestions.length).toBeGreaterThan(1);
+    expect(error.suggestions).toContain('Data Engineer');
+    expect(error.message).toContain('Did you mean "');
+
+    expect(() => en.resolveRole('Zzzz Qqqq')).toThrow(RoleNotFoundError);
+    expect(() => en.resolveRole('Zzzz Qqqq')).toThrow(/^Role "Zzzz Qqqq" not found$/);
+  });
+
+  test('should route every name-accepting method through the resolver', () => {
+    expect(en.getCompetencies('backend dev', 'L3').code).toBe('BE-L3');
+    expect(en.getAccumulatedCompetencies('BE', 'L2').role).toBe('Backend Developer');
+    expect(en.getCareerPathComplete('backend developer', 'L3').role).toBe('Backend Developer');
+    expect(en.getNextLevel('backend developer', 'L3').next.code).toBe('BE-L4');
+    expect(en.getByExperience('BE', 4).code).toBe('BE-L4');
+    expect(en.getAvailableLevels('be')).toHaveLength(9);
+    expect(en.assessPlacement('backend dev', []).role).toBe('Backend Developer');
+    expect(en.validateRole('backend developer')).toBe(true);
+    expect(en.validateRole('Zzzz Qqqq')).toBe(false);
+    expect(en.validateLevel('BE', 'L3')).toBe(true);
+  });
+
+  test('should reject aliases that shadow another role name', () => {
+    const library = new TechRolesLibrary({ language: 'en', aliases: { 'Frontend Developer': 'Backend Developer' } });
+    expect(() => library.getRoles() && library.resolveRole('BE')).toThrow(InvalidQueryError);
+  });
+});
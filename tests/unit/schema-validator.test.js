@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SchemaValidator = require('../../src/core/schema-validator');
+const JSONParser = require('../../src/core/json-parser');
+const TechRolesLibrary = require('../../src/index');
+const { SchemaValidationError } = require('../../src/core/validator');
+
+const validDefinition = () => ({
+  role: 'Platform Reliability Lead',
+  category: 'Infrastructure',
+  levels: {
+    'PRL-L1': {
+      level: 'L1 - Trainee',
+      levelNumber: 1,
+      yearsRange: { min: 0, max: 1 },
+      coreCompetencies: ['Basic Linux administration'],
+      complementaryCompetencies: ['Git basics'],
+      indicators: ['Requires supervision']
+    }
+  }
+});
+
+describe('SchemaValidator', () => {
+  test('should accept a valid role definition', () => {
+    expect(SchemaValidator.validateRoleDefinition(validDefinition())).toEqual([]);
+  });
+
+  test('should accept every bundled role file', () => {
+    ['en', 'es'].forEach(lang => {
+      const dir = path.join(__dirname, '../../src/i18n/translations', lang);
+      JSONParser.listFiles(dir).forEach(file => {
+        const errors = SchemaValidator.validateRoleDefinition(JSON.parse(fs.readFileSync(file, 'utf-8')));
+        expect({ file, errors }).toEqual({ file, errors: [] });
+      });
+    });
+  });
+
+  test('should report missing required fields with their path', () => {
+    const definition = validDefinition();
+    delete definition.levels['PRL-L1'].yearsRange.min;
+    delete definition.category;
+
+    expect(SchemaValidator.validateRoleDefinition(definition)).toEqual([
+      { code: null, path: 'category', message: 'is required' },
+      { code: 'PRL-L1', path: 'levels.PRL-L1.yearsRange.min', message: 'is required' }
+    ]);
+  });
+
+  test('should report wrong types, patterns and empty strings', () => {
+    const definition = validDefinition();
+    definition.levels['PRL-L1'].levelNumber = '1';
+    definition.levels['PRL-L1'].level = 'Trainee';
+    definition.levels['PRL-L1'].indicators = ['  '];
+    definition.levels['prl-1'] = definition.levels['PRL-L1'];
+
+    const paths = SchemaValidator.validateRoleDefinition(definition).map(e => e.path);
+    expect(paths).toContain('levels.PRL-L1.levelNumber');
+    expect(paths).toContain('levels.PRL-L1.level');
+    expect(paths).toContain('levels.PRL-L1.indicators[0]');
+    expect(paths).toContain('levels.prl-1');
+  });
+
+  test('should report a missing levels key', () => {
+    const definition = validDefinition();
+    delete definition.levels;
+
+    expect(SchemaValidator.validateRoleDefinition(definition)).toEqual([
+      { code: null, path: 'levels', message: 'is required' }
+    ]);
+  });
+
+  test('should check consistency between codes, level numbers and years', () => {
+    const definition = validDefinition();
+    definition.levels['PRL-L1'].levelNumber = 2;
+    definition.levels['PRL-L1'].yearsRange = { min: 3, max: 1 };
+
+    expect(SchemaValidator.validateRoleDefinition(definition).map(e => e.path)).toEqual([
+      'levels.PRL-L1.levelNumber',
+      'levels.PRL-L1.level',
+      'levels.PRL-L1.yearsRange.max'
+    ]);
+  });
+
+  test('should validate against a custom schema', () => {
+    const validator = new SchemaValidator({ type: 'array', minItems: 1, items: { enum: ['a', 'b'] } });
+    expect(validator.validate(['a'])).toEqual([]);
+    expect(validator.validate(['c']).map(e => e.path)).toEqual(['[0]']);
+    expect(validator.validate([]).map(e => e.message)).toEqual(['must have at least 1 item(s)']);
+  });
+});
+
+describe('Strict mode', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tech-roles-schema-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should collect precise errors across every file', () => {
+    const broken = validDefinition();
+    delete broken.levels;
+    fs.writeFileSync(path.join(tmpDir, 'a-broken.json'), JSON.stringify(broken));
+    fs.writeFileSync(path.join(tmpDir, 'b-invalid.json'), '{ "role": ');
+    fs.writeFileSync(path.join(tmpDir, 'c-valid.json'), JSON.stringify(validDefinition()));
+
+    let error;
+    try {
+      new JSONParser(tmpDir, { strict: true }).parse();
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(SchemaValidationError);
+    expect(error.code).toBe('SCHEMA_VALIDATION_FAILED');
+    expect(error.errors).toHaveLength(2);
+    expect(error.errors[0]).toEqual({
+      file: path.join(tmpDir, 'a-broken.json'),
+      code: null,
+      path: 'levels',
+      message: 'is required'
+    });
+    expect(error.errors[1].file).toBe(path.join(tmpDir, 'b-invalid.json'));
+    expect(error.errors[1].message).toMatch(/^Invalid JSON/);
+  });
+
+  test('should keep the generic error outside strict mode', () => {
+    const broken = validDefinition();
+    delete broken.levels;
+    fs.writeFileSync(path.join(tmpDir, 'broken.json'), JSON.stringify(broken));
+
+    expect(() => new JSONParser(tmpDir).parse()).toThrow('Failed to parse JSON files');
+  });
+
+  test('should validate custom sources when the library is strict', () => {
+    const broken = validDefinition();
+    broken.levels['PRL-L1'].coreCompetencies = 'Basic Linux administration';
+
+    const library = new TechRolesLibrary({ strict: true, sources: [broken] });
+
+    expect(() => library.getRoles()).toThrow(SchemaValidationError);
+    try {
+      library.getRoles();
+    } catch (error) {
+      expect(error.errors).toEqual([{
+        file: 'inline[0]',
+        code: 'PRL-L1',
+        path: 'levels.PRL-L1.coreCompetencies',
+        message: 'must be array, got string'
+      }]);
+    }
+  });
+
+  test('should load the bundled roles in strict mode', () => {
+    const library = new TechRolesLibrary({ strict: true });
+    expect(library.getRoles()).toHaveLength(78);
+  });
+});
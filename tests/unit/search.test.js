@@ -0,0 +1,107 @@
+const TechRolesLibrary = require('../../src/index');
+const SearchIndex = require('../../src/core/search-index');
+const { InvalidQueryError } = require('../../src/core/validator');
+
+const makeEntry = (code, role, core, indicators = []) => ({
+  category: 'Software Engineering',
+  role,
+  level: `L${code.slice(-1)} - Level`,
+  code,
+  levelNumber: Number(code.slice(-1)),
+  yearsRange: { min: 0, max: 1 },
+  coreCompetencies: core,
+  complementaryCompetencies: [],
+  indicators
+});
+
+describe('Full-Text Search', () => {
+  let library;
+
+  beforeAll(() => {
+    library = new TechRolesLibrary({ language: 'en' });
+  });
+
+  describe('SearchIndex', () => {
+    const index = new SearchIndex([
+      makeEntry('API-L1', 'API Developer', ['REST design', 'OAuth flows']),
+      makeEntry('SEC-L1', 'Security Engineer', ['OAuth and OpenID Connect', 'Threat modeling', 'OAuth token hardening']),
+      makeEntry('FS-L1', 'Full-Stack Developer', ['CI/CD pipelines'], ['Ships features end to end'])
+    ]);
+
+    test('should rank by BM25 with field boosts', () => {
+      const hits = index.search('oauth');
+      expect(hits.map(h => h.entry.code)).toEqual(['SEC-L1', 'API-L1']);
+      expect(index.search('developer')[0].fields).toEqual(['role']);
+
+      const boosted = index.search('oauth developer', { boosts: { role: 0 } });
+      expect(boosted.every(hit => !hit.fields.includes('role'))).toBe(true);
+    });
+
+    test('should match joined, hyphenated and prefix forms', () => {
+      expect(index.search('fullstack')[0].entry.code).toBe('FS-L1');
+      expect(index.search('cicd')[0].entry.code).toBe('FS-L1');
+      expect(index.search('thre')[0].entry.code).toBe('SEC-L1');
+      expect(index.search('zzz')).toEqual([]);
+    });
+
+    test('should report matching items with highlighted snippets', () => {
+      const [hit] = index.search('openid', { highlight: { pre: '<mark>', post: '</mark>' } });
+      expect(hit.matches).toEqual([{
+        field: 'coreCompetencies',
+        index: 0,
+        id: null,
+        text: 'OAuth and OpenID Connect',
+        snippet: 'OAuth and <mark>OpenID</mark> Connect'
+      }]);
+    });
+
+    test('should cut long snippets around the first match', () => {
+      const long = `${'background '.repeat(20)}Kubernetes operators ${'trailing '.repeat(20)}`.trim();
+      const [hit] = new SearchIndex([makeEntry('K-L1', 'Platform', [long])]).search('kubernetes');
+      const { snippet } = hit.matches[0];
+
+      expect(snippet.startsWith('...')).toBe(true);
+      expect(snippet.endsWith('...')).toBe(true);
+      expect(snippet).toContain('**Kubernetes**');
+    });
+  });
+
+  describe('Library', () => {
+    test('should find roles through their competencies', () => {
+      const results = library.search('OAuth');
+      expect(results.length).toBeGreaterThan(0);
+      expect(results[0].matchedIn).toBe('competencies');
+      expect(results.map(r => r.role)).toContain('Backend Developer');
+    });
+
+    test('should keep role name matches first', () => {
+      const [first] = library.search('kubernetes');
+      expect(first.role).toBe('Kubernetes Engineer');
+      expect(first.matchedIn).toBe('role');
+    });
+
+    test('should return role-level hits with competency IDs', () => {
+      const hits = library.fullTextSearch('OAuth', { level: 'L3', limit: 5 });
+      expect(hits.length).toBeGreaterThan(0);
+      expect(hits.every(hit => hit.levelNumber === 3)).toBe(true);
+
+      const backend = hits.find(hit => hit.code === 'BE-L3');
+      expect(backend.matches[0]).toMatchObject({ field: 'coreCompetencies', id: 'BE-L3-core-02' });
+      expect(backend.matches[0].snippet).toContain('**OAuth**');
+      expect(hits[0].score).toBeGreaterThanOrEqual(hits[hits.length - 1].score);
+    });
+
+    test('should filter by category', () => {
+      const hits = library.fullTextSearch('security', { category: 'data' });
+      expect(hits.length).toBeGreaterThan(0);
+      expect(hits.every(hit => hit.category === 'Data')).toBe(true);
+    });
+
+    test('should validate options', () => {
+      expect(() => library.fullTextSearch('')).toThrow(InvalidQueryError);
+      expect(() => library.fullTextSearch('api', { level: 'L12' })).toThrow(InvalidQueryError);
+      expect(() => library.fullTextSearch('api', { boosts: { title: 2 } })).toThrow('Unknown search field: title');
+      expect(() => library.fullTextSearch('api', { boosts: { role: -1 } })).toThrow(InvalidQueryError);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const TechRolesLibrary = require('../../src/index');
+const SkillExtractor = require('../../src/core/skill-extractor');
+const { InvalidQueryError, SkillNotFoundError } = require('../../src/core/validator');
+
+describe('Skills', () => {
+  let library;
+
+  beforeAll(() => {
+    library = new TechRolesLibrary({ language: 'en' });
+  });
+
+  describe('SkillExtractor', () => {
+    test('should tag texts with the longest matching aliases', () => {
+      const extractor = new SkillExtractor();
+
+      expect(extractor.extract('Ability to implement robust authentication and authorization (JWT, OAuth)'))
+        .toEqual(['authentication', 'jwt', 'oauth']);
+      expect(extractor.extract('Knowledge of encryption at rest and in transit')).toEqual(['encryption']);
+      expect(extractor.extract('Experience with CI/CD and K8s')).toEqual(['ci-cd', 'kubernetes']);
+      expect(extractor.extract('Capacidad de implementar autenticación y autorización')).toEqual(['authentication']);
+      expect(extractor.extract('Nothing technical here')).toEqual([]);
+    });
+
+    test('should not tag short names or parts of hyphenated compounds', () => {
+      const extractor = new SkillExtractor();
+
+      expect(extractor.extract('Go-to-market transformation lead')).toEqual([]);
+      expect(extractor.extract('Go to production with Golang')).toEqual(['golang']);
+      expect(extractor.extract('Basic web security (CORS, XSS, SQL Injection)')).not.toContain('sql');
+      expect(extractor.extract('Prevención de inyección SQL')).toEqual(['application-security']);
+      expect(extractor.extract('Advanced SQL query tuning')).toEqual(['sql']);
+      expect(extractor.extract('Real-time APIs with WebSockets')).toContain('websockets');
+      expect(extractor.resolve('Go').id).toBe('golang');
+    });
+
+    test('should resolve skills by ID, name or alias', () => {
+      const extractor = new SkillExtractor();
+
+      expect(extractor.resolve('KAFKA').id).toBe('kafka');
+      expect(extractor.resolve('Apache Kafka').id).toBe('kafka');
+      expect(extractor.resolve('K8s').id).toBe('kubernetes');
+      expect(extractor.resolve('kafka streams processing')).toBeNull();
+      expect(extractor.getSkills().map(skill => skill.id)).toEqual(
+        extractor.getSkills().map(skill => skill.id).sort()
+      );
+    });
+
+    test('should let user skills extend and override the taxonomy', () => {
+      const extractor = new SkillExtractor({
+        skills: { terraform: { name: 'Terraform', group: 'devops', aliases: ['HCL'] } }
+      });
+
+      expect(extractor.extract('Write Terraform modules in HCL')).toEqual(['terraform']);
+      extractor.addSkill('kubernetes', { name: 'Kubernetes', group: 'cloud', aliases: ['kube'] });
+      expect(extractor.extract('Operate kube clusters')).toEqual(['kubernetes']);
+      expect(extractor.extract('Operate K8s clusters')).toEqual([]);
+      expect(extractor.getSkill('other-skill')).toBeNull();
+
+      expect(() => extractor.addSkill('', { name: 'Empty' })).toThrow(InvalidQueryError);
+      expect(() => extractor.addSkill('x', { group: 'devops' })).toThrow('must have a name');
+      expect(() => extractor.addSkill('x', { name: 'X', aliases: 'x' })).toThrow('must be an array of strings');
+    });
+  });
+
+  test('should tag the competencies of a role level', () => {
+    const tagged = library.tagCompetencies('Backend Developer', 'L3');
+    const auth = tagged.core.find(competency => competency.id === 'BE-L3-core-02');
+
+    expect(tagged).toMatchObject({ role: 'Backend Developer', code: 'BE-L3' });
+    expect(auth.skills).toEqual(['authentication', 'jwt', 'oauth']);
+    expect(tagged.complementary.every(competency => Array.isArray(competency.skills))).toBe(true);
+  });
+
+  test('should list the skills of a role, most mentioned first', () => {
+    const skills = library.getSkillsForRole('Backend Developer');
+    const atL3 = library.getSkillsForRole('Backend Developer', 'L3');
+
+    expect(skills[0]).toMatchObject({ id: 'distributed-systems', group: 'architecture' });
+    skills.slice(1).forEach((skill, index) => expect(skill.count).toBeLessThanOrEqual(skills[index].count));
+    skills.forEach(skill => expect(skill.competencies).toHaveLength(skill.count));
+    expect(atL3.every(skill => skill.levels.length === 1 && skill.levels[0] === 3)).toBe(true);
+    expect(atL3.map(skill => skill.id)).toEqual(expect.arrayContaining(['jwt', 'oauth']));
+
+    const coreOnly = library.getSkillsForRole('Backend Developer', null, { includeComplementary: false });
+    expect(coreOnly.flatMap(skill => skill.competencies).every(competency => competency.type === 'core')).toBe(true);
+  });
+
+  test('should find the role levels that need a skill', () => {
+    const kafka = library.findRolesBySkill('Apache Kafka');
+
+    expect(kafka.skill).toEqual({ id: 'kafka', name: 'Apache Kafka', group: 'data' });
+    expect(kafka.roles.map(role => role.code)).toContain('DE-L5');
+    expect(kafka.totalLevels).toBe(kafka.roles.length);
+    kafka.roles.forEach(role => {
+      expect(role.competencies.every(competency => /kafka/i.test(competency.text))).toBe(true);
+    });
+
+    const data = library.findRolesBySkill('kubernetes', { category: 'data', level: 'L4' });
+    expect(data.roles.every(role => role.category === 'Data' && role.levelNumber === 4)).toBe(true);
+
+    expect(() => library.findRolesBySkill('cobol-on-wheels')).toThrow(SkillNotFoundError);
+    expect(() => library.findRolesBySkill('')).toThrow('Skill must be a non-empty string');
+    expect(() => library.findRolesBySkill('kafka', { category: 'Astrology' })).toThrow('Unknown category');
+  });
+
+  test('should keep skill IDs stable across languages', () => {
+    const spanish = new TechRolesLibrary({ language: 'es' });
+    const auth = spanish.tagCompetencies('Desarrollador de Backend', 'L3').core
+      .find(competency => competency.id === 'BE-L3-core-02');
+
+    expect(auth.skills).toEqual(expect.arrayContaining(['authentication', 'jwt', 'oauth']));
+    expect(spanish.findRolesBySkill('K8s').skill.id).toBe('kubernetes');
+  });
+
+  test('should report skill frequency per category', () => {
+    const frequency = library.getSkillFrequency({ limit: 3 });
+    const engineering = frequency.find(category => category.category === 'Software Engineering');
+
+    expect(frequency.map(category => category.category)).toEqual(library.getCategories().slice().sort());
+    expect(engineering.skills).toHaveLength(3);
+    engineering.skills.forEach(skill => {
+      expect(skill.share).toBe(Math.round((skill.roles / engineering.totalRoles) * 100));
+      expect(skill.levels).toBeGreaterThanOrEqual(skill.roles);
+    });
+
+    expect(library.getSkillFrequency({ category: ['Security'] })).toHaveLength(1);
+    expect(() => library.getSkillFrequency({ limit: 0 })).toThrow('Limit must be a positive integer');
+  });
+
+  test('should extract skills from free text and accept custom skills', () => {
+    const custom = new TechRolesLibrary({
+      skills: { terraform: { name: 'Terraform', group: 'devops', aliases: ['terraform', 'hcl'] } }
+    });
+
+    expect(library.extractSkills('Senior engineer with Kafka, Spark and Airflow'))
+      .toEqual(expect.arrayContaining([expect.objectContaining({ id: 'kafka', group: 'data' })]));
+    expect(custom.extractSkills('Terraform modules').map(skill => skill.id)).toEqual(['terraform']);
+    expect(custom.getSkills({ group: 'devops' }).map(skill => skill.id)).toContain('terraform');
+    expect(() => library.extractSkills(null)).toThrow(InvalidQueryError);
+  });
+});
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SourceLoader = require('../../src/core/source-loader');
+const TechRolesLibrary = require('../../src/index');
+const { RoleConflictError } = require('../../src/core/validator');
+
+const makeDefinition = (role, prefix, category = 'Internal') => ({
+  role,
+  category,
+  levels: {
+    [`${prefix}-L1`]: {
+      level: 'L1 - Trainee',
+      levelNumber: 1,
+      yearsRange: { min: 0, max: 1 },
+      coreCompetencies: [`${role} basics`],
+      complementaryCompetencies: ['Git basics'],
+      indicators: ['Requires supervision']
+    },
+    [`${prefix}-L2`]: {
+      level: 'L2 - Junior I',
+      levelNumber: 2,
+      yearsRange: { min: 1, max: 2 },
+      coreCompetencies: [`${role} fundamentals`],
+      complementaryCompetencies: ['Docker basics'],
+      indicators: ['Works with supervision']
+    }
+  }
+});
+
+const baseEntries = [
+  {
+    category: 'Software Engineering',
+    role: 'Backend Developer',
+    level: 'L1 - Trainee',
+    code: 'BE-L1',
+    levelNumber: 1,
+    yearsRange: { min: 0, max: 1 },
+    coreCompetencies: ['Basic HTTP'],
+    complementaryCompetencies: [],
+    indicators: []
+  }
+];
+
+describe('SourceLoader', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tech-roles-sources-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should merge in-memory role definitions', () => {
+    const loader = new SourceLoader();
+    const { entries, report } = loader.merge(baseEntries, [
+      makeDefinition('Platform Reliability Lead', 'PRL')
+    ]);
+
+    expect(entries).toHaveLength(3);
+    expect(report.sources).toHaveLength(2);
+    expect(report.sources[1]).toEqual({
+      source: 'inline[0]',
+      roles: ['Platform Reliability Lead'],
+      entries: 2
+    });
+    expect(report.conflicts).toEqual([]);
+  });
+
+  test('should load directories and JSON files', () => {
+    const dir = path.join(tmpDir, 'roles');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'prl.json'), JSON.stringify(makeDefinition('Platform Reliability Lead', 'PRL')));
+    const file = path.join(tmpDir, 'extra.json');
+    fs.writeFileSync(file, JSON.stringify([makeDefinition('Developer Relations Lead', 'DRL')]));
+
+    const { entries, report } = new SourceLoader().merge(baseEntries, [dir, file]);
+
+    expect(entries.map(e => e.code)).toEqual(['BE-L1', 'PRL-L1', 'PRL-L2', 'DRL-L1', 'DRL-L2']);
+    expect(report.sources.map(s => s.source)).toEqual(['bundled', path.join(dir, 'prl.json'), file]);
+  });
+
+  test('should throw RoleConflictError on duplicate codes by default', () => {
+    const loader = new SourceLoader();
+    const clash = makeDefinition('Internal Backend', 'BE');
+
+    expect(() => loader.merge(baseEntries, [clash])).toThrow(RoleConflictError);
+
+    try {
+      loader.merge(baseEntries, [clash]);
+    } catch (error) {
+      expect(error.code).toBe('ROLE_CONFLICT');
+      expect(error.conflicts[0]).toMatchObject({
+        type: 'code',
+        key: 'BE-L1',
+        existing: { role: 'Backend Developer', source: 'bundled' },
+        incoming: { role: 'Internal Backend', source: 'inline[0]' }
+      });
+    }
+  });
+
+  test('should keep existing entries with the skip strategy', () => {
+    const loader = new SourceLoader({ onConflict: 'skip' });
+    const { entries, report } = loader.merge(baseEntries, [makeDefinition('Internal Backend', 'BE')]);
+
+    expect(entries.find(e => e.code === 'BE-L1').role).toBe('Backend Developer');
+    expect(entries.find(e => e.code === 'BE-L2').role).toBe('Internal Backend');
+    expect(report.conflicts).toHaveLength(1);
+    expect(report.conflicts[0].resolution).toBe('skipped');
+  });
+
+  test('should replace existing entries with the override strategy', () => {
+    const loader = new SourceLoader({ onConflict: 'override' });
+    const { entries, report } = loader.merge(baseEntries, [makeDefinition('Internal Backend', 'BE')]);
+
+    expect(entries).toHaveLength(2);
+    expect(entries[0].role).toBe('Internal Backend');
+    expect(report.conflicts[0].resolution).toBe('overridden');
+  });
+
+  test('should report role name collisions between sources', () => {
+    const loader = new SourceLoader({ onConflict: 'skip' });
+    const { entries, report } = loader.merge(baseEntries, [makeDefinition('Backend Developer', 'XBE')]);
+
+    expect(entries).toHaveLength(1);
+    expect(report.conflicts).toHaveLength(1);
+    expect(report.conflicts[0]).toMatchObject({ type: 'role', key: 'Backend Developer' });
+  });
+
+  test('should report duplicate codes within one source', () => {
+    const twins = [makeDefinition('Platform Reliability Lead', 'PRL'), makeDefinition('Platform Reliability Manager', 'PRL')];
+
+    expect(() => new SourceLoader().merge(baseEntries, [twins])).toThrow(RoleConflictError);
+
+    const skipped = new SourceLoader({ onConflict: 'skip' }).merge(baseEntries, [twins]);
+    expect(skipped.report.conflicts).toHaveLength(2);
+    expect(skipped.report.conflicts[0]).toMatchObject({
+      type: 'code',
+      key: 'PRL-L1',
+      existing: { role: 'Platform Reliability Lead', source: 'inline[0]' },
+      incoming: { role: 'Platform Reliability Manager', source: 'inline[0]' },
+      resolution: 'skipped'
+    });
+    expect(skipped.entries.filter(e => e.code.startsWith('PRL')).map(e => e.role))
+      .toEqual(['Platform Reliability Lead', 'Platform Reliability Lead']);
+
+    const overridden = new SourceLoader({ onConflict: 'override' }).merge(baseEntries, [twins]);
+    expect(overridden.entries.filter(e => e.code.startsWith('PRL')).map(e => e.role))
+      .toEqual(['Platform Reliability Manager', 'Platform Reliability Manager']);
+  });
+
+  test('should report codes the bundled roles share and override them per role', () => {
+    const twins = [
+      ...baseEntries,
+      { ...baseEntries[0], role: 'Backend Engineer', coreCompetencies: ['Services'] }
+    ];
+
+    const { entries, report } = new SourceLoader().merge(twins);
+    expect(entries).toHaveLength(2);
+    expect(report.conflicts).toEqual([{
+      type: 'code',
+      key: 'BE-L1',
+      existing: { role: 'Backend Developer', source: 'bundled' },
+      incoming: { role: 'Backend Engineer', source: 'bundled' },
+      resolution: 'shared'
+    }]);
+
+    const redefined = { ...makeDefinition('Backend Engineer', 'BE'), category: 'Software Engineering' };
+    const own = new SourceLoader({ onConflict: 'override' }).merge(twins, [redefined]);
+    expect(own.entries.filter(e => e.code === 'BE-L1').map(e => e.role)).toEqual(['Backend Developer', 'Backend Engineer']);
+    expect(own.entries.find(e => e.role === 'Backend Engineer').coreCompetencies).toEqual(['Backend Engineer basics']);
+
+    const other = new SourceLoader({ onConflict: 'override' }).merge(twins, [makeDefinition('Internal Backend', 'BE')]);
+    expect(other.entries.filter(e => e.code === 'BE-L1').map(e => e.role)).toEqual(['Internal Backend']);
+    expect(other.report.conflicts.filter(c => c.resolution === 'overridden')).toHaveLength(2);
+  });
+
+  test('should ignore descriptors for another language', () => {
+    const loader = new SourceLoader({ language: 'en' });
+    const { entries } = loader.merge(baseEntries, [
+      { language: 'es', data: makeDefinition('Líder de Fiabilidad', 'PRL') },
+      { language: 'en', data: makeDefinition('Platform Reliability Lead', 'PRL') }
+    ]);
+
+    expect(entries.map(e => e.role)).toContain('Platform Reliability Lead');
+    expect(entries.map(e => e.role)).not.toContain('Líder de Fiabilidad');
+  });
+
+  test('should reject unknown strategies and invalid sources', () => {
+    expect(() => new SourceLoader({ onConflict: 'merge' })).toThrow('Unknown conflict strategy');
+    expect(() => new SourceLoader().merge(baseEntries, [42])).toThrow('Invalid role source');
+    expect(() => new SourceLoader().merge(baseEntries, [path.join(tmpDir, 'missing')]))
+      .toThrow('Failed to load role source');
+  });
+
+  test('should expose custom roles through TechRolesLibrary', () => {
+    const library = new TechRolesLibrary({
+      sources: [makeDefinition('Platform Reliability Lead', 'PRL')]
+    });
+
+    expect(library.getRoles()).toContain('Platform Reliability Lead');
+    expect(library.getRoles()).toHaveLength(79);
+    expect(library.getRole('PRL-L2').coreCompetencies).toEqual(['Platform Reliability Lead fundamentals']);
+    expect(library.getLoadReport().sources[0].entries).toBe(702);
+  });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Taxonomy = require('../../src/i18n/taxonomy');
+const TechRolesLibrary = require('../../src/index');
+const { InvalidQueryError } = require('../../src/core/validator');
+
+const codes = entries => entries.map(entry => entry.code).sort();
+
+describe('Taxonomy', () => {
+  let english;
+  let spanish;
+
+  beforeAll(() => {
+    english = new TechRolesLibrary({ language: 'en' });
+    spanish = english.withLanguage('es');
+  });
+
+  test('should resolve keys, names and aliases in any language', () => {
+    const taxonomy = new Taxonomy();
+
+    expect(Taxonomy.KINDS).toEqual(['categories', 'levels', 'bands']);
+    expect(taxonomy.resolve('categories', 'Ingenieria de software')).toBe('software-engineering');
+    expect(taxonomy.resolve('categories', 'IA/AM')).toBe('ai-ml');
+    expect(taxonomy.resolve('levels', 'Personal/Principal')).toBe('L8');
+    expect(taxonomy.resolve('bands', 'Nivel Medio')).toBe('mid');
+    expect(taxonomy.resolve('categories', 'Marketing')).toBeNull();
+    expect(taxonomy.getName('categories', 'data', ['pt', 'es'])).toBe('Datos');
+    expect(taxonomy.getName('bands', 'executive')).toBe('Executive');
+    expect(taxonomy.bandOf(5)).toBe('mid');
+    expect(Taxonomy.slug('Platform Ops & Tooling')).toBe('platform-ops-tooling');
+  });
+
+  test('should filter by category key identically in every language', () => {
+    const key = 'software-engineering';
+
+    expect(codes(spanish.filterByCategory(key))).toEqual(codes(english.filterByCategory(key)));
+    expect(codes(spanish.filterByCategory(key))).toHaveLength(33 * 9);
+    expect(codes(english.filterByCategory('Datos'))).toEqual(codes(spanish.filterByCategory('data')));
+    expect(codes(spanish.filterByCategory('AI/ML'))).toEqual(codes(english.filterByCategory('ai-ml')));
+    expect(english.filterByCategory('Marketing')).toEqual([]);
+    expect(spanish.filterByCategory('ai-ml')[0]).toMatchObject({ category: 'IA/ML', categoryKey: 'ai-ml' });
+    expect(spanish.fullTextSearch('kubernetes', { category: 'infrastructure' }).every(hit => hit.category === 'Infraestructura'))
+      .toBe(true);
+    expect(spanish.findSimilarRoles('Backend Developer', { category: 'Software Engineering' })
+      .every(role => role.category === 'Ingeniería de Software')).toBe(true);
+  });
+
+  test('should translate categories and generic level titles', () => {
+    expect(english.getCategories()).toHaveLength(7);
+    expect(spanish.getCategories()).toEqual([
+      'Datos', 'IA/ML', 'Infraestructura', 'Ingeniería de Software', 'Producto', 'Seguridad', 'Ventas'
+    ]);
+    expect(spanish.getRole('BE-L4')).toMatchObject({ level: 'L4 - Nivel Medio I', band: 'mid' });
+    expect(english.getRole('BE-L1')).toMatchObject({ level: 'L1 - Trainee', categoryKey: 'software-engineering', band: 'trainee' });
+    expect(spanish.filterByLevel(1).every(entry => /^L1 - /.test(entry.level))).toBe(true);
+    expect(spanish.getAllRolesWithMetadata().roles[0]).toHaveProperty('categoryKey');
+  });
+
+  test('should describe the taxonomy and filter by band', () => {
+    const taxonomy = spanish.getTaxonomy();
+
+    expect(taxonomy.language).toBe('es');
+    expect(taxonomy.categories).toContainEqual({ key: 'data', name: 'Datos', roles: 15 });
+    expect(taxonomy.levels[3]).toEqual({ key: 'L4', levelNumber: 4, name: 'Nivel Medio I', band: 'mid' });
+    expect(taxonomy.bands.map(band => band.key)).toEqual(['trainee', 'junior', 'mid', 'senior', 'principal', 'executive']);
+    expect(english.getTaxonomy().bands[5]).toEqual({ key: 'executive', name: 'Executive', levels: [9] });
+
+    const mid = english.filterByBand('mid');
+    expect(mid).toHaveLength(78 * 2);
+    expect(new Set(mid.map(entry => entry.levelNumber))).toEqual(new Set([4, 5]));
+    expect(codes(spanish.filterByBand('Nivel Medio'))).toEqual(codes(mid));
+    expect(() => english.filterByBand('intern')).toThrow(InvalidQueryError);
+  });
+
+  test('should add names and categories from the taxonomy option', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tech-roles-taxonomy-'));
+    try {
+      const pt = path.join(tmpDir, 'pt');
+      fs.mkdirSync(pt);
+      fs.writeFileSync(path.join(pt, 'backend-developer.json'), JSON.stringify({
+        role: 'Desenvolvedor Backend',
+        category: 'Engenharia de Software',
+        levels: { 'BE-L1': { level: 'L1 - Aprendiz' } }
+      }));
+
+      const plain = new TechRolesLibrary({ language: 'pt', locales: { pt } });
+      expect(plain.getRole('BE-L1')).toMatchObject({
+        category: 'Engenharia de Software', categoryKey: 'software-engineering', level: 'L1 - Aprendiz'
+      });
+      expect(plain.getRole('FE-L4')).toMatchObject({ category: 'Software Engineering', level: 'L4 - Mid-Level I' });
+      expect(codes(plain.filterByCategory('software-engineering'))).toEqual(codes(english.filterByCategory('software-engineering')));
+
+      const named = new TechRolesLibrary({
+        language: 'pt',
+        locales: { pt },
+        taxonomy: {
+          categories: { 'software-engineering': { pt: 'Engenharia de Software' } },
+          levels: { L4: { pt: 'Pleno I' } },
+          bands: { mid: { pt: 'Pleno' } }
+        }
+      });
+      expect(named.getRole('FE-L4')).toMatchObject({ category: 'Engenharia de Software', level: 'L4 - Pleno I' });
+      expect(named.getCategories()).toContain('Engenharia de Software');
+      expect(named.filterByBand('pleno')).toHaveLength(78 * 2);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    expect(new Taxonomy({ categories: { 'platform-ops': { en: 'Platform Ops' } } }).resolve('categories', 'platform ops'))
+      .toBe('platform-ops');
+    expect(() => new Taxonomy({ teams: {} })).toThrow(InvalidQueryError);
+    expect(() => new Taxonomy({ levels: { L10: { en: 'Founder' } } })).toThrow(InvalidQueryError);
+    expect(() => new Taxonomy({ categories: { 'Platform Ops': { en: 'Platform Ops' } } })).toThrow(InvalidQueryError);
+    expect(() => new Taxonomy({ bands: { mid: { en: '' } } })).toThrow(InvalidQueryError);
+  });
+});
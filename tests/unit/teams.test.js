@@ -0,0 +1,77 @@
+const TechRolesLibrary = require('../../src/index');
+const { InvalidQueryError, RoleNotFoundError } = require('../../src/core/validator');
+
+describe('Team Analysis', () => {
+  let library;
+
+  const team = [
+    { name: 'Ana', role: 'Backend Developer', level: 'L4' },
+    { name: 'Luis', role: 'Backend Developer', level: 'L4' },
+    { name: 'Marta', role: 'DevOps Engineer', level: 'L3' }
+  ];
+
+  beforeAll(() => {
+    library = new TechRolesLibrary({ language: 'en' });
+  });
+
+  test('should build a competency-by-member matrix', () => {
+    const result = library.analyzeTeam(team);
+    const backend = library.getRole('BE-L4');
+    const row = result.matrix.find(r => r.competency === backend.coreCompetencies[0]);
+
+    expect(result.members.map(m => m.code)).toEqual(['BE-L4', 'BE-L4', 'DO-L3']);
+    expect(row).toMatchObject({ type: 'core', holders: ['Ana', 'Luis'], coverage: 67 });
+    expect(row.ids).toEqual(['BE-L4-core-01']);
+    expect(row.members).toEqual({ Ana: true, Luis: true, Marta: false });
+    expect(result.summary.totalMembers).toBe(3);
+    expect(result.summary.totalCompetencies).toBe(result.matrix.length);
+    expect(result.gaps).toBeNull();
+  });
+
+  test('should report competencies held by a single member', () => {
+    const result = library.analyzeTeam(team);
+    const devops = library.getRoleByName('DevOps Engineer', 'L3');
+
+    expect(result.singlePointsOfFailure.length).toBeGreaterThan(0);
+    expect(result.singlePointsOfFailure.every(spof => spof.holder === 'Marta')).toBe(true);
+    expect(result.singlePointsOfFailure.map(spof => spof.competency)).toContain(devops.coreCompetencies[0]);
+    expect(result.summary.singlePointsOfFailure).toBe(result.singlePointsOfFailure.length);
+  });
+
+  test('should honour includeComplementary and cumulative', () => {
+    const coreOnly = library.analyzeTeam(team, { includeComplementary: false });
+    expect(coreOnly.matrix.every(row => row.type === 'core')).toBe(true);
+
+    const cumulative = library.analyzeTeam(team, { cumulative: true });
+    const juniorCore = library.getRole('BE-L1').coreCompetencies[0];
+    expect(cumulative.matrix.some(row => row.competency === juniorCore)).toBe(true);
+    expect(cumulative.summary.totalCompetencies).toBeGreaterThan(library.analyzeTeam(team).summary.totalCompetencies);
+  });
+
+  test('should report gaps against a target composition', () => {
+    const result = library.analyzeTeam(team, {
+      target: [
+        { role: 'Backend Developer', level: 'L3', count: 3 },
+        { role: 'Frontend Developer', level: 'L3' }
+      ]
+    });
+
+    expect(result.gaps.composition[0]).toMatchObject({
+      code: 'BE-L3', required: 3, filled: 2, missing: 1, filledBy: ['Ana', 'Luis']
+    });
+    expect(result.gaps.composition[1]).toMatchObject({ code: 'FE-L3', filled: 0, missing: 1 });
+    expect(result.gaps.unassignedMembers).toEqual(['Marta']);
+    expect(result.gaps.missingCompetencies.map(c => c.competency))
+      .toContain(library.getRole('FE-L3').coreCompetencies[0]);
+    expect(result.gaps.missingCompetencies.find(c => c.id === 'FE-L3-core-01')).toBeDefined();
+  });
+
+  test('should validate members and target', () => {
+    expect(() => library.analyzeTeam([])).toThrow(InvalidQueryError);
+    expect(() => library.analyzeTeam([{ role: 'Backend Developer', level: 'L3' }])).toThrow(InvalidQueryError);
+    expect(() => library.analyzeTeam([team[0], team[0]])).toThrow('Duplicate team member name: Ana');
+    expect(() => library.analyzeTeam(team, { target: [{ role: 'Backend Developer', level: 'L3', count: 0 }] }))
+      .toThrow(InvalidQueryError);
+    expect(() => library.analyzeTeam([{ name: 'X', role: 'Unknown Role', level: 'L3' }])).toThrow(RoleNotFoundError);
+  });
+});
@@ -0,0 +1,74 @@
+const TextAnalyzer = require('../../src/core/text-analyzer');
+const TechRolesLibrary = require('../../src/index');
+
+describe('TextAnalyzer', () => {
+  const en = new TextAnalyzer('en');
+  const es = new TextAnalyzer('es');
+
+  test('should fold accents and case', () => {
+    expect(TextAnalyzer.fold('Gestión del Diseño')).toBe('gestion del diseno');
+    expect(TextAnalyzer.words('Gestión CI/CD full-stack C#')).toEqual(
+      ['gestion', 'ci', 'cd', 'cicd', 'full', 'stack', 'fullstack', 'c#']
+    );
+  });
+
+  test('should remove language stop words', () => {
+    expect(en.analyze('Design of the APIs')).toEqual(['design', 'api']);
+    expect(es.analyze('Diseño de las APIs')).toEqual(['disen', 'api']);
+  });
+
+  test('should reduce English plurals with the S-stemmer', () => {
+    expect(en.analyze('databases policies pipelines status')).toEqual(
+      en.analyze('database policy pipeline status')
+    );
+    expect(en.stem('kubernetes')).toBe(en.stem('kubernete'));
+  });
+
+  test('should reduce Spanish plural and gender forms', () => {
+    const stems = words => words.map(word => es.analyze(word)[0]);
+
+    expect(new Set(stems(['gestión', 'gestiones', 'gestion'])).size).toBe(1);
+    expect(new Set(stems(['diseño', 'diseños', 'diseno'])).size).toBe(1);
+    expect(new Set(stems(['técnica', 'técnicos', 'tecnico'])).size).toBe(1);
+    expect(new Set(stems(['red', 'redes'])).size).toBe(1);
+    expect(new Set(stems(['luz', 'luces'])).size).toBe(1);
+  });
+
+  test('should leave short words, numbers and unknown languages unstemmed', () => {
+    expect(es.analyze('API 5G')).toEqual(['api', '5g']);
+    expect(new TextAnalyzer('fr').analyze('Les données')).toEqual(['les', 'donnees']);
+  });
+
+  describe('Spanish search', () => {
+    let library;
+
+    beforeAll(() => {
+      library = new TechRolesLibrary({ language: 'es' });
+    });
+
+    test('should match accented text from unaccented queries', () => {
+      const accented = library.fullTextSearch('gestión', { limit: 50 }).map(hit => hit.code);
+      const plain = library.fullTextSearch('gestion', { limit: 50 }).map(hit => hit.code);
+
+      expect(plain.length).toBeGreaterThan(0);
+      expect(plain).toEqual(accented);
+    });
+
+    test('should match singular and plural forms', () => {
+      const plural = library.fullTextSearch('diseños', { limit: 50 }).map(hit => hit.code);
+      const singular = library.fullTextSearch('diseno', { limit: 50 }).map(hit => hit.code);
+
+      expect(singular.length).toBeGreaterThan(0);
+      expect(singular).toEqual(plural);
+    });
+
+    test('should ignore stop words and highlight the original words', () => {
+      const hits = library.fullTextSearch('gestion de la seguridad', { limit: 1 });
+      const snippets = hits[0].matches.map(match => match.snippet).join(' ');
+
+      expect(snippets).toMatch(/\*\*(Gestión|gestión|Seguridad|seguridad)\*\*/);
+      expect(snippets).not.toContain('**de**');
+      expect(library.fullTextSearch('de la', {})).toEqual([]);
+    });
+  });
+});
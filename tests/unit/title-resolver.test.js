@@ -0,0 +1,124 @@
+const TechRolesLibrary = require('../../src/index');
+const { InvalidQueryError, RoleNotFoundError, LevelNotFoundError } = require('../../src/core/validator');
+
+const summarize = candidates => candidates.map(c => [c.role, c.code, c.confidence]);
+
+describe('Job Title Resolution', () => {
+  let library;
+
+  beforeAll(() => {
+    library = new TechRolesLibrary({
+      language: 'en',
+      jobTitles: { 'Member of Technical Staff': { role: 'Software Engineer', level: 'L5' } }
+    });
+  });
+
+  test('should match seniority against the role level titles', () => {
+    expect(summarize(library.resolveJobTitle('Senior Software Engineer II'))).toEqual([
+      ['Software Engineer', 'SE-L7', 1]
+    ]);
+    expect(summarize(library.resolveJobTitle('Staff/Principal Software Engineer'))).toEqual([
+      ['Software Engineer', 'SE-L8', 1]
+    ]);
+    expect(summarize(library.resolveJobTitle('Senior AI Engineer'))).toEqual([['AI Engineer', 'AIE-L4', 1]]);
+    expect(summarize(library.resolveJobTitle('Jr. I Backend Developer'))).toEqual([['Backend Developer', 'BE-L2', 1]]);
+  });
+
+  test('should match whole titles against level titles and accept explicit levels', () => {
+    expect(summarize(library.resolveJobTitle('VP of Engineering'))).toEqual([['Engineering Manager', 'EM-L7', 1]]);
+    expect(summarize(library.resolveJobTitle('VP Engineering'))).toEqual([['Engineering Manager', 'EM-L7', 1]]);
+    expect(summarize(library.resolveJobTitle('Senior Director'))).toEqual([['Engineering Manager', 'EM-L6', 1]]);
+    expect(library.resolveJobTitle('SVP Engineering')[0]).toMatchObject({ code: 'EM-L8', matchedBy: 'level' });
+    expect(summarize(library.resolveJobTitle('Director of Product'))).toEqual([['Product Manager', 'PM-L7', 1]]);
+
+    expect(library.resolveJobTitle('Backend Developer L3')[0]).toMatchObject({
+      level: 'L3 - Junior II',
+      code: 'BE-L3',
+      confidence: 1,
+      matchedBy: 'name'
+    });
+    expect(summarize(library.resolveJobTitle('L5 Senior Backend Developer'))).toEqual([['Backend Developer', 'BE-L5', 1]]);
+  });
+
+  test('should split ambiguous seniority between levels', () => {
+    const [first, second] = library.resolveJobTitle('Sr. Backend Developer');
+
+    expect(first).toEqual({
+      role: 'Backend Developer',
+      level: 'L6 - Senior I',
+      code: 'BE-L6',
+      levelNumber: 6,
+      confidence: 0.5,
+      matchedBy: 'name'
+    });
+    expect(second.code).toBe('BE-L7');
+  });
+
+  test('should fall back to seniority bands and the numeral ladder', () => {
+    expect(summarize(library.resolveJobTitle('Software Engineer II'))).toEqual([['Software Engineer', 'SE-L4', 0.7]]);
+    expect(summarize(library.resolveJobTitle('Lead Data Engineer'))).toEqual([['Data Engineer', 'DE-L6', 0.8]]);
+    expect(library.resolveJobTitle('Software Engineer')[0]).toMatchObject({ level: null, code: null, confidence: 1 });
+  });
+
+  test('should map abbreviations, synonyms and Spanish titles', () => {
+    expect(library.resolveJobTitle('SDE')[0].role).toBe('Software Engineer');
+    expect(library.resolveJobTitle('Server-side Engineer')[0]).toMatchObject({
+      role: 'Backend Developer',
+      matchedBy: 'keywords'
+    });
+    expect(library.resolveJobTitle('Ingeniero de Software Backend')[0].role).toBe('Backend Developer');
+    expect(library.resolveJobTitle('Ingeniero de IA Senior')[0]).toMatchObject({ code: 'AIE-L4', matchedBy: 'translation' });
+    expect(library.resolveJobTitle('Senior Tech Lead').every(c => c.role === 'Tech Lead')).toBe(true);
+  });
+
+  test('should return every role of an ambiguous registry entry', () => {
+    expect(summarize(library.resolveJobTitle('Web Developer'))).toEqual([
+      ['Frontend Developer', null, 0.5],
+      ['Full-Stack Developer', null, 0.5]
+    ]);
+    expect(library.resolveJobTitle('Zzzz Qqqq')).toEqual([]);
+    expect(library.resolveJobTitle('Web Developer', { limit: 1 })).toHaveLength(1);
+    expect(library.resolveJobTitle('Sr. Backend Developer', { minConfidence: 0.6 })).toEqual([]);
+  });
+
+  test('should accept user registry entries', () => {
+    expect(summarize(library.resolveJobTitle('Member of Technical Staff'))).toEqual([['Software Engineer', 'SE-L5', 1]]);
+
+    library.addJobTitle('Platform Wrangler', [{ role: 'Platform Engineer', confidence: 0.8 }, 'DevOps Engineer']);
+    expect(library.resolveJobTitle('Senior Platform Wrangler').map(c => [c.role, c.confidence])).toEqual([
+      ['Platform Engineer', 0.4],
+      ['Platform Engineer', 0.4],
+      ['DevOps Engineer', 0.25],
+      ['DevOps Engineer', 0.25]
+    ]);
+  });
+
+  test('should validate titles and registry entries', () => {
+    expect(() => library.resolveJobTitle('')).toThrow(InvalidQueryError);
+    expect(() => library.resolveJobTitle('SDE', { limit: 0 })).toThrow(InvalidQueryError);
+    expect(() => library.addJobTitle('Ninja', 'Zzzz Qqqq')).toThrow(RoleNotFoundError);
+    expect(() => library.addJobTitle('Ninja', { role: 'Backend Developer', level: 'L12' })).toThrow(InvalidQueryError);
+    expect(() => library.addJobTitle('Ninja', [])).toThrow(InvalidQueryError);
+    expect(() => library.addJobTitle('Ninja', { role: 'Backend Developer', confidence: 2 })).toThrow(InvalidQueryError);
+
+    const soloRole = {
+      role: 'Solo Role',
+      category: 'Custom',
+      levels: {
+        'SOLO-L1': {
+          level: 'L1 - Trainee',
+          levelNumber: 1,
+          yearsRange: { min: 0, max: 1 },
+          coreCompetencies: ['Basics'],
+          complementaryCompetencies: [],
+          indicators: []
+        }
+      }
+    };
+    const broken = new TechRolesLibrary({
+      sources: [soloRole],
+      jobTitles: { Soloist: { role: 'Solo Role', level: 'L2' } }
+    });
+    expect(() => broken.resolveJobTitle('Soloist')).toThrow(LevelNotFoundError);
+  });
+});
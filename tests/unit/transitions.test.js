@@ -0,0 +1,87 @@
+const TechRolesLibrary = require('../../src/index');
+const { InvalidQueryError, RoleNotFoundError } = require('../../src/core/validator');
+
+describe('Transition Planning', () => {
+  let library;
+
+  beforeAll(() => {
+    library = new TechRolesLibrary({ language: 'en' });
+  });
+
+  test('should pick the highest target level whose core competencies transfer', () => {
+    const plan = library.planTransition('Backend Developer', 'L5', 'Full-Stack Developer');
+    const entry = plan.levels.find(level => level.code === plan.entryLevel.code);
+
+    expect(plan.from).toMatchObject({ role: 'Backend Developer', code: 'BE-L5', levelNumber: 5 });
+    expect(plan.to).toEqual({ role: 'Full-Stack Developer', category: 'Software Engineering' });
+    expect(plan.entryLevel.levelNumber).toBeLessThanOrEqual(5);
+    expect(entry.coverage).toBeGreaterThanOrEqual(50);
+    expect(plan.levels.filter(level => level.levelNumber > plan.entryLevel.levelNumber && level.levelNumber <= 5)
+      .every(level => level.coverage < 50)).toBe(true);
+    expect(plan.targetLevel.code).toBe(plan.entryLevel.code);
+    expect(plan.entryLevel.meetsThreshold).toBe(true);
+  });
+
+  test('should flag an entry level below the threshold', () => {
+    const plan = library.planTransition('Backend Developer', 'L5', 'Data Scientist');
+
+    expect(plan.levels.filter(level => level.levelNumber <= 5).every(level => level.coverage < 50)).toBe(true);
+    expect(plan.entryLevel).toMatchObject({ code: 'DS-L1', meetsThreshold: false });
+    expect(plan.steps[0]).toMatchObject({ type: 'entry', code: 'DS-L1' });
+  });
+
+  test('should list transferable competencies with the competency they match', () => {
+    const plan = library.planTransition('Backend Developer', 'L5', 'Full-Stack Developer');
+    const backend = library.getAccumulatedCompetencies('Backend Developer', 'L5').levels
+      .flatMap(entry => [...entry.coreCompetencies, ...entry.complementaryCompetencies]);
+
+    expect(plan.transferable.length).toBe(plan.summary.transferableCount);
+    plan.transferable.forEach(match => {
+      expect(backend).toContain(match.matchedWith);
+      expect(match.similarity).toBeGreaterThanOrEqual(0.5);
+      expect(match.code).toMatch(/^FS-L[1-5]$/);
+    });
+  });
+
+  test('should plan steps up to a target level', () => {
+    const plan = library.planTransition('Backend Developer', 'L5', 'Data Engineer', { targetLevel: 'L6' });
+
+    expect(plan.targetLevel.code).toBe('DE-L6');
+    expect(plan.steps[0].type).toBe('entry');
+    expect(plan.steps[0].code).toBe(plan.entryLevel.code);
+    expect(plan.steps[plan.steps.length - 1]).toMatchObject({ type: 'promotion', code: 'DE-L6' });
+    expect(plan.gap).toEqual(plan.steps.flatMap(step => step.competencies));
+    const stepWeeks = plan.steps.reduce((sum, step) => sum + step.estimatedWeeks, 0);
+    expect(Math.abs(plan.summary.estimatedLearningTime.weeks - stepWeeks)).toBeLessThanOrEqual(plan.steps.length);
+    expect(plan.summary.levelChange).toBe(plan.entryLevel.levelNumber - 5);
+  });
+
+  test('should apply threshold, similarity and complementary options', () => {
+    const strict = library.planTransition('Backend Developer', 'L5', 'Full-Stack Developer', { minSimilarity: 1 });
+    const lenient = library.planTransition('Backend Developer', 'L5', 'Data Engineer', { threshold: 0 });
+    const core = library.planTransition('Backend Developer', 'L5', 'Full-Stack Developer', { includeComplementary: false });
+    const fullStack = library.getRoleByName('Full-Stack Developer', core.entryLevel.code.split('-')[1]);
+
+    expect(strict.transferable.length).toBeLessThan(lenient.transferable.length);
+    expect(strict.transferable.every(match => match.competency === match.matchedWith)).toBe(true);
+    expect(lenient.entryLevel.code).toBe('DE-L5');
+    expect(core.steps[0].count + core.steps[0].transferred).toBe(fullStack.coreCompetencies.length);
+  });
+
+  test('should reject invalid transitions', () => {
+    expect(() => library.planTransition('Backend Developer', 'L5', 'BE')).toThrow(InvalidQueryError);
+    expect(() => library.planTransition('Backend Developer', 'L5', 'Data Engineer', { threshold: 1.5 }))
+      .toThrow(InvalidQueryError);
+    expect(() => library.planTransition('Backend Developer', 'L5', 'Data Engineer', { targetLevel: 'L12' }))
+      .toThrow(InvalidQueryError);
+    expect(() => library.planTransition('Backend Developer', 'L5', 'Backend Ninja')).toThrow(RoleNotFoundError);
+  });
+
+  test('should plan in the library language', () => {
+    const es = new TechRolesLibrary({ language: 'es' });
+    const plan = es.planTransition('Backend Developer', 'L5', 'Full-Stack Developer');
+
+    expect(plan.to.role).toBe('Desarrollador Full-Stack');
+    expect(plan.transferable.length).toBeGreaterThan(0);
+  });
+});
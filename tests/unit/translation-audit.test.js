@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocaleLoader = require('../../src/i18n/locales');
+const TranslationAuditor = require('../../src/i18n/translation-auditor');
+const TechRolesLibrary = require('../../src/index');
+const { InvalidQueryError, UnsupportedLanguageError } = require('../../src/core/validator');
+
+const writeLocale = (root, language, definition) => {
+  const dir = path.join(root, language);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'backend-developer.json'), JSON.stringify(definition));
+  return dir;
+};
+
+describe('Translation Audit', () => {
+  let tmpDir;
+  let auditor;
+  let report;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tech-roles-audit-'));
+    const locales = {
+      pt: writeLocale(tmpDir, 'pt', {
+        role: 'Desenvolvedor Backend',
+        category: 'Engenharia de Software',
+        levels: {
+          'BE-L1': {
+            level: 'N1 - Aprendiz',
+            levelNumber: 1,
+            yearsRange: { min: 0, max: 2 },
+            coreCompetencies: ['Compreensão básica da arquitetura cliente-servidor', 'Basic understanding of client-server architecture'],
+            indicators: ['Requer supervisão constante', 'Completa tarefas simples', 'Precisa de 3-6 meses']
+          }
+        }
+      }),
+      'en-GB': writeLocale(tmpDir, 'en-GB', {
+        levels: { 'BE-L1': { indicators: ['Requiere supervisión constante de su equipo', 'Can complete simple tasks', 'Needs 3-6 months'] } }
+      })
+    };
+    auditor = new TranslationAuditor(new LocaleLoader({ locales }));
+    report = auditor.audit({ languages: ['pt', 'en-GB'] });
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const find = (type, language, field) => report.issues.filter(issue =>
+    issue.type === type && issue.language === language && (!field || issue.field === field));
+
+  test('should report missing files, levels and fields', () => {
+    expect(report.reference).toBe('en');
+    expect(report.languages).toEqual(['en', 'pt', 'en-GB']);
+    expect(report.files).toBe(78);
+    expect(find('missing-file', 'pt')).toHaveLength(77);
+    expect(find('missing-level', 'pt').map(issue => issue.code)).toContain('BE-L9');
+    expect(find('missing-field', 'pt')).toEqual([expect.objectContaining({
+      file: 'backend-developer.json', role: 'Backend Developer', code: 'BE-L1', field: 'complementaryCompetencies'
+    })]);
+    expect(report.summary.byType['missing-file']).toBe(77 * 2);
+    expect(report.summary.byLanguage.en).toBe(0);
+  });
+
+  test('should report count, level and years mismatches', () => {
+    expect(find('count-mismatch', 'pt', 'coreCompetencies')[0]).toMatchObject({ code: 'BE-L1', expected: 8, actual: 2 });
+    expect(find('count-mismatch', 'pt', 'indicators')).toHaveLength(0);
+    expect(find('level-mismatch', 'pt')[0]).toMatchObject({ code: 'BE-L1', expected: 'L1 - Trainee', actual: 'N1 - Aprendiz' });
+    expect(find('years-mismatch', 'pt')[0]).toMatchObject({ expected: { min: 0, max: 1 }, actual: { min: 0, max: 2 } });
+  });
+
+  test('should report untranslated strings', () => {
+    expect(find('untranslated', 'pt')).toEqual([expect.objectContaining({
+      field: 'coreCompetencies', index: 1, text: 'Basic understanding of client-server architecture', detected: null
+    })]);
+    expect(find('untranslated', 'en-GB')).toEqual([expect.objectContaining({
+      field: 'indicators', index: 0, detected: 'es', message: 'Looks like es, not en-GB'
+    })]);
+    expect(auditor.detectLanguage('Capacidad de diseñar sistemas distribuidos').language).toBe('es');
+    expect(auditor.detectLanguage('Ability to design distributed systems').language).toBe('en');
+    expect(auditor.detectLanguage('Kubernetes').language).toBeNull();
+  });
+
+  test('should audit the bundled translations through the library', () => {
+    const audit = new TechRolesLibrary().auditTranslations({ languages: ['es'] });
+
+    expect(audit.languages).toEqual(['en', 'es']);
+    expect(audit.strings).toBeGreaterThan(20000);
+    expect(Object.keys(audit.summary.byType)).toEqual(TranslationAuditor.ISSUE_TYPES);
+    ['missing-file', 'missing-level', 'count-mismatch', 'untranslated', 'years-mismatch'].forEach(type => {
+      expect(audit.summary.byType[type]).toBe(0);
+    });
+    audit.issues.filter(issue => issue.type === 'missing-role-name').forEach(issue => {
+      expect(new LocaleLoader().getRoleNames()[issue.role]).toBeUndefined();
+    });
+  });
+
+  test('should reject invalid options', () => {
+    const library = new TechRolesLibrary();
+
+    expect(() => library.auditTranslations({ languages: [] })).toThrow(InvalidQueryError);
+    expect(() => library.auditTranslations({ reference: 'fr' })).toThrow(UnsupportedLanguageError);
+    expect(() => library.auditTranslations({ markers: { pt: { words: 'de' } } })).toThrow(InvalidQueryError);
+  });
+});
@@ -93,6 +93,24 @@ describe('Translator', () => {
     });
   });
 
+  describe('Content Translation', () => {
+    test('should keep content when translateContent is disabled', () => {
+      const translator = new Translator('en', { translateContent: false });
+      const entry = {
+        role: 'Backend Developer',
+        level: 'L1',
+        code: 'BE-L1',
+        coreCompetencies: ['Patched competency'],
+        complementaryCompetencies: ['comp'],
+        indicators: ['indicator']
+      };
+
+      const translated = translator.translate(entry);
+      expect(translated.role).toBe('Backend Developer');
+      expect(translated.coreCompetencies).toEqual(['Patched competency']);
+    });
+  });
+
   describe('Lazy Loading', () => {
     test('should load translations on first use', () => {
       const translator = new Translator('en');
@@ -174,6 +192,24 @@ describe('Translator', () => {
     });
   });
 
+  describe('Fallback chain', () => {
+    test('should translate role names and content through the fallback languages', () => {
+      const translator = new Translator('pt-BR', { fallbacks: ['pt', 'en'] });
+      const entry = {
+        role: 'Backend Developer',
+        code: 'BE-L1',
+        coreCompetencies: ['Conocimiento básico'],
+        complementaryCompetencies: [],
+        indicators: []
+      };
+
+      const translated = translator.translate(entry);
+      expect(translator.getChain()).toEqual(['pt-BR', 'pt', 'en']);
+      expect(translated.role).toBe('Backend Developer');
+      expect(translated.coreCompetencies).toEqual(new Translator('en').translate(entry).coreCompetencies);
+    });
+  });
+
   describe('Edge Cases', () => {
     test('should handle null entry', () => {
       const translator = new Translator('en');
@@ -0,0 +1,162 @@
+/**
+ * Type definitions for @sparring/tech-roles-library (ES module entry point)
+ *
+ * Re-exports the CommonJS declarations: the library class as the default
+ * export, and the error classes and types as named exports.
+ *
+ * @author 686f6c61
+ * @license MIT
+ */
+
+import TechRolesLibrary from './index.js';
+
+export default TechRolesLibrary;
+export { TechRolesLibrary };
+
+export import CompetencyError = TechRolesLibrary.CompetencyError;
+export import RoleNotFoundError = TechRolesLibrary.RoleNotFoundError;
+export import LevelNotFoundError = TechRolesLibrary.LevelNotFoundError;
+export import CompetencyNotFoundError = TechRolesLibrary.CompetencyNotFoundError;
+export import SkillNotFoundError = TechRolesLibrary.SkillNotFoundError;
+export import UnsupportedLanguageError = TechRolesLibrary.UnsupportedLanguageError;
+export import InvalidQueryError = TechRolesLibrary.InvalidQueryError;
+export import RoleConflictError = TechRolesLibrary.RoleConflictError;
+export import PatchError = TechRolesLibrary.PatchError;
+export import SchemaValidationError = TechRolesLibrary.SchemaValidationError;
+
+export type {
+  LevelNumber,
+  LevelCode,
+  LevelInput,
+  Language,
+  EnglishRoleName,
+  SpanishRoleName,
+  RoleName,
+  RoleNameInput,
+  RoleCode,
+  CompetencyType,
+  ConflictStrategy,
+  CompetencyItem,
+  YearsRange,
+  LevelDefinition,
+  RoleDefinition,
+  RoleSource,
+  ListPatch,
+  EntryPatch,
+  PatchDocument,
+  JobTitleTarget,
+  JobTitleMapping,
+  LibraryOptions,
+  CompetencyOptions,
+  SearchField,
+  SearchOptions,
+  FullTextSearchOptions,
+  AssessmentOptions,
+  TeamMember,
+  TeamTarget,
+  TeamOptions,
+  SimilarityMethod,
+  ComparisonOptions,
+  SimilarRolesOptions,
+  JobTitleOptions,
+  CompetencyIds,
+  RoleEntry,
+  Competencies,
+  CompetencyDetail,
+  LevelSnapshot,
+  AccumulatedCompetencies,
+  CompetencyCounts,
+  CareerPath,
+  NextLevel,
+  RoleMatch,
+  JobTitleCandidate,
+  LevelSummary,
+  Coverage,
+  CompetencyLists,
+  LevelAssessment,
+  Placement,
+  TeamMatrixRow,
+  TeamAnalysis,
+  SearchResult,
+  SearchMatch,
+  SearchHit,
+  RoleMetadata,
+  RolesCatalog,
+  Statistics,
+  RoleConflict,
+  LoadReport,
+  PatchChange,
+  PatchReport,
+  PatchFailure,
+  SchemaError,
+  LevelRef,
+  RelatedCompetency,
+  EvolvedCompetency,
+  RoleComparison,
+  LevelComparison,
+  SimilarRole,
+  CompetencyGaps,
+  CareerPathSteps,
+  TransitionOptions,
+  TransitionLevel,
+  TransferableCompetency,
+  TransitionStep,
+  TransitionPlan,
+  CareerGraphOptions,
+  CareerRouteOptions,
+  ReachableRolesOptions,
+  CareerNode,
+  CareerEdge,
+  CareerGraph,
+  CareerRouteStep,
+  CareerRoute,
+  ReachableRole,
+  SkillDefinition,
+  SkillSummary,
+  Skill,
+  SkillsOptions,
+  SkillQueryOptions,
+  SkillTaggedCompetency,
+  TaggedCompetencies,
+  SkillMention,
+  RoleSkill,
+  RolesBySkillOptions,
+  SkillRoleLevel,
+  SkillRoles,
+  SkillFrequencyOptions,
+  SkillFrequency,
+  CategorySkills,
+  Dimension,
+  DimensionOptions,
+  DimensionClassification,
+  DimensionTaggedCompetency,
+  CompetencyDimensions,
+  DimensionProfileOptions,
+  DimensionShare,
+  DimensionProfile,
+  DimensionProgression,
+  LearningTimeParameters,
+  LearningItem,
+  LearningTimeEstimate,
+  LearningTimeObservation,
+  LearningTimeEstimator,
+  CalibrationRecord,
+  CalibrationReport,
+  LanguageFallback,
+  FallbackReport,
+  TaxonomyKind,
+  Band,
+  TaxonomyNames,
+  Taxonomy,
+  TranslationIssueType,
+  LanguageMarkers,
+  TranslationAuditOptions,
+  TranslationIssue,
+  TranslationAudit,
+  MultilingualOptions,
+  LocalizedText,
+  MultilingualField,
+  Multilingual,
+  ComparisonAPI,
+  ErrorCode
+} from './index.js';
@@ -0,0 +1,1595 @@
+/**
+ * Type definitions for @sparring/tech-roles-library
+ *
+ * CommonJS entry point (`require`). ES module consumers get the same types
+ * through index.d.mts. The role name unions are generated from the bundled
+ * role files with `npm run types:roles`.
+ *
+ * @author 686f6c61
+ * @license MIT
+ */
+
+declare namespace TechRolesLibrary {
+  // ========================================
+  // LEVELS, ROLES AND LANGUAGES
+  // ========================================
+
+  /** Level number, from 1 (Trainee) to 9 (VP/CTO). */
+  type LevelNumber = 1 | 2 | 3 | 4 | 5 | 6 | 7 | 8 | 9;
+
+  /** Level code ('L1'-'L9'). */
+  type LevelCode = `L${LevelNumber}`;
+
+  /** Any level form the library accepts: 'L3', 3, '3' or a full title such as 'L3 - Junior II'. */
+  type LevelInput = LevelCode | LevelNumber | `${LevelNumber}` | `${LevelCode} - ${string}`;
+
+  /** Bundled languages, or the tag of any installed locale (e.g. 'pt-BR'). */
+  type Language = 'en' | 'es' | (string & {});
+
+  /** Bundled role names in English. */
+  type EnglishRoleName =
+    | 'AI Engineer'
+    | 'AI Ethics & Governance Specialist'
+    | 'AI Research Engineer'
+    | 'AI Researcher'
+    | 'AI Safety Engineer'
+    | 'API Developer'
+    | 'Application Security Engineer'
+    | 'Automation Engineer'
+    | 'AutoML Engineer'
+    | 'Backend Developer'
+    | 'Big Data Engineer'
+    | 'Blockchain Developer'
+    | 'Business Intelligence Specialist'
+    | 'Cloud Engineer'
+    | 'Cloud Security Engineer'
+    | 'Compiler Engineer'
+    | 'Computer Vision Engineer'
+    | 'Conversational AI Engineer'
+    | 'Data Analyst'
+    | 'Data Architect'
+    | 'Data Engineer'
+    | 'Data Governance Specialist'
+    | 'Data Platform Engineer'
+    | 'Data Quality Engineer'
+    | 'Data Scientist'
+    | 'Data Visualization Specialist'
+    | 'Database Administrator'
+    | 'DataOps Engineer'
+    | 'Delivery Manager'
+    | 'Developer Advocate'
+    | 'DevOps Engineer'
+    | 'Edge AI Engineer'
+    | 'Embedded Systems Engineer'
+    | 'Engineering Manager'
+    | 'FinOps Engineer'
+    | 'Foundation Models Engineer'
+    | 'Frontend Developer'
+    | 'Full-Stack Developer'
+    | 'Game Developer'
+    | 'Generative AI Engineer'
+    | 'Graphics Engineer'
+    | 'Growth Product Manager'
+    | 'Infrastructure Engineer'
+    | 'Integration Engineer'
+    | 'IoT Developer'
+    | 'Kubernetes Engineer'
+    | 'Machine Learning Engineer'
+    | 'MLOps Architect'
+    | 'MLOps Engineer'
+    | 'MLOps Specialist'
+    | 'Mobile Developer'
+    | 'Multimodal AI Engineer'
+    | 'Network Engineer'
+    | 'NLP Engineer'
+    | 'Penetration Tester'
+    | 'Performance Engineer'
+    | 'Platform Engineer'
+    | 'Product Analyst'
+    | 'Product Manager'
+    | 'Product Owner'
+    | 'Project Manager'
+    | 'Prompt Engineer'
+    | 'QA Engineer'
+    | 'Recommender Systems Engineer'
+    | 'Reinforcement Learning Engineer'
+    | 'Reliability Engineer'
+    | 'Robotics Engineer'
+    | 'Sales Development Representative'
+    | 'Security Engineer'
+    | 'Security Operations Engineer'
+    | 'Site Reliability Engineer'
+    | 'Software Architect'
+    | 'Software Engineer'
+    | 'Solutions Architect'
+    | 'SysAdmin'
+    | 'Tech Lead'
+    | 'Technical Product Manager'
+    | 'Test Automation Engineer';
+
+  /** Bundled role names in Spanish. */
+  type SpanishRoleName =
+    | 'Administrador de Bases de Datos'
+    | 'Analista de Datos'
+    | 'Analista de Producto'
+    | 'Arquitecto de Datos'
+    | 'Arquitecto MLOps'
+    | 'Científico de Datos'
+    | 'Defensor de Desarrolladores'
+    | 'Desarrollador Blockchain'
+    | 'Desarrollador de API'
+    | 'Desarrollador de Backend'
+    | 'Desarrollador de Internet de las Cosas'
+    | 'Desarrollador de Videojuegos'
+    | 'Desarrollador Frontend'
+    | 'Desarrollador Full-Stack'
+    | 'Desarrollador Móvil'
+    | 'Especialista en Ética y Gobernanza de IA'
+    | 'Especialista en Gobernanza de Datos'
+    | 'Especialista en Inteligencia de Negocio'
+    | 'Especialista en Visualización de Datos'
+    | 'Especialista MLOps'
+    | 'Gerente de Ingeniería'
+    | 'Gerente de Producto de Crecimiento'
+    | 'Gestor de Entrega'
+    | 'Gestor de Producto'
+    | 'Gestor de Proyectos'
+    | 'Ingeniero de Aprendizaje Automático'
+    | 'Ingeniero de Aprendizaje Automático Automatizado'
+    | 'Ingeniero de Aprendizaje por Refuerzo'
+    | 'Ingeniero de Aseguramiento de Calidad'
+    | 'Ingeniero de Automatización'
+    | 'Ingeniero de Big Data'
+    | 'Ingeniero de Calidad de Datos'
+    | 'Ingeniero de Compiladores'
+    | 'Ingeniero de Datos'
+    | 'Ingeniero de Fiabilidad'
+    | 'Ingeniero de Gráficos'
+    | 'Ingeniero de IA'
+    | 'Ingeniero de IA Conversacional'
+    | 'Ingeniero de IA en el Borde'
+    | 'Ingeniero de IA Generativa'
+    | 'Ingeniero de Infraestructura'
+    | 'Ingeniero de Instrucciones'
+    | 'Ingeniero de Integración'
+    | 'Ingeniero de Inteligencia Artificial Multimodal'
+    | 'Ingeniero de Investigación en IA'
+    | 'Ingeniero de Modelos Fundacionales'
+    | 'Ingeniero de Nube'
+    | 'Ingeniero de Operaciones de Datos'
+    | 'Ingeniero de Operaciones de Seguridad'
+    | 'Ingeniero de Plataforma'
+    | 'Ingeniero de Plataforma de Datos'
+    | 'Ingeniero de Procesamiento de Lenguaje Natural'
+    | 'Ingeniero de Redes'
+    | 'Ingeniero de Rendimiento'
+    | 'Ingeniero de Robótica'
+    | 'Ingeniero de Seguridad'
+    | 'Ingeniero de Seguridad de Aplicaciones'
+    | 'Ingeniero de Seguridad en IA'
+    | 'Ingeniero de Seguridad en Nube'
+    | 'Ingeniero de Sistemas de Recomendación'
+    | 'Ingeniero de Sistemas Embebidos'
+    | 'Ingeniero de Visión por Computadora'
+    | 'Ingeniero DevOps'
+    | 'Ingeniero FinOps'
+    | 'Ingeniero Kubernetes'
+    | 'Ingeniero MLOps'
+    | 'Investigador en IA'
+    | 'Probador de Penetración'
+    | 'Representante de Desarrollo de Ventas'
+    | 'Responsable de Producto'
+    | 'Site Reliability Engineer'
+    | 'Software Architect'
+    | 'Software Engineer'
+    | 'Solutions Architect'
+    | 'SysAdmin'
+    | 'Tech Lead'
+    | 'Technical Product Manager'
+    | 'Test Automation Engineer';
+
+  /** Bundled role names in every language. */
+  type RoleName = EnglishRoleName | SpanishRoleName;
+
+  /**
+   * Role name as accepted by every method: a bundled name (autocompleted) or
+   * any other string the resolver understands (aliases, code prefixes such as
+   * 'BE', custom roles and close misspellings).
+   */
+  type RoleNameInput = RoleName | (string & {});
+
+  /** Role code ('BE-L3'). */
+  type RoleCode = `${string}-${LevelCode}`;
+
+  type CompetencyType = 'core' | 'complementary' | 'indicator';
+
+  type ConflictStrategy = 'error' | 'skip' | 'override';
+
+  // ========================================
+  // OPTIONS AND INPUT DOCUMENTS
+  // ========================================
+
+  /** Competency or indicator in a role file: plain text or text with a pinned ID. */
+  type CompetencyItem = string | { id: string; text: string };
+
+  interface YearsRange {
+    min: number;
+    max: number | null;
+  }
+
+  interface LevelDefinition {
+    level: string;
+    levelNumber: LevelNumber;
+    yearsRange: YearsRange;
+    coreCompetencies: CompetencyItem[];
+    complementaryCompetencies: CompetencyItem[];
+    indicators: CompetencyItem[];
+    /** Stored IDs, one per item of each list. */
+    ids?: Partial<Record<'coreCompetencies' | 'complementaryCompetencies' | 'indicators', string[]>>;
+  }
+
+  /** Role definition file ({ role, category, levels }). */
+  interface RoleDefinition {
+    role: string;
+    category: string;
+    levels: Record<string, LevelDefinition>;
+  }
+
+  /** Additional role source: a directory or JSON file path, definitions, or a descriptor. */
+  type RoleSource =
+    | string
+    | RoleDefinition
+    | RoleDefinition[]
+    | { path: string; language?: string }
+    | { data: RoleDefinition | RoleDefinition[]; language?: string };
+
+  interface ListPatch {
+    /** Items to append. */
+    add?: CompetencyItem[];
+    /** Items to remove, by index, exact text or competency ID. */
+    remove?: Array<string | number>;
+    /** Items to replace; `from` is an index, exact text or competency ID. */
+    replace?: Array<{ from: string | number; to: string }>;
+  }
+
+  interface EntryPatch {
+    coreCompetencies?: ListPatch;
+    complementaryCompetencies?: ListPatch;
+    indicators?: ListPatch;
+    yearsRange?: Partial<YearsRange>;
+  }
+
+  /** Override document, keyed by role code. */
+  interface PatchDocument {
+    language?: string;
+    patches: Record<string, EntryPatch>;
+  }
+
+  /** Job title registry target: a role name or a role with an optional level and confidence. */
+  type JobTitleTarget = RoleNameInput | { role: RoleNameInput; level?: LevelInput; confidence?: number };
+
+  /** Job title registry entry: one target, or several sharing the confidence. */
+  type JobTitleMapping = JobTitleTarget | JobTitleTarget[];
+
+  interface LibraryOptions {
+    /** Language of the data and messages (default 'en'); missing fields fall back along its chain. */
+    language?: Language;
+    /** Extra language directories of role definition files, possibly partial (language -> directory). */
+    locales?: Record<string, string>;
+    /** Languages tried after a language, replacing its parent tag; English is always tried last. */
+    fallbacks?: Record<string, string[]>;
+    /** Include complementary competencies in getCompetencies() (default true). */
+    includeComplementary?: boolean;
+    /** Include level indicators in getCompetencies() (default true). */
+    includeIndicators?: boolean;
+    /** Custom translations directory. */
+    translationsDir?: string;
+    /** Additional role sources merged with the bundled roles. */
+    sources?: RoleSource[];
+    /** What to do when a source reuses a role code or name (default 'error'). */
+    onConflict?: ConflictStrategy;
+    /** Override documents or JSON file paths. */
+    patches?: Array<PatchDocument | string>;
+    /** Validate every role file and source against the schema at load time. */
+    strict?: boolean;
+    /** Extra role name aliases (alias -> role name). */
+    aliases?: Record<string, string>;
+    /** Job title registry entries used by resolveJobTitle(). */
+    jobTitles?: Record<string, JobTitleMapping>;
+    /** Skill taxonomy entries added to or replacing the bundled ones (skill ID -> definition). */
+    skills?: Record<string, SkillDefinition>;
+    /** Competency dimension rule and pin overrides. */
+    dimensions?: DimensionOptions;
+    /** Learning time model parameters, or a custom estimator. */
+    learningTime?: Partial<LearningTimeParameters> | LearningTimeEstimator;
+    /** Names of categories, level titles and seniority bands added to the bundled ones; new category keys add categories. */
+    taxonomy?: TaxonomyNames;
+  }
+
+  interface CompetencyOptions {
+    includeComplementary?: boolean;
+    includeIndicators?: boolean;
+  }
+
+  /** The `languages` query option: texts side by side in these languages, in this order. */
+  interface MultilingualOptions {
+    languages: Language[];
+  }
+
+  /** A text in several languages (null where a language lacks it), e.g. { en: '...', es: '...' }. */
+  type LocalizedText = Record<string, string | null>;
+
+  /** Fields whose texts are paired by the `languages` query option. */
+  type MultilingualField =
+    | 'role'
+    | 'category'
+    | 'level'
+    | 'core'
+    | 'complementary'
+    | 'indicators'
+    | 'coreCompetencies'
+    | 'complementaryCompetencies';
+
+  type LocalizedValue<V> = V extends string ? LocalizedText : V extends string[] ? LocalizedText[] : V;
+  type MultilingualValue<V> = V extends Array<infer U>
+    ? (U extends object ? Array<Multilingual<U>> : V)
+    : V extends object ? Multilingual<V> : V;
+
+  /** A result with its texts side by side in several languages; codes, IDs and numbers are unchanged. */
+  type Multilingual<T> = {
+    [K in keyof T]: K extends 'ids' ? T[K] : K extends MultilingualField ? LocalizedValue<T[K]> : MultilingualValue<T[K]>;
+  };
+
+  type SearchField =
+    | 'role'
+    | 'category'
+    | 'level'
+    | 'coreCompetencies'
+    | 'complementaryCompetencies'
+    | 'indicators';
+
+  interface SearchOptions {
+    /** Maximum results (default 20). */
+    limit?: number;
+    /** Only this category (case-insensitive). */
+    category?: string;
+    /** Only match entries at this level. */
+    level?: LevelInput;
+    /** Field boost overrides. */
+    boosts?: Partial<Record<SearchField, number>>;
+  }
+
+  interface FullTextSearchOptions extends SearchOptions {
+    /** Snippet markers (default '**'). */
+    highlight?: { pre?: string; post?: string };
+  }
+
+  interface AssessmentOptions {
+    /** Share of core competencies (0-1) required to meet a level (default 0.8). */
+    threshold?: number;
+    /** Require every lower level to be met for the placement (default true). */
+    contiguous?: boolean;
+  }
+
+  interface TeamMember {
+    name: string;
+    role: RoleNameInput;
+    level: LevelInput;
+  }
+
+  interface TeamTarget {
+    role: RoleNameInput;
+    level: LevelInput;
+    count?: number;
+  }
+
+  interface TeamOptions {
+    includeComplementary?: boolean;
+    cumulative?: boolean;
+    target?: TeamTarget[];
+  }
+
+  type SimilarityMethod = 'tfidf' | 'token' | 'ngram' | 'exact';
+
+  interface ComparisonOptions {
+    /** Compare complementary competencies too (defaults to the library option). */
+    includeComplementary?: boolean;
+    /** Minimum similarity, 0-1, for two competencies to be related or evolved (default 0.5). */
+    minSimilarity?: number;
+    /** Competency similarity method (default 'tfidf'). */
+    method?: SimilarityMethod;
+  }
+
+  interface SimilarRolesOptions extends ComparisonOptions {
+    /** Minimum role similarity, 0-1 (default 0.15). */
+    threshold?: number;
+    /** Only consider roles in these categories (case-insensitive). */
+    category?: string | string[];
+    /** Maximum number of roles returned. */
+    limit?: number;
+  }
+
+  interface JobTitleOptions {
+    /** Maximum candidates (default 5). */
+    limit?: number;
+    /** Minimum confidence, 0-1 (default 0). */
+    minConfidence?: number;
+  }
+
+  // ========================================
+  // RESULTS
+  // ========================================
+
+  interface CompetencyIds {
+    coreCompetencies: string[];
+    complementaryCompetencies: string[];
+    indicators: string[];
+  }
+
+  /** One role at one level. */
+  interface RoleEntry {
+    category: string;
+    /** Stable category key, the same in every language (e.g. 'software-engineering'). */
+    categoryKey: string;
+    role: string;
+    level: string;
+    code: string;
+    levelNumber: LevelNumber;
+    band: Band;
+    yearsRange: YearsRange;
+    coreCompetencies: string[];
+    complementaryCompetencies: string[];
+    indicators: string[];
+    ids: CompetencyIds;
+  }
+
+  interface Competencies {
+    role: string;
+    level: string;
+    code: string;
+    yearsRange: YearsRange;
+    core: string[];
+    complementary?: string[];
+    indicators?: string[];
+    ids: { core: string[]; complementary?: string[]; indicators?: string[] };
+  }
+
+  interface CompetencyDetail {
+    id: string;
+    type: CompetencyType;
+    text: string;
+    role: string;
+    level: string;
+    code: string;
+    levelNumber: LevelNumber;
+    category: string;
+  }
+
+  /** Level snapshot used in accumulated competencies and career paths. */
+  interface LevelSnapshot {
+    level: string;
+    code: string;
+    levelNumber: LevelNumber;
+    yearsRange: YearsRange;
+    coreCompetencies: string[];
+    complementaryCompetencies: string[];
+    indicators: string[];
+    ids: CompetencyIds;
+  }
+
+  interface AccumulatedCompetencies {
+    role: string;
+    targetLevel: string;
+    levels: Array<Omit<LevelSnapshot, 'levelNumber'>>;
+  }
+
+  interface CompetencyCounts {
+    core: number;
+    complementary: number;
+    indicators: number;
+  }
+
+  interface CareerPath {
+    role: string;
+    currentLevel: LevelSnapshot;
+    masteredLevels: LevelSnapshot[];
+    growthPath: LevelSnapshot[];
+    summary: {
+      totalMasteredCompetencies: number;
+      currentLevelCompetencies: number;
+      remainingToLearn: number;
+      progressPercentage: number;
+      masteredStats: CompetencyCounts;
+      currentStats: CompetencyCounts;
+      growthStats: CompetencyCounts;
+    };
+  }
+
+  interface NextLevel {
+    current: { level: LevelCode; yearsRange: YearsRange };
+    next: {
+      level: string;
+      code: string;
+      yearsRange: YearsRange;
+      coreCompetencies: string[];
+      complementaryCompetencies: string[];
+      indicators: string[];
+    };
+    /** Competencies of the next level with no counterpart at the current one. */
+    newCompetencies: string[];
+    newCompetenciesCount: number;
+    /** Current competencies reworded at the next level. */
+    evolvedCompetencies: EvolvedCompetency[];
+    evolvedCompetenciesCount: number;
+  }
+
+  interface RoleMatch {
+    role: string;
+    matchedBy: 'exact' | 'name' | 'alias' | 'code' | 'translation' | 'fuzzy';
+    score: number;
+  }
+
+  interface JobTitleCandidate {
+    role: string;
+    /** Level title, or null when the job title carries no seniority. */
+    level: string | null;
+    code: string | null;
+    levelNumber: LevelNumber | null;
+    confidence: number;
+    matchedBy: RoleMatch['matchedBy'] | 'title' | 'level' | 'keywords';
+  }
+
+  interface LevelSummary {
+    level: string;
+    code: string;
+    levelNumber: LevelNumber;
+  }
+
+  interface Coverage {
+    core: number;
+    complementary: number;
+    overall: number;
+  }
+
+  interface CompetencyLists {
+    core: string[];
+    complementary: string[];
+  }
+
+  interface LevelAssessment extends LevelSummary {
+    met: boolean;
+    coverage: Coverage;
+    demonstrated: CompetencyLists;
+    missing: CompetencyLists;
+  }
+
+  interface Placement {
+    role: string;
+    threshold: number;
+    placement: LevelSummary | null;
+    highestMetLevel: LevelSummary | null;
+    levels: LevelAssessment[];
+    nextLevel: (LevelSummary & { coverage: Coverage; missing: CompetencyLists }) | null;
+    unmatchedEvidence: string[];
+  }
+
+  interface TeamMatrixRow {
+    competency: string;
+    ids: string[];
+    type: 'core' | 'complementary';
+    holders: string[];
+    members: Record<string, boolean>;
+    coverage: number;
+  }
+
+  interface TeamAnalysis {
+    members: Array<{ name: string } & LevelSummary & { role: string }>;
+    matrix: TeamMatrixRow[];
+    singlePointsOfFailure: Array<{ competency: string; ids: string[]; type: 'core' | 'complementary'; holder: string }>;
+    gaps: {
+      composition: Array<{
+        role: string;
+        level: string;
+        code: string;
+        required: number;
+        filled: number;
+        missing: number;
+        filledBy: string[];
+      }>;
+      missingCompetencies: Array<{ competency: string; id: string | null; type: 'core' | 'complementary' }>;
+      unassignedMembers: string[];
+    } | null;
+    summary: {
+      totalMembers: number;
+      totalCompetencies: number;
+      averageCoverage: number;
+      singlePointsOfFailure: number;
+    };
+  }
+
+  interface SearchResult {
+    role: string;
+    category: string;
+    matchScore: number;
+    matchedIn: 'both' | 'role' | 'category' | 'level' | 'competencies' | 'indicators';
+  }
+
+  interface SearchMatch {
+    field: SearchField;
+    /** Position in the list, or null for role, category and level matches. */
+    index: number | null;
+    id: string | null;
+    text: string;
+    snippet: string;
+  }
+
+  interface SearchHit {
+    role: string;
+    category: string;
+    level: string;
+    code: string;
+    levelNumber: LevelNumber;
+    score: number;
+    matches: SearchMatch[];
+  }
+
+  interface RoleMetadata {
+    role: string;
+    originalRole: string;
+    category: string;
+    categoryKey: string;
+    availableLevels: Array<{
+      level: string;
+      code: string;
+      levelNumber: LevelNumber;
+      yearsRange: YearsRange;
+      competenciesCount: number;
+      indicatorsCount: number;
+    }>;
+    levelCount: number;
+    yearsRange: YearsRange;
+    statistics: {
+      totalCoreCompetencies: number;
+      totalComplementaryCompetencies: number;
+      totalIndicators: number;
+      totalCompetencies: number;
+      avgCompetenciesPerLevel: number;
+    };
+  }
+
+  interface RolesCatalog {
+    roles: RoleMetadata[];
+    byCategory: Record<string, RoleMetadata[]>;
+    summary: {
+      totalRoles: number;
+      totalCategories: number;
+      categories: string[];
+      totalLevels: number;
+    };
+  }
+
+  interface Statistics {
+    totalRoles: number;
+    totalCategories: number;
+    totalEntries: number;
+    averageEntriesPerRole: number;
+    byCategory: Record<string, number>;
+  }
+
+  interface RoleConflict {
+    type: 'role' | 'code';
+    key: string;
+    existing: { role: string; source: string };
+    incoming: { role: string; source: string };
+    /** 'shared' for codes the bundled roles share; both roles are kept. */
+    resolution?: 'skipped' | 'overridden' | 'shared';
+  }
+
+  interface LoadReport {
+    sources: Array<{ source: string; roles: string[]; entries: number }>;
+    conflicts: RoleConflict[];
+  }
+
+  interface PatchChange {
+    source: string;
+    field: 'coreCompetencies' | 'complementaryCompetencies' | 'indicators' | 'yearsRange';
+    op: 'add' | 'remove' | 'replace';
+    before: string | YearsRange | null;
+    after: string | YearsRange | null;
+  }
+
+  interface PatchReport {
+    patched: Array<{ code: string; role: string; sources: string[]; changes: PatchChange[] }>;
+    summary: { patchedEntries: number; totalChanges: number };
+  }
+
+  /** A translatable field loaded from a fallback language. */
+  interface LanguageFallback {
+    role: string;
+    /** Level code, or null for the role name and category. */
+    code: string | null;
+    field: 'role' | 'category' | 'level' | 'coreCompetencies' | 'complementaryCompetencies' | 'indicators';
+    /** Language the field was taken from. */
+    language: string;
+    /** Number of strings in the field. */
+    count: number;
+  }
+
+  interface FallbackReport {
+    /** Requested language. */
+    language: string;
+    /** Installed languages tried, most specific first. */
+    chain: string[];
+    strings: number;
+    fallbackStrings: number;
+    /** Strings loaded from each language of the chain. */
+    byLanguage: Record<string, number>;
+    fallbacks: LanguageFallback[];
+  }
+
+  type TranslationIssueType =
+    | 'missing-file'
+    | 'missing-level'
+    | 'missing-field'
+    | 'count-mismatch'
+    | 'untranslated'
+    | 'level-mismatch'
+    | 'years-mismatch'
+    | 'missing-role-name';
+
+  /** Common words and characters used to detect the language of a string. */
+  interface LanguageMarkers {
+    words: string[];
+    characters?: string;
+  }
+
+  interface TranslationAuditOptions {
+    /** Languages to audit (default: every installed one). */
+    languages?: Language[];
+    /** Language the others are compared with (default 'en'). */
+    reference?: Language;
+    /** Markers per language, added to the English and Spanish ones. */
+    markers?: Record<string, LanguageMarkers>;
+  }
+
+  interface TranslationIssue {
+    type: TranslationIssueType;
+    /** Audited language; null for roles missing from role-names.json. */
+    language: string | null;
+    file: string;
+    /** Role name in English. */
+    role: string;
+    /** Level code; null for role fields and files. */
+    code: string | null;
+    field: string | null;
+    message: string;
+    /** Reference value (mismatches). */
+    expected?: number | string | YearsRange;
+    /** Value in the language (mismatches). */
+    actual?: number | string | YearsRange;
+    /** Position in the list (untranslated strings). */
+    index?: number | null;
+    text?: string;
+    /** Language the string was detected as; null when it is identical to the reference. */
+    detected?: string | null;
+  }
+
+  interface TranslationAudit {
+    reference: string;
+    languages: string[];
+    /** Role files in any audited language. */
+    files: number;
+    /** Strings checked. */
+    strings: number;
+    summary: {
+      total: number;
+      byType: Record<TranslationIssueType, number>;
+      byLanguage: Record<string, number>;
+    };
+    issues: TranslationIssue[];
+  }
+
+  type TaxonomyKind = 'categories' | 'levels' | 'bands';
+
+  /** Seniority band grouping levels. */
+  type Band = 'trainee' | 'junior' | 'mid' | 'senior' | 'principal' | 'executive';
+
+  /** Names per kind, key and language (e.g. { categories: { data: { pt: 'Dados' } } }). */
+  type TaxonomyNames = Partial<Record<TaxonomyKind, Record<string, Record<string, string>>>>;
+
+  /** Categories, level titles and seniority bands, named in the library language. */
+  interface Taxonomy {
+    language: Language;
+    categories: Array<{ key: string; name: string; roles: number }>;
+    levels: Array<{ key: string; levelNumber: LevelNumber; name: string; band: Band }>;
+    bands: Array<{ key: Band; name: string; levels: LevelNumber[] }>;
+  }
+
+  interface PatchFailure {
+    source: string;
+    code: string;
+    field?: string;
+    op?: 'add' | 'remove' | 'replace';
+    target?: string | number;
+    message: string;
+  }
+
+  interface SchemaError {
+    file?: string;
+    code?: string;
+    path: string;
+    message: string;
+  }
+
+  interface LevelRef {
+    level: string;
+    code: string;
+    yearsRange: YearsRange;
+  }
+
+  interface RoleComparison {
+    role1: { name: string; level: string; code: string };
+    role2: { name: string; level: string; code: string };
+    common: string[];
+    related: RelatedCompetency[];
+    unique1: string[];
+    unique2: string[];
+    similarity: number;
+    statistics: {
+      totalCompetencies1: number;
+      totalCompetencies2: number;
+      commonCount: number;
+      relatedCount: number;
+      unique1Count: number;
+      unique2Count: number;
+    };
+  }
+
+  interface RelatedCompetency {
+    competency1: string;
+    competency2: string;
+    similarity: number;
+  }
+
+  interface EvolvedCompetency {
+    from: string;
+    to: string;
+    similarity: number;
+  }
+
+  interface LevelComparison {
+    role: string;
+    fromLevel: LevelRef;
+    toLevel: LevelRef;
+    maintained: string[];
+    evolved: EvolvedCompetency[];
+    new: string[];
+    deprecated: string[];
+    statistics: {
+      maintainedCount: number;
+      evolvedCount: number;
+      newCount: number;
+      deprecatedCount: number;
+      growthRate: number;
+    };
+  }
+
+  interface SimilarRole {
+    role: string;
+    category: string;
+    similarity: number;
+    commonCompetencies: string[];
+    totalCommon: number;
+    relatedCompetencies: RelatedCompetency[];
+    totalRelated: number;
+  }
+
+  interface CompetencyGaps {
+    role: string;
+    from: LevelRef;
+    to: LevelRef;
+    gaps: string[];
+    gapCount: number;
+    evolved: EvolvedCompetency[];
+    estimatedLearningTime: LearningTimeEstimate;
+    /** New competencies grouped by dimension; every dimension is present. */
+    recommendations: Record<Dimension, string[]>;
+  }
+
+  interface CareerPathSteps {
+    role: string;
+    from: LevelCode;
+    to: LevelCode;
+    steps: Array<{
+      level: string;
+      code: string;
+      yearsRange: YearsRange;
+      indicators: string[];
+      newCompetencies?: string[];
+      newCompetenciesCount?: number;
+      /** Weeks to learn the new competencies of the step. */
+      estimatedWeeks?: number;
+    }>;
+    totalSteps: number;
+    /** estimatedLearningTime.weeks in years. */
+    estimatedYears: number;
+    estimatedLearningTime: LearningTimeEstimate;
+  }
+
+  interface TransitionOptions {
+    /** Level to plan up to in the target role (default: the entry level). */
+    targetLevel?: LevelInput;
+    /** Share of a level's core competencies (0-1) that must transfer to enter at it (default 0.5). */
+    threshold?: number;
+    /** Minimum similarity (0-1) for a competency to count as transferred (default 0.5). */
+    minSimilarity?: number;
+    /** Match complementary competencies too (defaults to the library option). */
+    includeComplementary?: boolean;
+    /** Count competencies of the levels below the current level (default true). */
+    cumulative?: boolean;
+  }
+
+  interface TransitionLevel {
+    level: string;
+    code: string;
+    levelNumber: LevelNumber;
+    yearsRange: YearsRange;
+  }
+
+  interface TransferableCompetency {
+    /** Competency of the target role. */
+    competency: string;
+    /** Current competency it matched. */
+    matchedWith: string;
+    similarity: number;
+    /** Target level code the competency belongs to. */
+    code: string;
+  }
+
+  interface TransitionStep extends TransitionLevel {
+    type: 'entry' | 'promotion';
+    /** Competencies still missing at this level. */
+    competencies: string[];
+    count: number;
+    /** Number of competencies of this level that transfer. */
+    transferred: number;
+    /** Weeks to learn the missing competencies of this level. */
+    estimatedWeeks: number;
+  }
+
+  interface TransitionPlan {
+    from: TransitionLevel & { role: string };
+    to: { role: string; category: string };
+    /** meetsThreshold is false when no level reaches the threshold and the plan starts at L1. */
+    entryLevel: TransitionLevel & { coverage: number; meetsThreshold: boolean };
+    targetLevel: TransitionLevel;
+    transferable: TransferableCompetency[];
+    gap: string[];
+    steps: TransitionStep[];
+    levels: Array<TransitionLevel & { coverage: number; transferred: number }>;
+    summary: {
+      transferableCount: number;
+      gapCount: number;
+      levelChange: number;
+      totalSteps: number;
+      estimatedLearningTime: LearningTimeEstimate;
+    };
+  }
+
+  interface CareerGraphOptions {
+    /** Minimum similarity (0-1) between two role levels for a lateral edge (default 0.25). */
+    lateralThreshold?: number;
+    /** Minimum similarity (0-1) for a competency to count as already held (default 0.5). */
+    minSimilarity?: number;
+    /** Weigh complementary competencies too (defaults to the library option). */
+    includeComplementary?: boolean;
+  }
+
+  interface CareerRouteOptions extends CareerGraphOptions {
+    /** 'cost' (fewest competencies to acquire, default) or 'steps' (fewest moves). */
+    by?: 'cost' | 'steps';
+    /** Allow lateral moves between roles (default true). */
+    lateral?: boolean;
+  }
+
+  interface ReachableRolesOptions extends CareerGraphOptions {
+    /** Maximum number of moves (default 2). */
+    maxSteps?: number;
+    /** Allow lateral moves between roles (default true). */
+    lateral?: boolean;
+  }
+
+  interface CareerNode {
+    /** Role name and level number, e.g. 'Backend Developer L3'. */
+    id: string;
+    role: string;
+    level: string;
+    code: string;
+    levelNumber: LevelNumber;
+    category: string;
+  }
+
+  interface CareerEdge {
+    from: string;
+    to: string;
+    type: 'promotion' | 'lateral';
+    /** Competencies of the destination not covered by the source. */
+    weight: number;
+    /** Similarity of the two role levels (lateral edges only). */
+    similarity?: number;
+  }
+
+  interface CareerGraph {
+    nodes: CareerNode[];
+    edges: CareerEdge[];
+  }
+
+  interface CareerRouteStep {
+    type: 'promotion' | 'lateral';
+    from: CareerNode;
+    to: CareerNode;
+    cost: number;
+    similarity?: number;
+  }
+
+  interface CareerRoute {
+    from: CareerNode;
+    to: CareerNode;
+    by: 'cost' | 'steps';
+    steps: CareerRouteStep[];
+    totalSteps: number;
+    totalCost: number;
+    promotions: number;
+    lateralMoves: number;
+  }
+
+  interface ReachableRole extends CareerNode {
+    steps: number;
+    cost: number;
+    /** Node IDs from the starting role level to this one. */
+    path: string[];
+  }
+
+  // ========================================
+  // SKILLS
+  // ========================================
+
+  interface SkillDefinition {
+    name: string;
+    /** Taxonomy group, e.g. 'data', 'devops', 'security' (default 'other'). */
+    group?: string;
+    /** Words or phrases naming the skill, in any language; the name is always one. */
+    aliases?: string[];
+  }
+
+  interface SkillSummary {
+    /** Stable skill ID, the same in every language, e.g. 'kafka'. */
+    id: string;
+    name: string;
+    group: string;
+  }
+
+  interface Skill extends SkillSummary {
+    aliases: string[];
+  }
+
+  interface SkillsOptions {
+    group?: string;
+  }
+
+  interface SkillQueryOptions {
+    /** Tag complementary competencies too (defaults to the library option). */
+    includeComplementary?: boolean;
+  }
+
+  interface SkillTaggedCompetency {
+    id: string | null;
+    text: string;
+    /** Skill IDs, in order of appearance. */
+    skills: string[];
+  }
+
+  interface TaggedCompetencies {
+    role: string;
+    level: string;
+    code: string;
+    core: SkillTaggedCompetency[];
+    complementary: SkillTaggedCompetency[];
+  }
+
+  interface SkillMention {
+    id: string | null;
+    text: string;
+    type: CompetencyType;
+  }
+
+  interface RoleSkill extends SkillSummary {
+    /** Competencies mentioning the skill. */
+    count: number;
+    /** Level numbers where the skill appears. */
+    levels: LevelNumber[];
+    competencies: Array<SkillMention & { code: string }>;
+  }
+
+  interface RolesBySkillOptions extends SkillQueryOptions {
+    category?: string | string[];
+    level?: LevelInput;
+  }
+
+  interface SkillRoleLevel {
+    role: string;
+    category: string;
+    level: string;
+    code: string;
+    levelNumber: LevelNumber;
+    competencies: SkillMention[];
+  }
+
+  interface SkillRoles {
+    skill: SkillSummary;
+    roles: SkillRoleLevel[];
+    /** Distinct roles. */
+    totalRoles: number;
+    /** Role levels. */
+    totalLevels: number;
+  }
+
+  interface SkillFrequencyOptions extends SkillQueryOptions {
+    category?: string | string[];
+    /** Maximum number of skills per category. */
+    limit?: number;
+  }
+
+  interface SkillFrequency extends SkillSummary {
+    /** Roles of the category mentioning the skill at some level. */
+    roles: number;
+    /** Role levels mentioning the skill. */
+    levels: number;
+    /** Percentage of the roles of the category. */
+    share: number;
+  }
+
+  interface CategorySkills {
+    category: string;
+    totalRoles: number;
+    skills: SkillFrequency[];
+  }
+
+  // ========================================
+  // DIMENSIONS
+  // ========================================
+
+  type Dimension = 'technical' | 'architecture' | 'leadership' | 'people' | 'process' | 'communication' | 'business';
+
+  interface DimensionOptions {
+    /** Keywords replacing the bundled keywords of a dimension. */
+    rules?: Partial<Record<Dimension, string[]>>;
+    /** Dimensions pinned by competency ID, e.g. { 'TL-L6-core-03': 'people' }. */
+    competencies?: Record<string, Dimension>;
+  }
+
+  interface DimensionClassification {
+    dimension: Dimension;
+    /** 'pinned' by competency ID, matched by the 'rules', or 'default' when no keyword matched. */
+    source: 'pinned' | 'rules' | 'default';
+    /** Keyword matches per dimension. */
+    scores: Record<Dimension, number>;
+  }
+
+  interface DimensionTaggedCompetency {
+    id: string | null;
+    text: string;
+    dimension: Dimension;
+    source: DimensionClassification['source'];
+  }
+
+  interface CompetencyDimensions {
+    role: string;
+    level: string;
+    code: string;
+    core: DimensionTaggedCompetency[];
+    complementary: DimensionTaggedCompetency[];
+  }
+
+  interface DimensionProfileOptions {
+    /** Count complementary competencies too (defaults to the library option). */
+    includeComplementary?: boolean;
+  }
+
+  interface DimensionShare {
+    dimension: Dimension;
+    count: number;
+    /** Percentage of the competencies of the level. */
+    share: number;
+  }
+
+  interface DimensionProfile {
+    role: string;
+    level: string;
+    code: string;
+    levelNumber: LevelNumber;
+    total: number;
+    /** Every dimension, in getDimensions() order. */
+    dimensions: DimensionShare[];
+  }
+
+  interface DimensionProgression {
+    role: string;
+    category: string;
+    dimensions: Dimension[];
+    levels: DimensionProfile[];
+  }
+
+  interface LearningTimeParameters {
+    /** Weeks for a new technical competency at difficulty 1 (default 2). */
+    weeksPerCompetency: number;
+    /** Effort weight per dimension. */
+    dimensionWeights: Partial<Record<Dimension, number>>;
+    /** Effort multiplier per level number. */
+    levelDifficulty: Partial<Record<LevelNumber, number>>;
+    /** Share (0-1) of the effort saved for a competency identical to one already held (default 0.5). */
+    overlapDiscount: number;
+    /** Multipliers of the estimate giving its range (0 < low <= 1 <= high). */
+    range: { low: number; high: number };
+  }
+
+  /** A competency to acquire, as passed to a learning time estimator. */
+  interface LearningItem {
+    text: string;
+    id: string | null;
+    dimension: Dimension;
+    /** Level the competency is needed for. */
+    levelNumber: LevelNumber;
+    /** Similarity (0-1) to a competency already held; 0 for a new competency. */
+    similarity: number;
+  }
+
+  interface LearningTimeEstimate {
+    weeks: number;
+    months: number;
+    weeksRange: { min: number; max: number };
+    monthsRange: { min: number; max: number };
+    /** Weeks per dimension with competencies to acquire. */
+    byDimension: Partial<Record<Dimension, number>>;
+  }
+
+  interface LearningTimeObservation {
+    items: LearningItem[];
+    levelNumber: LevelNumber;
+    weeks: number;
+  }
+
+  /** Custom learning time estimator (the `learningTime` option). */
+  interface LearningTimeEstimator {
+    estimate(items: LearningItem[]): LearningTimeEstimate;
+    calibrate?(observations: LearningTimeObservation[]): CalibrationReport;
+  }
+
+  interface CalibrationRecord {
+    role: RoleNameInput;
+    from: LevelInput;
+    to: LevelInput;
+    /** Time the promotion took; months count as four weeks. */
+    weeks?: number;
+    months?: number;
+  }
+
+  interface CalibrationReport {
+    observations: number;
+    /** Median ratio of observed to estimated time. */
+    factor: number;
+    /** Correction of each level calibrated on its own. */
+    levels: Partial<Record<LevelNumber, number>>;
+    range: { low: number; high: number };
+    /** Mean absolute percentage error before and after calibration. */
+    errorBefore: number;
+    errorAfter: number;
+  }
+
+  /**
+   * Role and level comparisons (`library.comparisonAPI`, available once data is loaded).
+   * Prefer the public methods on the library, which apply the library defaults.
+   */
+  interface ComparisonAPI {
+    compareRoles(role1: RoleNameInput, role2: RoleNameInput, level: LevelInput, options?: ComparisonOptions): RoleComparison;
+    compareLevels(
+      roleName: RoleNameInput,
+      fromLevel: LevelInput,
+      toLevel: LevelInput,
+      options?: ComparisonOptions
+    ): LevelComparison;
+    findSimilarRoles(roleName: RoleNameInput, options?: SimilarRolesOptions | number): SimilarRole[];
+    getCompetencyGaps(
+      roleName: RoleNameInput,
+      fromLevel: LevelInput,
+      toLevel: LevelInput,
+      options?: ComparisonOptions
+    ): CompetencyGaps;
+    getCareerPath(
+      roleName: RoleNameInput,
+      fromLevel: LevelInput,
+      toLevel?: LevelInput,
+      options?: ComparisonOptions
+    ): CareerPathSteps;
+  }
+
+  // ========================================
+  // ERRORS
+  // ========================================
+
+  type ErrorCode =
+    | 'ROLE_NOT_FOUND'
+    | 'AMBIGUOUS_ROLE_CODE'
+    | 'LEVEL_NOT_FOUND'
+    | 'COMPETENCY_NOT_FOUND'
+    | 'SKILL_NOT_FOUND'
+    | 'UNSUPPORTED_LANGUAGE'
+    | 'INVALID_QUERY'
+    | 'ROLE_CONFLICT'
+    | 'PATCH_FAILED'
+    | 'SCHEMA_VALIDATION_FAILED';
+
+  /** Base class of every error thrown by the library. */
+  class CompetencyError extends Error {
+    constructor(message: string, code: string);
+    code: ErrorCode | (string & {});
+  }
+
+  class RoleNotFoundError extends CompetencyError {
+    constructor(role: string, suggestions?: string[]);
+    code: 'ROLE_NOT_FOUND';
+    role: string;
+    /** Closest role names, best first. */
+    suggestions: string[];
+  }
+
+  class AmbiguousRoleCodeError extends CompetencyError {
+    constructor(roleCode: string, suggestions: string[]);
+    code: 'AMBIGUOUS_ROLE_CODE';
+    roleCode: string;
+    /** Codes qualified with the name of each role using it ('Compiler Engineer/CE-L3'). */
+    suggestions: string[];
+  }
+
+  class LevelNotFoundError extends CompetencyError {
+    constructor(role: string, level: string);
+    code: 'LEVEL_NOT_FOUND';
+    role: string;
+    level: string;
+  }
+
+  class CompetencyNotFoundError extends CompetencyError {
+    constructor(id: string);
+    code: 'COMPETENCY_NOT_FOUND';
+    id: string;
+  }
+
+  class SkillNotFoundError extends CompetencyError {
+    constructor(skill: string);
+    code: 'SKILL_NOT_FOUND';
+    skill: string;
+  }
+
+  class UnsupportedLanguageError extends CompetencyError {
+    constructor(language: string, available: string[]);
+    code: 'UNSUPPORTED_LANGUAGE';
+    language: string;
+    /** Installed languages. */
+    available: string[];
+  }
+
+  class InvalidQueryError extends CompetencyError {
+    constructor(message: string);
+    code: 'INVALID_QUERY';
+  }
+
+  class RoleConflictError extends CompetencyError {
+    constructor(conflicts: RoleConflict[]);
+    code: 'ROLE_CONFLICT';
+    conflicts: RoleConflict[];
+  }
+
+  class PatchError extends CompetencyError {
+    constructor(failures: PatchFailure[]);
+    code: 'PATCH_FAILED';
+    failures: PatchFailure[];
+  }
+
+  class SchemaValidationError extends CompetencyError {
+    constructor(errors: SchemaError[]);
+    code: 'SCHEMA_VALIDATION_FAILED';
+    errors: SchemaError[];
+  }
+
+  /** The library class, also exported by name. */
+  export import TechRolesLibrary = Library;
+}
+
+/**
+ * Tech roles, career levels and competencies.
+ */
+declare class TechRolesLibrary {
+  constructor(options?: TechRolesLibrary.LibraryOptions);
+
+  /** Comparison utilities, available once data is loaded. Prefer the public comparison methods. */
+  comparisonAPI: TechRolesLibrary.ComparisonAPI | null;
+
+  // Role queries
+  getRoles(): string[];
+  resolveRole(name: TechRolesLibrary.RoleNameInput): TechRolesLibrary.RoleMatch;
+  resolveJobTitle(title: string, options?: TechRolesLibrary.JobTitleOptions): TechRolesLibrary.JobTitleCandidate[];
+  addJobTitle(title: string, target: TechRolesLibrary.JobTitleMapping): void;
+  getRole(code: TechRolesLibrary.RoleCode | (string & {})): TechRolesLibrary.RoleEntry;
+  getRoleByName(name: TechRolesLibrary.RoleNameInput, level: TechRolesLibrary.LevelInput): TechRolesLibrary.RoleEntry;
+  getLevelsForRole(
+    roleName: TechRolesLibrary.RoleNameInput,
+    options: TechRolesLibrary.MultilingualOptions
+  ): Array<TechRolesLibrary.Multilingual<TechRolesLibrary.RoleEntry>>;
+  getLevelsForRole(roleName: TechRolesLibrary.RoleNameInput, options?: {}): TechRolesLibrary.RoleEntry[];
+
+  // Competency queries
+  getCompetencies(
+    roleName: TechRolesLibrary.RoleNameInput,
+    level: TechRolesLibrary.LevelInput,
+    options: TechRolesLibrary.CompetencyOptions & TechRolesLibrary.MultilingualOptions
+  ): TechRolesLibrary.Multilingual<TechRolesLibrary.Competencies>;
+  getCompetencies(
+    roleName: TechRolesLibrary.RoleNameInput,
+    level: TechRolesLibrary.LevelInput,
+    options?: TechRolesLibrary.CompetencyOptions
+  ): TechRolesLibrary.Competencies;
+  getCoreCompetencies(roleName: TechRolesLibrary.RoleNameInput, level: TechRolesLibrary.LevelInput): string[];
+  getComplementaryCompetencies(roleName: TechRolesLibrary.RoleNameInput, level: TechRolesLibrary.LevelInput): string[];
+  getCompetencyById(id: string): TechRolesLibrary.CompetencyDetail;
+  getAccumulatedCompetencies(
+    roleName: TechRolesLibrary.RoleNameInput,
+    level: TechRolesLibrary.LevelInput
+  ): TechRolesLibrary.AccumulatedCompetencies;
+  getCareerPathComplete(
+    roleName: TechRolesLibrary.RoleNameInput,
+    currentLevel: TechRolesLibrary.LevelInput,
+    options: TechRolesLibrary.MultilingualOptions
+  ): TechRolesLibrary.Multilingual<TechRolesLibrary.CareerPath>;
+  getCareerPathComplete(
+    roleName: TechRolesLibrary.RoleNameInput,
+    currentLevel: TechRolesLibrary.LevelInput,
+    options?: {}
+  ): TechRolesLibrary.CareerPath;
+
+  // Assessment and teams
+  assessPlacement(
+    roleName: TechRolesLibrary.RoleNameInput,
+    demonstrated: string[] | Set<string>,
+    options?: TechRolesLibrary.AssessmentOptions
+  ): TechRolesLibrary.Placement;
+  analyzeTeam(members: TechRolesLibrary.TeamMember[], options?: TechRolesLibrary.TeamOptions): TechRolesLibrary.TeamAnalysis;
+
+  // Experience
+  getByExperience(roleName: TechRolesLibrary.RoleNameInput, years: number): TechRolesLibrary.RoleEntry;
+  getYearsRange(roleName: TechRolesLibrary.RoleNameInput, level: TechRolesLibrary.LevelInput): TechRolesLibrary.YearsRange;
+
+  // Search and filter
+  search(query: string, options?: TechRolesLibrary.SearchOptions): TechRolesLibrary.SearchResult[];
+  fullTextSearch(query: string, options?: TechRolesLibrary.FullTextSearchOptions): TechRolesLibrary.SearchHit[];
+  /** Category key or name in any language. */
+  filterByCategory(category: string): TechRolesLibrary.RoleEntry[];
+  filterByLevel(levelNumber: TechRolesLibrary.LevelInput): TechRolesLibrary.RoleEntry[];
+  /** Band key or name in any language. */
+  filterByBand(band: TechRolesLibrary.Band | string): TechRolesLibrary.RoleEntry[];
+
+  // Comparisons
+  compareRoles(
+    role1: TechRolesLibrary.RoleNameInput,
+    role2: TechRolesLibrary.RoleNameInput,
+    level: TechRolesLibrary.LevelInput,
+    options?: TechRolesLibrary.ComparisonOptions
+  ): TechRolesLibrary.RoleComparison;
+  compareLevels(
+    roleName: TechRolesLibrary.RoleNameInput,
+    fromLevel: TechRolesLibrary.LevelInput,
+    toLevel: TechRolesLibrary.LevelInput,
+    options?: TechRolesLibrary.ComparisonOptions
+  ): TechRolesLibrary.LevelComparison;
+  findSimilarRoles(
+    roleName: TechRolesLibrary.RoleNameInput,
+    options?: TechRolesLibrary.SimilarRolesOptions
+  ): TechRolesLibrary.SimilarRole[];
+  getCompetencyGaps(
+    roleName: TechRolesLibrary.RoleNameInput,
+    fromLevel: TechRolesLibrary.LevelInput,
+    toLevel: TechRolesLibrary.LevelInput,
+    options?: TechRolesLibrary.ComparisonOptions
+  ): TechRolesLibrary.CompetencyGaps;
+  getCareerPath(
+    roleName: TechRolesLibrary.RoleNameInput,
+    fromLevel: TechRolesLibrary.LevelInput,
+    toLevel?: TechRolesLibrary.LevelInput,
+    options?: TechRolesLibrary.ComparisonOptions
+  ): TechRolesLibrary.CareerPathSteps;
+
+  // Career progression
+  getNextLevel(role: TechRolesLibrary.RoleNameInput, currentLevel: TechRolesLibrary.LevelInput): TechRolesLibrary.NextLevel | null;
+  planTransition(
+    fromRole: TechRolesLibrary.RoleNameInput,
+    fromLevel: TechRolesLibrary.LevelInput,
+    toRole: TechRolesLibrary.RoleNameInput,
+    options?: TechRolesLibrary.TransitionOptions
+  ): TechRolesLibrary.TransitionPlan;
+
+  // Career graph
+  getCareerGraph(options?: TechRolesLibrary.CareerGraphOptions): TechRolesLibrary.CareerGraph;
+  findCareerRoute(
+    fromRole: TechRolesLibrary.RoleNameInput,
+    fromLevel: TechRolesLibrary.LevelInput,
+    toRole: TechRolesLibrary.RoleNameInput,
+    toLevel: TechRolesLibrary.LevelInput,
+    options?: TechRolesLibrary.CareerRouteOptions
+  ): TechRolesLibrary.CareerRoute | null;
+  getReachableRoles(
+    roleName: TechRolesLibrary.RoleNameInput,
+    level: TechRolesLibrary.LevelInput,
+    options?: TechRolesLibrary.ReachableRolesOptions
+  ): TechRolesLibrary.ReachableRole[];
+
+  // Skills
+  getSkills(options?: TechRolesLibrary.SkillsOptions): TechRolesLibrary.Skill[];
+  addSkill(id: string, definition: TechRolesLibrary.SkillDefinition): void;
+  extractSkills(text: string): TechRolesLibrary.SkillSummary[];
+  tagCompetencies(roleName: TechRolesLibrary.RoleNameInput, level: TechRolesLibrary.LevelInput): TechRolesLibrary.TaggedCompetencies;
+  getSkillsForRole(
+    roleName: TechRolesLibrary.RoleNameInput,
+    level?: TechRolesLibrary.LevelInput | null,
+    options?: TechRolesLibrary.SkillQueryOptions
+  ): TechRolesLibrary.RoleSkill[];
+  findRolesBySkill(skill: string, options?: TechRolesLibrary.RolesBySkillOptions): TechRolesLibrary.SkillRoles;
+  getSkillFrequency(options?: TechRolesLibrary.SkillFrequencyOptions): TechRolesLibrary.CategorySkills[];
+
+  // Dimensions
+  getDimensions(): TechRolesLibrary.Dimension[];
+  classifyCompetency(text: string): TechRolesLibrary.DimensionClassification;
+  getCompetencyDimensions(roleName: TechRolesLibrary.RoleNameInput, level: TechRolesLibrary.LevelInput): TechRolesLibrary.CompetencyDimensions;
+  getDimensionProfile(
+    roleName: TechRolesLibrary.RoleNameInput,
+    level: TechRolesLibrary.LevelInput,
+    options?: TechRolesLibrary.DimensionProfileOptions
+  ): TechRolesLibrary.DimensionProfile;
+  getDimensionProgression(
+    roleName: TechRolesLibrary.RoleNameInput,
+    options?: TechRolesLibrary.DimensionProfileOptions
+  ): TechRolesLibrary.DimensionProgression;
+
+  // Learning time
+  getLearningTimeModel(): TechRolesLibrary.LearningTimeEstimator;
+  calibrateLearningTime(
+    history: TechRolesLibrary.CalibrationRecord[],
+    options?: TechRolesLibrary.ComparisonOptions
+  ): TechRolesLibrary.CalibrationReport;
+
+  // Languages
+  getLanguage(): TechRolesLibrary.Language;
+  /** Cached view of the library in another language, sharing its data and runtime additions. */
+  withLanguage(language: TechRolesLibrary.Language): TechRolesLibrary;
+  getLanguages(): string[];
+  /** Null when a custom translations directory is used. */
+  getFallbackReport(): TechRolesLibrary.FallbackReport | null;
+  auditTranslations(options?: TechRolesLibrary.TranslationAuditOptions): TechRolesLibrary.TranslationAudit;
+
+  // Utilities
+  getCategories(): string[];
+  getTaxonomy(): TechRolesLibrary.Taxonomy;
+  getAllRolesWithMetadata(): TechRolesLibrary.RolesCatalog;
+  getStatistics(): TechRolesLibrary.Statistics;
+  getLoadReport(): TechRolesLibrary.LoadReport;
+  getPatchReport(): TechRolesLibrary.PatchReport;
+  validateRole(roleName: string): boolean;
+  validateLevel(roleName: string, level: string | number): boolean;
+  getAvailableLevels(roleName: TechRolesLibrary.RoleNameInput): string[];
+  static validateRoleDefinition(definition: unknown): Array<{ code?: string; path: string; message: string }>;
+
+  // Export
+  export(format: 'json' | 'markdown', data: object | object[]): string;
+}
+
+import Library = TechRolesLibrary;
+
+export = TechRolesLibrary;